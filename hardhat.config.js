@@ -1,5 +1,13 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const path = require("path");
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS } = require("hardhat/builtin-tasks/task-names");
+
+// 合約套件目錄下的node_modules由工作區安裝，其中的依賴經由import解析，不列為本地原始碼
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS).setAction(async (_, __, runSuper) =>
+  (await runSuper()).filter((sourcePath) => !sourcePath.split(path.sep).includes("node_modules"))
+);
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -7,12 +15,39 @@ module.exports = {
     compilers: [
       {
         version: "0.8.19",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          // 升級腳本以儲存佈局檢查新實作的相容性
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
+        }
       },
       {
         version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          outputSelection: {
+            "*": {
+              "*": ["storageLayout"]
+            }
+          }
+        }
       }
     ]
   },
+  // 合約原始碼位於工作區的合約套件，測試與腳本在根目錄執行
+  paths: {
+    sources: "./packages/contracts"
+  },
   networks: {
     hardhat: {},
     arbitrum: {
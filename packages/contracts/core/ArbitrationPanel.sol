@@ -0,0 +1,618 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "../interfaces/IArbitrationPanel.sol";
+import "./RentalDeposit.sol";
+
+/**
+ * @title ArbitrationPanel
+ * @dev 可插拔的爭議仲裁模組，為每件爭議抽選仲裁員以承諾-揭示方式投票，
+ *      並以投票中位數（可為部分分割）執行押金結算。候選名單於開案時記錄並鎖定，
+ *      仲裁員再以開案後未來區塊的雜湊從中抽選，開案時無人能預知抽選結果，
+ *      得知雜湊後也無法增減候選人；未揭示投票的仲裁員將被罰沒部分質押
+ */
+contract ArbitrationPanel is IArbitrationPanel, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    // 仲裁員質押代幣
+    IERC20 public stakeToken;
+    
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant DRAW_BLOCK_DELAY = 5;          // 開案至抽選所用區塊的間隔區塊數
+    uint256 public constant NON_REVEAL_SLASH_BPS = 1000;   // 未揭示投票時罰沒的質押比例（基點）
+    uint256 public constant MAX_POOL_SIZE = 50;            // 仲裁員名冊上限，限制提出爭議時記錄候選名單的Gas
+    uint256 public minStake;                      // 成為仲裁員的最低質押量
+    uint256 public jurorsPerDispute = 3;          // 每件爭議抽選的仲裁員人數
+    uint256 public commitPeriod = 3 days;         // 提交投票承諾的期限
+    uint256 public revealPeriod = 2 days;         // 揭示投票的期限
+    
+    // 仲裁案件狀態
+    enum CaseStatus {
+        NONE,          // 不存在
+        DRAWING,       // 等待抽選仲裁員
+        VOTING,        // 投票中
+        RESOLVED,      // 已依投票結果結算
+        FAILED         // 仲裁失敗，交由平台裁決
+    }
+    
+    // 仲裁案件
+    struct DisputeCase {
+        address tenant;          // 租客地址
+        address landlord;        // 房東地址
+        address token;           // 押金代幣地址
+        uint256 maxAward;        // 可裁決給房東的最高本金
+        uint256 drawBlock;       // 抽選仲裁員所用雜湊的區塊高度
+        uint256 commitDeadline;  // 承諾截止時間
+        uint256 revealDeadline;  // 揭示截止時間
+        uint256 commitCount;     // 已提交承諾數
+        uint256 revealCount;     // 已揭示數
+        CaseStatus status;       // 案件狀態
+    }
+    
+    // 仲裁員的投票
+    struct Vote {
+        bytes32 commitment;      // 投票承諾雜湊
+        uint256 landlordShareBps; // 揭示的房東分得比例（基點）
+        bool revealed;           // 是否已揭示
+    }
+    
+    // 租賃ID到仲裁案件的映射
+    mapping(uint256 => DisputeCase) public cases;
+    // 租賃ID到抽選仲裁員的映射
+    mapping(uint256 => address[]) private _jurors;
+    // 租賃ID到開案時記錄的候選仲裁員的映射，抽選後清除
+    mapping(uint256 => address[]) private _candidatePool;
+    // 租賃ID到仲裁員投票的映射
+    mapping(uint256 => mapping(address => Vote)) public votes;
+    // 仲裁員質押量
+    mapping(address => uint256) public stakes;
+    // 平台白名單仲裁員
+    mapping(address => bool) public isWhitelisted;
+    // 仲裁員正在審理或列為候選的案件數，期間不得取回質押
+    mapping(address => uint256) public activeCases;
+    // 仲裁員可領取的費用（仲裁員 => 代幣 => 金額）
+    mapping(address => mapping(address => uint256)) public claimableFees;
+    
+    // 仲裁員名冊及其索引（索引從1開始，0表示不在名冊中）
+    address[] private _pool;
+    mapping(address => uint256) private _poolIndex;
+    
+    // 事件定義
+    event ArbitratorStaked(address indexed arbitrator, uint256 amount);
+    event ArbitratorUnstaked(address indexed arbitrator, uint256 amount);
+    event ArbitratorWhitelisted(address indexed arbitrator, bool status);
+    event DrawScheduled(uint256 indexed rentalId, uint256 drawBlock);
+    event CaseOpened(uint256 indexed rentalId, address[] jurors, uint256 commitDeadline, uint256 revealDeadline);
+    event VoteCommitted(uint256 indexed rentalId, address indexed juror);
+    event VoteRevealed(uint256 indexed rentalId, address indexed juror, uint256 landlordShareBps);
+    event CaseResolved(uint256 indexed rentalId, uint256 landlordShareBps, uint256 landlordAward);
+    event CaseFailed(uint256 indexed rentalId, string reason);
+    event ArbitratorFeeAccrued(uint256 indexed rentalId, address indexed token, uint256 amountPerJuror);
+    event ArbitratorSlashed(uint256 indexed rentalId, address indexed arbitrator, uint256 amount);
+    event FeesClaimed(address indexed arbitrator, address indexed token, uint256 amount);
+    event ParametersUpdated(uint256 jurorsPerDispute, uint256 commitPeriod, uint256 revealPeriod, uint256 minStake);
+    
+    /**
+     * @dev 限制只有租賃押金合約可以調用
+     */
+    modifier onlyRentalDeposit() {
+        require(msg.sender == address(rentalDeposit), "ArbitrationPanel: caller is not rental deposit");
+        _;
+    }
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     * @param _stakeToken 仲裁員質押代幣地址
+     * @param _minStake 成為仲裁員的最低質押量
+     */
+    constructor(address _rentalDeposit, address _stakeToken, uint256 _minStake) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        require(_stakeToken != address(0), "Invalid stake token address");
+        
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+        stakeToken = IERC20(_stakeToken);
+        minStake = _minStake;
+    }
+    
+    /**
+     * @dev 質押代幣，質押量達到門檻後加入仲裁員名冊
+     * @param _amount 質押數量
+     */
+    function stake(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than 0");
+        
+        stakeToken.safeTransferFrom(msg.sender, address(this), _amount);
+        stakes[msg.sender] += _amount;
+        _syncPool(msg.sender);
+        
+        emit ArbitratorStaked(msg.sender, _amount);
+    }
+    
+    /**
+     * @dev 取回質押，審理中的仲裁員不得取回
+     * @param _amount 取回數量
+     */
+    function unstake(uint256 _amount) external nonReentrant {
+        require(activeCases[msg.sender] == 0, "Arbitrator has active cases");
+        require(_amount > 0 && _amount <= stakes[msg.sender], "Invalid amount");
+        
+        stakes[msg.sender] -= _amount;
+        _syncPool(msg.sender);
+        stakeToken.safeTransfer(msg.sender, _amount);
+        
+        emit ArbitratorUnstaked(msg.sender, _amount);
+    }
+    
+    /**
+     * @dev 設置白名單仲裁員，白名單仲裁員無需質押
+     * @param _arbitrator 仲裁員地址
+     * @param _status 是否列入白名單
+     */
+    function setWhitelisted(address _arbitrator, bool _status) external onlyOwner {
+        require(_arbitrator != address(0), "Invalid arbitrator address");
+        
+        isWhitelisted[_arbitrator] = _status;
+        _syncPool(_arbitrator);
+        
+        emit ArbitratorWhitelisted(_arbitrator, _status);
+    }
+    
+    /**
+     * @dev 為爭議開啟仲裁案件，記錄並鎖定候選仲裁員後排定抽選區塊，
+     *      仲裁員不足時案件標記為失敗而不回滾，以免阻擋爭議提出
+     * @param _rentalId 租賃ID
+     * @param _tenant 租客地址
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址
+     * @param _maxAward 可裁決給房東的最高本金
+     */
+    function openDispute(
+        uint256 _rentalId,
+        address _tenant,
+        address _landlord,
+        address _token,
+        uint256 _maxAward
+    ) external override onlyRentalDeposit {
+        CaseStatus status = cases[_rentalId].status;
+        require(status != CaseStatus.DRAWING && status != CaseStatus.VOTING, "Case already open");
+        
+        // 清除同一租賃先前案件的投票紀錄
+        address[] storage previous = _jurors[_rentalId];
+        for (uint256 i = 0; i < previous.length; i++) {
+            delete votes[_rentalId][previous[i]];
+        }
+        delete _jurors[_rentalId];
+        
+        DisputeCase storage dispute = cases[_rentalId];
+        dispute.tenant = _tenant;
+        dispute.landlord = _landlord;
+        dispute.token = _token;
+        dispute.maxAward = _maxAward;
+        dispute.commitDeadline = 0;
+        dispute.revealDeadline = 0;
+        dispute.commitCount = 0;
+        dispute.revealCount = 0;
+        
+        (address[] memory candidates, uint256 count) = _candidates(_tenant, _landlord);
+        if (count < jurorsPerDispute) {
+            dispute.status = CaseStatus.FAILED;
+            emit CaseFailed(_rentalId, "Not enough arbitrators");
+            return;
+        }
+        
+        // 候選人在抽選前不得取回質押，抽選只在這份名單中進行
+        address[] storage candidatePool = _candidatePool[_rentalId];
+        for (uint256 i = 0; i < count; i++) {
+            candidatePool.push(candidates[i]);
+            activeCases[candidates[i]] += 1;
+        }
+        
+        dispute.status = CaseStatus.DRAWING;
+        dispute.drawBlock = block.number + DRAW_BLOCK_DELAY;
+        
+        emit DrawScheduled(_rentalId, dispute.drawBlock);
+    }
+    
+    /**
+     * @dev 以抽選區塊的雜湊抽選仲裁員並開始投票，任何人皆可於抽選區塊產生後調用；
+     *      區塊雜湊僅保留256個區塊，逾期時改排定新的抽選區塊
+     * @param _rentalId 租賃ID
+     */
+    function drawJurors(uint256 _rentalId) external {
+        DisputeCase storage dispute = cases[_rentalId];
+        
+        require(dispute.status == CaseStatus.DRAWING, "Case not awaiting draw");
+        require(block.number > dispute.drawBlock, "Draw block not reached");
+        
+        bytes32 drawHash = blockhash(dispute.drawBlock);
+        if (drawHash == bytes32(0)) {
+            dispute.drawBlock = block.number + DRAW_BLOCK_DELAY;
+            emit DrawScheduled(_rentalId, dispute.drawBlock);
+            return;
+        }
+        
+        // 解除候選人的鎖定，抽中者於下方重新計入審理案件
+        address[] memory candidates = _candidatePool[_rentalId];
+        delete _candidatePool[_rentalId];
+        for (uint256 i = 0; i < candidates.length; i++) {
+            activeCases[candidates[i]] -= 1;
+        }
+        
+        // 開案後每件爭議的仲裁員人數可能已調高，候選人不足時交由平台裁決
+        if (candidates.length < jurorsPerDispute) {
+            dispute.status = CaseStatus.FAILED;
+            emit CaseFailed(_rentalId, "Not enough arbitrators");
+            return;
+        }
+        
+        address[] memory drawn = _drawJurors(_rentalId, drawHash, candidates);
+        
+        dispute.status = CaseStatus.VOTING;
+        dispute.commitDeadline = block.timestamp + commitPeriod;
+        dispute.revealDeadline = dispute.commitDeadline + revealPeriod;
+        for (uint256 i = 0; i < drawn.length; i++) {
+            _jurors[_rentalId].push(drawn[i]);
+            activeCases[drawn[i]] += 1;
+        }
+        
+        emit CaseOpened(_rentalId, drawn, dispute.commitDeadline, dispute.revealDeadline);
+    }
+    
+    /**
+     * @dev 仲裁員提交投票承諾
+     * @param _rentalId 租賃ID
+     * @param _commitment 由hashVote計算的投票承諾雜湊
+     */
+    function commitVote(uint256 _rentalId, bytes32 _commitment) external {
+        DisputeCase storage dispute = cases[_rentalId];
+        Vote storage vote = votes[_rentalId][msg.sender];
+        
+        require(dispute.status == CaseStatus.VOTING, "Case not in voting");
+        require(_isJuror(_rentalId, msg.sender), "Not a juror for this case");
+        require(block.timestamp < dispute.commitDeadline, "Commit period ended");
+        require(vote.commitment == bytes32(0), "Vote already committed");
+        require(_commitment != bytes32(0), "Invalid commitment");
+        
+        vote.commitment = _commitment;
+        dispute.commitCount++;
+        
+        emit VoteCommitted(_rentalId, msg.sender);
+    }
+    
+    /**
+     * @dev 仲裁員揭示投票，所有仲裁員皆已承諾時可提前揭示
+     * @param _rentalId 租賃ID
+     * @param _landlordShareBps 裁決給房東的比例（基點，0-10000）
+     * @param _salt 承諾時使用的隨機鹽值
+     */
+    function revealVote(uint256 _rentalId, uint256 _landlordShareBps, bytes32 _salt) external {
+        DisputeCase storage dispute = cases[_rentalId];
+        Vote storage vote = votes[_rentalId][msg.sender];
+        
+        require(dispute.status == CaseStatus.VOTING, "Case not in voting");
+        require(
+            block.timestamp >= dispute.commitDeadline || dispute.commitCount == _jurors[_rentalId].length,
+            "Commit period not ended"
+        );
+        require(block.timestamp < dispute.revealDeadline, "Reveal period ended");
+        require(vote.commitment != bytes32(0), "No vote committed");
+        require(!vote.revealed, "Vote already revealed");
+        require(_landlordShareBps <= BPS_DENOMINATOR, "Invalid share");
+        require(
+            vote.commitment == hashVote(_rentalId, msg.sender, _landlordShareBps, _salt),
+            "Commitment mismatch"
+        );
+        
+        vote.revealed = true;
+        vote.landlordShareBps = _landlordShareBps;
+        dispute.revealCount++;
+        
+        emit VoteRevealed(_rentalId, msg.sender, _landlordShareBps);
+    }
+    
+    /**
+     * @dev 結算仲裁案件並罰沒未揭示投票仲裁員的質押，任何人皆可於揭示期結束（或全員揭示）後調用
+     * @param _rentalId 租賃ID
+     */
+    function finalize(uint256 _rentalId) external nonReentrant {
+        DisputeCase storage dispute = cases[_rentalId];
+        address[] storage jurors = _jurors[_rentalId];
+        
+        require(dispute.status == CaseStatus.VOTING, "Case not in voting");
+        require(
+            block.timestamp >= dispute.revealDeadline || dispute.revealCount == jurors.length,
+            "Reveal period not ended"
+        );
+        
+        for (uint256 i = 0; i < jurors.length; i++) {
+            activeCases[jurors[i]] -= 1;
+        }
+        _slashNonRevealers(_rentalId);
+        
+        if (dispute.revealCount == 0) {
+            dispute.status = CaseStatus.FAILED;
+            emit CaseFailed(_rentalId, "No votes revealed");
+            return;
+        }
+        
+        uint256 shareBps = _medianShare(_rentalId);
+        uint256 award = (dispute.maxAward * shareBps) / BPS_DENOMINATOR;
+        IERC20 token = IERC20(dispute.token);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        
+        // 租賃可能已由平台直接裁決，此時案件改為失敗而不回滾
+        try rentalDeposit.resolveDisputeWithSplit(_rentalId, award) {
+            dispute.status = CaseStatus.RESOLVED;
+        } catch {
+            dispute.status = CaseStatus.FAILED;
+            emit CaseFailed(_rentalId, "Settlement failed");
+            return;
+        }
+        
+        // 仲裁員費用由實際揭示投票的仲裁員平分
+        uint256 fee = token.balanceOf(address(this)) - balanceBefore;
+        uint256 perJuror = fee / dispute.revealCount;
+        if (perJuror > 0) {
+            for (uint256 i = 0; i < jurors.length; i++) {
+                if (votes[_rentalId][jurors[i]].revealed) {
+                    claimableFees[jurors[i]][dispute.token] += perJuror;
+                }
+            }
+            emit ArbitratorFeeAccrued(_rentalId, dispute.token, perJuror);
+        }
+        
+        emit CaseResolved(_rentalId, shareBps, award);
+    }
+    
+    /**
+     * @dev 仲裁員領取累積的仲裁費用
+     * @param _token 費用代幣地址
+     */
+    function claimFees(address _token) external nonReentrant {
+        uint256 amount = claimableFees[msg.sender][_token];
+        require(amount > 0, "No fees to claim");
+        
+        claimableFees[msg.sender][_token] = 0;
+        IERC20(_token).safeTransfer(msg.sender, amount);
+        
+        emit FeesClaimed(msg.sender, _token, amount);
+    }
+    
+    /**
+     * @dev 更新仲裁參數
+     * @param _jurorsPerDispute 每件爭議的仲裁員人數（奇數）
+     * @param _commitPeriod 承諾期限（秒）
+     * @param _revealPeriod 揭示期限（秒）
+     * @param _minStake 最低質押量
+     */
+    function setParameters(
+        uint256 _jurorsPerDispute,
+        uint256 _commitPeriod,
+        uint256 _revealPeriod,
+        uint256 _minStake
+    ) external onlyOwner {
+        require(_jurorsPerDispute > 0 && _jurorsPerDispute % 2 == 1, "Jurors must be odd");
+        require(_commitPeriod >= 1 hours && _revealPeriod >= 1 hours, "Period too short");
+        
+        jurorsPerDispute = _jurorsPerDispute;
+        commitPeriod = _commitPeriod;
+        revealPeriod = _revealPeriod;
+        minStake = _minStake;
+        
+        emit ParametersUpdated(_jurorsPerDispute, _commitPeriod, _revealPeriod, _minStake);
+    }
+    
+    /**
+     * @dev 計算投票承諾雜湊
+     * @param _rentalId 租賃ID
+     * @param _juror 仲裁員地址
+     * @param _landlordShareBps 裁決給房東的比例（基點）
+     * @param _salt 隨機鹽值
+     * @return 投票承諾雜湊
+     */
+    function hashVote(
+        uint256 _rentalId,
+        address _juror,
+        uint256 _landlordShareBps,
+        bytes32 _salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_rentalId, _juror, _landlordShareBps, _salt));
+    }
+    
+    /**
+     * @dev 獲取案件抽選的仲裁員
+     * @param _rentalId 租賃ID
+     * @return 仲裁員地址數組
+     */
+    function getJurors(uint256 _rentalId) external view returns (address[] memory) {
+        return _jurors[_rentalId];
+    }
+    
+    /**
+     * @dev 獲取案件開案時記錄、尚待抽選的候選仲裁員
+     * @param _rentalId 租賃ID
+     * @return 候選仲裁員地址數組
+     */
+    function getCandidates(uint256 _rentalId) external view returns (address[] memory) {
+        return _candidatePool[_rentalId];
+    }
+    
+    /**
+     * @dev 獲取仲裁員名冊
+     * @return 仲裁員地址數組
+     */
+    function getArbitratorPool() external view returns (address[] memory) {
+        return _pool;
+    }
+    
+    /**
+     * @dev 檢查地址是否具備仲裁員資格
+     * @param _arbitrator 仲裁員地址
+     * @return 是否具備資格
+     */
+    function isEligible(address _arbitrator) public view returns (bool) {
+        return isWhitelisted[_arbitrator] || (minStake > 0 && stakes[_arbitrator] >= minStake);
+    }
+    
+    /**
+     * @dev 依資格將仲裁員加入或移出名冊
+     * @param _arbitrator 仲裁員地址
+     */
+    function _syncPool(address _arbitrator) internal {
+        bool eligible = isEligible(_arbitrator);
+        uint256 index = _poolIndex[_arbitrator];
+        
+        if (eligible && index == 0) {
+            require(_pool.length < MAX_POOL_SIZE, "Arbitrator pool full");
+            _pool.push(_arbitrator);
+            _poolIndex[_arbitrator] = _pool.length;
+        } else if (!eligible && index != 0) {
+            address last = _pool[_pool.length - 1];
+            _pool[index - 1] = last;
+            _poolIndex[last] = index;
+            _pool.pop();
+            _poolIndex[_arbitrator] = 0;
+        }
+    }
+    
+    /**
+     * @dev 列出名冊中可審理爭議的仲裁員，排除爭議雙方及已失去資格者
+     * @param _tenant 租客地址
+     * @param _landlord 房東地址
+     * @return candidates 候選仲裁員，僅前count個有效
+     * @return count 候選人數
+     */
+    function _candidates(
+        address _tenant,
+        address _landlord
+    ) internal view returns (address[] memory candidates, uint256 count) {
+        candidates = new address[](_pool.length);
+        for (uint256 i = 0; i < _pool.length; i++) {
+            address candidate = _pool[i];
+            if (candidate != _tenant && candidate != _landlord && isEligible(candidate)) {
+                candidates[count++] = candidate;
+            }
+        }
+    }
+    
+    /**
+     * @dev 以抽選區塊的雜湊從開案時記錄的候選仲裁員中抽選
+     * @param _rentalId 租賃ID
+     * @param _drawHash 抽選區塊的雜湊
+     * @param candidates 候選仲裁員，人數不少於所需人數
+     * @return drawn 抽選結果
+     */
+    function _drawJurors(
+        uint256 _rentalId,
+        bytes32 _drawHash,
+        address[] memory candidates
+    ) internal view returns (address[] memory drawn) {
+        uint256 count = candidates.length;
+        uint256 needed = jurorsPerDispute;
+        
+        // 部分Fisher-Yates洗牌，隨機源為開案時尚未產生的區塊雜湊與租賃ID
+        drawn = new address[](needed);
+        uint256 seed = uint256(keccak256(abi.encodePacked(_drawHash, _rentalId)));
+        for (uint256 i = 0; i < needed; i++) {
+            uint256 j = i + (uint256(keccak256(abi.encodePacked(seed, i))) % (count - i));
+            (candidates[i], candidates[j]) = (candidates[j], candidates[i]);
+            drawn[i] = candidates[i];
+        }
+    }
+    
+    /**
+     * @dev 罰沒未揭示投票仲裁員的部分質押，由揭示投票的仲裁員平分，
+     *      無人揭示時歸平台所有者；質押低於門檻者移出名冊
+     * @param _rentalId 租賃ID
+     */
+    function _slashNonRevealers(uint256 _rentalId) internal {
+        DisputeCase storage dispute = cases[_rentalId];
+        address[] storage jurors = _jurors[_rentalId];
+        uint256 slashed = 0;
+        
+        for (uint256 i = 0; i < jurors.length; i++) {
+            address juror = jurors[i];
+            if (votes[_rentalId][juror].revealed) {
+                continue;
+            }
+            uint256 amount = (stakes[juror] * NON_REVEAL_SLASH_BPS) / BPS_DENOMINATOR;
+            if (amount == 0) {
+                continue;
+            }
+            stakes[juror] -= amount;
+            slashed += amount;
+            _syncPool(juror);
+            
+            emit ArbitratorSlashed(_rentalId, juror, amount);
+        }
+        
+        if (slashed == 0) {
+            return;
+        }
+        if (dispute.revealCount == 0) {
+            claimableFees[owner()][address(stakeToken)] += slashed;
+            return;
+        }
+        uint256 perJuror = slashed / dispute.revealCount;
+        for (uint256 i = 0; i < jurors.length; i++) {
+            if (votes[_rentalId][jurors[i]].revealed) {
+                claimableFees[jurors[i]][address(stakeToken)] += perJuror;
+            }
+        }
+    }
+    
+    /**
+     * @dev 檢查地址是否為案件的仲裁員
+     * @param _rentalId 租賃ID
+     * @param _account 檢查的地址
+     * @return 是否為仲裁員
+     */
+    function _isJuror(uint256 _rentalId, address _account) internal view returns (bool) {
+        address[] storage jurors = _jurors[_rentalId];
+        for (uint256 i = 0; i < jurors.length; i++) {
+            if (jurors[i] == _account) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev 計算已揭示投票的中位數，偶數票時取兩個中間值的平均
+     * @param _rentalId 租賃ID
+     * @return 房東分得比例（基點）
+     */
+    function _medianShare(uint256 _rentalId) internal view returns (uint256) {
+        DisputeCase storage dispute = cases[_rentalId];
+        address[] storage jurors = _jurors[_rentalId];
+        uint256[] memory shares = new uint256[](dispute.revealCount);
+        uint256 count = 0;
+        
+        // 插入排序，仲裁員人數少時成本可接受
+        for (uint256 i = 0; i < jurors.length; i++) {
+            Vote storage vote = votes[_rentalId][jurors[i]];
+            if (!vote.revealed) {
+                continue;
+            }
+            uint256 j = count;
+            while (j > 0 && shares[j - 1] > vote.landlordShareBps) {
+                shares[j] = shares[j - 1];
+                j--;
+            }
+            shares[j] = vote.landlordShareBps;
+            count++;
+        }
+        
+        if (count % 2 == 1) {
+            return shares[count / 2];
+        }
+        return (shares[count / 2 - 1] + shares[count / 2]) / 2;
+    }
+}
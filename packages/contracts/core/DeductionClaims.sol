@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RentalDeposit.sol";
+import "../interfaces/IDeductionClaims.sol";
+
+/**
+ * @title DeductionClaims
+ * @dev 管理房東於租期結束後提出的逐項扣款申請，租客接受後由租賃押金合約按扣款金額分割結算，
+ *      租客提出異議時則開啟爭議等待裁決
+ */
+contract DeductionClaims is IDeductionClaims {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    // 扣款理由代碼
+    enum DeductionReason {
+        CLEANING,      // 清潔費用
+        DAMAGE,        // 損壞修繕
+        UNPAID_RENT,   // 未付租金
+        UTILITIES,     // 未結水電費
+        OTHER          // 其他
+    }
+    
+    // 扣款申請狀態
+    enum ClaimStatus {
+        NONE,          // 未提出
+        PENDING,       // 等待租客回應
+        ACCEPTED,      // 租客已接受並完成結算
+        DISPUTED,      // 租客提出異議，進入爭議
+        RESOLVED       // 平台已裁決
+    }
+    
+    // 扣款明細項目
+    struct DeductionItem {
+        uint256 amount;          // 扣款金額
+        DeductionReason reason;  // 扣款理由
+        string evidenceURI;      // 證據的IPFS URI
+    }
+    
+    // 房東的扣款申請
+    struct DeductionClaim {
+        uint256 totalAmount;     // 扣款總額
+        uint256 filedAt;         // 提出時間
+        ClaimStatus status;      // 申請狀態
+    }
+    
+    // 租賃ID到扣款申請的映射
+    mapping(uint256 => DeductionClaim) public deductionClaims;
+    // 租賃ID到扣款明細的映射
+    mapping(uint256 => DeductionItem[]) private _deductionItems;
+    
+    // 事件定義
+    event DeductionClaimFiled(uint256 indexed rentalId, uint256 totalAmount, uint256 itemCount);
+    event DeductionItemAdded(uint256 indexed rentalId, uint256 indexed itemIndex, uint256 amount, DeductionReason reason, string evidenceURI);
+    event DeductionClaimAccepted(uint256 indexed rentalId, address acceptedBy);
+    event DeductionClaimDisputed(uint256 indexed rentalId);
+    event DeductionApplied(uint256 indexed rentalId, uint256 indexed itemIndex, uint256 amount, DeductionReason reason);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 房東提出逐項列明的扣款申請
+     * @param _rentalId 租賃ID
+     * @param _amounts 各項扣款金額
+     * @param _reasons 各項扣款理由
+     * @param _evidenceURIs 各項證據的IPFS URI
+     */
+    function fileDeductionClaim(
+        uint256 _rentalId,
+        uint256[] calldata _amounts,
+        DeductionReason[] calldata _reasons,
+        string[] calldata _evidenceURIs
+    ) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        DeductionClaim storage claim = deductionClaims[_rentalId];
+        
+        require(rental.isActive, "Rental is not active");
+        require(msg.sender == rental.landlord, "Only landlord can file claim");
+        require(!rental.inDispute, "Rental is in dispute");
+        require(block.timestamp >= rental.endTime, "Lease period not ended");
+        require(block.timestamp < rental.releaseTime, "Too late to file claim");
+        require(claim.status == ClaimStatus.NONE, "Claim already filed");
+        require(_amounts.length > 0, "No deduction items");
+        require(
+            _amounts.length == _reasons.length && _reasons.length == _evidenceURIs.length,
+            "Array lengths mismatch"
+        );
+        
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] > 0, "Deduction must be greater than 0");
+            totalAmount += _amounts[i];
+            
+            _deductionItems[_rentalId].push(DeductionItem({
+                amount: _amounts[i],
+                reason: _reasons[i],
+                evidenceURI: _evidenceURIs[i]
+            }));
+            
+            emit DeductionItemAdded(_rentalId, i, _amounts[i], _reasons[i], _evidenceURIs[i]);
+        }
+        require(totalAmount <= rental.depositAmount, "Deductions exceed deposit");
+        
+        claim.totalAmount = totalAmount;
+        claim.filedAt = block.timestamp;
+        claim.status = ClaimStatus.PENDING;
+        
+        emit DeductionClaimFiled(_rentalId, totalAmount, _amounts.length);
+    }
+    
+    /**
+     * @dev 接受扣款申請並按扣款金額分割結算押金
+     * 租客可隨時接受；釋放時間過後租客仍未回應，房東或平台可視為默認接受
+     * @param _rentalId 租賃ID
+     */
+    function acceptDeductionClaim(uint256 _rentalId) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        DeductionClaim storage claim = deductionClaims[_rentalId];
+        
+        require(rental.isActive, "Rental is not active");
+        require(claim.status == ClaimStatus.PENDING, "No pending claim");
+        
+        if (msg.sender != rental.tenant) {
+            require(msg.sender == rental.landlord || msg.sender == rentalDeposit.owner(), "Not authorized");
+            require(block.timestamp >= rental.releaseTime, "Tenant can still respond");
+        }
+        
+        claim.status = ClaimStatus.ACCEPTED;
+        emit DeductionClaimAccepted(_rentalId, msg.sender);
+        
+        rentalDeposit.settleDeductionClaim(_rentalId, claim.totalAmount);
+        
+        DeductionItem[] storage items = _deductionItems[_rentalId];
+        for (uint256 i = 0; i < items.length; i++) {
+            emit DeductionApplied(_rentalId, i, items[i].amount, items[i].reason);
+        }
+    }
+    
+    /**
+     * @dev 租客對扣款申請提出異議，租賃進入爭議狀態等待裁決
+     * @param _rentalId 租賃ID
+     */
+    function disputeDeductionClaim(uint256 _rentalId) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        DeductionClaim storage claim = deductionClaims[_rentalId];
+        
+        require(rental.isActive, "Rental is not active");
+        require(msg.sender == rental.tenant, "Only tenant can dispute claim");
+        require(claim.status == ClaimStatus.PENDING, "No pending claim");
+        require(block.timestamp < rental.releaseTime, "Too late to raise dispute");
+        // 已有進行中的爭議時不得以扣款總額覆蓋原爭議的發起人與裁決上限
+        require(!rental.inDispute, "Dispute already raised");
+        
+        claim.status = ClaimStatus.DISPUTED;
+        
+        emit DeductionClaimDisputed(_rentalId);
+        
+        rentalDeposit.openDeductionDispute(_rentalId, claim.totalAmount);
+    }
+    
+    /**
+     * @dev 爭議裁決後將已提出異議的扣款申請標記為已裁決，僅限租賃押金合約
+     * @param _rentalId 租賃ID
+     */
+    function markResolved(uint256 _rentalId) external override {
+        require(msg.sender == address(rentalDeposit), "Only rental deposit contract");
+        
+        if (deductionClaims[_rentalId].status == ClaimStatus.DISPUTED) {
+            deductionClaims[_rentalId].status = ClaimStatus.RESOLVED;
+        }
+    }
+    
+    /**
+     * @dev 檢查租賃是否有等待租客回應的扣款申請
+     * @param _rentalId 租賃ID
+     * @return 是否有待回應的申請
+     */
+    function hasPendingClaim(uint256 _rentalId) external view override returns (bool) {
+        return deductionClaims[_rentalId].status == ClaimStatus.PENDING;
+    }
+    
+    /**
+     * @dev 獲取租賃的扣款明細
+     * @param _rentalId 租賃ID
+     * @return 扣款明細數組
+     */
+    function getDeductionItems(uint256 _rentalId) external view returns (DeductionItem[] memory) {
+        return _deductionItems[_rentalId];
+    }
+}
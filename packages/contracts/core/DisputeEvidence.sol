@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RentalDeposit.sol";
+import "../interfaces/IDisputeEvidence.sol";
+
+/**
+ * @title DisputeEvidence
+ * @dev 記錄爭議雙方於回應期限內提交的證據，依時間順序組成爭議證據時間線
+ */
+contract DisputeEvidence is IDisputeEvidence {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    // 爭議證據紀錄
+    struct Evidence {
+        address submitter;       // 提交者地址
+        string evidenceURI;      // 證據的IPFS URI
+        uint256 timestamp;       // 提交時間
+    }
+    
+    // 租賃ID到爭議證據時間線的映射
+    mapping(uint256 => Evidence[]) private _disputeEvidence;
+    
+    // 事件定義
+    event EvidenceSubmitted(uint256 indexed rentalId, address indexed submitter, string evidenceURI);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 爭議雙方於回應期限內提交證據，依時間順序加入證據時間線
+     * @param _rentalId 租賃ID
+     * @param _evidenceURI 證據的IPFS URI
+     */
+    function submitEvidence(uint256 _rentalId, string calldata _evidenceURI) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        (, , uint256 responseDeadline) = rentalDeposit.disputes(_rentalId);
+        
+        require(rental.inDispute, "No active dispute");
+        require(msg.sender == rental.tenant || msg.sender == rental.landlord, "Only parties can submit evidence");
+        require(block.timestamp <= responseDeadline, "Evidence period ended");
+        require(bytes(_evidenceURI).length > 0, "Empty evidence URI");
+        
+        _appendEvidence(_rentalId, msg.sender, _evidenceURI);
+    }
+    
+    /**
+     * @dev 記錄爭議發起方隨爭議一併提交的證據，僅限租賃押金合約
+     * @param _rentalId 租賃ID
+     * @param _submitter 提交者地址
+     * @param _evidenceURI 證據的IPFS URI
+     */
+    function recordEvidence(uint256 _rentalId, address _submitter, string calldata _evidenceURI) external override {
+        require(msg.sender == address(rentalDeposit), "Only rental deposit contract");
+        
+        _appendEvidence(_rentalId, _submitter, _evidenceURI);
+    }
+    
+    /**
+     * @dev 獲取租賃的爭議證據時間線
+     * @param _rentalId 租賃ID
+     * @return 依提交時間排列的證據紀錄
+     */
+    function getDisputeEvidence(uint256 _rentalId) external view returns (Evidence[] memory) {
+        return _disputeEvidence[_rentalId];
+    }
+    
+    /**
+     * @dev 將證據加入爭議時間線
+     * @param _rentalId 租賃ID
+     * @param _submitter 提交者地址
+     * @param _evidenceURI 證據的IPFS URI
+     */
+    function _appendEvidence(uint256 _rentalId, address _submitter, string calldata _evidenceURI) internal {
+        _disputeEvidence[_rentalId].push(Evidence({
+            submitter: _submitter,
+            evidenceURI: _evidenceURI,
+            timestamp: block.timestamp
+        }));
+        
+        emit EvidenceSubmitted(_rentalId, _submitter, _evidenceURI);
+    }
+}
@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./RentalDeposit.sol";
+import "../utils/HashKeyIdentityVerifier.sol";
+import "../interfaces/IFeeSchedule.sol";
+
+/**
+ * @title FeeSchedule
+ * @dev 平台費率表，依押金規模分級收費，並按租客的WorldID、HashKey驗證與Self信用分數給予折扣；
+ *      費率以基點計算，租賃押金合約於創建租賃時查詢並鎖定，之後的調整不影響既有租賃
+ */
+contract FeeSchedule is IFeeSchedule, Ownable {
+    // 押金規模費率級距
+    struct DepositTier {
+        uint256 minDeposit;      // 適用的最低押金金額（以代幣最小單位計）
+        uint256 feeBps;          // 平台費率（基點）
+    }
+    
+    // 租賃押金合約實例，用於讀取驗證狀態
+    RentalDeposit public rentalDeposit;
+    // HashKey身份驗證器，未設置時不給予HashKey折扣
+    HashKeyIdentityVerifier public hashKeyVerifier;
+    
+    // 基點基數與費率上限（30%）
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE_BPS = 3000;
+    
+    // 未達任何級距時的基本費率，初始為10%
+    uint256 public baseFeeBps = 1000;
+    
+    // 押金代幣到其費率級距的映射，級距依最低押金金額遞增排列
+    mapping(address => DepositTier[]) private _depositTiers;
+    
+    // 各驗證等級的費率折扣（基點），可疊加
+    uint256 public worldIDDiscountBps;
+    uint256 public hashKeyDiscountBps;
+    uint256 public selfScoreDiscountBps;
+    // 取得Self折扣所需的最低信用分數（0-1000）
+    uint256 public selfScoreThreshold;
+    
+    // 事件定義
+    event BaseFeeUpdated(uint256 feeBps);
+    event DepositTiersUpdated(address indexed token, uint256 tierCount);
+    event HashKeyVerifierUpdated(address indexed hashKeyVerifier);
+    event VerificationDiscountsUpdated(uint256 worldIDDiscountBps, uint256 hashKeyDiscountBps, uint256 selfScoreDiscountBps, uint256 selfScoreThreshold);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) Ownable() {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 依押金規模與租客驗證等級計算平台費率
+     * @param _tenant 租客地址
+     * @param _token 押金代幣地址
+     * @param _depositAmount 押金金額
+     * @return 平台費率（基點）
+     */
+    function getFeeBps(address _tenant, address _token, uint256 _depositAmount) external view override returns (uint256) {
+        uint256 feeBps = baseFeeBps;
+        
+        // 級距遞增排列，取押金金額達到的最高級距
+        DepositTier[] storage tiers = _depositTiers[_token];
+        for (uint256 i = 0; i < tiers.length && _depositAmount >= tiers[i].minDeposit; i++) {
+            feeBps = tiers[i].feeBps;
+        }
+        
+        uint256 discount = _verificationDiscount(_tenant);
+        return discount >= feeBps ? 0 : feeBps - discount;
+    }
+    
+    /**
+     * @dev 設置基本費率
+     * @param _feeBps 費率（基點）
+     */
+    function setBaseFee(uint256 _feeBps) external onlyOwner {
+        require(_feeBps <= MAX_FEE_BPS, "Fee too high");
+        baseFeeBps = _feeBps;
+        emit BaseFeeUpdated(_feeBps);
+    }
+    
+    /**
+     * @dev 設置押金代幣的費率級距，傳入空數組時清除級距
+     * @param _token 押金代幣地址
+     * @param _minDeposits 各級距的最低押金金額，須嚴格遞增
+     * @param _feeBps 各級距的費率（基點）
+     */
+    function setDepositTiers(
+        address _token,
+        uint256[] calldata _minDeposits,
+        uint256[] calldata _feeBps
+    ) external onlyOwner {
+        require(_minDeposits.length == _feeBps.length, "Array lengths mismatch");
+        
+        delete _depositTiers[_token];
+        for (uint256 i = 0; i < _minDeposits.length; i++) {
+            require(i == 0 || _minDeposits[i] > _minDeposits[i - 1], "Tiers must be ascending");
+            require(_feeBps[i] <= MAX_FEE_BPS, "Fee too high");
+            _depositTiers[_token].push(DepositTier({
+                minDeposit: _minDeposits[i],
+                feeBps: _feeBps[i]
+            }));
+        }
+        
+        emit DepositTiersUpdated(_token, _minDeposits.length);
+    }
+    
+    /**
+     * @dev 設置各驗證等級的費率折扣
+     * @param _worldIDDiscountBps 通過WorldID驗證的折扣（基點）
+     * @param _hashKeyDiscountBps 通過HashKey驗證的折扣（基點）
+     * @param _selfScoreDiscountBps Self信用分數達標的折扣（基點）
+     * @param _selfScoreThreshold 取得Self折扣所需的最低信用分數
+     */
+    function setVerificationDiscounts(
+        uint256 _worldIDDiscountBps,
+        uint256 _hashKeyDiscountBps,
+        uint256 _selfScoreDiscountBps,
+        uint256 _selfScoreThreshold
+    ) external onlyOwner {
+        require(_worldIDDiscountBps + _hashKeyDiscountBps + _selfScoreDiscountBps <= MAX_FEE_BPS, "Discount too high");
+        
+        worldIDDiscountBps = _worldIDDiscountBps;
+        hashKeyDiscountBps = _hashKeyDiscountBps;
+        selfScoreDiscountBps = _selfScoreDiscountBps;
+        selfScoreThreshold = _selfScoreThreshold;
+        
+        emit VerificationDiscountsUpdated(_worldIDDiscountBps, _hashKeyDiscountBps, _selfScoreDiscountBps, _selfScoreThreshold);
+    }
+    
+    /**
+     * @dev 設置HashKey身份驗證器，由其驗證者維護租客的驗證狀態
+     * @param _hashKeyVerifier 驗證器地址，設為零地址時停用HashKey折扣
+     */
+    function setHashKeyVerifier(address _hashKeyVerifier) external onlyOwner {
+        hashKeyVerifier = HashKeyIdentityVerifier(_hashKeyVerifier);
+        emit HashKeyVerifierUpdated(_hashKeyVerifier);
+    }
+    
+    /**
+     * @dev 獲取押金代幣的費率級距
+     * @param _token 押金代幣地址
+     * @return 費率級距數組
+     */
+    function getDepositTiers(address _token) external view returns (DepositTier[] memory) {
+        return _depositTiers[_token];
+    }
+    
+    /**
+     * @dev 計算租客可獲得的驗證折扣總和
+     * @param _tenant 租客地址
+     * @return discount 折扣（基點）
+     */
+    function _verificationDiscount(address _tenant) internal view returns (uint256 discount) {
+        WorldIDVerifier worldIDVerifier = rentalDeposit.worldIDVerifier();
+        if (worldIDDiscountBps > 0 && address(worldIDVerifier) != address(0) && worldIDVerifier.isVerified(_tenant)) {
+            discount += worldIDDiscountBps;
+        }
+        
+        if (hashKeyDiscountBps > 0 && address(hashKeyVerifier) != address(0) && hashKeyVerifier.isIdentityVerified(_tenant)) {
+            discount += hashKeyDiscountBps;
+        }
+        
+        ISelfProtocol selfProtocol = rentalDeposit.selfProtocol();
+        if (selfScoreDiscountBps > 0 && address(selfProtocol) != address(0)) {
+            try selfProtocol.getTenantCreditScore(_tenant) returns (ISelfProtocol.CreditScore memory score) {
+                if (score.isVerified && score.score >= selfScoreThreshold) {
+                    discount += selfScoreDiscountBps;
+                }
+            } catch {
+                // 信用分數查詢失敗時不給予折扣
+            }
+        }
+    }
+}
@@ -5,154 +5,551 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "../interfaces/IYieldProvider.sol";
+import "../utils/GuardianPausable.sol";
 
 /**
  * @title InterestManager
- * @dev 管理租賃押金的利息生成和分配
+ * @dev 管理租賃押金的利息生成和分配；
+ *      以UUPS代理部署，升級時只能在現有狀態變數之後新增變數
  */
-contract InterestManager is Ownable, ReentrancyGuard {
+contract InterestManager is Initializable, Ownable, ReentrancyGuard, GuardianPausable, UUPSUpgradeable {
     using SafeERC20 for IERC20;
-
+    
+    // 收益提供者配置
+    struct ProviderAllocation {
+        IYieldProvider provider;
+        uint256 weight;          // 目標權重（以10000為基數）
+    }
+    
     // 合約狀態變數
     IERC20 public depositToken;
-    IYieldProvider public yieldProvider;
+    ProviderAllocation[] public providers;
+    mapping(address => bool) public isYieldProvider;
+    
+    // 權重基數與提供者數量上限
+    uint256 public constant WEIGHT_DENOMINATOR = 10000;
+    uint256 public constant MAX_PROVIDERS = 5;
+    
+    // 份額比押金代幣多出的小數位數，換算時加入虛擬份額與虛擬資產，
+    // 使直接轉入代幣抬高每份額價值的攻擊須付出遠大於受害者損失的成本
+    uint256 public constant SHARE_DECIMALS_OFFSET = 3;
+    
+    // 暫停範圍：新存款、收益提供者變更（提款不受暫停影響）
+    bytes32 public constant DEPOSITS = keccak256("DEPOSITS");
+    bytes32 public constant PROVIDER_CHANGES = keccak256("PROVIDER_CHANGES");
+    
+    // 唯一可存取資金的租賃押金合約
+    address public rentalDeposit;
     
     // 紀錄總存款金額
     uint256 public totalDeposits;
     
+    // 份額帳本：每筆租賃只分得其資金在池中期間產生的收益
+    uint256 public totalShares;
+    mapping(uint256 => uint256) public rentalShares;
+    mapping(uint256 => uint256) public rentalPrincipal;
+    
     // 事件定義
-    event DepositMade(address indexed from, uint256 amount);
-    event WithdrawalMade(address indexed to, uint256 amount);
+    event DepositMade(address indexed from, uint256 indexed rentalId, uint256 amount, uint256 shares);
+    event WithdrawalMade(address indexed to, uint256 indexed rentalId, uint256 amount, uint256 shares);
     event YieldProviderUpdated(address indexed newProvider);
+    event YieldProviderAdded(address indexed provider);
+    event YieldProviderRemoved(address indexed provider);
+    event ProviderWeightsUpdated(uint256[] weights);
+    event Rebalanced(uint256 totalValue);
+    event RentalDepositUpdated(address indexed newRentalDeposit);
+    event EmergencyWithdrawal(uint256 amount);
+    
+    /**
+     * @dev 限制只有租賃押金合約可以調用
+     */
+    modifier onlyRentalDeposit() {
+        require(msg.sender == rentalDeposit, "Caller is not the rental deposit contract");
+        _;
+    }
     
     /**
-     * @dev 構造函數
+     * @dev 構造函數，實作合約本身不可初始化
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev 初始化代理合約狀態，調用者成為所有者
      * @param _depositToken 押金使用的ERC20代幣地址
-     * @param _yieldProvider 收益提供者合約地址
+     * @param _yieldProvider 初始收益提供者合約地址，承接全部權重
      */
-    constructor(address _depositToken, address _yieldProvider) Ownable() {
+    function initialize(address _depositToken, address _yieldProvider) external initializer {
+        _transferOwnership(_msgSender());
         depositToken = IERC20(_depositToken);
-        yieldProvider = IYieldProvider(_yieldProvider);
+        _addYieldProvider(_yieldProvider);
+        providers[0].weight = WEIGHT_DENOMINATOR;
     }
     
     /**
-     * @dev 存入資金並投入收益協議
+     * @dev 存入資金並投入收益協議，按當前每份額價值為租賃鑄造份額
+     * @param _rentalId 租賃ID
      * @param _amount 存款金額
+     * @return shares 鑄造的份額
      */
-    function deposit(uint256 _amount) external nonReentrant {
+    function deposit(uint256 _rentalId, uint256 _amount) external onlyRentalDeposit nonReentrant whenNotPaused(DEPOSITS) returns (uint256 shares) {
         require(_amount > 0, "Amount must be greater than 0");
         
+        // 以存入前的總價值計算份額，避免新存款分走既有收益
+        shares = convertToShares(_amount);
+        require(shares > 0, "Zero shares");
+        
         // 從調用者轉移代幣到合約
         depositToken.safeTransferFrom(msg.sender, address(this), _amount);
         
-        // 批准收益提供者使用代幣
-        depositToken.approve(address(yieldProvider), _amount);
+        // 按目標權重將資金分配到各收益提供者
+        _allocate(_amount);
         
-        // 將資金存入收益提供者
-        yieldProvider.deposit(_amount);
-        
-        // 更新總存款金額
+        // 更新份額與存款記錄
+        totalShares += shares;
+        rentalShares[_rentalId] += shares;
+        rentalPrincipal[_rentalId] += _amount;
         totalDeposits += _amount;
         
-        emit DepositMade(msg.sender, _amount);
+        emit DepositMade(msg.sender, _rentalId, _amount, shares);
     }
     
     /**
-     * @dev 從收益協議提取資金
+     * @dev 從租賃的持倉中提取指定金額，先提取累積利息，超出利息的部分才減少本金記錄
+     * @param _rentalId 租賃ID
      * @param _amount 提取金額
-     * @return 實際提取金額（包含利息）
+     * @return 實際提取金額
      */
-    function withdraw(uint256 _amount) external nonReentrant returns (uint256) {
+    function withdraw(uint256 _rentalId, uint256 _amount) external onlyRentalDeposit nonReentrant returns (uint256) {
         require(_amount > 0, "Amount must be greater than 0");
-        require(_amount <= totalDeposits, "Insufficient funds");
+        uint256 value = getRentalValue(_rentalId);
+        require(_amount <= value, "Insufficient funds");
+        
+        // 提取後的持倉低於本金時，差額視為提取的本金
+        uint256 remaining = value - _amount;
+        if (remaining < rentalPrincipal[_rentalId]) {
+            totalDeposits -= rentalPrincipal[_rentalId] - remaining;
+            rentalPrincipal[_rentalId] = remaining;
+        }
         
-        // 計算應該提取的金額（考慮累積的利息）
-        uint256 sharePercentage = (_amount * 1e18) / totalDeposits;
-        uint256 totalValue = yieldProvider.getTotalValue();
-        uint256 withdrawAmount = (totalValue * sharePercentage) / 1e18;
+        // 向上取整，確保剩餘份額不會多於剩餘價值
+        uint256 shares = Math.mulDiv(_amount, totalShares + 10 ** SHARE_DECIMALS_OFFSET, _totalValue() + 1, Math.Rounding.Up);
+        if (shares > rentalShares[_rentalId]) {
+            shares = rentalShares[_rentalId];
+        }
         
-        // 從收益提供者提取資金
-        uint256 actualWithdrawn = yieldProvider.withdraw(withdrawAmount);
+        return _redeem(_rentalId, shares, _amount);
+    }
+    
+    /**
+     * @dev 贖回租賃的全部份額（本金加累積利息）
+     * @param _rentalId 租賃ID
+     * @return 實際提取金額
+     */
+    function withdrawAll(uint256 _rentalId) external onlyRentalDeposit nonReentrant returns (uint256) {
+        uint256 shares = rentalShares[_rentalId];
+        require(shares > 0, "Insufficient funds");
+        
+        uint256 amount = convertToAssets(shares);
+        
+        totalDeposits -= rentalPrincipal[_rentalId];
+        rentalPrincipal[_rentalId] = 0;
+        
+        return _redeem(_rentalId, shares, amount);
+    }
+    
+    /**
+     * @dev 銷毀份額並從收益提供者提取資金給調用者
+     * @param _rentalId 租賃ID
+     * @param _shares 銷毀的份額
+     * @param _amount 提取金額
+     * @return 實際提取金額
+     */
+    function _redeem(uint256 _rentalId, uint256 _shares, uint256 _amount) internal returns (uint256) {
+        // 更新份額
+        rentalShares[_rentalId] -= _shares;
+        totalShares -= _shares;
         
-        // 更新總存款金額
-        totalDeposits -= _amount;
+        // 從各收益提供者提取資金
+        uint256 actualWithdrawn = _withdrawFromProviders(_amount);
         
         // 向調用者轉移代幣
         depositToken.safeTransfer(msg.sender, actualWithdrawn);
         
-        emit WithdrawalMade(msg.sender, actualWithdrawn);
+        emit WithdrawalMade(msg.sender, _rentalId, actualWithdrawn, _shares);
         
         return actualWithdrawn;
     }
     
     /**
-     * @dev 計算存款金額對應的當前價值（包含利息）
-     * @param _depositAmount 原始存款金額
+     * @dev 計算金額按當前價值可換得的份額，向下取整
+     * @param _amount 金額
+     * @return 份額
+     */
+    function convertToShares(uint256 _amount) public view returns (uint256) {
+        return Math.mulDiv(_amount, totalShares + 10 ** SHARE_DECIMALS_OFFSET, _totalValue() + 1);
+    }
+    
+    /**
+     * @dev 計算份額按當前價值對應的金額，向下取整
+     * @param _shares 份額
+     * @return 金額
+     */
+    function convertToAssets(uint256 _shares) public view returns (uint256) {
+        return Math.mulDiv(_shares, _totalValue() + 1, totalShares + 10 ** SHARE_DECIMALS_OFFSET);
+    }
+    
+    /**
+     * @dev 計算租賃持倉的當前價值（包含利息）
+     * @param _rentalId 租賃ID
      * @return 當前價值
      */
-    function getDepositWithInterest(uint256 _depositAmount) external view returns (uint256) {
-        if (totalDeposits == 0) return _depositAmount;
-        
-        uint256 sharePercentage = (_depositAmount * 1e18) / totalDeposits;
-        uint256 totalValue = yieldProvider.getTotalValue();
-        return (totalValue * sharePercentage) / 1e18;
+    function getRentalValue(uint256 _rentalId) public view returns (uint256) {
+        return convertToAssets(rentalShares[_rentalId]);
     }
     
     /**
-     * @dev 獲取當前總價值
+     * @dev 獲取當前總價值（各收益提供者價值加上合約內閒置資金）
      * @return 總價值
      */
     function getTotalValue() external view returns (uint256) {
-        return yieldProvider.getTotalValue();
+        return _totalValue();
     }
     
     /**
-     * @dev 獲取當前APY
+     * @dev 獲取按各提供者當前價值加權的綜合APY，尚無資金時按目標權重計算
      * @return 年化收益率（以10000為基數，例如500表示5%）
      */
     function getCurrentAPY() external view returns (uint256) {
-        return yieldProvider.getCurrentAPY();
+        uint256 valueWeighted;
+        uint256 targetWeighted;
+        uint256 investedValue;
+        
+        for (uint256 i = 0; i < providers.length; i++) {
+            uint256 apy = providers[i].provider.getCurrentAPY();
+            uint256 value = providers[i].provider.getTotalValue();
+            valueWeighted += apy * value;
+            targetWeighted += apy * providers[i].weight;
+            investedValue += value;
+        }
+        
+        if (investedValue == 0) {
+            return targetWeighted / WEIGHT_DENOMINATOR;
+        }
+        return valueWeighted / investedValue;
     }
     
     /**
-     * @dev 更新收益提供者
-     * @param _newYieldProvider 新的收益提供者地址
+     * @dev 獲取已登記的收益提供者數量
+     * @return 提供者數量
      */
-    function updateYieldProvider(address _newYieldProvider) external onlyOwner {
-        require(_newYieldProvider != address(0), "Invalid provider address");
+    function getProviderCount() external view returns (uint256) {
+        return providers.length;
+    }
+    
+    /**
+     * @dev 獲取各收益提供者的地址、目標權重與當前價值
+     * @return providerAddresses 提供者地址
+     * @return weights 目標權重
+     * @return values 當前價值
+     */
+    function getProviderAllocations() external view returns (
+        address[] memory providerAddresses,
+        uint256[] memory weights,
+        uint256[] memory values
+    ) {
+        uint256 length = providers.length;
+        providerAddresses = new address[](length);
+        weights = new uint256[](length);
+        values = new uint256[](length);
+        
+        for (uint256 i = 0; i < length; i++) {
+            providerAddresses[i] = address(providers[i].provider);
+            weights[i] = providers[i].weight;
+            values[i] = providers[i].provider.getTotalValue();
+        }
+    }
+    
+    /**
+     * @dev 設置可存取資金的租賃押金合約
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    function setRentalDeposit(address _rentalDeposit) external onlyOwner {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = _rentalDeposit;
+        emit RentalDepositUpdated(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 登記新的收益提供者，初始權重為0，需再透過setProviderWeights分配
+     * @param _provider 收益提供者地址（須已將所有權轉移給本合約）
+     */
+    function addYieldProvider(address _provider) external onlyOwner whenNotPaused(PROVIDER_CHANGES) {
+        _addYieldProvider(_provider);
+    }
+    
+    /**
+     * @dev 移除收益提供者，其資金會按剩餘權重重新分配
+     * @param _provider 收益提供者地址
+     */
+    function removeYieldProvider(address _provider) external onlyOwner nonReentrant whenNotPaused(PROVIDER_CHANGES) {
+        require(isYieldProvider[_provider], "Provider not registered");
         
-        // 從舊提供者提取全部資金
-        uint256 totalValue = yieldProvider.getTotalValue();
-        yieldProvider.withdrawAll();
+        uint256 index = _providerIndex(_provider);
+        require(providers[index].weight == 0, "Provider still has target weight");
         
-        // 更新提供者地址
-        yieldProvider = IYieldProvider(_newYieldProvider);
+        // 從該提供者提取全部資金
+        IYieldProvider(_provider).withdrawAll();
         
-        // 批准新提供者使用代幣
+        // 以最後一個提供者填補空位
+        providers[index] = providers[providers.length - 1];
+        providers.pop();
+        isYieldProvider[_provider] = false;
+        
+        // 將提取的資金分配給其餘提供者
         uint256 balance = depositToken.balanceOf(address(this));
-        depositToken.approve(address(yieldProvider), balance);
+        if (balance > 0) {
+            _allocate(balance);
+        }
+        
+        emit YieldProviderRemoved(_provider);
+    }
+    
+    /**
+     * @dev 設置各收益提供者的目標權重，只影響之後的存款，需調用rebalance調整既有資金
+     * @param _weights 依providers順序排列的權重，總和須為10000
+     */
+    function setProviderWeights(uint256[] calldata _weights) external onlyOwner whenNotPaused(PROVIDER_CHANGES) {
+        require(_weights.length == providers.length, "Weights length mismatch");
+        
+        uint256 totalWeight;
+        for (uint256 i = 0; i < _weights.length; i++) {
+            providers[i].weight = _weights[i];
+            totalWeight += _weights[i];
+        }
+        require(totalWeight == WEIGHT_DENOMINATOR, "Weights must sum to 10000");
+        
+        emit ProviderWeightsUpdated(_weights);
+    }
+    
+    /**
+     * @dev 將資金在各收益提供者之間移動，使配置接近目標權重
+     */
+    function rebalance() external onlyOwner nonReentrant whenNotPaused(PROVIDER_CHANGES) {
+        uint256 totalValue = _totalValue();
+        uint256 length = providers.length;
+        
+        // 先從超出目標的提供者提取多餘資金
+        for (uint256 i = 0; i < length; i++) {
+            uint256 value = providers[i].provider.getTotalValue();
+            uint256 target = (totalValue * providers[i].weight) / WEIGHT_DENOMINATOR;
+            if (value > target) {
+                providers[i].provider.withdraw(value - target);
+            }
+        }
+        
+        // 再以閒置資金補足低於目標的提供者
+        for (uint256 i = 0; i < length; i++) {
+            uint256 value = providers[i].provider.getTotalValue();
+            uint256 target = (totalValue * providers[i].weight) / WEIGHT_DENOMINATOR;
+            if (value < target) {
+                uint256 amount = target - value;
+                uint256 balance = depositToken.balanceOf(address(this));
+                if (amount > balance) {
+                    amount = balance;
+                }
+                if (amount > 0) {
+                    _depositToProvider(providers[i].provider, amount);
+                }
+            }
+        }
+        
+        emit Rebalanced(totalValue);
+    }
+    
+    /**
+     * @dev 將全部資金遷移到單一收益提供者，取代現有的所有提供者
+     * @param _newYieldProvider 新的收益提供者地址
+     */
+    function updateYieldProvider(address _newYieldProvider) external onlyOwner whenNotPaused(PROVIDER_CHANGES) {
+        require(_newYieldProvider != address(0), "Invalid provider address");
+        
+        // 從所有舊提供者提取全部資金
+        for (uint256 i = 0; i < providers.length; i++) {
+            providers[i].provider.withdrawAll();
+            isYieldProvider[address(providers[i].provider)] = false;
+        }
+        delete providers;
+        
+        // 登記新提供者並給予全部權重
+        _addYieldProvider(_newYieldProvider);
+        providers[0].weight = WEIGHT_DENOMINATOR;
         
         // 將資金存入新提供者
-        yieldProvider.deposit(balance);
+        uint256 balance = depositToken.balanceOf(address(this));
+        if (balance > 0) {
+            _depositToProvider(providers[0].provider, balance);
+        }
         
         emit YieldProviderUpdated(_newYieldProvider);
     }
     
     /**
-     * @dev 緊急提款功能，允許所有者在緊急情況下提取所有資金
+     * @dev 緊急提款功能，由守護者或所有者將資金從所有收益提供者撤回本合約，
+     *      並暫停新存款與提供者變更；份額帳本不變，資金只能經由租賃結算退還給當事人
      */
-    function emergencyWithdraw() external onlyOwner {
-        // 從收益提供者提取全部資金
-        yieldProvider.withdrawAll();
+    function emergencyWithdraw() external onlyGuardian nonReentrant {
+        // 從所有收益提供者提取全部資金
+        for (uint256 i = 0; i < providers.length; i++) {
+            providers[i].provider.withdrawAll();
+        }
         
-        // 獲取合約餘額
-        uint256 balance = depositToken.balanceOf(address(this));
+        // 避免資金再被投入收益協議
+        _pause(DEPOSITS);
+        _pause(PROVIDER_CHANGES);
         
-        // 將全部餘額轉給所有者
-        depositToken.safeTransfer(owner(), balance);
+        emit EmergencyWithdrawal(depositToken.balanceOf(address(this)));
+    }
+    
+    /**
+     * @dev 只有所有者可以升級實作合約
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+    
+    /**
+     * @dev 暫停機制的管理員為合約所有者
+     */
+    function _checkPauseAdmin() internal view override {
+        _checkOwner();
+    }
+    
+    /**
+     * @dev 登記收益提供者
+     * @param _provider 收益提供者地址
+     */
+    function _addYieldProvider(address _provider) internal {
+        require(_provider != address(0), "Invalid provider address");
+        require(!isYieldProvider[_provider], "Provider already registered");
+        require(providers.length < MAX_PROVIDERS, "Too many providers");
+        
+        providers.push(ProviderAllocation({
+            provider: IYieldProvider(_provider),
+            weight: 0
+        }));
+        isYieldProvider[_provider] = true;
+        
+        emit YieldProviderAdded(_provider);
+    }
+    
+    /**
+     * @dev 查找收益提供者在陣列中的索引
+     * @param _provider 收益提供者地址
+     * @return 索引
+     */
+    function _providerIndex(address _provider) internal view returns (uint256) {
+        for (uint256 i = 0; i < providers.length; i++) {
+            if (address(providers[i].provider) == _provider) {
+                return i;
+            }
+        }
+        revert("Provider not registered");
+    }
+    
+    /**
+     * @dev 按目標權重將合約內的資金存入各收益提供者，捨入餘數歸最後一個有權重的提供者
+     * @param _amount 分配金額
+     */
+    function _allocate(uint256 _amount) internal {
+        uint256 length = providers.length;
+        uint256 lastWeighted = length;
+        for (uint256 i = 0; i < length; i++) {
+            if (providers[i].weight > 0) {
+                lastWeighted = i;
+            }
+        }
+        require(lastWeighted < length, "No weighted provider");
         
-        // 重置總存款金額
-        totalDeposits = 0;
+        uint256 remaining = _amount;
+        for (uint256 i = 0; i <= lastWeighted; i++) {
+            uint256 portion = i == lastWeighted
+                ? remaining
+                : (_amount * providers[i].weight) / WEIGHT_DENOMINATOR;
+            if (portion > 0) {
+                remaining -= portion;
+                _depositToProvider(providers[i].provider, portion);
+            }
+        }
+    }
+    
+    /**
+     * @dev 將資金存入指定的收益提供者
+     * @param _provider 收益提供者
+     * @param _amount 存款金額
+     */
+    function _depositToProvider(IYieldProvider _provider, uint256 _amount) internal {
+        depositToken.approve(address(_provider), _amount);
+        _provider.deposit(_amount);
+    }
+    
+    /**
+     * @dev 優先使用閒置資金，不足部分按各提供者當前價值比例提取，以維持既有配置
+     * @param _amount 需要的金額
+     * @return 實際可用金額
+     */
+    function _withdrawFromProviders(uint256 _amount) internal returns (uint256) {
+        uint256 idle = depositToken.balanceOf(address(this));
+        if (idle < _amount) {
+            uint256 needed = _amount - idle;
+            uint256 length = providers.length;
+            uint256[] memory values = new uint256[](length);
+            uint256 investedValue;
+            for (uint256 i = 0; i < length; i++) {
+                values[i] = providers[i].provider.getTotalValue();
+                investedValue += values[i];
+            }
+            
+            // 按比例提取
+            uint256 remaining = needed;
+            for (uint256 i = 0; i < length && remaining > 0; i++) {
+                uint256 portion = investedValue > 0 ? (needed * values[i]) / investedValue : 0;
+                if (portion > remaining) {
+                    portion = remaining;
+                }
+                if (portion > 0) {
+                    uint256 received = providers[i].provider.withdraw(portion);
+                    values[i] = received >= values[i] ? 0 : values[i] - received;
+                    remaining = received >= remaining ? 0 : remaining - received;
+                }
+            }
+            
+            // 由仍有餘額的提供者補足捨入差額
+            for (uint256 i = 0; i < length && remaining > 0; i++) {
+                uint256 portion = remaining > values[i] ? values[i] : remaining;
+                if (portion > 0) {
+                    uint256 received = providers[i].provider.withdraw(portion);
+                    remaining = received >= remaining ? 0 : remaining - received;
+                }
+            }
+        }
+        
+        uint256 balance = depositToken.balanceOf(address(this));
+        return balance < _amount ? balance : _amount;
+    }
+    
+    /**
+     * @dev 計算總價值
+     * @return 各收益提供者價值加上閒置資金
+     */
+    function _totalValue() internal view returns (uint256) {
+        uint256 total = depositToken.balanceOf(address(this));
+        for (uint256 i = 0; i < providers.length; i++) {
+            total += providers[i].provider.getTotalValue();
+        }
+        return total;
     }
 }
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RentalDeposit.sol";
+
+/**
+ * @title LeaseRenewals
+ * @dev 管理房東提出的續約條件，租客接受後由租賃押金合約延長租期並調整押金
+ */
+contract LeaseRenewals {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    // 房東提出的續約條件
+    struct RenewalProposal {
+        uint256 extension;       // 延長的租期（秒）
+        uint256 newDepositAmount; // 續約後的押金本金
+        uint256 proposedAt;      // 提出時間
+    }
+    
+    // 租賃ID到續約提議的映射
+    mapping(uint256 => RenewalProposal) public renewalProposals;
+    
+    // 事件定義
+    event RenewalProposed(uint256 indexed rentalId, uint256 extension, uint256 newDepositAmount);
+    event RenewalCancelled(uint256 indexed rentalId);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 房東提出續約，延長租期並可調整押金金額，須由租客確認
+     * @param _rentalId 租賃ID
+     * @param _extension 延長的租期（秒）
+     * @param _newDepositAmount 續約後的押金本金，高於現額需補繳、低於現額則退還差額
+     */
+    function proposeRenewal(uint256 _rentalId, uint256 _extension, uint256 _newDepositAmount) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        require(rental.isActive, "Rental is not active");
+        require(msg.sender == rental.landlord, "Only landlord can propose renewal");
+        require(!rental.inDispute, "Rental is in dispute");
+        require(block.timestamp < rental.releaseTime, "Deposit release period passed");
+        require(_extension > 0, "Extension must be greater than 0");
+        require(_newDepositAmount > 0, "Deposit must be greater than 0");
+        
+        renewalProposals[_rentalId] = RenewalProposal({
+            extension: _extension,
+            newDepositAmount: _newDepositAmount,
+            proposedAt: block.timestamp
+        });
+        
+        emit RenewalProposed(_rentalId, _extension, _newDepositAmount);
+    }
+    
+    /**
+     * @dev 撤回續約提議，房東或租客皆可調用（租客調用即為拒絕）
+     * @param _rentalId 租賃ID
+     */
+    function cancelRenewal(uint256 _rentalId) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        require(msg.sender == rental.landlord || msg.sender == rental.tenant, "Not authorized");
+        require(renewalProposals[_rentalId].extension > 0, "No renewal proposed");
+        
+        delete renewalProposals[_rentalId];
+        
+        emit RenewalCancelled(_rentalId);
+    }
+    
+    /**
+     * @dev 租客接受續約，押金與累積利息保留在利息管理器中，沿用同一個NFT，
+     *      押金需補繳時租客須先授權租賃押金合約。
+     *      租客須帶入所見的續約條件，避免房東在接受前改提更高的押金或不同的租期
+     * @param _rentalId 租賃ID
+     * @param _extension 租客確認的延長租期（秒）
+     * @param _newDepositAmount 租客確認的續約後押金本金
+     */
+    function acceptRenewal(uint256 _rentalId, uint256 _extension, uint256 _newDepositAmount) external {
+        RenewalProposal memory proposal = renewalProposals[_rentalId];
+        require(msg.sender == rentalDeposit.getRentalDetails(_rentalId).tenant, "Only tenant can accept renewal");
+        require(proposal.extension > 0, "No renewal proposed");
+        require(
+            proposal.extension == _extension && proposal.newDepositAmount == _newDepositAmount,
+            "Renewal terms changed"
+        );
+        
+        delete renewalProposals[_rentalId];
+        
+        rentalDeposit.renewLease(_rentalId, proposal.extension, proposal.newDepositAmount);
+    }
+}
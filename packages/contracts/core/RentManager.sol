@@ -0,0 +1,226 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "../interfaces/ISelfProtocol.sol";
+import "./RentalDeposit.sol";
+
+/**
+ * @title RentManager
+ * @dev 管理租賃的每月租金排程，租金以押金代幣直接由租客支付給房東，不經過押金託管
+ */
+contract RentManager is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    uint256 public constant PERCENTAGE_DENOMINATOR = 100;
+    uint256 public lateFeePercentage = 5; // 逾期繳租的滯納金百分比，初始為5%
+    uint256 public rentGracePeriod = 3 days; // 繳租寬限期
+    
+    // 租金繳納排程
+    struct RentSchedule {
+        uint256 amount;          // 每期租金
+        uint256 period;          // 繳租週期（秒）
+        uint256 dueDay;          // 每期開始後第幾天到期
+        uint256 startTime;       // 排程起算時間
+        uint256 paidPeriods;     // 已繳期數
+        bool active;             // 租客是否已確認排程
+    }
+    
+    // 租賃ID到租金排程的映射
+    mapping(uint256 => RentSchedule) public rentSchedules;
+    
+    // 事件定義
+    event RentScheduleProposed(uint256 indexed rentalId, uint256 amount, uint256 period, uint256 dueDay);
+    event RentScheduleAccepted(uint256 indexed rentalId, uint256 startTime);
+    event RentPaid(uint256 indexed rentalId, address indexed tenant, uint256 periodIndex, uint256 amount, uint256 lateFee, bool onTime);
+    event LateFeePolicyUpdated(uint256 lateFeePercentage, uint256 gracePeriod);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 房東提出租金排程，須由租客確認後生效
+     * @param _rentalId 租賃ID
+     * @param _amount 每期租金
+     * @param _period 繳租週期（秒）
+     * @param _dueDay 每期開始後第幾天到期
+     */
+    function proposeRentSchedule(
+        uint256 _rentalId,
+        uint256 _amount,
+        uint256 _period,
+        uint256 _dueDay
+    ) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        require(rental.isActive, "Rental is not active");
+        require(msg.sender == rental.landlord, "Only landlord can propose rent");
+        require(!rentSchedules[_rentalId].active, "Rent schedule already active");
+        require(_amount > 0, "Rent must be greater than 0");
+        require(_period >= 1 days, "Rent period too short");
+        require(_dueDay * 1 days < _period, "Due day outside period");
+        
+        rentSchedules[_rentalId] = RentSchedule({
+            amount: _amount,
+            period: _period,
+            dueDay: _dueDay,
+            startTime: 0,
+            paidPeriods: 0,
+            active: false
+        });
+        
+        emit RentScheduleProposed(_rentalId, _amount, _period, _dueDay);
+    }
+    
+    /**
+     * @dev 租客確認租金排程，從確認時起算每期租金。
+     *      租客須帶入所見的排程條件，避免房東在確認交易上鏈前改提排程
+     * @param _rentalId 租賃ID
+     * @param _amount 租客同意的每期租金
+     * @param _period 租客同意的繳租週期（秒）
+     * @param _dueDay 租客同意的到期日
+     */
+    function acceptRentSchedule(
+        uint256 _rentalId,
+        uint256 _amount,
+        uint256 _period,
+        uint256 _dueDay
+    ) external {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        RentSchedule storage rent = rentSchedules[_rentalId];
+        require(rental.isActive, "Rental is not active");
+        require(msg.sender == rental.tenant, "Only tenant can accept rent");
+        require(rent.amount > 0, "No rent schedule proposed");
+        require(!rent.active, "Rent schedule already active");
+        require(
+            rent.amount == _amount && rent.period == _period && rent.dueDay == _dueDay,
+            "Rent schedule changed"
+        );
+        
+        rent.startTime = block.timestamp;
+        rent.active = true;
+        
+        emit RentScheduleAccepted(_rentalId, block.timestamp);
+    }
+    
+    /**
+     * @dev 繳納下一期租金，直接轉給房東；超過到期日加寬限期則加收滯納金
+     * @param _rentalId 租賃ID
+     */
+    function payRent(uint256 _rentalId) external nonReentrant {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        require(rental.isActive, "Rental is not active");
+        
+        RentSchedule storage rent = rentSchedules[_rentalId];
+        require(rent.active, "Rent schedule not active");
+        require(rent.paidPeriods < _totalRentPeriods(rent, rental.endTime), "All rent paid");
+        
+        uint256 periodIndex = rent.paidPeriods;
+        bool onTime = block.timestamp <= _rentDueTime(rent, periodIndex) + rentGracePeriod;
+        uint256 lateFee = onTime ? 0 : (rent.amount * lateFeePercentage) / PERCENTAGE_DENOMINATOR;
+        
+        rent.paidPeriods = periodIndex + 1;
+        
+        // 從付款人以押金代幣轉移租金與滯納金給房東
+        IERC20(rental.token).safeTransferFrom(msg.sender, rental.landlord, rent.amount + lateFee);
+        
+        // 記錄租客的繳租信用歷史
+        ISelfProtocol selfProtocol = rentalDeposit.selfProtocol();
+        if (address(selfProtocol) != address(0)) {
+            try selfProtocol.recordRentalPayment(rental.tenant, rent.amount + lateFee, onTime) {
+            } catch {
+                // 如果調用失敗（例如本合約無記錄權限），僅依賴事件記錄
+            }
+        }
+        
+        emit RentPaid(_rentalId, rental.tenant, periodIndex, rent.amount, lateFee, onTime);
+    }
+    
+    /**
+     * @dev 更新逾期繳租規則
+     * @param _lateFeePercentage 滯納金百分比
+     * @param _gracePeriod 寬限期（秒）
+     */
+    function updateLateFeePolicy(uint256 _lateFeePercentage, uint256 _gracePeriod) external onlyOwner {
+        require(_lateFeePercentage <= 20, "Late fee too high");
+        require(_gracePeriod <= 15 days, "Grace period too long");
+        lateFeePercentage = _lateFeePercentage;
+        rentGracePeriod = _gracePeriod;
+        emit LateFeePolicyUpdated(_lateFeePercentage, _gracePeriod);
+    }
+    
+    /**
+     * @dev 獲取租賃的繳租狀態
+     * @param _rentalId 租賃ID
+     * @return nextDueTime 下一期到期時間（已全部繳清或未啟用時為0）
+     * @return amountDue 現在繳納下一期的應付金額（含滯納金）
+     * @return overduePeriods 已過到期日尚未繳納的期數
+     */
+    function getRentStatus(uint256 _rentalId) external view returns (
+        uint256 nextDueTime,
+        uint256 amountDue,
+        uint256 overduePeriods
+    ) {
+        RentSchedule storage rent = rentSchedules[_rentalId];
+        if (!rent.active) {
+            return (0, 0, 0);
+        }
+        
+        uint256 totalPeriods = _totalRentPeriods(rent, rentalDeposit.getRentalDetails(_rentalId).endTime);
+        if (rent.paidPeriods >= totalPeriods) {
+            return (0, 0, 0);
+        }
+        
+        nextDueTime = _rentDueTime(rent, rent.paidPeriods);
+        amountDue = rent.amount;
+        if (block.timestamp > nextDueTime + rentGracePeriod) {
+            amountDue += (rent.amount * lateFeePercentage) / PERCENTAGE_DENOMINATOR;
+        }
+        
+        // 計算到期日已過的期數
+        uint256 firstDueTime = _rentDueTime(rent, 0);
+        if (block.timestamp > firstDueTime) {
+            uint256 duePeriods = (block.timestamp - firstDueTime - 1) / rent.period + 1;
+            if (duePeriods > totalPeriods) {
+                duePeriods = totalPeriods;
+            }
+            if (duePeriods > rent.paidPeriods) {
+                overduePeriods = duePeriods - rent.paidPeriods;
+            }
+        }
+    }
+    
+    /**
+     * @dev 計算租期內應繳的總期數
+     * @param _rent 租金排程
+     * @param _endTime 租賃結束時間
+     * @return 總期數
+     */
+    function _totalRentPeriods(RentSchedule storage _rent, uint256 _endTime) internal view returns (uint256) {
+        if (_endTime <= _rent.startTime) {
+            return 0;
+        }
+        return (_endTime - _rent.startTime + _rent.period - 1) / _rent.period;
+    }
+    
+    /**
+     * @dev 計算指定期數的到期時間
+     * @param _rent 租金排程
+     * @param _periodIndex 期數（從0起算）
+     * @return 到期時間
+     */
+    function _rentDueTime(RentSchedule storage _rent, uint256 _periodIndex) internal view returns (uint256) {
+        return _rent.startTime + _periodIndex * _rent.period + _rent.dueDay * 1 days;
+    }
+}
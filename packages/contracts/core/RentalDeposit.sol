@@ -5,36 +5,67 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
 import "../interfaces/IInterestManager.sol";
 import "../interfaces/IRentalNFT.sol";
 import "../interfaces/ICircleUSDC.sol";
 import "../interfaces/ISelfProtocol.sol";
+import "../interfaces/IArbitrationPanel.sol";
+import "../interfaces/IDeductionClaims.sol";
+import "../interfaces/IDisputeEvidence.sol";
+import "../interfaces/IFeeSchedule.sol";
 import "../utils/WorldIDVerifier.sol";
+import "../utils/TrustedForwarderRecipient.sol";
+import "../utils/GuardianPausable.sol";
+import "../utils/SettlementMath.sol";
 
 /**
  * @title RentalDeposit
- * @dev 管理租賃押金的智能合約，整合多種技術與功能
+ * @dev 管理租賃押金的智能合約，整合多種技術與功能；
+ *      以UUPS代理部署，升級時只能在現有狀態變數之後新增變數，不可調整既有變數的順序與類型
  */
-contract RentalDeposit is Ownable, ReentrancyGuard {
+contract RentalDeposit is
+    Initializable,
+    Ownable,
+    ReentrancyGuard,
+    TrustedForwarderRecipient,
+    GuardianPausable,
+    UUPSUpgradeable
+{
     using SafeERC20 for IERC20;
-
+    
     // 合約狀態變數
-    IInterestManager public interestManager;
+    IInterestManager public interestManager;  // 預設押金代幣的利息管理器
     IRentalNFT public rentalNFT;
-    IERC20 public depositToken;  // 用於押金的穩定幣（如USDC）
+    IERC20 public depositToken;  // 預設的押金穩定幣（如USDC），部署時登記
     WorldIDVerifier public worldIDVerifier;
     ISelfProtocol public selfProtocol;
+    IArbitrationPanel public arbitrationPanel;  // 爭議仲裁模組，未設置時由平台裁決
+    address public rentalOffers;  // 驗證房東簽署要約的合約，可代租客創建租賃
+    address public leaseRenewals;  // 管理續約提議的合約，租客接受後由其調用續約
+    IDeductionClaims public deductionClaims;  // 管理房東扣款申請的合約
+    IDisputeEvidence public disputeEvidence;  // 記錄爭議證據時間線的合約
+    
+    // 暫停範圍：創建新租賃、續約（含補繳押金）
+    bytes32 public constant RENTAL_CREATION = keccak256("RENTAL_CREATION");
+    bytes32 public constant LEASE_RENEWAL = keccak256("LEASE_RENEWAL");
     
-    uint256 public platformFeePercentage = 10; // 平台收取的利息百分比，初始為10%
+    uint256 private __deprecatedPlatformFeePercentage; // 已由每筆租賃鎖定的基點費率取代，保留儲存槽
+    uint256 public arbitratorFeePercentage; // 仲裁結算時平台費用撥給仲裁員的百分比，初始為50%
     uint256 public constant PERCENTAGE_DENOMINATOR = 100;
-    uint256 public disputePeriod = 7 days; // 爭議解決期限
-    bool public worldIDRequired = true;  // 是否要求WorldID驗證
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant DEFAULT_PLATFORM_FEE_BPS = 1000; // 未設置費率表時的平台費率（10%）
+    uint256 public disputePeriod; // 爭議解決期限，初始為7天
+    uint256 public disputeResponsePeriod; // 爭議提出後雙方提交證據的期限，初始為5天
+    bool public worldIDRequired;  // 是否要求WorldID驗證，初始為需要
     
     // 租賃信息結構
     struct RentalInfo {
         address tenant;          // 租客地址
         address landlord;        // 房東地址
         uint256 depositAmount;   // 押金金額
+        address token;           // 押金代幣地址
         uint256 startTime;       // 開始時間
         uint256 endTime;         // 結束時間
         uint256 releaseTime;     // 押金釋放時間
@@ -43,14 +74,38 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
         uint256 interestSharingPercentage; // 租客分享利息的百分比 (0-100)
         bool isVerified;         // 租客是否通過WorldID驗證
         string metadataURI;      // 租賃元數據的IPFS URI
+        uint256 platformFeeBps;  // 創建時鎖定的平台費率（基點）
+    }
+    
+    // 租賃的爭議紀錄
+    struct DisputeRecord {
+        address initiator;       // 提出爭議的一方
+        uint256 openedAt;        // 提出時間
+        uint256 responseDeadline; // 提交證據的截止時間
     }
     
     // 租賃ID到租賃信息的映射
     mapping(uint256 => RentalInfo) public rentals;
     // 用戶地址到其參與的租賃ID數組的映射
     mapping(address => uint256[]) public userRentals;
-    // HashKey Chain身份驗證狀態
-    mapping(address => bool) public hashKeyVerified;
+    // 已由費率表讀取HashKeyIdentityVerifier取代，保留儲存槽
+    mapping(address => bool) private __deprecatedHashKeyVerified;
+    // 押金代幣到其利息管理器的映射，每種代幣有獨立的收益路線
+    mapping(address => IInterestManager) public tokenInterestManagers;
+    // 押金代幣是否開放用於新租賃
+    mapping(address => bool) public isDepositTokenEnabled;
+    // 已登記的押金代幣列表
+    address[] private _depositTokens;
+    // 租賃ID到爭議紀錄的映射
+    mapping(uint256 => DisputeRecord) public disputes;
+    
+    IFeeSchedule public feeSchedule;  // 依押金規模與驗證等級計算費率的合約，未設置時使用預設費率
+    address public treasury;  // 平台費用的收款地址
+    address public noditManager;  // 自動執行任務的合約，由其觸發結算時平台費用轉給它以支付執行獎勵
+    address public rentalGateway;  // 以押金許可或付費中繼代租客創建租賃的入口合約
+    // 租賃ID到爭議可裁決給房東最高本金的映射
+    mapping(uint256 => uint256) public disputeMaxAwards;
+    address public disputeResolver;  // 代平台裁決爭議的營運帳戶，所有權移交時間鎖後裁決不受通知期延遲
     
     // 事件定義
     event RentalCreated(uint256 indexed rentalId, address indexed tenant, address indexed landlord, uint256 amount);
@@ -60,29 +115,60 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     event DepositReleased(uint256 indexed rentalId, address recipient, uint256 amount);
     event DepositRefunded(uint256 indexed rentalId, address tenant, uint256 amount);
     event InterestWithdrawn(uint256 indexed rentalId, address recipient, uint256 amount);
-    event PlatformFeeUpdated(uint256 newFeePercentage);
-    event HashKeyVerificationUpdated(address indexed user, bool status);
     event MetadataUpdated(uint256 indexed rentalId, string metadataURI);
     event InterestSharingUpdated(uint256 indexed rentalId, uint256 percentage);
+    event DisputeResolvedWithSplit(uint256 indexed rentalId, uint256 landlordPrincipal, uint256 tenantPrincipal);
+    event LeaseRenewed(uint256 indexed rentalId, uint256 newEndTime, uint256 newReleaseTime, uint256 newDepositAmount);
+    event DepositToppedUp(uint256 indexed rentalId, uint256 amount);
+    event DepositTokenAdded(address indexed token, address indexed interestManager);
+    event DepositTokenStatusUpdated(address indexed token, bool enabled);
+    event DisputeResponsePeriodUpdated(uint256 newPeriod);
+    event ArbitrationPanelUpdated(address indexed panel);
+    event ArbitratorFeeUpdated(uint256 newFeePercentage);
+    event RentalOffersUpdated(address indexed rentalOffers);
+    event LeaseRenewalsUpdated(address indexed leaseRenewals);
+    event DeductionClaimsUpdated(address indexed deductionClaims);
+    event DisputeEvidenceUpdated(address indexed disputeEvidence);
+    event FeeScheduleUpdated(address indexed feeSchedule);
+    event TreasuryUpdated(address indexed treasury);
+    event NoditManagerUpdated(address indexed noditManager);
+    event RentalGatewayUpdated(address indexed rentalGateway);
+    event DisputeResolverUpdated(address indexed disputeResolver);
+    event EmergencyWithdrawal(uint256 indexed rentalId, address indexed guardian);
     
     /**
-     * @dev 構造函數
+     * @dev 構造函數，實作合約本身不可初始化，狀態由代理合約調用initialize設定
+     */
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev 初始化代理合約，調用者成為所有者
      * @param _depositToken 押金使用的ERC20代幣地址
      * @param _interestManager 利息管理器合約地址
      * @param _rentalNFT 租賃NFT合約地址
      * @param _worldIDVerifier WorldID驗證器合約地址
      * @param _selfProtocol Self Protocol合約地址 (如果沒有可傳入零地址)
      */
-    constructor(
+    function initialize(
         address _depositToken,
         address _interestManager,
         address _rentalNFT,
         address _worldIDVerifier,
         address _selfProtocol
-    ) Ownable() {
+    ) external initializer {
+        _transferOwnership(_msgSender());
+        treasury = _msgSender();
+        arbitratorFeePercentage = 50;
+        disputePeriod = 7 days;
+        disputeResponsePeriod = 5 days;
+        worldIDRequired = true;
+        
         depositToken = IERC20(_depositToken);
         interestManager = IInterestManager(_interestManager);
         rentalNFT = IRentalNFT(_rentalNFT);
+        _addDepositToken(_depositToken, _interestManager);
         
         if (_worldIDVerifier != address(0)) {
             worldIDVerifier = WorldIDVerifier(_worldIDVerifier);
@@ -114,6 +200,7 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     /**
      * @dev 創建新的租賃關係
      * @param _landlord 房東地址
+     * @param _token 押金代幣地址，須為已開放的押金代幣
      * @param _depositAmount 押金金額
      * @param _leaseDuration 租期（秒）
      * @param _metadataURI 租賃元數據的IPFS URI
@@ -122,190 +209,298 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
      */
     function createRental(
         address _landlord,
+        address _token,
         uint256 _depositAmount,
         uint256 _leaseDuration,
         string calldata _metadataURI,
         uint256 _interestSharingPercentage
     ) external nonReentrant returns (uint256) {
+        return _createRental(
+            _msgSender(),
+            _landlord,
+            _token,
+            _depositAmount,
+            _leaseDuration,
+            _metadataURI,
+            _interestSharingPercentage
+        );
+    }
+    
+    /**
+     * @dev 由要約合約或創建入口合約代租客創建租賃，兩者已驗證房東簽署的要約或租客的許可與中繼請求；
+     *      手續費（如中繼手續費）從租客支付的押金總額中扣除並轉給收款地址，實際託管的押金為扣除後的金額
+     * @param _tenant 租客地址，押金由此地址支付
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址
+     * @param _depositAmount 租客支付的押金總額（含手續費）
+     * @param _leaseDuration 租期（秒）
+     * @param _metadataURI 租賃元數據的IPFS URI
+     * @param _interestSharingPercentage 租客分享利息的百分比 (0-100)
+     * @param _feeRecipient 手續費收款地址
+     * @param _fee 以押金代幣計價的手續費，0表示不收費
+     * @return rentalId 新創建的租賃ID
+     */
+    function createRentalFor(
+        address _tenant,
+        address _landlord,
+        address _token,
+        uint256 _depositAmount,
+        uint256 _leaseDuration,
+        string calldata _metadataURI,
+        uint256 _interestSharingPercentage,
+        address _feeRecipient,
+        uint256 _fee
+    ) external nonReentrant returns (uint256) {
+        require(msg.sender == rentalOffers || msg.sender == rentalGateway, "Only rental creation contracts");
+        
+        if (_fee > 0) {
+            require(_fee < _depositAmount, "Fee exceeds deposit");
+            IERC20(_token).safeTransferFrom(_tenant, _feeRecipient, _fee);
+        }
+        
+        return _createRental(
+            _tenant,
+            _landlord,
+            _token,
+            _depositAmount - _fee,
+            _leaseDuration,
+            _metadataURI,
+            _interestSharingPercentage
+        );
+    }
+    
+    /**
+     * @dev 驗證租賃條件、收取押金並建立租賃
+     * @param _tenant 租客地址，押金由此地址支付
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址
+     * @param _depositAmount 押金金額
+     * @param _leaseDuration 租期（秒）
+     * @param _metadataURI 租賃元數據的IPFS URI
+     * @param _interestSharingPercentage 租客分享利息的百分比 (0-100)
+     * @return rentalId 新創建的租賃ID
+     */
+    function _createRental(
+        address _tenant,
+        address _landlord,
+        address _token,
+        uint256 _depositAmount,
+        uint256 _leaseDuration,
+        string calldata _metadataURI,
+        uint256 _interestSharingPercentage
+    ) internal whenNotPaused(RENTAL_CREATION) returns (uint256) {
         require(_landlord != address(0), "Invalid landlord address");
+        require(isDepositTokenEnabled[_token], "Deposit token not supported");
         require(_depositAmount > 0, "Deposit must be greater than 0");
         require(_leaseDuration > 0, "Lease duration must be greater than 0");
         require(_interestSharingPercentage <= 100, "Interest sharing percentage cannot exceed 100");
         
         // 檢查租客是否通過身份驗證
-        bool isVerified = _checkVerification(msg.sender);
+        bool isVerified = _checkVerification(_tenant);
         if (worldIDRequired) {
             require(isVerified, "Tenant must be verified with WorldID");
         }
         
         // 從租客轉移押金到合約
-        depositToken.safeTransferFrom(msg.sender, address(this), _depositAmount);
+        IERC20(_token).safeTransferFrom(_tenant, address(this), _depositAmount);
         
-        // 將押金存入利息管理器
-        depositToken.approve(address(interestManager), _depositAmount);
-        interestManager.deposit(_depositAmount);
-        
-        // 計算結束時間和釋放時間
-        uint256 startTime = block.timestamp;
-        uint256 endTime = startTime + _leaseDuration;
-        uint256 releaseTime = endTime + disputePeriod;
+        // 計算結束時間，押金於結束後再經過爭議期限釋放
+        uint256 endTime = block.timestamp + _leaseDuration;
         
         // 創建租賃NFT並獲取ID
-        uint256 rentalId = rentalNFT.mint(msg.sender, _landlord);
+        uint256 rentalId = rentalNFT.mint(_tenant, _landlord);
         
-        // 使用Self Protocol評估租客風險並獲取建議的利息分享百分比
-        uint256 finalInterestSharing = _interestSharingPercentage;
-        if (address(selfProtocol) != address(0)) {
-            try selfProtocol.calculateInterestSharingPercentage(msg.sender) returns (uint256 recommendedPercentage) {
-                if (recommendedPercentage < _interestSharingPercentage) {
-                    finalInterestSharing = recommendedPercentage;
-                }
-            } catch {
-                // 如果調用失敗，使用用戶提供的百分比
-            }
-        }
+        // 將押金存入該代幣的利息管理器，記入該租賃的份額
+        _depositToInterestManager(_token, rentalId, _depositAmount);
         
         // 儲存租賃信息
         rentals[rentalId] = RentalInfo({
-            tenant: msg.sender,
+            tenant: _tenant,
             landlord: _landlord,
             depositAmount: _depositAmount,
-            startTime: startTime,
+            token: _token,
+            startTime: block.timestamp,
             endTime: endTime,
-            releaseTime: releaseTime,
+            releaseTime: endTime + disputePeriod,
             isActive: true,
             inDispute: false,
-            interestSharingPercentage: finalInterestSharing,
+            interestSharingPercentage: _recommendedInterestSharing(_tenant, _interestSharingPercentage),
             isVerified: isVerified,
-            metadataURI: _metadataURI
+            metadataURI: _metadataURI,
+            platformFeeBps: 0
         });
         
+        // 鎖定創建時的平台費率，之後的費率調整不溯及既往
+        rentals[rentalId].platformFeeBps = address(feeSchedule) != address(0)
+            ? feeSchedule.getFeeBps(_tenant, _token, _depositAmount)
+            : DEFAULT_PLATFORM_FEE_BPS;
+        
         // 更新用戶租賃記錄
-        userRentals[msg.sender].push(rentalId);
+        userRentals[_tenant].push(rentalId);
         userRentals[_landlord].push(rentalId);
         
-        // 設置NFT元數據URI
+        // 設置NFT元數據URI，租客的用戶權限至租期結束
         rentalNFT.setTokenURI(rentalId, _metadataURI);
+        rentalNFT.updateUserExpires(rentalId, uint64(endTime));
         
-        emit RentalCreated(rentalId, msg.sender, _landlord, _depositAmount);
+        emit RentalCreated(rentalId, _tenant, _landlord, _depositAmount);
         
         return rentalId;
     }
     
     /**
-     * @dev 結束租賃並釋放押金給房東
+     * @dev 使用Self Protocol評估租客風險，取建議值與約定值中較低的利息分享百分比
+     * @param _tenant 租客地址
+     * @param _interestSharingPercentage 約定的利息分享百分比
+     * @return 最終的利息分享百分比
+     */
+    function _recommendedInterestSharing(
+        address _tenant,
+        uint256 _interestSharingPercentage
+    ) internal view returns (uint256) {
+        if (address(selfProtocol) != address(0)) {
+            try selfProtocol.calculateInterestSharingPercentage(_tenant) returns (uint256 recommendedBps) {
+                // Self Protocol以基點回傳建議值，換算為百分比
+                if (recommendedBps / 100 < _interestSharingPercentage) {
+                    return recommendedBps / 100;
+                }
+            } catch {
+                // 如果調用失敗，使用用戶提供的百分比
+            }
+        }
+        return _interestSharingPercentage;
+    }
+    
+    /**
+     * @dev 結束租賃並釋放押金給房東；房東可在租期結束後調用，過了押金釋放時間後任何人皆可觸發結算
      * @param _rentalId 租賃ID
      */
     function endRental(uint256 _rentalId) external nonReentrant {
         RentalInfo storage rental = rentals[_rentalId];
         
         require(rental.isActive, "Rental is not active");
-        require(msg.sender == rental.tenant || msg.sender == rental.landlord || msg.sender == owner(), "Not authorized");
         require(block.timestamp >= rental.endTime, "Lease period not ended");
         require(!rental.inDispute, "Rental is in dispute");
+        require(!_hasPendingClaim(_rentalId), "Deduction claim pending");
         
-        if (msg.sender == rental.tenant) {
-            // 如果是租客提前結束，需要等到釋放時間
+        if (_msgSender() != rental.landlord && _msgSender() != owner()) {
+            // 租客或自動結算服務（如NoditManager）需要等到釋放時間
             require(block.timestamp >= rental.releaseTime, "Cannot end before release time");
         }
         
-        // 從利息管理器提取押金
-        uint256 depositWithInterest = interestManager.getDepositWithInterest(rental.depositAmount);
-        interestManager.withdraw(rental.depositAmount);
-        
-        // 計算利息
-        uint256 interest = depositWithInterest > rental.depositAmount ? 
-                          depositWithInterest - rental.depositAmount : 0;
+        // 押金本金全數釋放給房東，利息按分享比例分配
+        SettlementMath.Settlement memory settlement = _settle(_rentalId, rental.depositAmount, rental.interestSharingPercentage);
         
-        uint256 platformFee = (interest * platformFeePercentage) / PERCENTAGE_DENOMINATOR;
-        uint256 tenantShare = (interest * rental.interestSharingPercentage) / PERCENTAGE_DENOMINATOR;
-        uint256 landlordAmount = depositWithInterest - platformFee - tenantShare;
-        
-        // 轉移資金
-        if (platformFee > 0) {
-            depositToken.safeTransfer(owner(), platformFee);
+        if (settlement.tenantInterest > 0) {
+            emit InterestWithdrawn(_rentalId, rental.tenant, settlement.tenantInterest);
         }
         
-        if (tenantShare > 0) {
-            depositToken.safeTransfer(rental.tenant, tenantShare);
-            emit InterestWithdrawn(_rentalId, rental.tenant, tenantShare);
-        }
+        emit DepositReleased(_rentalId, rental.landlord, settlement.landlordPrincipal + settlement.landlordInterest);
+    }
+    
+    /**
+     * @dev 租期中提取已累積的利息，扣除平台費用後按利息分享比例分給雙方，本金繼續留在收益協議中；
+     *      限租客、房東或NoditManager的排程任務提取，避免他人決定提取時機
+     * @param _rentalId 租賃ID
+     */
+    function claimInterest(uint256 _rentalId) external nonReentrant {
+        RentalInfo storage rental = rentals[_rentalId];
         
-        depositToken.safeTransfer(rental.landlord, landlordAmount);
+        require(rental.isActive, "Rental is not active");
+        require(!rental.inDispute, "Rental is in dispute");
+        require(
+            _msgSender() == rental.tenant || _msgSender() == rental.landlord || msg.sender == noditManager,
+            "Not authorized to claim"
+        );
         
-        // 更新租賃狀態
-        rental.isActive = false;
+        IInterestManager manager = tokenInterestManagers[rental.token];
+        uint256 value = manager.getRentalValue(_rentalId);
+        require(value > rental.depositAmount, "No interest accrued");
         
-        // 燒掉租賃NFT
-        rentalNFT.burn(_rentalId);
+        SettlementMath.Settlement memory settlement;
+        SettlementMath.splitInterest(
+            settlement,
+            manager.withdraw(_rentalId, value - rental.depositAmount),
+            rental.interestSharingPercentage,
+            rental.platformFeeBps
+        );
+        _payout(rental, settlement);
         
-        emit DepositReleased(_rentalId, rental.landlord, landlordAmount);
+        if (settlement.tenantInterest > 0) {
+            emit InterestWithdrawn(_rentalId, rental.tenant, settlement.tenantInterest);
+        }
+        if (settlement.landlordInterest > 0) {
+            emit InterestWithdrawn(_rentalId, rental.landlord, settlement.landlordInterest);
+        }
     }
     
     /**
-     * @dev 提出爭議
+     * @dev 租客或房東提出爭議，設有仲裁模組時同時開啟仲裁案件
      * @param _rentalId 租賃ID
+     * @param _evidenceURI 證據的IPFS URI，可為空
      */
-    function raiseDispute(uint256 _rentalId) external nonReentrant {
+    function raiseDispute(uint256 _rentalId, string calldata _evidenceURI) external nonReentrant {
         RentalInfo storage rental = rentals[_rentalId];
         
         require(rental.isActive, "Rental is not active");
-        require(msg.sender == rental.tenant, "Only tenant can raise dispute");
+        require(_msgSender() == rental.tenant || _msgSender() == rental.landlord, "Only parties can raise dispute");
         require(block.timestamp < rental.releaseTime, "Too late to raise dispute");
         require(!rental.inDispute, "Dispute already raised");
         
-        rental.inDispute = true;
+        _openDispute(_rentalId, _msgSender(), rental.depositAmount);
         
-        emit DisputeRaised(_rentalId, msg.sender);
+        if (bytes(_evidenceURI).length > 0 && address(disputeEvidence) != address(0)) {
+            disputeEvidence.recordEvidence(_rentalId, _msgSender(), _evidenceURI);
+        }
     }
     
     /**
-     * @dev 平台解決爭議
+     * @dev 平台或爭議裁決帳戶解決爭議，裁決有利於房東時房東取得爭議的最高可裁決本金
      * @param _rentalId 租賃ID
      * @param _favorTenant 是否有利於租客
      */
-    function resolveDispute(uint256 _rentalId, bool _favorTenant) external onlyOwner nonReentrant {
+    function resolveDispute(uint256 _rentalId, bool _favorTenant) external nonReentrant {
         RentalInfo storage rental = rentals[_rentalId];
         
+        require(_isDisputeResolver(), "Not authorized to resolve");
         require(rental.isActive, "Rental is not active");
         require(rental.inDispute, "No active dispute");
         
-        // 從利息管理器提取押金
-        uint256 depositWithInterest = interestManager.getDepositWithInterest(rental.depositAmount);
-        interestManager.withdraw(rental.depositAmount);
-        
-        // 計算利息和費用
-        uint256 interest = depositWithInterest > rental.depositAmount ? 
-                          depositWithInterest - rental.depositAmount : 0;
-        uint256 platformFee = (interest * platformFeePercentage) / PERCENTAGE_DENOMINATOR;
+        _markClaimResolved(_rentalId);
         
-        // 根據爭議結果分配押金與利息
+        // 根據爭議結果分配押金與利息，勝訴方取得全部本金及扣除平台費用後的利息
         if (_favorTenant) {
-            // 如果有利於租客，將押金返還給租客
-            if (platformFee > 0) {
-                depositToken.safeTransfer(owner(), platformFee);
-            }
-            uint256 refundAmount = depositWithInterest - platformFee;
-            depositToken.safeTransfer(rental.tenant, refundAmount);
-            emit DepositRefunded(_rentalId, rental.tenant, refundAmount);
+            SettlementMath.Settlement memory settlement = _settle(_rentalId, 0, PERCENTAGE_DENOMINATOR);
+            emit DepositRefunded(_rentalId, rental.tenant, settlement.tenantPrincipal + settlement.tenantInterest);
         } else {
-            // 如果有利於房東，將押金釋放給房東
-            if (platformFee > 0) {
-                depositToken.safeTransfer(owner(), platformFee);
-            }
-            uint256 landlordAmount = depositWithInterest - platformFee;
-            depositToken.safeTransfer(rental.landlord, landlordAmount);
-            emit DepositReleased(_rentalId, rental.landlord, landlordAmount);
+            SettlementMath.Settlement memory settlement = _settle(_rentalId, _disputeMaxAward(_rentalId), 0);
+            emit DepositReleased(_rentalId, rental.landlord, settlement.landlordPrincipal + settlement.landlordInterest);
         }
         
-        // 更新租賃狀態
-        rental.isActive = false;
-        rental.inDispute = false;
+        emit DisputeResolved(_rentalId, _favorTenant);
+    }
+    
+    /**
+     * @dev 平台、爭議裁決帳戶或仲裁模組以分割方式解決爭議，將本金按裁決金額分配給房東與租客，裁決金額不得超過爭議的最高可裁決本金
+     * @param _rentalId 租賃ID
+     * @param _landlordPrincipal 裁決給房東的本金金額
+     */
+    function resolveDisputeWithSplit(uint256 _rentalId, uint256 _landlordPrincipal) external nonReentrant {
+        RentalInfo storage rental = rentals[_rentalId];
         
-        // 燒掉租賃NFT
-        rentalNFT.burn(_rentalId);
+        require(
+            _isDisputeResolver() || (address(arbitrationPanel) != address(0) && msg.sender == address(arbitrationPanel)),
+            "Not authorized to resolve"
+        );
+        require(rental.isActive, "Rental is not active");
+        require(rental.inDispute, "No active dispute");
+        require(_landlordPrincipal <= _disputeMaxAward(_rentalId), "Amount exceeds max award");
         
-        emit DisputeResolved(_rentalId, _favorTenant);
+        _markClaimResolved(_rentalId);
+        
+        SettlementMath.Settlement memory settlement = _settle(_rentalId, _landlordPrincipal, rental.interestSharingPercentage);
+        
+        emit DisputeResolvedWithSplit(_rentalId, settlement.landlordPrincipal, settlement.tenantPrincipal);
     }
     
     /**
@@ -316,42 +511,245 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
         RentalInfo storage rental = rentals[_rentalId];
         
         require(rental.isActive, "Rental is not active");
-        require(msg.sender == rental.landlord, "Only landlord can terminate early");
+        require(_msgSender() == rental.landlord, "Only landlord can terminate early");
         require(!rental.inDispute, "Rental is in dispute");
         
-        // 從利息管理器提取押金
-        uint256 depositWithInterest = interestManager.getDepositWithInterest(rental.depositAmount);
-        interestManager.withdraw(rental.depositAmount);
+        // 將押金和租客利息份額返還給租客
+        SettlementMath.Settlement memory settlement = _settle(_rentalId, 0, rental.interestSharingPercentage);
+        
+        if (settlement.landlordInterest > 0) {
+            emit InterestWithdrawn(_rentalId, rental.landlord, settlement.landlordInterest);
+        }
+        
+        emit DepositRefunded(_rentalId, rental.tenant, settlement.tenantPrincipal + settlement.tenantInterest);
+    }
+    
+    /**
+     * @dev 由續約合約在租客接受續約後調用，押金與累積利息保留在利息管理器中，沿用同一個NFT
+     * @param _rentalId 租賃ID
+     * @param _extension 延長的租期（秒）
+     * @param _newDepositAmount 續約後的押金本金，高於現額由租客補繳、低於現額則退還差額
+     */
+    function renewLease(
+        uint256 _rentalId,
+        uint256 _extension,
+        uint256 _newDepositAmount
+    ) external nonReentrant whenNotPaused(LEASE_RENEWAL) {
+        RentalInfo storage rental = rentals[_rentalId];
+        require(msg.sender == leaseRenewals, "Only lease renewals contract");
+        require(rental.isActive, "Rental is not active");
+        require(!rental.inDispute, "Rental is in dispute");
+        require(!_hasPendingClaim(_rentalId), "Deduction claim pending");
+        require(block.timestamp < rental.releaseTime, "Deposit release period passed");
+        
+        uint256 newEndTime = rental.endTime + _extension;
+        require(newEndTime > block.timestamp, "Extension ends in the past");
+        
+        // 調整押金：補繳差額存入同一份額帳戶，或從持倉中退還差額
+        if (_newDepositAmount > rental.depositAmount) {
+            uint256 topUp = _newDepositAmount - rental.depositAmount;
+            IERC20(rental.token).safeTransferFrom(rental.tenant, address(this), topUp);
+            _depositToInterestManager(rental.token, _rentalId, topUp);
+            emit DepositToppedUp(_rentalId, topUp);
+        } else if (_newDepositAmount < rental.depositAmount) {
+            uint256 refund = rental.depositAmount - _newDepositAmount;
+            uint256 withdrawn = tokenInterestManagers[rental.token].withdraw(_rentalId, refund);
+            IERC20(rental.token).safeTransfer(rental.tenant, withdrawn);
+            emit DepositRefunded(_rentalId, rental.tenant, withdrawn);
+        }
+        
+        rental.depositAmount = _newDepositAmount;
+        rental.endTime = newEndTime;
+        rental.releaseTime = newEndTime + disputePeriod;
         
-        // 計算利息
-        uint256 interest = depositWithInterest > rental.depositAmount ? 
-                          depositWithInterest - rental.depositAmount : 0;
+        // 延長租客的NFT用戶權限
+        rentalNFT.updateUserExpires(_rentalId, uint64(newEndTime));
+        
+        emit LeaseRenewed(_rentalId, newEndTime, rental.releaseTime, _newDepositAmount);
+    }
+    
+    /**
+     * @dev 由扣款申請合約在接受扣款後調用，按扣款金額分割結算押金
+     * @param _rentalId 租賃ID
+     * @param _deductionAmount 分配給房東的扣款金額
+     */
+    function settleDeductionClaim(uint256 _rentalId, uint256 _deductionAmount) external nonReentrant {
+        RentalInfo storage rental = rentals[_rentalId];
+        require(msg.sender == address(deductionClaims), "Only deduction claims contract");
+        
+        SettlementMath.Settlement memory settlement = _settle(_rentalId, _deductionAmount, rental.interestSharingPercentage);
+        
+        emit DepositReleased(_rentalId, rental.landlord, settlement.landlordPrincipal + settlement.landlordInterest);
+        emit DepositRefunded(_rentalId, rental.tenant, settlement.tenantPrincipal + settlement.tenantInterest);
+    }
+    
+    /**
+     * @dev 由扣款申請合約在租客提出異議後調用，租賃進入爭議狀態等待裁決
+     * @param _rentalId 租賃ID
+     * @param _deductionAmount 爭議中的扣款金額，為可裁決給房東的最高本金
+     */
+    function openDeductionDispute(uint256 _rentalId, uint256 _deductionAmount) external nonReentrant {
+        require(msg.sender == address(deductionClaims), "Only deduction claims contract");
+        
+        _openDispute(_rentalId, rentals[_rentalId].tenant, _deductionAmount);
+    }
+    
+    /**
+     * @dev 檢查租賃是否有等待租客回應的扣款申請
+     * @param _rentalId 租賃ID
+     * @return 是否有待回應的申請
+     */
+    function _hasPendingClaim(uint256 _rentalId) internal view returns (bool) {
+        return address(deductionClaims) != address(0) && deductionClaims.hasPendingClaim(_rentalId);
+    }
+    
+    /**
+     * @dev 將已提出異議的扣款申請標記為已裁決
+     * @param _rentalId 租賃ID
+     */
+    function _markClaimResolved(uint256 _rentalId) internal {
+        if (address(deductionClaims) != address(0)) {
+            deductionClaims.markResolved(_rentalId);
+        }
+    }
+    
+    /**
+     * @dev 按結算結果向平台金庫、房東與租客轉移資金；由仲裁模組結算時部分平台費用撥給仲裁員，由NoditManager觸發時平台費用轉給它支付執行獎勵
+     * @param rental 租賃信息
+     * @param settlement 各方分得的金額
+     */
+    function _payout(RentalInfo storage rental, SettlementMath.Settlement memory settlement) internal {
+        IERC20 token = IERC20(rental.token);
         
-        uint256 platformFee = (interest * platformFeePercentage) / PERCENTAGE_DENOMINATOR;
-        uint256 tenantShare = (interest * rental.interestSharingPercentage) / PERCENTAGE_DENOMINATOR;
-        uint256 refundAmount = rental.depositAmount + tenantShare;
+        if (settlement.platformFee > 0) {
+            uint256 arbitratorFee = 0;
+            if (address(arbitrationPanel) != address(0) && msg.sender == address(arbitrationPanel)) {
+                arbitratorFee = (settlement.platformFee * arbitratorFeePercentage) / PERCENTAGE_DENOMINATOR;
+                token.safeTransfer(address(arbitrationPanel), arbitratorFee);
+            }
+            if (settlement.platformFee > arbitratorFee) {
+                token.safeTransfer(
+                    msg.sender == noditManager ? noditManager : treasury,
+                    settlement.platformFee - arbitratorFee
+                );
+            }
+        }
         
-        // 轉移資金
-        if (platformFee > 0) {
-            depositToken.safeTransfer(owner(), platformFee);
+        uint256 landlordAmount = settlement.landlordPrincipal + settlement.landlordInterest;
+        if (landlordAmount > 0) {
+            token.safeTransfer(rental.landlord, landlordAmount);
         }
         
-        uint256 landlordInterest = interest - platformFee - tenantShare;
-        if (landlordInterest > 0) {
-            depositToken.safeTransfer(rental.landlord, landlordInterest);
-            emit InterestWithdrawn(_rentalId, rental.landlord, landlordInterest);
+        uint256 tenantAmount = settlement.tenantPrincipal + settlement.tenantInterest;
+        if (tenantAmount > 0) {
+            token.safeTransfer(rental.tenant, tenantAmount);
         }
+    }
+    
+    /**
+     * @dev 從利息管理器提取押金，依分配結果轉移資金並關閉租賃
+     * @param _rentalId 租賃ID
+     * @param _landlordPrincipal 分配給房東的本金
+     * @param _tenantInterestPercentage 租客分得的利息百分比 (0-100)
+     * @return settlement 各方分得的金額
+     */
+    function _settle(
+        uint256 _rentalId,
+        uint256 _landlordPrincipal,
+        uint256 _tenantInterestPercentage
+    ) internal returns (SettlementMath.Settlement memory settlement) {
+        RentalInfo storage rental = rentals[_rentalId];
         
-        // 將押金和租客利息份額返還給租客
-        depositToken.safeTransfer(rental.tenant, refundAmount);
+        // 贖回該租賃在利息管理器中的全部份額，以實際提取金額進行分配
+        uint256 depositWithInterest = tokenInterestManagers[rental.token].withdrawAll(_rentalId);
+        
+        settlement = SettlementMath.calculate(
+            depositWithInterest,
+            rental.depositAmount,
+            _landlordPrincipal,
+            _tenantInterestPercentage,
+            rental.platformFeeBps
+        );
+        
+        _payout(rental, settlement);
         
         // 更新租賃狀態
         rental.isActive = false;
+        rental.inDispute = false;
         
         // 燒掉租賃NFT
         rentalNFT.burn(_rentalId);
+    }
+    
+    /**
+     * @dev 將租賃標記為爭議中並記錄回應期限，設有仲裁模組時開啟仲裁案件
+     * @param _rentalId 租賃ID
+     * @param _initiator 提出爭議的一方
+     * @param _maxAward 可裁決給房東的最高本金
+     */
+    function _openDispute(uint256 _rentalId, address _initiator, uint256 _maxAward) internal {
+        RentalInfo storage rental = rentals[_rentalId];
         
-        emit DepositRefunded(_rentalId, rental.tenant, refundAmount);
+        rental.inDispute = true;
+        disputes[_rentalId] = DisputeRecord({
+            initiator: _initiator,
+            openedAt: block.timestamp,
+            responseDeadline: block.timestamp + disputeResponsePeriod
+        });
+        disputeMaxAwards[_rentalId] = _maxAward;
+        
+        emit DisputeRaised(_rentalId, _initiator);
+        
+        if (address(arbitrationPanel) != address(0)) {
+            arbitrationPanel.openDispute(_rentalId, rental.tenant, rental.landlord, rental.token, _maxAward);
+        }
+    }
+    
+    /**
+     * @dev 檢查調用者是否為所有者或爭議裁決帳戶
+     * @return 是否可裁決爭議
+     */
+    function _isDisputeResolver() internal view returns (bool) {
+        return _msgSender() == owner() || _msgSender() == disputeResolver;
+    }
+    
+    /**
+     * @dev 獲取爭議可裁決給房東的最高本金，升級前提出的爭議未記錄上限時以押金全額為上限
+     * @param _rentalId 租賃ID
+     * @return 最高可裁決本金
+     */
+    function _disputeMaxAward(uint256 _rentalId) internal view returns (uint256) {
+        uint256 maxAward = disputeMaxAwards[_rentalId];
+        return maxAward == 0 ? rentals[_rentalId].depositAmount : maxAward;
+    }
+    
+    /**
+     * @dev 將押金存入代幣對應的利息管理器
+     * @param _token 押金代幣地址
+     * @param _rentalId 租賃ID
+     * @param _amount 存款金額
+     */
+    function _depositToInterestManager(address _token, uint256 _rentalId, uint256 _amount) internal {
+        IInterestManager manager = tokenInterestManagers[_token];
+        IERC20(_token).approve(address(manager), _amount);
+        manager.deposit(_rentalId, _amount);
+    }
+    
+    /**
+     * @dev 登記押金代幣及其利息管理器
+     * @param _token 押金代幣地址
+     * @param _interestManager 該代幣的利息管理器地址
+     */
+    function _addDepositToken(address _token, address _interestManager) internal {
+        require(_token != address(0), "Invalid token address");
+        require(_interestManager != address(0), "Invalid interest manager address");
+        require(address(tokenInterestManagers[_token]) == address(0), "Token already registered");
+        
+        tokenInterestManagers[_token] = IInterestManager(_interestManager);
+        isDepositTokenEnabled[_token] = true;
+        _depositTokens.push(_token);
+        
+        emit DepositTokenAdded(_token, _interestManager);
     }
     
     /**
@@ -364,13 +762,122 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 更新平台費用百分比
-     * @param _newFeePercentage 新的費用百分比
+     * @dev 設置平台費率表，只影響之後創建的租賃
+     * @param _feeSchedule 費率表合約地址，設為零地址時使用預設費率
+     */
+    function setFeeSchedule(address _feeSchedule) external onlyOwner {
+        feeSchedule = IFeeSchedule(_feeSchedule);
+        emit FeeScheduleUpdated(_feeSchedule);
+    }
+    
+    /**
+     * @dev 設置平台費用的收款地址
+     * @param _treasury 金庫地址
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+    
+    /**
+     * @dev 更新爭議提出後雙方提交證據的期限
+     * @param _newPeriod 新的回應期限（秒）
      */
-    function updatePlatformFee(uint256 _newFeePercentage) external onlyOwner {
-        require(_newFeePercentage <= 30, "Fee too high");
-        platformFeePercentage = _newFeePercentage;
-        emit PlatformFeeUpdated(_newFeePercentage);
+    function updateDisputeResponsePeriod(uint256 _newPeriod) external onlyOwner {
+        require(_newPeriod >= 1 days && _newPeriod <= 30 days, "Invalid period");
+        disputeResponsePeriod = _newPeriod;
+        emit DisputeResponsePeriodUpdated(_newPeriod);
+    }
+    
+    /**
+     * @dev 設置爭議仲裁模組，設為零地址時改由平台裁決
+     * @param _panel 仲裁模組地址
+     */
+    function setArbitrationPanel(address _panel) external onlyOwner {
+        arbitrationPanel = IArbitrationPanel(_panel);
+        emit ArbitrationPanelUpdated(_panel);
+    }
+    
+    /**
+     * @dev 設置租賃要約合約
+     * @param _rentalOffers 要約合約地址，設為零地址時停用要約功能
+     */
+    function setRentalOffers(address _rentalOffers) external onlyOwner {
+        rentalOffers = _rentalOffers;
+        emit RentalOffersUpdated(_rentalOffers);
+    }
+    
+    /**
+     * @dev 設置續約合約
+     * @param _leaseRenewals 續約合約地址，設為零地址時停用續約功能
+     */
+    function setLeaseRenewals(address _leaseRenewals) external onlyOwner {
+        leaseRenewals = _leaseRenewals;
+        emit LeaseRenewalsUpdated(_leaseRenewals);
+    }
+    
+    /**
+     * @dev 設置扣款申請合約
+     * @param _deductionClaims 扣款申請合約地址，設為零地址時停用扣款申請
+     */
+    function setDeductionClaims(address _deductionClaims) external onlyOwner {
+        deductionClaims = IDeductionClaims(_deductionClaims);
+        emit DeductionClaimsUpdated(_deductionClaims);
+    }
+    
+    /**
+     * @dev 設置爭議證據合約
+     * @param _disputeEvidence 爭議證據合約地址，設為零地址時不記錄隨爭議提交的證據
+     */
+    function setDisputeEvidence(address _disputeEvidence) external onlyOwner {
+        disputeEvidence = IDisputeEvidence(_disputeEvidence);
+        emit DisputeEvidenceUpdated(_disputeEvidence);
+    }
+    
+    /**
+     * @dev 設置自動執行任務的合約，由其觸發的結算平台費用先轉給它，扣除執行獎勵後再轉入金庫
+     * @param _noditManager NoditManager合約地址，設為零地址時平台費用一律直接轉入金庫
+     */
+    function setNoditManager(address _noditManager) external onlyOwner {
+        noditManager = _noditManager;
+        emit NoditManagerUpdated(_noditManager);
+    }
+    
+    /**
+     * @dev 設置代平台裁決爭議的營運帳戶
+     * @param _disputeResolver 裁決帳戶地址，設為零地址時只有所有者可以裁決
+     */
+    function setDisputeResolver(address _disputeResolver) external onlyOwner {
+        disputeResolver = _disputeResolver;
+        emit DisputeResolverUpdated(_disputeResolver);
+    }
+    
+    /**
+     * @dev 設置創建入口合約，授權其以押金許可或付費中繼代租客創建租賃
+     * @param _rentalGateway 入口合約地址，設為零地址時停用許可與付費中繼創建
+     */
+    function setRentalGateway(address _rentalGateway) external onlyOwner {
+        rentalGateway = _rentalGateway;
+        emit RentalGatewayUpdated(_rentalGateway);
+    }
+    
+    /**
+     * @dev 設置ERC-2771可信轉發者，讓沒有Gas代幣的用戶透過中繼者提交交易
+     * @param _forwarder 轉發者地址，設為零地址時停用元交易
+     */
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        _setTrustedForwarder(_forwarder);
+    }
+    
+    /**
+     * @dev 更新仲裁員分得的平台費用百分比
+     * @param _newFeePercentage 新的百分比 (0-100)
+     */
+    function updateArbitratorFee(uint256 _newFeePercentage) external onlyOwner {
+        require(_newFeePercentage <= PERCENTAGE_DENOMINATOR, "Invalid percentage");
+        arbitratorFeePercentage = _newFeePercentage;
+        emit ArbitratorFeeUpdated(_newFeePercentage);
     }
     
     /**
@@ -383,13 +890,23 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 設置用戶的HashKey Chain身份驗證狀態
-     * @param _user 用戶地址
-     * @param _verified 驗證狀態
+     * @dev 登記新的押金代幣，利息管理器須以該代幣為存款代幣並授權本合約存取
+     * @param _token 押金代幣地址
+     * @param _interestManager 該代幣的利息管理器地址
      */
-    function setHashKeyVerification(address _user, bool _verified) external onlyOwner {
-        hashKeyVerified[_user] = _verified;
-        emit HashKeyVerificationUpdated(_user, _verified);
+    function addDepositToken(address _token, address _interestManager) external onlyOwner {
+        _addDepositToken(_token, _interestManager);
+    }
+    
+    /**
+     * @dev 開放或停止押金代幣用於新租賃，既有租賃不受影響
+     * @param _token 押金代幣地址
+     * @param _enabled 是否開放
+     */
+    function setDepositTokenEnabled(address _token, bool _enabled) external onlyOwner {
+        require(address(tokenInterestManagers[_token]) != address(0), "Token not registered");
+        isDepositTokenEnabled[_token] = _enabled;
+        emit DepositTokenStatusUpdated(_token, _enabled);
     }
     
     /**
@@ -424,7 +941,7 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     function updateMetadataURI(uint256 _rentalId, string calldata _metadataURI) external {
         RentalInfo storage rental = rentals[_rentalId];
         require(rental.isActive, "Rental is not active");
-        require(msg.sender == rental.tenant || msg.sender == rental.landlord || msg.sender == owner(), "Not authorized");
+        require(_msgSender() == rental.tenant || _msgSender() == rental.landlord || _msgSender() == owner(), "Not authorized");
         
         rental.metadataURI = _metadataURI;
         rentalNFT.setTokenURI(_rentalId, _metadataURI);
@@ -440,7 +957,7 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     function updateInterestSharing(uint256 _rentalId, uint256 _newPercentage) external {
         RentalInfo storage rental = rentals[_rentalId];
         require(rental.isActive, "Rental is not active");
-        require(msg.sender == rental.landlord || msg.sender == owner(), "Not authorized");
+        require(_msgSender() == rental.landlord || _msgSender() == owner(), "Not authorized");
         require(_newPercentage <= 100, "Percentage cannot exceed 100");
         
         rental.interestSharingPercentage = _newPercentage;
@@ -449,12 +966,23 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 緊急提款功能，僅限所有者
-     * @param _token 代幣地址
-     * @param _amount 提款金額
+     * @dev 緊急提款功能，須先暫停創建租賃，由守護者或所有者將租賃押金退還給當事人：
+     *      本金全數退還租客，利息按約定比例分配，與房東提前終止的結算方式相同；
+     *      爭議中或有待回應扣款申請的租賃須經裁決後結算
+     * @param _rentalId 租賃ID
      */
-    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner {
-        IERC20(_token).safeTransfer(owner(), _amount);
+    function emergencyWithdraw(uint256 _rentalId) external onlyGuardian nonReentrant {
+        RentalInfo storage rental = rentals[_rentalId];
+        
+        require(pausedScopes[RENTAL_CREATION], "Rental creation not paused");
+        require(rental.isActive, "Rental is not active");
+        require(!rental.inDispute, "Rental is in dispute");
+        require(!_hasPendingClaim(_rentalId), "Deduction claim pending");
+        
+        SettlementMath.Settlement memory settlement = _settle(_rentalId, 0, rental.interestSharingPercentage);
+        
+        emit EmergencyWithdrawal(_rentalId, _msgSender());
+        emit DepositRefunded(_rentalId, rental.tenant, settlement.tenantPrincipal + settlement.tenantInterest);
     }
     
     /**
@@ -466,6 +994,14 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
         return rentals[_rentalId];
     }
     
+    /**
+     * @dev 獲取所有已登記的押金代幣
+     * @return 代幣地址數組
+     */
+    function getDepositTokens() external view returns (address[] memory) {
+        return _depositTokens;
+    }
+    
     /**
      * @dev 獲取租賃目前的押金價值（包含利息）
      * @param _rentalId 租賃ID
@@ -475,30 +1011,32 @@ contract RentalDeposit is Ownable, ReentrancyGuard {
         RentalInfo storage rental = rentals[_rentalId];
         require(rental.isActive, "Rental is not active");
         
-        return interestManager.getDepositWithInterest(rental.depositAmount);
+        return tokenInterestManagers[rental.token].getRentalValue(_rentalId);
     }
     
     /**
-     * @dev 檢查租賃是否處於活躍狀態
-     * @param _rentalId 租賃ID
-     * @return 是否活躍
+     * @dev 只有所有者可以升級實作合約
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+    
+    /**
+     * @dev 暫停機制的管理員為合約所有者
      */
-    function isRentalActive(uint256 _rentalId) external view returns (bool) {
-        return rentals[_rentalId].isActive;
+    function _checkPauseAdmin() internal view override {
+        _checkOwner();
     }
     
     /**
-     * @dev 批量獲取租賃狀態
-     * @param _rentalIds 租賃ID數組
-     * @return 活躍狀態數組
+     * @dev 經由可信轉發者調用時，以請求簽署者作為發送者
      */
-    function batchGetRentalStatus(uint256[] calldata _rentalIds) external view returns (bool[] memory) {
-        bool[] memory statuses = new bool[](_rentalIds.length);
-        
-        for (uint256 i = 0; i < _rentalIds.length; i++) {
-            statuses[i] = rentals[_rentalIds[i]].isActive;
-        }
-        
-        return statuses;
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev 經由可信轉發者調用時，移除附加在調用數據末端的簽署者地址
+     */
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
     }
 }
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../utils/TrustedForwarderRecipient.sol";
+import "./RentalDeposit.sol";
+
+/**
+ * @title RentalGateway
+ * @dev 租賃創建入口，讓租客以EIP-2612許可簽名或經付費中繼創建租賃，
+ *      押金仍由租賃押金合約向租客收取，許可與授權的對象皆為租賃押金合約
+ */
+contract RentalGateway is Ownable, TrustedForwarderRecipient {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) Ownable() {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 以EIP-2612許可簽名授權押金並創建租賃，免除事先的approve交易
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址，須支援EIP-2612
+     * @param _depositAmount 押金金額
+     * @param _leaseDuration 租期（秒）
+     * @param _metadataURI 租賃元數據的IPFS URI
+     * @param _interestSharingPercentage 租客分享利息的百分比 (0-100)
+     * @param _deadline 許可簽名的有效期限
+     * @param _v 簽名v值
+     * @param _r 簽名r值
+     * @param _s 簽名s值
+     * @return rentalId 新創建的租賃ID
+     */
+    function createRentalWithPermit(
+        address _landlord,
+        address _token,
+        uint256 _depositAmount,
+        uint256 _leaseDuration,
+        string calldata _metadataURI,
+        uint256 _interestSharingPercentage,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external returns (uint256) {
+        address tenant = _msgSender();
+        
+        // 許可簽名可能已被他人搶先提交，此時只要授權額度足夠即可繼續
+        try IERC20Permit(_token).permit(tenant, address(rentalDeposit), _depositAmount, _deadline, _v, _r, _s) {
+        } catch {
+            require(
+                IERC20(_token).allowance(tenant, address(rentalDeposit)) >= _depositAmount,
+                "Permit failed"
+            );
+        }
+        
+        return rentalDeposit.createRentalFor(
+            tenant,
+            _landlord,
+            _token,
+            _depositAmount,
+            _leaseDuration,
+            _metadataURI,
+            _interestSharingPercentage,
+            address(0),
+            0
+        );
+    }
+    
+    /**
+     * @dev 經由可信轉發者中繼創建租賃，並從押金中扣除中繼手續費支付給中繼者，
+     *      租客須已授權租賃押金合約押金總額（含手續費），實際託管的押金為扣除手續費後的金額
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址
+     * @param _depositAmount 租客支付的押金總額（含手續費）
+     * @param _leaseDuration 租期（秒）
+     * @param _metadataURI 租賃元數據的IPFS URI
+     * @param _interestSharingPercentage 租客分享利息的百分比 (0-100)
+     * @param _relayer 收取手續費的中繼者地址
+     * @param _relayFee 以押金代幣計價的中繼手續費
+     * @return rentalId 新創建的租賃ID
+     */
+    function createRentalWithRelayFee(
+        address _landlord,
+        address _token,
+        uint256 _depositAmount,
+        uint256 _leaseDuration,
+        string calldata _metadataURI,
+        uint256 _interestSharingPercentage,
+        address _relayer,
+        uint256 _relayFee
+    ) external returns (uint256) {
+        require(isTrustedForwarder(msg.sender), "Only trusted forwarder");
+        require(_relayFee < _depositAmount, "Relay fee exceeds deposit");
+        
+        return rentalDeposit.createRentalFor(
+            _msgSender(),
+            _landlord,
+            _token,
+            _depositAmount,
+            _leaseDuration,
+            _metadataURI,
+            _interestSharingPercentage,
+            _relayer,
+            _relayFee
+        );
+    }
+    
+    /**
+     * @dev 設置ERC-2771可信轉發者
+     * @param _forwarder 轉發者地址，設為零地址時停用元交易
+     */
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        _setTrustedForwarder(_forwarder);
+    }
+    
+    /**
+     * @dev 經由可信轉發者調用時，以請求簽署者作為發送者
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev 經由可信轉發者調用時，移除附加在調用數據末端的簽署者地址
+     */
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+}
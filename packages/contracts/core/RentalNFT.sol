@@ -6,12 +6,13 @@ import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "../interfaces/IERC4907.sol";
+import "../utils/TrustedForwarderRecipient.sol";
 
 /**
  * @title RentalNFT
  * @dev 代表租賃合同的NFT，整合ERC-4907標準實現租賃功能
  */
-contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC4907 {
+contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC4907, TrustedForwarderRecipient {
     using Counters for Counters.Counter;
     
     // 角色定義
@@ -122,6 +123,19 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
         emit UpdateUser(_tokenId, address(0), 0);
     }
     
+    /**
+     * @dev 更新租客用戶權限的到期時間，用於建立租賃與續約
+     * @param _tokenId NFT ID
+     * @param _expires 新的到期時間戳
+     */
+    function updateUserExpires(uint256 _tokenId, uint64 _expires) external onlyRole(MINTER_ROLE) {
+        require(_exists(_tokenId), "Token does not exist");
+        
+        _users[_tokenId].expires = _expires;
+        
+        emit UpdateUser(_tokenId, _users[_tokenId].user, _expires);
+    }
+    
     /**
      * @dev 設置代幣元數據URI
      * @param _tokenId 代幣ID
@@ -148,6 +162,14 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
         grantRole(MINTER_ROLE, _minter);
     }
     
+    /**
+     * @dev 設置ERC-2771可信轉發者
+     * @param _forwarder 轉發者地址，設為零地址時停用元交易
+     */
+    function setTrustedForwarder(address _forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setTrustedForwarder(_forwarder);
+    }
+    
     /**
      * @dev 移除鑄造者
      * @param _minter 要移除的鑄造者地址
@@ -190,7 +212,7 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
      */
     function setENSName(uint256 _tokenId, string calldata _ensName) external {
         require(_exists(_tokenId), "Token does not exist");
-        require(msg.sender == ownerOf(_tokenId) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not authorized");
+        require(_msgSender() == ownerOf(_tokenId) || hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "Not authorized");
         require(bytes(_ensName).length > 0, "ENS name cannot be empty");
         require(_ensToTokenId[_ensName] == 0, "ENS name already in use");
         
@@ -215,7 +237,7 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
      * @param expires 到期時間戳
      */
     function setUser(uint256 tokenId, address user, uint64 expires) external override {
-        require(_isApprovedOrOwner(msg.sender, tokenId), "Not approved or owner");
+        require(_isApprovedOrOwner(_msgSender(), tokenId), "Not approved or owner");
         
         // 更新用戶信息
         _users[tokenId] = UserInfo({
@@ -248,7 +270,7 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
     }
     
     // 以下函數是為了解決ERC721URIStorage和ERC721Enumerable之間的繼承衝突
-
+    
     function _baseURI() internal view virtual override returns (string memory) {
         return super._baseURI();
     }
@@ -275,7 +297,7 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
         
         // 只有部署者或擁有管理員角色的地址可以轉移NFT
         require(
-            hasRole(DEFAULT_ADMIN_ROLE, msg.sender) || hasRole(MINTER_ROLE, msg.sender),
+            hasRole(DEFAULT_ADMIN_ROLE, _msgSender()) || hasRole(MINTER_ROLE, _msgSender()),
             "RentalNFT: transfer not allowed"
         );
         
@@ -308,4 +330,18 @@ contract RentalNFT is ERC721URIStorage, ERC721Enumerable, AccessControl, IERC490
     {
         return super.tokenURI(tokenId);
     }
+    
+    /**
+     * @dev 經由可信轉發者調用時，以請求簽署者作為發送者
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev 經由可信轉發者調用時，移除附加在調用數據末端的簽署者地址
+     */
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
 }
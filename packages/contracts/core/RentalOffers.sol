@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./RentalDeposit.sol";
+
+/**
+ * @title RentalOffers
+ * @dev 房東以EIP-712簽署租賃要約，租客提交要約與簽名即可在一筆交易內創建租賃，
+ *      確保雙方對押金、租期與利息分享等條件皆已同意
+ */
+contract RentalOffers is EIP712 {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    // 房東簽署的租賃要約
+    struct RentalOffer {
+        address landlord;        // 房東地址（簽署者）
+        address tenant;          // 指定租客，零地址表示任何人皆可接受
+        address token;           // 押金代幣地址
+        uint256 depositAmount;   // 押金金額
+        uint256 leaseDuration;   // 租期（秒）
+        uint256 interestSharingPercentage; // 租客分享利息的百分比 (0-100)
+        string metadataURI;      // 租賃元數據的IPFS URI
+        uint256 expiry;          // 要約失效時間
+        uint256 nonce;           // 房東的要約序號
+    }
+    
+    bytes32 public constant RENTAL_OFFER_TYPEHASH = keccak256(
+        "RentalOffer(address landlord,address tenant,address token,uint256 depositAmount,uint256 leaseDuration,uint256 interestSharingPercentage,string metadataURI,uint256 expiry,uint256 nonce)"
+    );
+    
+    // 房東已使用或取消的要約序號
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+    // 房東的最小有效要約序號，低於此值的要約全部失效
+    mapping(address => uint256) public minNonce;
+    
+    // 事件定義
+    event OfferAccepted(address indexed landlord, uint256 indexed nonce, uint256 indexed rentalId, address tenant);
+    event OfferCancelled(address indexed landlord, uint256 indexed nonce);
+    event NoncesInvalidated(address indexed landlord, uint256 minNonce);
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) EIP712("DeWork Rental Offers", "1") {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 租客接受房東簽署的要約並創建租賃，押金由租客支付（須先授權租賃押金合約）
+     * @param _offer 房東簽署的租賃要約
+     * @param _signature 房東對要約的EIP-712簽名
+     * @return rentalId 新創建的租賃ID
+     */
+    function createRentalWithOffer(
+        RentalOffer calldata _offer,
+        bytes calldata _signature
+    ) external returns (uint256) {
+        require(block.timestamp <= _offer.expiry, "Offer expired");
+        require(_offer.tenant == address(0) || _offer.tenant == msg.sender, "Offer not for caller");
+        require(msg.sender != _offer.landlord, "Landlord cannot accept own offer");
+        require(isOfferValid(_offer.landlord, _offer.nonce), "Offer nonce used or invalidated");
+        require(
+            SignatureChecker.isValidSignatureNow(_offer.landlord, hashOffer(_offer), _signature),
+            "Invalid offer signature"
+        );
+        
+        nonceUsed[_offer.landlord][_offer.nonce] = true;
+        
+        uint256 rentalId = rentalDeposit.createRentalFor(
+            msg.sender,
+            _offer.landlord,
+            _offer.token,
+            _offer.depositAmount,
+            _offer.leaseDuration,
+            _offer.metadataURI,
+            _offer.interestSharingPercentage,
+            address(0),
+            0
+        );
+        
+        emit OfferAccepted(_offer.landlord, _offer.nonce, rentalId, msg.sender);
+        
+        return rentalId;
+    }
+    
+    /**
+     * @dev 房東取消尚未被接受的要約
+     * @param _nonce 要約序號
+     */
+    function cancelOffer(uint256 _nonce) external {
+        require(isOfferValid(msg.sender, _nonce), "Offer nonce used or invalidated");
+        
+        nonceUsed[msg.sender][_nonce] = true;
+        
+        emit OfferCancelled(msg.sender, _nonce);
+    }
+    
+    /**
+     * @dev 房東一次作廢所有序號低於指定值的要約
+     * @param _minNonce 新的最小有效序號
+     */
+    function invalidateNonces(uint256 _minNonce) external {
+        require(_minNonce > minNonce[msg.sender], "Nonce must increase");
+        
+        minNonce[msg.sender] = _minNonce;
+        
+        emit NoncesInvalidated(msg.sender, _minNonce);
+    }
+    
+    /**
+     * @dev 檢查要約序號是否仍可使用
+     * @param _landlord 房東地址
+     * @param _nonce 要約序號
+     * @return 是否可使用
+     */
+    function isOfferValid(address _landlord, uint256 _nonce) public view returns (bool) {
+        return _nonce >= minNonce[_landlord] && !nonceUsed[_landlord][_nonce];
+    }
+    
+    /**
+     * @dev 計算要約的EIP-712簽名摘要
+     * @param _offer 租賃要約
+     * @return 待簽名的摘要
+     */
+    function hashOffer(RentalOffer calldata _offer) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            RENTAL_OFFER_TYPEHASH,
+            _offer.landlord,
+            _offer.tenant,
+            _offer.token,
+            _offer.depositAmount,
+            _offer.leaseDuration,
+            _offer.interestSharingPercentage,
+            keccak256(bytes(_offer.metadataURI)),
+            _offer.expiry,
+            _offer.nonce
+        )));
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RentalDeposit.sol";
+import "../utils/SettlementMath.sol";
+
+/**
+ * @title SettlementPreview
+ * @dev 在送出結算交易前預覽各方分得的金額，以租賃目前的押金價值按租賃押金合約的規則計算，
+ *      實際結算時利息會累積到交易所在的區塊，金額可能略高於預覽
+ */
+contract SettlementPreview {
+    // 租賃押金合約實例
+    RentalDeposit public rentalDeposit;
+    
+    /**
+     * @dev 構造函數
+     * @param _rentalDeposit 租賃押金合約地址
+     */
+    constructor(address _rentalDeposit) {
+        require(_rentalDeposit != address(0), "Invalid rental deposit address");
+        rentalDeposit = RentalDeposit(_rentalDeposit);
+    }
+    
+    /**
+     * @dev 預覽正常結束租賃：本金全數給房東，利息按分享比例分配
+     * @param _rentalId 租賃ID
+     * @return 各方分得的金額
+     */
+    function previewEndRental(uint256 _rentalId) external view returns (SettlementMath.Settlement memory) {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        return _preview(_rentalId, rental, rental.depositAmount, rental.interestSharingPercentage);
+    }
+    
+    /**
+     * @dev 預覽房東提前終止：本金全數退還租客，利息按分享比例分配
+     * @param _rentalId 租賃ID
+     * @return 各方分得的金額
+     */
+    function previewTerminateEarly(uint256 _rentalId) external view returns (SettlementMath.Settlement memory) {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        return _preview(_rentalId, rental, 0, rental.interestSharingPercentage);
+    }
+    
+    /**
+     * @dev 預覽平台裁決爭議：租客勝訴取得全部本金，房東勝訴取得爭議的最高可裁決本金，勝訴方另得扣除平台費用後的利息
+     * @param _rentalId 租賃ID
+     * @param _favorTenant 是否有利於租客
+     * @return 各方分得的金額
+     */
+    function previewResolve(uint256 _rentalId, bool _favorTenant) external view returns (SettlementMath.Settlement memory) {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        if (_favorTenant) {
+            return _preview(_rentalId, rental, 0, SettlementMath.PERCENTAGE_DENOMINATOR);
+        }
+        return _preview(_rentalId, rental, _maxAward(_rentalId, rental), 0);
+    }
+    
+    /**
+     * @dev 預覽以分割方式解決爭議：本金按裁決金額分配，利息按分享比例分配，裁決金額不得超過爭議的最高可裁決本金
+     * @param _rentalId 租賃ID
+     * @param _landlordPrincipal 裁決給房東的本金金額
+     * @return 各方分得的金額
+     */
+    function previewResolveWithSplit(
+        uint256 _rentalId,
+        uint256 _landlordPrincipal
+    ) external view returns (SettlementMath.Settlement memory) {
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(_rentalId);
+        require(_landlordPrincipal <= _maxAward(_rentalId, rental), "Amount exceeds max award");
+        return _preview(_rentalId, rental, _landlordPrincipal, rental.interestSharingPercentage);
+    }
+    
+    /**
+     * @dev 獲取爭議可裁決給房東的最高本金，未記錄上限時以押金全額為上限
+     */
+    function _maxAward(
+        uint256 _rentalId,
+        RentalDeposit.RentalInfo memory _rental
+    ) internal view returns (uint256) {
+        uint256 maxAward = rentalDeposit.disputeMaxAwards(_rentalId);
+        return maxAward == 0 ? _rental.depositAmount : maxAward;
+    }
+    
+    /**
+     * @dev 以租賃目前的押金價值計算結算結果，租賃已結束時回滾
+     */
+    function _preview(
+        uint256 _rentalId,
+        RentalDeposit.RentalInfo memory _rental,
+        uint256 _landlordPrincipal,
+        uint256 _tenantInterestPercentage
+    ) internal view returns (SettlementMath.Settlement memory) {
+        return SettlementMath.calculate(
+            rentalDeposit.getCurrentDepositValue(_rentalId),
+            _rental.depositAmount,
+            _landlordPrincipal,
+            _tenantInterestPercentage,
+            _rental.platformFeeBps
+        );
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IArbitrationPanel
+ * @dev 仲裁模組接口，租賃押金合約在爭議提出時開啟仲裁案件
+ */
+interface IArbitrationPanel {
+    /**
+     * @dev 為爭議開啟仲裁案件並排定仲裁員抽選
+     * @param _rentalId 租賃ID
+     * @param _tenant 租客地址
+     * @param _landlord 房東地址
+     * @param _token 押金代幣地址（仲裁員費用以此代幣支付）
+     * @param _maxAward 可裁決給房東的最高本金
+     */
+    function openDispute(
+        uint256 _rentalId,
+        address _tenant,
+        address _landlord,
+        address _token,
+        uint256 _maxAward
+    ) external;
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IDeductionClaims
+ * @dev 扣款申請模組接口，租賃押金合約在結算與裁決時查詢及更新扣款申請狀態
+ */
+interface IDeductionClaims {
+    /**
+     * @dev 檢查租賃是否有等待租客回應的扣款申請
+     * @param _rentalId 租賃ID
+     * @return 是否有待回應的申請
+     */
+    function hasPendingClaim(uint256 _rentalId) external view returns (bool);
+    
+    /**
+     * @dev 爭議裁決後將已提出異議的扣款申請標記為已裁決
+     * @param _rentalId 租賃ID
+     */
+    function markResolved(uint256 _rentalId) external;
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IDisputeEvidence
+ * @dev 爭議證據模組接口，租賃押金合約在提出爭議時一併記錄發起方的證據
+ */
+interface IDisputeEvidence {
+    /**
+     * @dev 記錄爭議發起方隨爭議一併提交的證據
+     * @param _rentalId 租賃ID
+     * @param _submitter 提交者地址
+     * @param _evidenceURI 證據的IPFS URI
+     */
+    function recordEvidence(uint256 _rentalId, address _submitter, string calldata _evidenceURI) external;
+}
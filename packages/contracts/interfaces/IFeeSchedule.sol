@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IFeeSchedule
+ * @dev 平台費率表接口，租賃押金合約在創建租賃時查詢並鎖定該租賃的平台費率
+ */
+interface IFeeSchedule {
+    /**
+     * @dev 依押金規模與租客驗證等級計算平台費率
+     * @param _tenant 租客地址
+     * @param _token 押金代幣地址
+     * @param _depositAmount 押金金額
+     * @return 平台費率（基點，10000為100%）
+     */
+    function getFeeBps(address _tenant, address _token, uint256 _depositAmount) external view returns (uint256);
+}
@@ -7,24 +7,34 @@ pragma solidity ^0.8.19;
  */
 interface IInterestManager {
     /**
-     * @dev 存入資金並投入收益協議
+     * @dev 存入資金並投入收益協議，按當前每份額價值為租賃鑄造份額
+     * @param _rentalId 租賃ID
      * @param _amount 存款金額
+     * @return 鑄造的份額
      */
-    function deposit(uint256 _amount) external;
+    function deposit(uint256 _rentalId, uint256 _amount) external returns (uint256);
     
     /**
-     * @dev 從收益協議提取資金
+     * @dev 從租賃的持倉中提取指定金額
+     * @param _rentalId 租賃ID
      * @param _amount 提取金額
-     * @return 實際提取金額（包含利息）
+     * @return 實際提取金額
      */
-    function withdraw(uint256 _amount) external returns (uint256);
+    function withdraw(uint256 _rentalId, uint256 _amount) external returns (uint256);
     
     /**
-     * @dev 計算存款金額對應的當前價值（包含利息）
-     * @param _depositAmount 原始存款金額
+     * @dev 贖回租賃的全部份額（本金加累積利息）
+     * @param _rentalId 租賃ID
+     * @return 實際提取金額
+     */
+    function withdrawAll(uint256 _rentalId) external returns (uint256);
+    
+    /**
+     * @dev 計算租賃持倉的當前價值（包含利息）
+     * @param _rentalId 租賃ID
      * @return 當前價值
      */
-    function getDepositWithInterest(uint256 _depositAmount) external view returns (uint256);
+    function getRentalValue(uint256 _rentalId) external view returns (uint256);
     
     /**
      * @dev 獲取當前總價值
@@ -29,6 +29,13 @@ interface IRentalNFT {
      */
     function burn(uint256 _tokenId) external;
     
+    /**
+     * @dev 更新租客用戶權限的到期時間
+     * @param _tokenId NFT ID
+     * @param _expires 新的到期時間戳
+     */
+    function updateUserExpires(uint256 _tokenId, uint64 _expires) external;
+    
     /**
      * @dev 獲取租賃元數據
      * @param _tokenId NFT ID
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../core/InterestManager.sol";
+
+/**
+ * @title InterestManagerV2Mock
+ * @dev 模擬利息管理器的後續版本，只在既有狀態變數之後新增變數，用於測試代理升級
+ */
+contract InterestManagerV2Mock is InterestManager {
+    // 新版本新增的狀態變數
+    uint256 public performanceFee;
+    
+    /**
+     * @dev 獲取實作版本
+     * @return 版本號
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
+
+/**
+ * @title StorageShiftMock
+ * @dev 佔用儲存槽的基礎合約，繼承後會使既有變數位移
+ */
+abstract contract StorageShiftMock {
+    uint256 internal _shiftedSlot;
+}
+
+/**
+ * @title InterestManagerBrokenLayoutMock
+ * @dev 在既有狀態變數之前插入變數的錯誤版本，升級腳本應拒絕部署
+ */
+contract InterestManagerBrokenLayoutMock is StorageShiftMock, InterestManager {}
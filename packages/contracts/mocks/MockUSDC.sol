@@ -2,13 +2,14 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title MockUSDC
- * @dev 模擬USDC代幣，用於測試目的
+ * @dev 模擬USDC代幣，用於測試目的，與USDC一樣支援EIP-2612許可簽名
  */
-contract MockUSDC is ERC20, Ownable {
+contract MockUSDC is ERC20, ERC20Permit, Ownable {
     uint8 private _decimals;
     
     /**
@@ -21,7 +22,7 @@ contract MockUSDC is ERC20, Ownable {
         string memory name,
         string memory symbol,
         uint8 decimals_
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _decimals = decimals_;
     }
     
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IWorldID.sol";
+
+/**
+ * @title MockWorldID
+ * @dev 模擬WorldID協議，用於測試。證明的第一個元素為零時視為無效
+ */
+contract MockWorldID is IWorldID {
+    /**
+     * @dev 驗證零知識證明
+     */
+    function verifyProof(
+        uint256,
+        uint256,
+        uint256,
+        uint256,
+        uint256,
+        uint256[8] calldata proof
+    ) external pure override {
+        require(proof[0] != 0, "MockWorldID: invalid proof");
+    }
+}
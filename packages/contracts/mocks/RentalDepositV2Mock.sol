@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../core/RentalDeposit.sol";
+
+/**
+ * @title RentalDepositV2Mock
+ * @dev 模擬租賃押金合約的後續版本，只在既有狀態變數之後新增變數，用於測試代理升級
+ */
+contract RentalDepositV2Mock is RentalDeposit {
+    // 新版本新增的狀態變數
+    string public releaseNotes;
+    
+    /**
+     * @dev 獲取實作版本
+     * @return 版本號
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -2,13 +2,15 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployProxy, describeImplementation } = require("./upgrades");
 
-async function main() {
+// deployDir 為部署文件的輸出目錄，測試時可指定暫存目錄
+async function main(deployDir = path.join(__dirname, "../deploy")) {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
 
   // 獲取網絡ID和名稱
-  const chainId = (await ethers.provider.getNetwork()).chainId;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
   let network = "unknown";
   if (chainId === 421614) {
     network = "arbitrumSepolia";
@@ -30,7 +32,7 @@ async function main() {
     console.log("MockUSDC deployed to:", usdcAddress);
 
     // 為部署者鑄造一些測試代幣
-    await mockUSDC.mint(deployer.address, ethers.utils.parseUnits("10000", 6));
+    await mockUSDC.mint(deployer.address, ethers.parseUnits("10000", 6));
   } else {
     // 使用網絡上已有的USDC
     if (network === "arbitrumSepolia") {
@@ -43,21 +45,35 @@ async function main() {
     console.log("Using existing USDC at:", usdcAddress);
   }
 
-  // 部署收益提供者 (Aave)
-  console.log("Deploying AaveYieldProvider...");
-  const AaveYieldProvider = await ethers.getContractFactory("AaveYieldProvider");
-  const aaveProvider = await AaveYieldProvider.deploy(usdcAddress);
-  await aaveProvider.waitForDeployment();
-  const aaveProviderAddress = await aaveProvider.getAddress();
-  console.log("AaveYieldProvider deployed to:", aaveProviderAddress);
+  // 部署收益提供者，本地網絡沒有Aave借貸池，改用模擬收益提供者
+  let yieldProvider;
+  if (network === "localhost") {
+    console.log("Deploying MockYieldProvider...");
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    yieldProvider = await MockYieldProvider.deploy(usdcAddress);
+  } else {
+    if (!process.env.AAVE_ATOKEN_ADDRESS || !process.env.AAVE_LENDING_POOL_ADDRESS || !process.env.AAVE_DATA_PROVIDER_ADDRESS) {
+      throw new Error("AAVE_ATOKEN_ADDRESS, AAVE_LENDING_POOL_ADDRESS and AAVE_DATA_PROVIDER_ADDRESS are required");
+    }
+    console.log("Deploying AaveYieldProvider...");
+    const AaveYieldProvider = await ethers.getContractFactory("AaveYieldProvider");
+    yieldProvider = await AaveYieldProvider.deploy(
+      usdcAddress,
+      process.env.AAVE_ATOKEN_ADDRESS,
+      process.env.AAVE_LENDING_POOL_ADDRESS,
+      process.env.AAVE_DATA_PROVIDER_ADDRESS
+    );
+  }
+  await yieldProvider.waitForDeployment();
+  const yieldProviderAddress = await yieldProvider.getAddress();
+  console.log("YieldProvider deployed to:", yieldProviderAddress);
 
-  // 部署利息管理器
+  // 部署利息管理器（UUPS代理）
   console.log("Deploying InterestManager...");
-  const InterestManager = await ethers.getContractFactory("InterestManager");
-  const interestManager = await InterestManager.deploy(usdcAddress, aaveProviderAddress);
-  await interestManager.waitForDeployment();
+  const interestManager = await deployProxy("InterestManager", [usdcAddress, yieldProviderAddress]);
   const interestManagerAddress = await interestManager.getAddress();
   console.log("InterestManager deployed to:", interestManagerAddress);
+  await yieldProvider.transferOwnership(interestManagerAddress);
 
   // 部署租賃NFT
   console.log("Deploying RentalNFT...");
@@ -91,17 +107,15 @@ async function main() {
   const selfProtocolAddress = await selfProtocol.getAddress();
   console.log("SelfProtocolMock deployed to:", selfProtocolAddress);
 
-  // 部署租賃押金合約
+  // 部署租賃押金合約（UUPS代理）
   console.log("Deploying RentalDeposit...");
-  const RentalDeposit = await ethers.getContractFactory("RentalDeposit");
-  const rentalDeposit = await RentalDeposit.deploy(
+  const rentalDeposit = await deployProxy("RentalDeposit", [
     usdcAddress,
     interestManagerAddress,
     rentalNFTAddress,
     worldIDVerifierAddress,
     selfProtocolAddress
-  );
-  await rentalDeposit.waitForDeployment();
+  ]);
   const rentalDepositAddress = await rentalDeposit.getAddress();
   console.log("RentalDeposit deployed to:", rentalDepositAddress);
 
@@ -124,6 +138,94 @@ async function main() {
   const noditManagerAddress = await noditManager.getAddress();
   console.log("NoditManager deployed to:", noditManagerAddress);
 
+  // 部署租金管理器
+  console.log("Deploying RentManager...");
+  const RentManager = await ethers.getContractFactory("RentManager");
+  const rentManager = await RentManager.deploy(rentalDepositAddress);
+  await rentManager.waitForDeployment();
+  const rentManagerAddress = await rentManager.getAddress();
+  console.log("RentManager deployed to:", rentManagerAddress);
+
+  // 繳租歷史由租金管理器寫入Self信用合約，記錄權限限於擁有者
+  await selfProtocol.transferOwnership(rentManagerAddress);
+  console.log("Transferred SelfProtocol ownership to RentManager");
+
+  // 部署租賃要約合約，讓租客以房東簽署的要約創建租賃
+  console.log("Deploying RentalOffers...");
+  const RentalOffers = await ethers.getContractFactory("RentalOffers");
+  const rentalOffers = await RentalOffers.deploy(rentalDepositAddress);
+  await rentalOffers.waitForDeployment();
+  const rentalOffersAddress = await rentalOffers.getAddress();
+  console.log("RentalOffers deployed to:", rentalOffersAddress);
+
+  // 部署創建入口合約，讓租客以押金許可或付費中繼創建租賃
+  console.log("Deploying RentalGateway...");
+  const RentalGateway = await ethers.getContractFactory("RentalGateway");
+  const rentalGateway = await RentalGateway.deploy(rentalDepositAddress);
+  await rentalGateway.waitForDeployment();
+  const rentalGatewayAddress = await rentalGateway.getAddress();
+  console.log("RentalGateway deployed to:", rentalGatewayAddress);
+
+  // 部署續約合約，管理房東提出的續約條件
+  console.log("Deploying LeaseRenewals...");
+  const LeaseRenewals = await ethers.getContractFactory("LeaseRenewals");
+  const leaseRenewals = await LeaseRenewals.deploy(rentalDepositAddress);
+  await leaseRenewals.waitForDeployment();
+  const leaseRenewalsAddress = await leaseRenewals.getAddress();
+  console.log("LeaseRenewals deployed to:", leaseRenewalsAddress);
+
+  // 部署結算預覽合約，供前端在送出結算交易前顯示各方分得的金額
+  console.log("Deploying SettlementPreview...");
+  const SettlementPreview = await ethers.getContractFactory("SettlementPreview");
+  const settlementPreview = await SettlementPreview.deploy(rentalDepositAddress);
+  await settlementPreview.waitForDeployment();
+  const settlementPreviewAddress = await settlementPreview.getAddress();
+  console.log("SettlementPreview deployed to:", settlementPreviewAddress);
+
+  // 部署扣款申請合約，管理房東於租期結束後提出的逐項扣款
+  console.log("Deploying DeductionClaims...");
+  const DeductionClaims = await ethers.getContractFactory("DeductionClaims");
+  const deductionClaims = await DeductionClaims.deploy(rentalDepositAddress);
+  await deductionClaims.waitForDeployment();
+  const deductionClaimsAddress = await deductionClaims.getAddress();
+  console.log("DeductionClaims deployed to:", deductionClaimsAddress);
+
+  // 部署爭議證據合約，記錄爭議雙方提交的證據時間線
+  console.log("Deploying DisputeEvidence...");
+  const DisputeEvidence = await ethers.getContractFactory("DisputeEvidence");
+  const disputeEvidence = await DisputeEvidence.deploy(rentalDepositAddress);
+  await disputeEvidence.waitForDeployment();
+  const disputeEvidenceAddress = await disputeEvidence.getAddress();
+  console.log("DisputeEvidence deployed to:", disputeEvidenceAddress);
+
+  // 部署平台費率表，依押金規模與租客驗證等級決定每筆租賃的費率
+  console.log("Deploying FeeSchedule...");
+  const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+  const feeSchedule = await FeeSchedule.deploy(rentalDepositAddress);
+  await feeSchedule.waitForDeployment();
+  const feeScheduleAddress = await feeSchedule.getAddress();
+  console.log("FeeSchedule deployed to:", feeScheduleAddress);
+
+  // 部署ERC-2771轉發者，讓沒有Gas代幣的用戶透過中繼者提交交易
+  console.log("Deploying DeWorkForwarder...");
+  const DeWorkForwarder = await ethers.getContractFactory("DeWorkForwarder");
+  const forwarder = await DeWorkForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("DeWorkForwarder deployed to:", forwarderAddress);
+
+  // 部署仲裁模組，以押金穩定幣作為仲裁員質押代幣
+  console.log("Deploying ArbitrationPanel...");
+  const ArbitrationPanel = await ethers.getContractFactory("ArbitrationPanel");
+  const arbitrationPanel = await ArbitrationPanel.deploy(
+    rentalDepositAddress,
+    usdcAddress,
+    ethers.parseUnits("100", 6) // 最低質押 100 USDC
+  );
+  await arbitrationPanel.waitForDeployment();
+  const arbitrationPanelAddress = await arbitrationPanel.getAddress();
+  console.log("ArbitrationPanel deployed to:", arbitrationPanelAddress);
+
   // 部署ENS管理器
   console.log("Deploying ENSManager...");
   const ENSManager = await ethers.getContractFactory("ENSManager");
@@ -144,27 +246,145 @@ async function main() {
   await rentalNFT.addMinter(rentalDepositAddress);
   console.log("Added RentalDeposit as minter for RentalNFT");
 
+  // 創建租賃時由租賃押金合約設置NFT的元數據URI，須具管理員角色
+  await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), rentalDepositAddress);
+  console.log("Granted RentalNFT admin role to RentalDeposit");
+
+  // 授權租賃押金合約存取利息管理器的資金
+  await interestManager.setRentalDeposit(rentalDepositAddress);
+  console.log("Set RentalDeposit as depositor for InterestManager");
+
+  // 啟用仲裁模組處理爭議
+  await rentalDeposit.setArbitrationPanel(arbitrationPanelAddress);
+  console.log("Set ArbitrationPanel for RentalDeposit disputes");
+
+  // 授權要約合約代租客創建租賃
+  await rentalDeposit.setRentalOffers(rentalOffersAddress);
+  console.log("Set RentalOffers for RentalDeposit");
+
+  // 授權創建入口合約以押金許可或付費中繼代租客創建租賃
+  await rentalDeposit.setRentalGateway(rentalGatewayAddress);
+  console.log("Set RentalGateway for RentalDeposit");
+
+  // 授權續約合約延長租期並調整押金
+  await rentalDeposit.setLeaseRenewals(leaseRenewalsAddress);
+  console.log("Set LeaseRenewals for RentalDeposit");
+
+  // 授權扣款申請合約結算押金並開啟扣款爭議
+  await rentalDeposit.setDeductionClaims(deductionClaimsAddress);
+  console.log("Set DeductionClaims for RentalDeposit");
+
+  // 記錄隨爭議一併提交的證據
+  await rentalDeposit.setDisputeEvidence(disputeEvidenceAddress);
+  console.log("Set DisputeEvidence for RentalDeposit");
+
+  // 新租賃於創建時向費率表查詢並鎖定平台費率
+  await rentalDeposit.setFeeSchedule(feeScheduleAddress);
+  console.log("Set FeeSchedule for RentalDeposit");
+
+  // 費率表的HashKey折扣依身份驗證器的驗證狀態給予
+  await feeSchedule.setHashKeyVerifier(hashKeyVerifierAddress);
+  console.log("Set HashKeyIdentityVerifier for FeeSchedule");
+
+  // 設置平台費用的收款金庫，未指定時由部署者收取
+  const treasuryAddress = process.env.TREASURY_ADDRESS || deployer.address;
+  await rentalDeposit.setTreasury(treasuryAddress);
+  console.log("Set treasury:", treasuryAddress);
+
+  // Nodit管理器觸發的結算先將平台費用轉給它，開放執行時從中支付執行獎勵
+  await rentalDeposit.setNoditManager(noditManagerAddress);
+  console.log("Set NoditManager for RentalDeposit");
+
+  // 設置可暫停創建租賃、存款與收益提供者變更的守護者，未指定時由部署者擔任
+  const guardianAddress = process.env.GUARDIAN_ADDRESS || deployer.address;
+  await rentalDeposit.setGuardian(guardianAddress);
+  await interestManager.setGuardian(guardianAddress);
+  console.log("Set guardian:", guardianAddress);
+
+  // 爭議裁決屬日常營運，由不經時間鎖的營運帳戶執行，未指定時由部署者擔任
+  const disputeResolverAddress = process.env.DISPUTE_RESOLVER_ADDRESS || deployer.address;
+  await rentalDeposit.setDisputeResolver(disputeResolverAddress);
+  console.log("Set dispute resolver:", disputeResolverAddress);
+
+  // 設置可信轉發者以支援元交易
+  await rentalDeposit.setTrustedForwarder(forwarderAddress);
+  await rentalGateway.setTrustedForwarder(forwarderAddress);
+  await rentalNFT.setTrustedForwarder(forwarderAddress);
+  await worldIDVerifier.setTrustedForwarder(forwarderAddress);
+  console.log("Set DeWorkForwarder as trusted forwarder");
+
+  // 部署治理時間鎖並移交核心合約所有權，平台費用、爭議期限與收益提供者等變更須經過通知期
+  const timelockDelay = process.env.TIMELOCK_DELAY
+    ? Number(process.env.TIMELOCK_DELAY)
+    : (network === "localhost" ? 60 : 2 * 24 * 60 * 60);
+  const timelockProposer = process.env.TIMELOCK_PROPOSER || deployer.address;
+  console.log("Deploying DeWorkTimelock...");
+  const DeWorkTimelock = await ethers.getContractFactory("DeWorkTimelock");
+  const timelock = await DeWorkTimelock.deploy(
+    timelockDelay,
+    [timelockProposer],
+    [ethers.ZeroAddress], // 到期操作任何人皆可執行
+    ethers.ZeroAddress // 角色變更也須經過時間鎖
+  );
+  await timelock.waitForDeployment();
+  const timelockAddress = await timelock.getAddress();
+  console.log("DeWorkTimelock deployed to:", timelockAddress, "with delay", timelockDelay, "seconds");
+
+  await rentalDeposit.transferOwnership(timelockAddress);
+  await interestManager.transferOwnership(timelockAddress);
+  await feeSchedule.transferOwnership(timelockAddress);
+  console.log("Transferred RentalDeposit, InterestManager and FeeSchedule ownership to DeWorkTimelock");
+
+  // 可設置可信轉發者或調整仲裁、租金與任務參數的周邊合約同樣移交時間鎖，
+  // 任務排程由Nodit觸發者執行，不受影響
+  await rentalGateway.transferOwnership(timelockAddress);
+  await arbitrationPanel.transferOwnership(timelockAddress);
+  await rentManager.transferOwnership(timelockAddress);
+  await noditManager.transferOwnership(timelockAddress);
+  console.log("Transferred RentalGateway, ArbitrationPanel, RentManager and NoditManager ownership to DeWorkTimelock");
+
+  // 租賃NFT以角色管理權限，管理員角色交給時間鎖後部署者放棄自身的角色
+  await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), timelockAddress);
+  await rentalNFT.renounceRole(await rentalNFT.MINTER_ROLE(), deployer.address);
+  await rentalNFT.renounceRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), deployer.address);
+  console.log("Transferred RentalNFT admin role to DeWorkTimelock");
+
   // 保存部署信息到文件
   const deploymentInfo = {
     network,
     chainId,
     contracts: {
       USDC: usdcAddress,
-      AaveYieldProvider: aaveProviderAddress,
+      YieldProvider: yieldProviderAddress,
       InterestManager: interestManagerAddress,
       RentalNFT: rentalNFTAddress,
       WorldIDVerifier: worldIDVerifierAddress,
       SelfProtocol: selfProtocolAddress,
       RentalDeposit: rentalDepositAddress,
+      RentManager: rentManagerAddress,
+      RentalOffers: rentalOffersAddress,
+      RentalGateway: rentalGatewayAddress,
+      LeaseRenewals: leaseRenewalsAddress,
+      SettlementPreview: settlementPreviewAddress,
+      DeductionClaims: deductionClaimsAddress,
+      DisputeEvidence: disputeEvidenceAddress,
+      FeeSchedule: feeScheduleAddress,
+      Forwarder: forwarderAddress,
+      Timelock: timelockAddress,
       HashKeyIdentityVerifier: hashKeyVerifierAddress,
       NoditManager: noditManagerAddress,
+      ArbitrationPanel: arbitrationPanelAddress,
       ENSManager: ensManagerAddress
     },
+    // 代理目前的實作合約與儲存佈局，升級腳本據此檢查新實作的相容性
+    implementations: {
+      InterestManager: await describeImplementation(interestManager, "InterestManager"),
+      RentalDeposit: await describeImplementation(rentalDeposit, "RentalDeposit")
+    },
     timestamp: new Date().toISOString()
   };
 
   // 確保deploy目錄存在
-  const deployDir = path.join(__dirname, "../deploy");
   if (!fs.existsSync(deployDir)) {
     fs.mkdirSync(deployDir);
   }
@@ -176,11 +396,18 @@ async function main() {
   );
 
   console.log("Deployment completed and info saved to deploy directory");
+  return deploymentInfo;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
\ No newline at end of file
+module.exports = {
+  main
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+// 自動結算服務：監聽 RentalCreated 事件，在押金釋放時間為每筆租賃排程 AUTO_RELEASE_DEPOSIT 任務，
+// 並輪詢到期任務交由 NoditManager 執行；執行賬戶須同時是 NoditManager 的所有者與觸發者
+//
+// 使用方式：
+//   KEEPER_POLL_INTERVAL=30 npx hardhat run scripts/keeper.js --network localhost
+//
+// KEEPER_STATE_FILE（選填）為狀態文件路徑，預設為 deploy/keeper-state-<network>.json
+// KEEPER_START_BLOCK（選填）為首次啟動時開始掃描事件的區塊
+// KEEPER_MAX_ATTEMPTS（選填）為每個任務的最多執行次數，預設為5
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+// NoditManager.TaskType.AUTO_RELEASE_DEPOSIT
+const AUTO_RELEASE_DEPOSIT = 1;
+
+// NoditManager.TaskStatus
+const TASK_STATUS = { Pending: 0, Succeeded: 1, Failed: 2, Cancelled: 3 };
+
+// 單次查詢事件的最大區塊範圍，避免超出RPC限制
+const DEFAULT_BLOCK_RANGE = 5000;
+
+/**
+ * 讀取狀態文件，不存在時從指定區塊開始
+ */
+function loadState(statePath, startBlock = 0) {
+  if (fs.existsSync(statePath)) {
+    return JSON.parse(fs.readFileSync(statePath, "utf8"));
+  }
+  return { lastBlock: startBlock - 1, rentals: {}, tasks: {} };
+}
+
+/**
+ * 先寫入暫存文件再改名，避免中斷時留下不完整的狀態
+ */
+function saveState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const tempPath = `${statePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * 建立自動結算服務
+ * @param noditManager NoditManager合約實例（已連接執行賬戶）
+ * @param rentalDeposit 租賃押金合約實例
+ * @param statePath 狀態文件路徑
+ * @param startBlock 首次啟動時開始掃描事件的區塊
+ * @param maxAttempts 每個任務的最多執行次數，用盡後標記為失敗
+ * @param retryDelay 首次重試前等待的毫秒數，之後每次加倍
+ * @param blockRange 單次查詢事件的最大區塊範圍
+ * @param logger 日誌輸出
+ */
+function createKeeper({
+  noditManager,
+  rentalDeposit,
+  statePath,
+  startBlock = 0,
+  maxAttempts = 5,
+  retryDelay = 15000,
+  blockRange = DEFAULT_BLOCK_RANGE,
+  logger = console
+}) {
+  const state = loadState(statePath, startBlock);
+  const provider = noditManager.runner.provider;
+
+  const latestTimestamp = async () => (await provider.getBlock("latest")).timestamp;
+
+  // 排程自動釋放任務，執行時間不得早於下一個區塊
+  const scheduleRelease = async (rentalId, releaseTime) => {
+    const executeAt = Math.max(releaseTime, (await latestTimestamp()) + 1);
+    const tx = await noditManager.scheduleTask(rentalId, executeAt, AUTO_RELEASE_DEPOSIT);
+    const receipt = await tx.wait();
+
+    const managerAddress = (await noditManager.getAddress()).toLowerCase();
+    const event = receipt.logs
+      .filter((log) => log.address.toLowerCase() === managerAddress)
+      .map((log) => noditManager.interface.parseLog(log))
+      .find((parsed) => parsed?.name === "TaskScheduled");
+    const taskId = event.args.taskId.toString();
+
+    state.rentals[rentalId] = taskId;
+    state.tasks[taskId] = { rentalId, executeAt, status: "pending", attempts: 0 };
+    saveState(statePath, state);
+    logger.log(`Scheduled task ${taskId} to release rental ${rentalId} at ${executeAt}`);
+
+    return taskId;
+  };
+
+  // 掃描新的 RentalCreated 事件並為尚未排程的租賃建立任務
+  const syncRentals = async () => {
+    const latestBlock = await provider.getBlockNumber();
+
+    while (state.lastBlock < latestBlock) {
+      const fromBlock = state.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+      const events = await rentalDeposit.queryFilter(rentalDeposit.filters.RentalCreated(), fromBlock, toBlock);
+
+      for (const event of events) {
+        const rentalId = event.args.rentalId.toString();
+        if (state.rentals[rentalId] !== undefined) {
+          continue;
+        }
+
+        const rental = await rentalDeposit.getRentalDetails(rentalId);
+        if (rental.isActive) {
+          await scheduleRelease(rentalId, Number(rental.releaseTime));
+        }
+      }
+
+      state.lastBlock = toBlock;
+      saveState(statePath, state);
+    }
+  };
+
+  // 執行失敗時記錄錯誤，未用盡次數前以指數退避安排下一次重試
+  const recordFailure = (taskId, task, error) => {
+    task.attempts += 1;
+    task.error = error.shortMessage || error.message;
+    if (task.attempts >= maxAttempts) {
+      task.status = "failed";
+      logger.error(`Task ${taskId} failed after ${task.attempts} attempts: ${task.error}`);
+    } else {
+      task.retryAt = Date.now() + retryDelay * 2 ** (task.attempts - 1);
+      logger.warn(`Task ${taskId} attempt ${task.attempts} failed, retrying: ${task.error}`);
+    }
+  };
+
+  // 執行單個到期任務；租賃已結束則略過，續約延後釋放時間則改排新任務，
+  // 鏈上記錄為失敗的任務依合約的重試時間再執行，爭議中則等待爭議解決
+  const runTask = async (taskId, task) => {
+    const rental = await rentalDeposit.getRentalDetails(task.rentalId);
+    if (!rental.isActive) {
+      task.status = "skipped";
+      return;
+    }
+
+    const releaseTime = Number(rental.releaseTime);
+    if (releaseTime > task.executeAt) {
+      await (await noditManager.cancelTask(taskId)).wait();
+      task.status = "rescheduled";
+      await scheduleRelease(task.rentalId, releaseTime);
+      return;
+    }
+
+    const before = Number((await noditManager.getTaskInfo(taskId)).status);
+    if (before === TASK_STATUS.Succeeded || before === TASK_STATUS.Cancelled) {
+      task.status = before === TASK_STATUS.Succeeded ? "executed" : "cancelled";
+      return;
+    }
+    if (before === TASK_STATUS.Failed && rental.inDispute) {
+      return;
+    }
+
+    const receipt = await (await noditManager.executeTask(taskId)).wait();
+    const info = await noditManager.getTaskInfo(taskId);
+    const status = Number(info.status);
+
+    if (status === TASK_STATUS.Failed) {
+      Object.assign(task, { executeAt: Number(info.executeAt), error: info.lastError, txHash: receipt.hash });
+      logger.warn(`Task ${taskId} failed on-chain, retrying after ${task.executeAt}: ${info.lastError}`);
+      return;
+    }
+    if (status === TASK_STATUS.Cancelled) {
+      task.status = "cancelled";
+      return;
+    }
+
+    const settled = !(await rentalDeposit.getRentalDetails(task.rentalId)).isActive;
+    Object.assign(task, { status: "executed", txHash: receipt.hash, settled });
+    logger.log(`Executed task ${taskId} for rental ${task.rentalId}, settled: ${settled}`);
+  };
+
+  // 執行所有已到期且到了重試時間的任務
+  const runDueTasks = async () => {
+    const now = await latestTimestamp();
+
+    for (const [taskId, task] of Object.entries(state.tasks)) {
+      if (task.status !== "pending" || task.executeAt > now || (task.retryAt && task.retryAt > Date.now())) {
+        continue;
+      }
+
+      try {
+        await runTask(taskId, task);
+      } catch (error) {
+        recordFailure(taskId, task, error);
+      }
+      saveState(statePath, state);
+    }
+  };
+
+  // 完成一輪掃描與執行
+  const tick = async () => {
+    await syncRentals();
+    await runDueTasks();
+  };
+
+  // 定期輪詢，回傳停止函數
+  const start = (interval) => {
+    let timer = null;
+    let stopped = false;
+
+    const loop = async () => {
+      try {
+        await tick();
+      } catch (error) {
+        logger.error("Keeper tick failed:", error);
+      }
+      if (!stopped) {
+        timer = setTimeout(loop, interval);
+      }
+    };
+    loop();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { state, syncRentals, runDueTasks, tick, start };
+}
+
+async function main() {
+  const { loadDeployment, createDeworkSDK } = await import("@dework/sdk/node");
+  const { addresses: contracts } = loadDeployment(network.name, path.join(__dirname, "../deploy"));
+
+  const [signer] = await ethers.getSigners();
+  const noditManager = await ethers.getContractAt("NoditManager", contracts.NoditManager, signer);
+  const { rentalDeposit } = createDeworkSDK({ runner: ethers.provider, addresses: contracts });
+
+  if ((await noditManager.noditTrigger()) !== signer.address) {
+    throw new Error(`${signer.address} is not the NoditManager trigger`);
+  }
+
+  const keeper = createKeeper({
+    noditManager,
+    rentalDeposit,
+    statePath: process.env.KEEPER_STATE_FILE || path.join(__dirname, `../deploy/keeper-state-${network.name}.json`),
+    startBlock: Number(process.env.KEEPER_START_BLOCK || 0),
+    maxAttempts: Number(process.env.KEEPER_MAX_ATTEMPTS || 5)
+  });
+
+  const interval = Number(process.env.KEEPER_POLL_INTERVAL || 30) * 1000;
+  console.log(`Keeper ${signer.address} polling every ${interval / 1000}s`);
+  console.log("NoditManager:", contracts.NoditManager);
+
+  const stop = keeper.start(interval);
+  process.on("SIGINT", () => {
+    stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  AUTO_RELEASE_DEPOSIT,
+  TASK_STATUS,
+  createKeeper,
+  loadState,
+  saveState
+};
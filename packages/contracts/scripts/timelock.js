@@ -0,0 +1,210 @@
+// 時間鎖治理腳本：排程、執行或取消對核心合約管理函數的調用
+//
+// 使用方式：
+//   TIMELOCK_ACTION=schedule TIMELOCK_TARGET=FeeSchedule TIMELOCK_FUNCTION=setBaseFee \
+//   TIMELOCK_ARGS='[1500]' npx hardhat run scripts/timelock.js --network arbitrumSepolia
+//
+// TIMELOCK_ACTION 為 schedule、execute、cancel 或 status，同一操作的其餘參數須與排程時一致
+// TIMELOCK_TARGET 為部署文件中的合約名稱，TIMELOCK_ARGS 為JSON陣列
+// TIMELOCK_SALT（選填）用於區分參數相同的重複操作
+// 未列於 GOVERNED_FUNCTIONS 的函數會被拒絕，確認無誤時加上 --force（經 hardhat run 執行時改設 TIMELOCK_FORCE=1）
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+// 由時間鎖治理、變更前須經過通知期的管理函數
+const GOVERNED_FUNCTIONS = {
+  RentalDeposit: [
+    "setFeeSchedule",
+    "setTreasury",
+    "setArbitrationPanel",
+    "setRentalOffers",
+    "setRentalGateway",
+    "setLeaseRenewals",
+    "setDeductionClaims",
+    "setDisputeEvidence",
+    "setNoditManager",
+    "setDisputeResolver",
+    "setTrustedForwarder",
+    "updateDisputePeriod",
+    "updateDisputeResponsePeriod",
+    "updateArbitratorFee",
+    "addDepositToken",
+    "setDepositTokenEnabled",
+    "setWorldIDRequired",
+    "updateWorldIDVerifier",
+    "updateSelfProtocol",
+    "setGuardian",
+    "unpause",
+    "upgradeTo",
+    "upgradeToAndCall"
+  ],
+  InterestManager: [
+    "setRentalDeposit",
+    "addYieldProvider",
+    "removeYieldProvider",
+    "setProviderWeights",
+    "rebalance",
+    "updateYieldProvider",
+    "setGuardian",
+    "unpause",
+    "upgradeTo",
+    "upgradeToAndCall"
+  ],
+  FeeSchedule: ["setBaseFee", "setDepositTiers", "setVerificationDiscounts", "setHashKeyVerifier"],
+  RentalGateway: ["setTrustedForwarder"],
+  ArbitrationPanel: ["setWhitelisted", "setParameters"],
+  RentManager: ["updateLateFeePolicy"],
+  NoditManager: ["setPublicExecution", "updateNoditTrigger", "setInterestClaimInterval", "setRetryDelay"],
+  RentalNFT: [
+    "setTokenURI",
+    "setBaseURI",
+    "addMinter",
+    "removeMinter",
+    "setTrustedForwarder",
+    "grantRole",
+    "revokeRole"
+  ]
+};
+
+/**
+ * 檢查函數是否由時間鎖治理，未列出的函數須明確強制才能排程，以免誤打函數名稱
+ */
+function assertGovernedFunction(targetName, functionName, force = false) {
+  if (GOVERNED_FUNCTIONS[targetName]?.includes(functionName)) {
+    return;
+  }
+  if (!force) {
+    throw new Error(`${targetName}.${functionName} is not a governed function; pass --force to schedule it anyway`);
+  }
+  console.warn(`Warning: ${targetName}.${functionName} is not a governed function, continuing because of --force`);
+}
+
+/**
+ * 組裝時間鎖操作，操作ID由目標、調用數據與鹽值決定
+ */
+async function buildOperation(timelock, target, functionName, args, salt = ethers.ZeroHash) {
+  const operation = {
+    target: await target.getAddress(),
+    value: 0n,
+    data: target.interface.encodeFunctionData(functionName, args),
+    predecessor: ethers.ZeroHash,
+    salt
+  };
+  operation.id = await timelock.hashOperation(
+    operation.target,
+    operation.value,
+    operation.data,
+    operation.predecessor,
+    operation.salt
+  );
+  return operation;
+}
+
+/**
+ * 排程操作，通知期預設為時間鎖的最短延遲
+ */
+async function scheduleOperation(timelock, operation, delay) {
+  return timelock.schedule(
+    operation.target,
+    operation.value,
+    operation.data,
+    operation.predecessor,
+    operation.salt,
+    delay ?? (await timelock.getMinDelay())
+  );
+}
+
+/**
+ * 執行已到期的操作
+ */
+async function executeOperation(timelock, operation) {
+  return timelock.execute(
+    operation.target,
+    operation.value,
+    operation.data,
+    operation.predecessor,
+    operation.salt
+  );
+}
+
+/**
+ * 取消尚未執行的操作
+ */
+async function cancelOperation(timelock, operation) {
+  return timelock.cancel(operation.id);
+}
+
+/**
+ * 查詢操作狀態
+ */
+async function getOperationStatus(timelock, operation) {
+  if (await timelock.isOperationDone(operation.id)) {
+    return { state: "done" };
+  }
+  if (!(await timelock.isOperation(operation.id))) {
+    return { state: "unset" };
+  }
+
+  const readyAt = await timelock.getTimestamp(operation.id);
+  return {
+    state: (await timelock.isOperationReady(operation.id)) ? "ready" : "pending",
+    readyAt: new Date(Number(readyAt) * 1000).toISOString()
+  };
+}
+
+async function main() {
+  const { loadDeployment } = await import("@dework/sdk/node");
+  const { addresses: contracts } = loadDeployment(network.name, path.join(__dirname, "../deploy"));
+
+  const action = process.env.TIMELOCK_ACTION;
+  const targetName = process.env.TIMELOCK_TARGET;
+  const functionName = process.env.TIMELOCK_FUNCTION;
+  const args = JSON.parse(process.env.TIMELOCK_ARGS || "[]");
+  const salt = process.env.TIMELOCK_SALT
+    ? ethers.id(process.env.TIMELOCK_SALT)
+    : ethers.ZeroHash;
+  const force = process.argv.includes("--force") || Boolean(process.env.TIMELOCK_FORCE);
+
+  if (!contracts[targetName]) {
+    throw new Error(`Unknown target contract: ${targetName}`);
+  }
+  assertGovernedFunction(targetName, functionName, force);
+
+  const timelock = await ethers.getContractAt("DeWorkTimelock", contracts.Timelock);
+  const target = await ethers.getContractAt(targetName, contracts[targetName]);
+  const operation = await buildOperation(timelock, target, functionName, args, salt);
+  console.log(`Operation ${operation.id}: ${targetName}.${functionName}(${args.join(", ")})`);
+
+  if (action === "schedule") {
+    await (await scheduleOperation(timelock, operation)).wait();
+    const status = await getOperationStatus(timelock, operation);
+    console.log("Scheduled, executable after:", status.readyAt);
+  } else if (action === "execute") {
+    await (await executeOperation(timelock, operation)).wait();
+    console.log("Executed");
+  } else if (action === "cancel") {
+    await (await cancelOperation(timelock, operation)).wait();
+    console.log("Cancelled");
+  } else if (action === "status") {
+    console.log("Status:", await getOperationStatus(timelock, operation));
+  } else {
+    throw new Error(`Unknown TIMELOCK_ACTION: ${action}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  GOVERNED_FUNCTIONS,
+  assertGovernedFunction,
+  buildOperation,
+  scheduleOperation,
+  executeOperation,
+  cancelOperation,
+  getOperationStatus
+};
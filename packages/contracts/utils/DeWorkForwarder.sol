@@ -0,0 +1,206 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title DeWorkForwarder
+ * @dev ERC-2771轉發者，驗證用戶簽署的請求後由中繼者代付Gas提交，
+ *      目標合約透過TrustedForwarderRecipient取得原始簽署者。
+ *      移植自OpenZeppelin 5的ERC2771Forwarder：請求帶有效期限，只轉發給信任本轉發者的目標，
+ *      並檢查中繼者提供的Gas足以執行簽署的Gas上限
+ */
+contract DeWorkForwarder is EIP712 {
+    using ECDSA for bytes32;
+    
+    // 轉發請求，簽名隨請求一併提交，nonce由合約記錄不需傳入
+    struct ForwardRequestData {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint48 deadline;
+        bytes data;
+        bytes signature;
+    }
+    
+    bytes32 internal constant _FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint48 deadline,bytes data)"
+    );
+    
+    // 各簽署者下一個可用的nonce
+    mapping(address => uint256) private _nonces;
+    
+    // 事件定義
+    event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success);
+    
+    /**
+     * @dev 構造函數
+     */
+    constructor() EIP712("DeWorkForwarder", "1") {}
+    
+    /**
+     * @dev 獲取簽署者目前的nonce
+     * @param _owner 簽署者地址
+     * @return 下一個請求須使用的nonce
+     */
+    function nonces(address _owner) public view returns (uint256) {
+        return _nonces[_owner];
+    }
+    
+    /**
+     * @dev 檢查請求是否可執行：目標信任本轉發者、未過期且簽名與nonce有效
+     * @param request 轉發請求
+     * @return 請求是否有效
+     */
+    function verify(ForwardRequestData calldata request) public view returns (bool) {
+        (bool isTrustedForwarder, bool active, bool signerMatch, ) = _validate(request);
+        return isTrustedForwarder && active && signerMatch;
+    }
+    
+    /**
+     * @dev 執行單一轉發請求，請求無效或目標調用失敗時整筆交易回滾
+     * @param request 轉發請求
+     */
+    function execute(ForwardRequestData calldata request) public payable {
+        require(msg.value == request.value, "Mismatched value");
+        require(_execute(request, true), "Forwarded call failed");
+    }
+    
+    /**
+     * @dev 批次執行轉發請求
+     *      退款地址為零地址時任一請求無效或失敗即整批回滾；
+     *      否則略過無效請求，未成功請求附帶的ETH退還至退款地址
+     * @param requests 轉發請求列表
+     * @param refundReceiver 退款地址
+     */
+    function executeBatch(ForwardRequestData[] calldata requests, address payable refundReceiver) public payable {
+        bool atomic = refundReceiver == address(0);
+        
+        uint256 requestsValue;
+        uint256 refundValue;
+        
+        for (uint256 i = 0; i < requests.length; i++) {
+            requestsValue += requests[i].value;
+            bool success = _execute(requests[i], atomic);
+            if (!success) {
+                refundValue += requests[i].value;
+            }
+        }
+        
+        require(requestsValue == msg.value, "Mismatched value");
+        
+        if (refundValue != 0) {
+            Address.sendValue(refundReceiver, refundValue);
+        }
+    }
+    
+    /**
+     * @dev 驗證請求並回傳各項檢查結果與簽署者
+     */
+    function _validate(ForwardRequestData calldata request)
+        internal
+        view
+        returns (bool isTrustedForwarder, bool active, bool signerMatch, address signer)
+    {
+        (bool isValid, address recovered) = _recoverForwardRequestSigner(request);
+        
+        return (
+            _isTrustedByTarget(request.to),
+            request.deadline >= block.timestamp,
+            isValid && recovered == request.from,
+            recovered
+        );
+    }
+    
+    /**
+     * @dev 以簽署者目前的nonce還原請求簽名者
+     */
+    function _recoverForwardRequestSigner(ForwardRequestData calldata request) internal view returns (bool, address) {
+        (address recovered, ECDSA.RecoverError err) = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    _FORWARD_REQUEST_TYPEHASH,
+                    request.from,
+                    request.to,
+                    request.value,
+                    request.gas,
+                    _nonces[request.from],
+                    request.deadline,
+                    keccak256(request.data)
+                )
+            )
+        ).tryRecover(request.signature);
+        
+        return (err == ECDSA.RecoverError.NoError, recovered);
+    }
+    
+    /**
+     * @dev 驗證並執行請求，調用數據末端附加簽署者地址供目標合約取得原始發送者
+     * @param requireValidRequest 請求無效時是否回滾，否則略過並回傳false
+     * @return success 目標調用是否成功
+     */
+    function _execute(ForwardRequestData calldata request, bool requireValidRequest) internal returns (bool success) {
+        (bool isTrustedForwarder, bool active, bool signerMatch, address signer) = _validate(request);
+        
+        if (requireValidRequest) {
+            require(isTrustedForwarder, "Untrusted target");
+            require(active, "Request expired");
+            require(signerMatch, "Invalid signer");
+        }
+        
+        if (isTrustedForwarder && signerMatch && active) {
+            // 先消耗nonce，避免目標調用重入時重放同一請求
+            uint256 currentNonce = _nonces[signer]++;
+            
+            uint256 reqGas = request.gas;
+            address to = request.to;
+            uint256 value = request.value;
+            bytes memory data = abi.encodePacked(request.data, request.from);
+            
+            uint256 gasLeft;
+            
+            assembly {
+                success := call(reqGas, to, value, add(data, 0x20), mload(data), 0, 0)
+                gasLeft := gas()
+            }
+            
+            _checkForwardedGas(gasLeft, request);
+            
+            emit ExecutedForwardRequest(signer, currentNonce, success);
+        }
+    }
+    
+    /**
+     * @dev 檢查目標合約是否信任本轉發者，避免簽署者地址被附加到不解析它的合約
+     */
+    function _isTrustedByTarget(address target) private view returns (bool) {
+        bytes memory encodedParams = abi.encodeWithSignature("isTrustedForwarder(address)", address(this));
+        
+        bool success;
+        uint256 returnSize;
+        uint256 returnValue;
+        assembly {
+            success := staticcall(gas(), target, add(encodedParams, 0x20), mload(encodedParams), 0, 0x20)
+            returnSize := returndatasize()
+            returnValue := mload(0)
+        }
+        
+        return success && returnSize >= 0x20 && returnValue > 0;
+    }
+    
+    /**
+     * @dev 檢查目標調用是否取得簽署的Gas上限。依EIP-150調用最多轉發剩餘Gas的63/64，
+     *      調用後剩餘Gas少於上限的1/63表示中繼者提供的Gas不足，
+     *      此時以invalid耗盡全部Gas回滾，避免中繼者刻意讓目標調用失敗而消耗請求
+     */
+    function _checkForwardedGas(uint256 gasLeft, ForwardRequestData calldata request) private pure {
+        if (gasLeft < request.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title DeWorkProxy
+ * @dev ERC-1967代理，承載租賃押金與利息管理器的狀態；
+ *      實作合約遵循UUPS模式，升級權限由實作合約的所有者（治理時間鎖）控制
+ */
+contract DeWorkProxy is ERC1967Proxy {
+    /**
+     * @dev 構造函數
+     * @param _logic 初始實作合約地址
+     * @param _data 部署時以代理身份調用的初始化數據
+     */
+    constructor(address _logic, bytes memory _data) ERC1967Proxy(_logic, _data) {}
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title DeWorkTimelock
+ * @dev 治理時間鎖，持有租賃押金、利息管理器與平台費率表的所有權，
+ *      平台費用、爭議期限、收益提供者與驗證合約等變更須先排程並經過通知期才能執行
+ */
+contract DeWorkTimelock is TimelockController {
+    /**
+     * @dev 構造函數
+     * @param _minDelay 排程到執行之間的最短通知期（秒）
+     * @param _proposers 可排程與取消操作的地址
+     * @param _executors 可執行到期操作的地址，包含零地址時任何人皆可執行
+     * @param _admin 可管理角色的地址，零地址表示角色變更也須經過時間鎖
+     */
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Context.sol";
+
+/**
+ * @title GuardianPausable
+ * @dev 分範圍的緊急暫停機制：守護者或管理員可暫停指定範圍的功能，僅管理員可恢復，
+ *      暫停範圍由繼承合約定義，結束租賃與提款等退出功能不應套用暫停
+ */
+abstract contract GuardianPausable is Context {
+    // 可暫停功能的守護者地址
+    address public guardian;
+    // 暫停範圍到暫停狀態的映射
+    mapping(bytes32 => bool) public pausedScopes;
+    
+    // 事件定義
+    event GuardianUpdated(address indexed guardian);
+    event ScopePaused(bytes32 indexed scope, address indexed account);
+    event ScopeUnpaused(bytes32 indexed scope, address indexed account);
+    
+    /**
+     * @dev 限制只有守護者或管理員可以調用
+     */
+    modifier onlyGuardian() {
+        if (_msgSender() != guardian) {
+            _checkPauseAdmin();
+        }
+        _;
+    }
+    
+    /**
+     * @dev 限制只有在指定範圍未暫停時可以調用
+     * @param _scope 暫停範圍
+     */
+    modifier whenNotPaused(bytes32 _scope) {
+        require(!pausedScopes[_scope], "Function is paused");
+        _;
+    }
+    
+    /**
+     * @dev 設置守護者，僅限管理員
+     * @param _guardian 守護者地址，設為零地址時只有管理員可暫停
+     */
+    function setGuardian(address _guardian) external {
+        _checkPauseAdmin();
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+    
+    /**
+     * @dev 暫停指定範圍的功能
+     * @param _scope 暫停範圍
+     */
+    function pause(bytes32 _scope) external onlyGuardian {
+        _pause(_scope);
+    }
+    
+    /**
+     * @dev 恢復指定範圍的功能，僅限管理員
+     * @param _scope 暫停範圍
+     */
+    function unpause(bytes32 _scope) external {
+        _checkPauseAdmin();
+        pausedScopes[_scope] = false;
+        emit ScopeUnpaused(_scope, _msgSender());
+    }
+    
+    /**
+     * @dev 暫停指定範圍的功能
+     * @param _scope 暫停範圍
+     */
+    function _pause(bytes32 _scope) internal {
+        pausedScopes[_scope] = true;
+        emit ScopePaused(_scope, _msgSender());
+    }
+    
+    /**
+     * @dev 檢查調用者是否為管理員，由繼承合約實作
+     */
+    function _checkPauseAdmin() internal view virtual;
+}
@@ -10,18 +10,29 @@ import "../core/RentalDeposit.sol";
  * @dev 整合Nodit去中心化webhook平台，用於定時觸發如到期檢查、自動結算等動作
  */
 contract NoditManager is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     // 租賃押金合約實例
     RentalDeposit public rentalDeposit;
     
     // Nodit觸發者地址
     address public noditTrigger;
     
+    // 開放執行模式：任務到期並過了寬限期後任何人皆可執行，並從平台費用中獲得執行獎勵
+    bool public publicExecution;
+    uint256 public triggerGracePeriod;  // 到期後保留給Nodit觸發者的時間
+    uint256 public bountyPercentage;    // 執行獎勵佔平台費用的百分比
+    uint256 public constant MAX_BOUNTY_PERCENTAGE = 50;
+    uint256 public constant PERCENTAGE_DENOMINATOR = 100;
+    
     // 計劃任務結構
     struct ScheduledTask {
         uint256 rentalId;
-        uint256 executeAt;
+        uint256 executeAt;  // 執行時間，失敗後改為下一次重試的時間
         TaskType taskType;
-        bool executed;
+        TaskStatus status;
+        uint256 attempts;   // 已執行次數
+        string lastError;   // 最近一次失敗的回滾原因
     }
     
     // 任務類型列舉
@@ -31,20 +42,40 @@ contract NoditManager is Ownable, ReentrancyGuard {
         INTEREST_WITHDRAWAL   // 利息提取
     }
     
+    // 任務狀態列舉
+    enum TaskStatus {
+        Pending,    // 等待執行
+        Succeeded,  // 執行成功
+        Failed,     // 執行失敗，等待重試
+        Cancelled   // 已取消
+    }
+    
     // 任務映射
     mapping(uint256 => ScheduledTask) public scheduledTasks;
     uint256 public taskCount;
     
+    // 利息提取任務的週期，大於0時每次執行後自動排入下一次提取
+    uint256 public interestClaimInterval;
+    
+    // 任務失敗後至少間隔多久才重試；租賃爭議中的任務須等爭議解決後才重試
+    uint256 public retryDelay = 1 days;
+    
     // 事件定義
     event TaskScheduled(uint256 indexed taskId, uint256 indexed rentalId, TaskType taskType, uint256 executeAt);
     event TaskExecuted(uint256 indexed taskId, uint256 indexed rentalId, TaskType taskType);
+    event TaskFailed(uint256 indexed taskId, uint256 indexed rentalId, string reason, uint256 retryAt);
+    event TaskCancelled(uint256 indexed taskId, uint256 indexed rentalId);
+    event RetryDelayUpdated(uint256 newDelay);
     event NoditTriggerUpdated(address indexed oldTrigger, address indexed newTrigger);
+    event InterestClaimIntervalUpdated(uint256 newInterval);
+    event PublicExecutionUpdated(bool enabled, uint256 gracePeriod, uint256 bountyPercentage);
+    event BountyPaid(uint256 indexed taskId, address indexed executor, address token, uint256 amount);
     
     /**
-     * @dev 限制只有Nodit觸發者可以調用
+     * @dev 限所有者或Nodit觸發者調用；任務排程屬日常營運，所有權移交時間鎖後仍由觸發者執行
      */
-    modifier onlyNoditTrigger() {
-        require(msg.sender == noditTrigger, "NoditManager: caller is not the nodit trigger");
+    modifier onlyOwnerOrTrigger() {
+        require(msg.sender == owner() || msg.sender == noditTrigger, "NoditManager: caller is not owner or trigger");
         _;
     }
     
@@ -69,9 +100,24 @@ contract NoditManager is Ownable, ReentrancyGuard {
         uint256 _rentalId,
         uint256 _executeAt,
         TaskType _taskType
-    ) public onlyOwner returns (uint256) {
+    ) public onlyOwnerOrTrigger returns (uint256) {
         require(_executeAt > block.timestamp, "NoditManager: execution time must be in the future");
         
+        return _scheduleTask(_rentalId, _executeAt, _taskType);
+    }
+    
+    /**
+     * @dev 記錄新任務並發出事件
+     * @param _rentalId 租賃ID
+     * @param _executeAt 執行時間戳
+     * @param _taskType 任務類型
+     * @return 任務ID
+     */
+    function _scheduleTask(
+        uint256 _rentalId,
+        uint256 _executeAt,
+        TaskType _taskType
+    ) internal returns (uint256) {
         uint256 taskId = taskCount;
         taskCount++;
         
@@ -79,7 +125,9 @@ contract NoditManager is Ownable, ReentrancyGuard {
             rentalId: _rentalId,
             executeAt: _executeAt,
             taskType: _taskType,
-            executed: false
+            status: TaskStatus.Pending,
+            attempts: 0,
+            lastError: ""
         });
         
         emit TaskScheduled(taskId, _rentalId, _taskType, _executeAt);
@@ -88,33 +136,152 @@ contract NoditManager is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 執行計劃任務
+     * @dev 執行到期的任務或重試失敗的任務；失敗時記錄回滾原因並延後重試，租賃已結算的任務自動取消
      * @param _taskId 任務ID
      */
-    function executeTask(uint256 _taskId) external onlyNoditTrigger nonReentrant {
+    function executeTask(uint256 _taskId) external nonReentrant {
         ScheduledTask storage task = scheduledTasks[_taskId];
         
-        require(!task.executed, "NoditManager: task already executed");
+        require(task.executeAt > 0, "NoditManager: task not found");
+        require(task.status != TaskStatus.Succeeded, "NoditManager: task already executed");
+        require(task.status != TaskStatus.Cancelled, "NoditManager: task cancelled");
         require(block.timestamp >= task.executeAt, "NoditManager: too early to execute");
         
-        task.executed = true;
+        if (msg.sender != noditTrigger) {
+            // 開放執行時，到期後的寬限期內仍只允許Nodit觸發者執行
+            require(publicExecution, "NoditManager: caller is not the nodit trigger");
+            require(block.timestamp >= task.executeAt + triggerGracePeriod, "NoditManager: trigger grace period");
+        }
+        
+        RentalDeposit.RentalInfo memory rental = rentalDeposit.getRentalDetails(task.rentalId);
+        if (task.status == TaskStatus.Failed) {
+            require(!rental.inDispute, "NoditManager: rental in dispute");
+        }
+        
+        if (task.taskType != TaskType.RENTAL_EXPIRY_CHECK && !rental.isActive) {
+            // 租賃已結算（例如經爭議裁決），不再需要執行
+            _cancelTask(_taskId, task);
+            return;
+        }
+        
+        task.attempts++;
+        
+        // 由本合約觸發的結算會將平台費用轉入本合約，以執行前後的餘額差計算
+        IERC20 token = IERC20(rental.token);
+        uint256 balanceBefore = _balanceOf(token);
         
+        uint256 gasBefore = gasleft();
+        (bool success, string memory reason) = _runTask(task);
+        if (!success) {
+            _checkForwardedGas(gasBefore);
+            
+            task.status = TaskStatus.Failed;
+            task.lastError = reason;
+            task.executeAt = block.timestamp + retryDelay;
+            
+            emit TaskFailed(_taskId, task.rentalId, reason, task.executeAt);
+            return;
+        }
+        
+        task.status = TaskStatus.Succeeded;
+        _distributeFee(_taskId, token, _balanceOf(token) - balanceBefore);
+        
+        emit TaskExecuted(_taskId, task.rentalId, task.taskType);
+    }
+    
+    /**
+     * @dev 檢查失敗的調用是否因執行者提供的Gas不足。調用最多轉發剩餘Gas的63/64，
+     *      調用後剩餘Gas少於調用前的1/63表示轉發的Gas已耗盡，此時整筆回滾而不記錄失敗，
+     *      避免執行者刻意以低Gas讓任務失敗而延後重試、拖延結算
+     * @param _gasBefore 調用前的剩餘Gas
+     */
+    function _checkForwardedGas(uint256 _gasBefore) private view {
+        require(gasleft() >= _gasBefore / 63, "NoditManager: insufficient gas");
+    }
+    
+    /**
+     * @dev 依任務類型調用租賃押金合約
+     * @param task 任務信息
+     * @return success 是否執行成功
+     * @return reason 失敗時的回滾原因
+     */
+    function _runTask(ScheduledTask storage task) internal returns (bool success, string memory reason) {
         if (task.taskType == TaskType.RENTAL_EXPIRY_CHECK) {
             // 檢查租賃是否到期，但不採取行動
             // 這個主要是為了記錄檢查已完成
-        } else if (task.taskType == TaskType.AUTO_RELEASE_DEPOSIT) {
-            // 嘗試自動釋放押金
+            return (true, "");
+        }
+        
+        if (task.taskType == TaskType.AUTO_RELEASE_DEPOSIT) {
+            // 自動釋放押金，爭議中或有待處理的扣款申請時會失敗
             try rentalDeposit.endRental(task.rentalId) {
-                // 成功釋放押金
+                return (true, "");
+            } catch Error(string memory message) {
+                return (false, message);
             } catch {
-                // 押金釋放失敗，可能正在爭議中
+                return (false, "NoditManager: call reverted");
             }
-        } else if (task.taskType == TaskType.INTEREST_WITHDRAWAL) {
-            // 提取利息邏輯，實際實現會在RentalDeposit合約中
-            // 這裡僅作為提醒
         }
         
-        emit TaskExecuted(_taskId, task.rentalId, task.taskType);
+        // 提取租期中累積的利息，成功且租賃仍在進行時排入下一次提取
+        try rentalDeposit.claimInterest(task.rentalId) {
+            if (interestClaimInterval > 0) {
+                _scheduleTask(task.rentalId, block.timestamp + interestClaimInterval, TaskType.INTEREST_WITHDRAWAL);
+            }
+            return (true, "");
+        } catch Error(string memory message) {
+            return (false, message);
+        } catch {
+            return (false, "NoditManager: call reverted");
+        }
+    }
+    
+    /**
+     * @dev 從收到的平台費用中支付執行獎勵，其餘轉入平台金庫；Nodit觸發者執行時不支付獎勵
+     * @param _taskId 任務ID
+     * @param _token 押金代幣
+     * @param _fee 收到的平台費用
+     */
+    function _distributeFee(uint256 _taskId, IERC20 _token, uint256 _fee) internal {
+        if (_fee == 0) {
+            return;
+        }
+        
+        uint256 bounty = 0;
+        if (msg.sender != noditTrigger) {
+            bounty = (_fee * bountyPercentage) / PERCENTAGE_DENOMINATOR;
+            if (bounty > 0) {
+                _token.safeTransfer(msg.sender, bounty);
+                emit BountyPaid(_taskId, msg.sender, address(_token), bounty);
+            }
+        }
+        
+        _token.safeTransfer(rentalDeposit.treasury(), _fee - bounty);
+    }
+    
+    /**
+     * @dev 查詢本合約的代幣餘額，租賃不存在時代幣為零地址
+     * @param _token 押金代幣
+     * @return 餘額
+     */
+    function _balanceOf(IERC20 _token) internal view returns (uint256) {
+        return address(_token) == address(0) ? 0 : _token.balanceOf(address(this));
+    }
+    
+    /**
+     * @dev 設置開放執行模式
+     * @param _enabled 是否允許任何人執行到期任務
+     * @param _gracePeriod 到期後保留給Nodit觸發者的時間（秒）
+     * @param _bountyPercentage 執行獎勵佔平台費用的百分比
+     */
+    function setPublicExecution(bool _enabled, uint256 _gracePeriod, uint256 _bountyPercentage) external onlyOwner {
+        require(_bountyPercentage <= MAX_BOUNTY_PERCENTAGE, "NoditManager: bounty too high");
+        
+        publicExecution = _enabled;
+        triggerGracePeriod = _gracePeriod;
+        bountyPercentage = _bountyPercentage;
+        
+        emit PublicExecutionUpdated(_enabled, _gracePeriod, _bountyPercentage);
     }
     
     /**
@@ -130,6 +297,16 @@ contract NoditManager is Ownable, ReentrancyGuard {
         emit NoditTriggerUpdated(oldTrigger, _newTrigger);
     }
     
+    /**
+     * @dev 設置利息提取任務的週期，設為0則不自動續排
+     * @param _interval 週期（秒）
+     */
+    function setInterestClaimInterval(uint256 _interval) external onlyOwner {
+        interestClaimInterval = _interval;
+        
+        emit InterestClaimIntervalUpdated(_interval);
+    }
+    
     /**
      * @dev 批量安排任務
      * @param _rentalIds 租賃ID數組
@@ -141,7 +318,7 @@ contract NoditManager is Ownable, ReentrancyGuard {
         uint256[] calldata _rentalIds,
         uint256[] calldata _executeTimes,
         TaskType[] calldata _taskTypes
-    ) external onlyOwner returns (uint256[] memory) {
+    ) external onlyOwnerOrTrigger returns (uint256[] memory) {
         require(
             _rentalIds.length == _executeTimes.length && _executeTimes.length == _taskTypes.length,
             "NoditManager: array lengths mismatch"
@@ -160,10 +337,73 @@ contract NoditManager is Ownable, ReentrancyGuard {
      * @dev 取消計劃任務
      * @param _taskId 任務ID
      */
-    function cancelTask(uint256 _taskId) external onlyOwner {
-        require(!scheduledTasks[_taskId].executed, "NoditManager: task already executed");
+    function cancelTask(uint256 _taskId) external onlyOwnerOrTrigger {
+        ScheduledTask storage task = scheduledTasks[_taskId];
+        
+        require(task.executeAt > 0, "NoditManager: task not found");
+        require(task.status != TaskStatus.Succeeded, "NoditManager: task already executed");
+        require(task.status != TaskStatus.Cancelled, "NoditManager: task cancelled");
+        
+        _cancelTask(_taskId, task);
+    }
+    
+    /**
+     * @dev 將任務標記為已取消
+     * @param _taskId 任務ID
+     * @param task 任務信息
+     */
+    function _cancelTask(uint256 _taskId, ScheduledTask storage task) internal {
+        task.status = TaskStatus.Cancelled;
+        
+        emit TaskCancelled(_taskId, task.rentalId);
+    }
+    
+    /**
+     * @dev 設置任務失敗後的重試間隔
+     * @param _delay 間隔（秒）
+     */
+    function setRetryDelay(uint256 _delay) external onlyOwner {
+        retryDelay = _delay;
+        
+        emit RetryDelayUpdated(_delay);
+    }
+    
+    /**
+     * @dev 列出已到期且尚未執行的任務，包括租賃已不在爭議中、可以重試的失敗任務，供外部執行者尋找可執行的任務
+     * @param _fromId 開始掃描的任務ID
+     * @param _limit 最多回傳的任務數
+     * @return 任務ID數組
+     */
+    function getDueTasks(uint256 _fromId, uint256 _limit) external view returns (uint256[] memory) {
+        uint256[] memory found = new uint256[](_limit);
+        uint256 count = 0;
+        
+        for (uint256 i = _fromId; i < taskCount && count < _limit; i++) {
+            ScheduledTask storage task = scheduledTasks[i];
+            if (task.executeAt > 0 && task.executeAt <= block.timestamp && _isExecutable(task)) {
+                found[count] = i;
+                count++;
+            }
+        }
+        
+        uint256[] memory taskIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            taskIds[i] = found[i];
+        }
         
-        delete scheduledTasks[_taskId];
+        return taskIds;
+    }
+    
+    /**
+     * @dev 任務是否等待執行，失敗的任務須等租賃不在爭議中才可重試
+     * @param task 任務信息
+     * @return 是否可執行
+     */
+    function _isExecutable(ScheduledTask storage task) internal view returns (bool) {
+        if (task.status == TaskStatus.Failed) {
+            return !rentalDeposit.getRentalDetails(task.rentalId).inDispute;
+        }
+        return task.status == TaskStatus.Pending;
     }
     
     /**
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title SettlementMath
+ * @dev 押金結算的分配計算，租賃押金合約與結算預覽合約共用同一套規則
+ */
+library SettlementMath {
+    uint256 internal constant PERCENTAGE_DENOMINATOR = 100;
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+    
+    // 結算時各方分得的金額
+    struct Settlement {
+        uint256 platformFee;       // 平台費用
+        uint256 landlordPrincipal; // 房東分得的本金
+        uint256 landlordInterest;  // 房東分得的利息
+        uint256 tenantPrincipal;   // 租客取回的本金
+        uint256 tenantInterest;    // 租客分得的利息
+    }
+    
+    /**
+     * @dev 計算結算時各方應得的金額
+     * @param _depositWithInterest 押金本金加利息
+     * @param _depositAmount 押金本金
+     * @param _landlordPrincipal 分配給房東的本金
+     * @param _tenantInterestPercentage 租客分得的利息百分比 (0-100)
+     * @param _platformFeeBps 租賃鎖定的平台費率（基點）
+     * @return settlement 各方分得的金額
+     */
+    function calculate(
+        uint256 _depositWithInterest,
+        uint256 _depositAmount,
+        uint256 _landlordPrincipal,
+        uint256 _tenantInterestPercentage,
+        uint256 _platformFeeBps
+    ) internal pure returns (Settlement memory settlement) {
+        // 實際提取金額可能因收益協議虧損而低於本金，此時本金按比例縮減
+        uint256 principal = _depositWithInterest < _depositAmount ? _depositWithInterest : _depositAmount;
+        uint256 interest = _depositWithInterest - principal;
+        
+        settlement.landlordPrincipal = (principal * _landlordPrincipal) / _depositAmount;
+        settlement.tenantPrincipal = principal - settlement.landlordPrincipal;
+        
+        splitInterest(settlement, interest, _tenantInterestPercentage, _platformFeeBps);
+    }
+    
+    /**
+     * @dev 扣除平台費用後按利息分享比例分配利息
+     * @param _settlement 要填入的結算結果
+     * @param _interest 利息金額
+     * @param _tenantInterestPercentage 租客分得的利息百分比 (0-100)
+     * @param _platformFeeBps 租賃鎖定的平台費率（基點）
+     */
+    function splitInterest(
+        Settlement memory _settlement,
+        uint256 _interest,
+        uint256 _tenantInterestPercentage,
+        uint256 _platformFeeBps
+    ) internal pure {
+        _settlement.platformFee = (_interest * _platformFeeBps) / BPS_DENOMINATOR;
+        _settlement.tenantInterest = (_interest * _tenantInterestPercentage) / PERCENTAGE_DENOMINATOR;
+        if (_settlement.tenantInterest > _interest - _settlement.platformFee) {
+            _settlement.tenantInterest = _interest - _settlement.platformFee;
+        }
+        _settlement.landlordInterest = _interest - _settlement.platformFee - _settlement.tenantInterest;
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+/**
+ * @title TrustedForwarderRecipient
+ * @dev 支援ERC-2771元交易的基礎合約，可信轉發者由繼承合約的管理員設定，
+ *      未設定時所有調用皆以msg.sender為發送者
+ */
+abstract contract TrustedForwarderRecipient is ERC2771Context {
+    // 可信轉發者地址
+    address public trustedForwarder;
+    
+    // 事件定義
+    event TrustedForwarderUpdated(address indexed forwarder);
+    
+    /**
+     * @dev 構造函數，轉發者改由儲存變數管理以便部署後設定
+     */
+    constructor() ERC2771Context(address(0)) {}
+    
+    /**
+     * @dev 檢查地址是否為可信轉發者
+     * @param _forwarder 要檢查的地址
+     * @return 是否為可信轉發者
+     */
+    function isTrustedForwarder(address _forwarder) public view virtual override returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+    
+    /**
+     * @dev 設置可信轉發者，由繼承合約加上權限控制後公開
+     * @param _forwarder 轉發者地址，零地址表示停用元交易
+     */
+    function _setTrustedForwarder(address _forwarder) internal {
+        trustedForwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+}
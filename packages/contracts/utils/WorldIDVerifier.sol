@@ -3,12 +3,13 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IWorldID.sol";
+import "./TrustedForwarderRecipient.sol";
 
 /**
  * @title WorldIDVerifier
- * @dev 整合WorldID驗證用戶真實性
+ * @dev 整合WorldID驗證用戶真實性，支援經由可信轉發者提交驗證
  */
-contract WorldIDVerifier is Ownable {
+contract WorldIDVerifier is Ownable, TrustedForwarderRecipient {
     /// @notice WorldID合約接口實例
     IWorldID public immutable worldId;
     
@@ -45,7 +46,7 @@ contract WorldIDVerifier is Ownable {
     
     /**
      * @dev 驗證WorldID證明
-     * @param signal 用戶的地址（轉換為uint256）
+     * @param signal 發送者的地址（轉換為uint256），經由可信轉發者調用時為請求簽署者
      * @param root Merkle樹根
      * @param nullifierHash 空值哈希，用於防止重複驗證
      * @param proof 零知識證明
@@ -56,6 +57,10 @@ contract WorldIDVerifier is Ownable {
         uint256 nullifierHash,
         uint256[8] calldata proof
     ) external {
+        // 證明只能由其信號對應的用戶提交，中繼者可代付Gas但不能替他人完成驗證
+        address user = _msgSender();
+        require(signal == uint256(uint160(user)), "WorldIDVerifier: signal does not match sender");
+        
         // 檢查空值哈希是否已使用
         require(!nullifierHashes[nullifierHash], "WorldIDVerifier: nullifier hash has been used");
         
@@ -76,7 +81,6 @@ contract WorldIDVerifier is Ownable {
         nullifierHashes[nullifierHash] = true;
         
         // 將用戶標記為已驗證
-        address user = address(uint160(signal));
         verifiedAddresses[user] = true;
         
         emit IdentityVerified(user, nullifierHash);
@@ -100,6 +104,14 @@ contract WorldIDVerifier is Ownable {
         verifiedAddresses[user] = status;
     }
     
+    /**
+     * @dev 設置ERC-2771可信轉發者
+     * @param _forwarder 轉發者地址，設為零地址時停用元交易
+     */
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        _setTrustedForwarder(_forwarder);
+    }
+    
     /**
      * @dev 計算外部空值哈希
      * @return 外部空值哈希
@@ -107,4 +119,18 @@ contract WorldIDVerifier is Ownable {
     function _calculateExternalNullifierHash() internal view returns (uint256) {
         return uint256(keccak256(abi.encodePacked(appId, "dework-rental-verification")));
     }
+    
+    /**
+     * @dev 經由可信轉發者調用時，以請求簽署者作為發送者
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    /**
+     * @dev 經由可信轉發者調用時，移除附加在調用數據末端的簽署者地址
+     */
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
 }
@@ -5,35 +5,48 @@ import { WagmiConfig } from 'wagmi';
 
 import Header from './components/Header';
 import Footer from './components/Footer';
+import TransactionList from './components/TransactionList';
 import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
 import CreateRental from './pages/CreateRental';
+import RentalDetail from './pages/RentalDetail';
+import DisputeTimeline from './pages/DisputeTimeline';
+import CreateOffer from './pages/CreateOffer';
+import AcceptOffer from './pages/AcceptOffer';
 import Connect from './pages/Connect';
 import HowItWorks from './pages/HowItWorks';
 import NotFound from './pages/NotFound';
 
+import { TransactionProvider } from './hooks/useTransactions';
 import { wagmiConfig } from './utils/wagmiConfig';
 
 const App = () => {
   return (
     <WagmiConfig config={wagmiConfig}>
       <ConnectKitProvider>
-        <Router>
-          <div className="flex flex-col min-h-screen">
-            <Header />
-            <main className="flex-grow bg-gray-50">
-              <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/dashboard" element={<Dashboard />} />
-                <Route path="/create-rental" element={<CreateRental />} />
-                <Route path="/connect" element={<Connect />} />
-                <Route path="/how-it-works" element={<HowItWorks />} />
-                <Route path="*" element={<NotFound />} />
-              </Routes>
-            </main>
-            <Footer />
-          </div>
-        </Router>
+        <TransactionProvider>
+          <Router>
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow bg-gray-50">
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/dashboard" element={<Dashboard />} />
+                  <Route path="/create-rental" element={<CreateRental />} />
+                  <Route path="/rentals/:id" element={<RentalDetail />} />
+                  <Route path="/rentals/:id/dispute" element={<DisputeTimeline />} />
+                  <Route path="/offers/new" element={<CreateOffer />} />
+                  <Route path="/offers/accept" element={<AcceptOffer />} />
+                  <Route path="/connect" element={<Connect />} />
+                  <Route path="/how-it-works" element={<HowItWorks />} />
+                  <Route path="*" element={<NotFound />} />
+                </Routes>
+              </main>
+              <Footer />
+              <TransactionList />
+            </div>
+          </Router>
+        </TransactionProvider>
       </ConnectKitProvider>
     </WagmiConfig>
   );
@@ -13,6 +13,7 @@ const Header = () => {
     { name: '首頁', path: '/' },
     { name: '儀表板', path: '/dashboard' },
     { name: '創建租賃', path: '/create-rental' },
+    { name: '租賃要約', path: '/offers/new' },
     { name: '如何使用', path: '/how-it-works' }
   ];
   
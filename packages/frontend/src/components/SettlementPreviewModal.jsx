@@ -0,0 +1,96 @@
+import React from 'react';
+
+// 需要先確認結算金額的操作，預覽函數見SettlementPreview合約
+export const SETTLEMENT_ACTIONS = {
+  end: { title: '確認結束租賃', preview: 'previewEndRental' },
+  terminate: { title: '確認提前終止', preview: 'previewTerminateEarly' }
+};
+
+// 結算前的確認視窗，列出各方將分得的本金、利息與平台費用
+const SettlementPreviewModal = ({ title, preview, formatTokenAmount, onConfirm, onCancel, submitting }) => {
+  if (!preview) return null;
+  
+  const { settlement, token, loading, error } = preview;
+  
+  const rows = settlement ? [
+    {
+      label: '房東',
+      principal: settlement.landlordPrincipal,
+      interest: settlement.landlordInterest
+    },
+    {
+      label: '租客',
+      principal: settlement.tenantPrincipal,
+      interest: settlement.tenantInterest
+    }
+  ] : [];
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-md">
+        <h2 className="text-xl font-bold mb-4">{title}</h2>
+        
+        {loading && <p className="text-gray-600">正在計算結算金額...</p>}
+        
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+        
+        {settlement && (
+          <>
+            <table className="min-w-full mb-4">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2"></th>
+                  <th className="py-2">本金</th>
+                  <th className="py-2">利息</th>
+                  <th className="py-2">合計</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-sm">
+                {rows.map((row) => (
+                  <tr key={row.label}>
+                    <td className="py-2 font-medium">{row.label}</td>
+                    <td className="py-2">{formatTokenAmount(row.principal, token)}</td>
+                    <td className="py-2">{formatTokenAmount(row.interest, token)}</td>
+                    <td className="py-2 font-semibold">{formatTokenAmount(row.principal + row.interest, token)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="py-2 font-medium">平台費用</td>
+                  <td className="py-2"></td>
+                  <td className="py-2">{formatTokenAmount(settlement.platformFee, token)}</td>
+                  <td className="py-2"></td>
+                </tr>
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mb-4">
+              利息持續累積至交易上鏈，實際金額可能略高於預覽。
+            </p>
+          </>
+        )}
+        
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            disabled={submitting}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 px-4 rounded-lg"
+          >
+            取消
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={!settlement || submitting}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg"
+          >
+            {submitting ? '處理中...' : '確認送出'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettlementPreviewModal;
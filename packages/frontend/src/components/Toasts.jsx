@@ -0,0 +1,33 @@
+import React from 'react';
+
+const TOAST_STYLES = {
+  info: 'bg-blue-50 border-blue-400 text-blue-800',
+  success: 'bg-green-50 border-green-400 text-green-800',
+  error: 'bg-red-50 border-red-400 text-red-800'
+};
+
+// 畫面右下角的通知列表，搭配useToasts使用
+const Toasts = ({ toasts, onDismiss }) => {
+  if (toasts.length === 0) return null;
+  
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`flex justify-between items-start border-l-4 rounded shadow-md px-4 py-3 ${TOAST_STYLES[toast.type] || TOAST_STYLES.info}`}
+        >
+          <p className="text-sm mr-2">{toast.message}</p>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            className="text-sm opacity-60 hover:opacity-100"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Toasts;
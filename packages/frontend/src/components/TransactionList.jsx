@@ -0,0 +1,65 @@
+import React from 'react';
+import useTransactions from '../hooks/useTransactions';
+import { formatAddress, getExplorerUrl } from '../utils/helpers';
+
+const STATUS_LABELS = {
+  submitted: { text: '等待確認', className: 'text-yellow-700' },
+  mined: { text: '已確認', className: 'text-green-700' },
+  failed: { text: '失敗', className: 'text-red-700' }
+};
+
+// 畫面左下角的最近交易列表，連結到各鏈的區塊瀏覽器
+const TransactionList = () => {
+  const { transactions, dismissTransaction } = useTransactions();
+  
+  if (transactions.length === 0) return null;
+  
+  return (
+    <div className="fixed bottom-4 left-4 z-50 w-80 bg-white rounded-lg shadow-lg divide-y divide-gray-200">
+      {transactions.map((transaction) => {
+        const explorerUrl = getExplorerUrl(transaction.hash, transaction.chainId);
+        const status = STATUS_LABELS[transaction.status];
+        
+        return (
+          <div key={transaction.hash} className="px-4 py-3 text-sm">
+            <div className="flex justify-between items-start">
+              <p className="font-medium">{transaction.label}</p>
+              <button
+                onClick={() => dismissTransaction(transaction.hash)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ×
+              </button>
+            </div>
+            <div className="flex justify-between items-center">
+              <span className={status.className}>
+                {transaction.status === 'submitted' && (
+                  <svg className="animate-spin inline h-3 w-3 mr-1" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"></path>
+                  </svg>
+                )}
+                {status.text}
+              </span>
+              {explorerUrl ? (
+                <a
+                  href={explorerUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-800 text-xs"
+                >
+                  {formatAddress(transaction.hash, 10, 8)}
+                </a>
+              ) : (
+                <span className="text-gray-500 text-xs">{formatAddress(transaction.hash, 10, 8)}</span>
+              )}
+            </div>
+            {transaction.error && <p className="text-xs text-red-600 mt-1">{transaction.error}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TransactionList;
@@ -0,0 +1,25 @@
+import { useState, useRef } from 'react';
+
+// 通知顯示的時間
+const TOAST_DURATION = 6000;
+
+const useToasts = () => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  // 移除通知
+  const dismissToast = (id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  };
+
+  // 顯示通知，一段時間後自動移除；type為info、success或error
+  const showToast = (message, type = 'info') => {
+    const id = nextId.current++;
+    setToasts((prev) => [...prev, { id, message, type }]);
+    setTimeout(() => dismissToast(id), TOAST_DURATION);
+  };
+
+  return { toasts, showToast, dismissToast };
+};
+
+export default useToasts;
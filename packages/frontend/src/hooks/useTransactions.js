@@ -0,0 +1,95 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import useWeb3 from './useWeb3';
+import { waitForTransaction } from '../utils/helpers';
+import {
+  getTransactionErrorMessage,
+  loadPendingTransactions,
+  savePendingTransactions
+} from '../utils/transactions';
+
+// 交易列表保留的已完成交易數量，待確認的交易一律保留
+const MAX_TRANSACTIONS = 5;
+
+const TransactionContext = createContext(null);
+
+// 集中追蹤交易的提交、上鏈與失敗狀態，待確認的交易保存在localStorage
+export const TransactionProvider = ({ children }) => {
+  const { provider, chain } = useWeb3();
+  const [transactions, setTransactions] = useState(loadPendingTransactions);
+  const watching = useRef(new Set());
+
+  const updateTransaction = (hash, changes) => {
+    setTransactions((prev) => prev.map((transaction) => (
+      transaction.hash === hash ? { ...transaction, ...changes } : transaction
+    )));
+  };
+
+  useEffect(() => {
+    savePendingTransactions(transactions);
+  }, [transactions]);
+
+  // 繼續等待重新整理前送出、目前連接的鏈上尚未確認的交易
+  useEffect(() => {
+    if (!provider || !chain) return;
+
+    transactions
+      .filter((transaction) => (
+        transaction.status === 'submitted' &&
+        transaction.chainId === chain.id &&
+        !watching.current.has(transaction.hash)
+      ))
+      .forEach(async (transaction) => {
+        watching.current.add(transaction.hash);
+        try {
+          const receipt = await waitForTransaction(provider, transaction.hash);
+          updateTransaction(transaction.hash, receipt.status === 1
+            ? { status: 'mined' }
+            : { status: 'failed', error: '交易已上鏈但執行失敗。' });
+        } catch (error) {
+          updateTransaction(transaction.hash, { status: 'failed', error: getTransactionErrorMessage(error) });
+        }
+      });
+  }, [provider, chain, transactions]);
+
+  /**
+   * 送出交易並追蹤至上鏈
+   * @param label 顯示在交易列表的操作名稱
+   * @param send 送出交易並回傳ethers交易的函數
+   * @return 交易收據；失敗時拋出原始錯誤，可用getTransactionErrorMessage轉為提示
+   */
+  const sendTransaction = async (label, send) => {
+    const tx = await send();
+    watching.current.add(tx.hash);
+    setTransactions((prev) => [
+      {
+        hash: tx.hash,
+        label,
+        chainId: Number(tx.chainId),
+        status: 'submitted',
+        submittedAt: Math.floor(Date.now() / 1000)
+      },
+      ...prev.filter((transaction, index) => transaction.status === 'submitted' || index < MAX_TRANSACTIONS - 1)
+    ]);
+
+    try {
+      const receipt = await tx.wait();
+      updateTransaction(tx.hash, { status: 'mined' });
+      return receipt;
+    } catch (error) {
+      updateTransaction(tx.hash, { status: 'failed', error: getTransactionErrorMessage(error) });
+      throw error;
+    }
+  };
+
+  // 從列表移除交易，待確認的交易也不再於重新整理後追蹤
+  const dismissTransaction = (hash) => {
+    setTransactions((prev) => prev.filter((transaction) => transaction.hash !== hash));
+  };
+
+  const value = { transactions, sendTransaction, dismissTransaction };
+  return React.createElement(TransactionContext.Provider, { value }, children);
+};
+
+const useTransactions = () => useContext(TransactionContext);
+
+export default useTransactions;
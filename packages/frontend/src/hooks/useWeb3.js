@@ -1,11 +1,16 @@
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { useConnect, useAccount, useDisconnect, useNetwork, useSwitchNetwork } from 'wagmi';
-import { getContract } from '../utils/contracts';
+import { createDeworkSDK } from '@dework/sdk';
+import { getContract, getContractAddresses } from '../utils/contracts';
+
+// 會發出租賃相關事件的合約，事件參數皆包含rentalId
+const RENTAL_EVENT_SOURCES = ['rentalDeposit', 'deductionClaims', 'leaseRenewals', 'rentManager', 'disputeEvidence'];
 
 const useWeb3 = () => {
   const [provider, setProvider] = useState(null);
   const [contracts, setContracts] = useState({});
+  const [sdk, setSdk] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState(null);
 
@@ -76,15 +81,35 @@ const useWeb3 = () => {
       
       const signer = await provider.getSigner();
       
-      const rentalDepositContract = await getContract('RentalDeposit', provider, signer, networkId);
-      const interestManagerContract = await getContract('InterestManager', provider, signer, networkId);
-      const rentalNFTContract = await getContract('RentalNFT', provider, signer, networkId);
+      // 核心合約由SDK建立，缺少地址時拋出錯誤
+      const deworkSDK = createDeworkSDK({
+        runner: signer,
+        addresses: getContractAddresses(networkId)
+      });
+      
+      const rentManagerContract = await getContract('RentManager', provider, signer, networkId);
+      const rentalOffersContract = await getContract('RentalOffers', provider, signer, networkId);
+      const rentalGatewayContract = await getContract('RentalGateway', provider, signer, networkId);
+      const leaseRenewalsContract = await getContract('LeaseRenewals', provider, signer, networkId);
+      const deductionClaimsContract = await getContract('DeductionClaims', provider, signer, networkId);
+      const disputeEvidenceContract = await getContract('DisputeEvidence', provider, signer, networkId);
+      const settlementPreviewContract = await getContract('SettlementPreview', provider, signer, networkId);
+      const noditManagerContract = await getContract('NoditManager', provider, signer, networkId);
       const usdcContract = await getContract('USDC', provider, signer, networkId);
       
+      setSdk(deworkSDK);
       setContracts({
-        rentalDeposit: rentalDepositContract,
-        interestManager: interestManagerContract,
-        rentalNFT: rentalNFTContract,
+        rentalDeposit: deworkSDK.rentalDeposit,
+        interestManager: deworkSDK.interestManager,
+        rentalNFT: deworkSDK.rentalNFT,
+        rentManager: rentManagerContract,
+        rentalOffers: rentalOffersContract,
+        rentalGateway: rentalGatewayContract,
+        leaseRenewals: leaseRenewalsContract,
+        deductionClaims: deductionClaimsContract,
+        disputeEvidence: disputeEvidenceContract,
+        settlementPreview: settlementPreviewContract,
+        noditManager: noditManagerContract,
         usdc: usdcContract
       });
       
@@ -96,9 +121,40 @@ const useWeb3 = () => {
     }
   };
 
+  /**
+   * 訂閱所有租賃相關的合約事件，包含對方或自動執行服務發出的交易；錢包provider以輪詢取得新事件
+   * @param onEvent 回調參數為 { source, name, rentalId, args, log }
+   * @return 取消訂閱的函數
+   */
+  const subscribeToRentalEvents = (onEvent) => {
+    const subscriptions = RENTAL_EVENT_SOURCES
+      .filter((source) => contracts[source])
+      .map((source) => {
+        const listener = (payload) => {
+          if (!payload.fragment || payload.args.rentalId === undefined) return;
+          onEvent({
+            source,
+            name: payload.fragment.name,
+            rentalId: Number(payload.args.rentalId),
+            args: payload.args,
+            log: payload.log
+          });
+        };
+        contracts[source].on('*', listener);
+        return [contracts[source], listener];
+      });
+
+    return () => {
+      for (const [contract, listener] of subscriptions) {
+        contract.off('*', listener);
+      }
+    };
+  };
+
   return {
     provider,
     contracts,
+    sdk,
     address,
     isConnected,
     isConnecting,
@@ -107,6 +163,7 @@ const useWeb3 = () => {
     disconnectWallet,
     switchNetwork,
     initializeContracts,
+    subscribeToRentalEvents,
     chain,
     supportedChains: chains
   };
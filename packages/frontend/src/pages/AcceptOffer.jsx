@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import useWeb3 from '../hooks/useWeb3';
+import useTransactions from '../hooks/useTransactions';
+import { formatAddress, formatAmount, formatDate, getNetworkName } from '../utils/helpers';
+import { getTokenContract } from '../utils/contracts';
+import { decodeOffer } from '../utils/offers';
+import { getTransactionErrorMessage } from '../utils/transactions';
+
+const AcceptOffer = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const {
+    isConnected,
+    address,
+    contracts,
+    provider,
+    chain,
+    initializeContracts
+  } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  
+  const [decoded] = useState(() => decodeOffer(searchParams.get('offer') || ''));
+  const [token, setToken] = useState(null);
+  const [offerValid, setOfferValid] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  
+  const offer = decoded?.offer;
+  
+  // 如果未連接錢包，跳轉到連接頁面
+  useEffect(() => {
+    if (!isConnected) {
+      navigate('/connect');
+    }
+  }, [isConnected, navigate]);
+  
+  // 載入押金代幣資訊與要約序號狀態
+  const loadOfferState = async () => {
+    try {
+      setLoading(true);
+      
+      if (!contracts.rentalOffers) {
+        await initializeContracts(chain?.id);
+        return;
+      }
+      
+      const signer = await provider.getSigner();
+      const tokenContract = getTokenContract(offer.token, provider, signer);
+      const spender = await contracts.rentalDeposit.getAddress();
+      
+      const [symbol, decimals, balance, allowance, valid] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals(),
+        tokenContract.balanceOf(address),
+        tokenContract.allowance(address, spender),
+        contracts.rentalOffers.isOfferValid(offer.landlord, offer.nonce)
+      ]);
+      
+      setToken({
+        contract: tokenContract,
+        symbol,
+        decimals: Number(decimals),
+        balance,
+        allowance
+      });
+      setOfferValid(valid);
+    } catch (err) {
+      console.error('載入要約狀態錯誤:', err);
+      setError('載入要約狀態失敗，請確認已連接到要約所屬的網絡。');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  useEffect(() => {
+    if (isConnected && provider && offer && address) {
+      loadOfferState();
+    } else if (!offer) {
+      setLoading(false);
+    }
+  }, [isConnected, provider, contracts, address]);
+  
+  if (!decoded) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto bg-white rounded-xl shadow-md p-8">
+          <h1 className="text-2xl font-bold mb-2">無效的要約連結</h1>
+          <p className="text-gray-600">請向房東索取正確的要約連結。</p>
+        </div>
+      </div>
+    );
+  }
+  
+  const isLandlord = address && address.toLowerCase() === offer.landlord.toLowerCase();
+  const isOtherTenant = offer.tenant !== ethers.ZeroAddress &&
+    address && address.toLowerCase() !== offer.tenant.toLowerCase();
+  const isExpired = Date.now() / 1000 > Number(offer.expiry);
+  const wrongNetwork = chain && chain.id !== decoded.chainId;
+  const needsApproval = token && token.allowance < offer.depositAmount;
+  const insufficientBalance = token && token.balance < offer.depositAmount;
+  
+  // 不可接受要約的原因
+  const blockingReason = wrongNetwork ? `請切換到 ${getNetworkName(decoded.chainId)}`
+    : isExpired ? '此要約已過期'
+      : !offerValid ? '此要約已被接受或由房東取消'
+        : isLandlord ? '房東不能接受自己的要約'
+          : isOtherTenant ? '此要約指定給其他租客'
+            : insufficientBalance ? '押金代幣餘額不足'
+              : null;
+  
+  // 授權租賃押金合約收取押金
+  const handleApprove = async () => {
+    try {
+      setError(null);
+      setIsSubmitting(true);
+      
+      const spender = await contracts.rentalDeposit.getAddress();
+      await sendTransaction('代幣授權', () => token.contract.approve(spender, offer.depositAmount));
+      
+      setToken({ ...token, allowance: offer.depositAmount });
+      setSuccess(`${token.symbol}授權成功！`);
+    } catch (err) {
+      console.error('代幣授權錯誤:', err);
+      setError(getTransactionErrorMessage(err, '代幣授權失敗，請重試。'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // 接受要約並創建租賃
+  const handleAccept = async () => {
+    try {
+      setError(null);
+      setSuccess(null);
+      setIsSubmitting(true);
+      
+      await sendTransaction('接受要約', () => contracts.rentalOffers.createRentalWithOffer(offer, decoded.signature));
+      
+      setSuccess('已接受要約，租賃合約創建成功！');
+      
+      // 延遲跳轉到儀表板
+      setTimeout(() => {
+        navigate('/dashboard');
+      }, 2000);
+    } catch (err) {
+      console.error('接受要約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '接受要約失敗，請重試。'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  const leaseDays = Number(offer.leaseDuration) / (24 * 60 * 60);
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto bg-white rounded-xl shadow-md p-8">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold mb-2">租賃要約</h1>
+          <p className="text-gray-600">
+            確認房東簽署的租賃條件，接受後押金將直接託管於合約中
+          </p>
+        </div>
+        
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+        
+        {success && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            {success}
+          </div>
+        )}
+        
+        {loading ? (
+          <div className="flex justify-center items-center p-8">
+            <span className="ml-2">載入中...</span>
+          </div>
+        ) : (
+          <>
+            <dl className="space-y-3 text-sm mb-8">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">房東</dt>
+                <dd className="text-gray-900">{formatAddress(offer.landlord)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">指定租客</dt>
+                <dd className="text-gray-900">
+                  {offer.tenant === ethers.ZeroAddress ? '任何人' : formatAddress(offer.tenant)}
+                </dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">押金</dt>
+                <dd className="text-gray-900">
+                  {token ? `${formatAmount(offer.depositAmount, token.decimals)} ${token.symbol}` : formatAddress(offer.token)}
+                </dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">租期</dt>
+                <dd className="text-gray-900">{leaseDays} 天</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">租客利息分享</dt>
+                <dd className="text-gray-900">最多 {Number(offer.interestSharingPercentage)}%</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">要約有效至</dt>
+                <dd className="text-gray-900">{formatDate(offer.expiry)}</dd>
+              </div>
+              {token && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">您的餘額</dt>
+                  <dd className="text-gray-900">{formatAmount(token.balance, token.decimals)} {token.symbol}</dd>
+                </div>
+              )}
+            </dl>
+            
+            {blockingReason ? (
+              <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded">
+                {blockingReason}
+              </div>
+            ) : (
+              <div className="flex justify-end">
+                {needsApproval ? (
+                  <button
+                    type="button"
+                    onClick={handleApprove}
+                    disabled={isSubmitting}
+                    className="bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+                  >
+                    {isSubmitting ? '授權中...' : `授權${token.symbol}`}
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleAccept}
+                    disabled={isSubmitting || !token}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+                  >
+                    {isSubmitting ? '處理中...' : '接受要約並支付押金'}
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptOffer;
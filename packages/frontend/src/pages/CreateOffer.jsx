@@ -0,0 +1,445 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ethers } from 'ethers';
+import useWeb3 from '../hooks/useWeb3';
+import useTransactions from '../hooks/useTransactions';
+import { parseAmount } from '../utils/helpers';
+import { loadDepositTokens } from '../utils/contracts';
+import {
+  RENTAL_OFFER_TYPES,
+  getRentalOfferDomain,
+  generateOfferNonce,
+  getOfferLink
+} from '../utils/offers';
+import { getTransactionErrorMessage } from '../utils/transactions';
+
+const CreateOffer = () => {
+  const navigate = useNavigate();
+  const {
+    isConnected,
+    address,
+    contracts,
+    provider,
+    chain,
+    initializeContracts
+  } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  
+  const [formValues, setFormValues] = useState({
+    tenantAddress: '',
+    tokenAddress: '',
+    depositAmount: '',
+    leaseDuration: 365, // 默認365天
+    interestSharingPercentage: 0,
+    metadataURI: '',
+    validDays: 7
+  });
+  
+  const [formErrors, setFormErrors] = useState({});
+  const [depositTokens, setDepositTokens] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [signedOffer, setSignedOffer] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  
+  // 如果未連接錢包，跳轉到連接頁面
+  useEffect(() => {
+    if (!isConnected) {
+      navigate('/connect');
+    }
+  }, [isConnected, navigate]);
+  
+  // 初始化合約並載入可用的押金代幣
+  useEffect(() => {
+    const loadTokens = async () => {
+      try {
+        if (!contracts.rentalDeposit) {
+          await initializeContracts(chain?.id);
+          return;
+        }
+        
+        const tokens = await loadDepositTokens(contracts.rentalDeposit, provider);
+        const enabledTokens = tokens.filter((token) => token.enabled);
+        setDepositTokens(enabledTokens);
+        
+        // 預設選擇第一個可用的押金代幣
+        if (enabledTokens.length > 0) {
+          setFormValues((prev) => ({
+            ...prev,
+            tokenAddress: prev.tokenAddress || enabledTokens[0].address
+          }));
+        }
+      } catch (err) {
+        console.error('載入押金代幣錯誤:', err);
+      }
+    };
+    
+    if (isConnected && provider) {
+      loadTokens();
+    }
+  }, [isConnected, provider, contracts.rentalDeposit]);
+  
+  // 當前選擇的押金代幣
+  const selectedToken = depositTokens.find((token) => token.address === formValues.tokenAddress);
+  
+  // 表單輸入變化處理
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormValues({
+      ...formValues,
+      [name]: value
+    });
+  };
+  
+  // 表單驗證
+  const validateForm = () => {
+    const errors = {};
+    
+    // 指定租客為選填，留空表示任何人皆可接受
+    if (formValues.tenantAddress) {
+      if (!/^(0x)?[0-9a-fA-F]{40}$/.test(formValues.tenantAddress)) {
+        errors.tenantAddress = '無效的以太坊地址';
+      } else if (formValues.tenantAddress.toLowerCase() === address.toLowerCase()) {
+        errors.tenantAddress = '不能指定自己為租客';
+      }
+    }
+    
+    if (!selectedToken) {
+      errors.tokenAddress = '請選擇押金代幣';
+    }
+    
+    if (!formValues.depositAmount) {
+      errors.depositAmount = '押金金額不能為空';
+    } else if (isNaN(formValues.depositAmount) || parseFloat(formValues.depositAmount) <= 0) {
+      errors.depositAmount = '押金必須大於0';
+    }
+    
+    if (!formValues.leaseDuration || parseInt(formValues.leaseDuration) <= 0) {
+      errors.leaseDuration = '租期必須大於0';
+    }
+    
+    const sharing = parseInt(formValues.interestSharingPercentage);
+    if (isNaN(sharing) || sharing < 0 || sharing > 100) {
+      errors.interestSharingPercentage = '利息分享比例須介於0到100';
+    }
+    
+    if (!formValues.validDays || parseInt(formValues.validDays) <= 0) {
+      errors.validDays = '有效天數必須大於0';
+    }
+    
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+  
+  // 簽署要約並產生分享連結
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) {
+      return;
+    }
+    
+    try {
+      setError(null);
+      setSuccess(null);
+      setCopied(false);
+      setIsSubmitting(true);
+      
+      const signer = await provider.getSigner();
+      const offersAddress = await contracts.rentalOffers.getAddress();
+      
+      const offer = {
+        landlord: address,
+        tenant: formValues.tenantAddress || ethers.ZeroAddress,
+        token: selectedToken.address,
+        depositAmount: BigInt(parseAmount(formValues.depositAmount, selectedToken.decimals)),
+        leaseDuration: BigInt(parseInt(formValues.leaseDuration) * 24 * 60 * 60), // 轉換為秒
+        interestSharingPercentage: BigInt(parseInt(formValues.interestSharingPercentage)),
+        metadataURI: formValues.metadataURI.trim(),
+        expiry: BigInt(Math.floor(Date.now() / 1000) + parseInt(formValues.validDays) * 24 * 60 * 60),
+        nonce: generateOfferNonce()
+      };
+      
+      const signature = await signer.signTypedData(
+        getRentalOfferDomain(chain.id, offersAddress),
+        RENTAL_OFFER_TYPES,
+        offer
+      );
+      
+      setSignedOffer({
+        offer,
+        link: getOfferLink(offer, signature, chain.id)
+      });
+      setSuccess('要約簽署成功！請將連結分享給租客。');
+    } catch (err) {
+      console.error('簽署要約錯誤:', err);
+      setError('簽署要約失敗，請重試。');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // 複製分享連結
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(signedOffer.link);
+      setCopied(true);
+    } catch (err) {
+      console.error('複製連結錯誤:', err);
+    }
+  };
+  
+  // 取消剛簽署的要約
+  const handleCancelOffer = async () => {
+    try {
+      setError(null);
+      setIsSubmitting(true);
+      
+      await sendTransaction('取消要約', () => contracts.rentalOffers.cancelOffer(signedOffer.offer.nonce));
+      
+      setSignedOffer(null);
+      setSuccess('要約已取消，該連結將無法再被接受。');
+    } catch (err) {
+      console.error('取消要約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '取消要約失敗，請重試。'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // 作廢目前為止簽署的所有要約
+  const handleInvalidateAll = async () => {
+    try {
+      setError(null);
+      setIsSubmitting(true);
+      
+      await sendTransaction('作廢要約', () => contracts.rentalOffers.invalidateNonces(generateOfferNonce()));
+      
+      setSignedOffer(null);
+      setSuccess('先前簽署的所有要約皆已作廢。');
+    } catch (err) {
+      console.error('作廢要約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '作廢要約失敗，請重試。'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  const inputClassName = (field) => `shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${
+    formErrors[field] ? 'border-red-500' : ''
+  }`;
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto bg-white rounded-xl shadow-md p-8">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold mb-2">建立租賃要約</h1>
+          <p className="text-gray-600">
+            以錢包簽署租賃條件並分享連結，租客接受時即在一筆交易內完成押金託管
+          </p>
+        </div>
+        
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+        
+        {success && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            {success}
+          </div>
+        )}
+        
+        {signedOffer && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+            <p className="text-sm font-medium text-gray-700 mb-2">分享連結</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                value={signedOffer.link}
+                className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm text-gray-700"
+              />
+              <button
+                type="button"
+                onClick={handleCopyLink}
+                className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium py-2 px-4 rounded"
+              >
+                {copied ? '已複製' : '複製'}
+              </button>
+            </div>
+            <button
+              type="button"
+              onClick={handleCancelOffer}
+              disabled={isSubmitting}
+              className="mt-3 text-sm text-red-600 hover:text-red-800"
+            >
+              取消此要約
+            </button>
+          </div>
+        )}
+        
+        <form onSubmit={handleSubmit}>
+          {/* 指定租客 */}
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="tenantAddress">
+              指定租客地址（選填）
+            </label>
+            <input
+              id="tenantAddress"
+              name="tenantAddress"
+              type="text"
+              placeholder="0x...（留空表示任何人皆可接受）"
+              value={formValues.tenantAddress}
+              onChange={handleInputChange}
+              className={inputClassName('tenantAddress')}
+            />
+            {formErrors.tenantAddress && (
+              <p className="text-red-500 text-xs italic mt-1">{formErrors.tenantAddress}</p>
+            )}
+          </div>
+          
+          {/* 押金代幣 */}
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="tokenAddress">
+              押金代幣
+            </label>
+            <select
+              id="tokenAddress"
+              name="tokenAddress"
+              value={formValues.tokenAddress}
+              onChange={handleInputChange}
+              className={inputClassName('tokenAddress')}
+            >
+              {depositTokens.map((token) => (
+                <option key={token.address} value={token.address}>{token.symbol}</option>
+              ))}
+            </select>
+            {formErrors.tokenAddress && (
+              <p className="text-red-500 text-xs italic mt-1">{formErrors.tokenAddress}</p>
+            )}
+          </div>
+          
+          {/* 押金金額 */}
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="depositAmount">
+              押金金額 ({selectedToken?.symbol || 'USDC'})
+            </label>
+            <input
+              id="depositAmount"
+              name="depositAmount"
+              type="text"
+              placeholder="1000"
+              value={formValues.depositAmount}
+              onChange={handleInputChange}
+              className={inputClassName('depositAmount')}
+            />
+            {formErrors.depositAmount && (
+              <p className="text-red-500 text-xs italic mt-1">{formErrors.depositAmount}</p>
+            )}
+          </div>
+          
+          {/* 租期與利息分享 */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="leaseDuration">
+                租期 (天數)
+              </label>
+              <input
+                id="leaseDuration"
+                name="leaseDuration"
+                type="number"
+                min="1"
+                value={formValues.leaseDuration}
+                onChange={handleInputChange}
+                className={inputClassName('leaseDuration')}
+              />
+              {formErrors.leaseDuration && (
+                <p className="text-red-500 text-xs italic mt-1">{formErrors.leaseDuration}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="interestSharingPercentage">
+                租客利息分享比例 (%)
+              </label>
+              <input
+                id="interestSharingPercentage"
+                name="interestSharingPercentage"
+                type="number"
+                min="0"
+                max="100"
+                value={formValues.interestSharingPercentage}
+                onChange={handleInputChange}
+                className={inputClassName('interestSharingPercentage')}
+              />
+              {formErrors.interestSharingPercentage && (
+                <p className="text-red-500 text-xs italic mt-1">{formErrors.interestSharingPercentage}</p>
+              )}
+              <p className="text-gray-500 text-xs mt-1">
+                實際比例不超過租客信用分數建議的上限
+              </p>
+            </div>
+          </div>
+          
+          {/* 元數據與有效期 */}
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="metadataURI">
+              租賃元數據URI（選填）
+            </label>
+            <input
+              id="metadataURI"
+              name="metadataURI"
+              type="text"
+              placeholder="ipfs://..."
+              value={formValues.metadataURI}
+              onChange={handleInputChange}
+              className={inputClassName('metadataURI')}
+            />
+          </div>
+          
+          <div className="mb-8">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="validDays">
+              要約有效天數
+            </label>
+            <input
+              id="validDays"
+              name="validDays"
+              type="number"
+              min="1"
+              value={formValues.validDays}
+              onChange={handleInputChange}
+              className={inputClassName('validDays')}
+            />
+            {formErrors.validDays && (
+              <p className="text-red-500 text-xs italic mt-1">{formErrors.validDays}</p>
+            )}
+          </div>
+          
+          {/* 按鈕區域 */}
+          <div className="flex justify-between items-center">
+            <button
+              type="button"
+              onClick={handleInvalidateAll}
+              disabled={isSubmitting}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              作廢所有先前要約
+            </button>
+            
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
+            >
+              {isSubmitting ? '處理中...' : '簽署並產生連結'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreateOffer;
@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useWeb3 from '../hooks/useWeb3';
+import useTransactions from '../hooks/useTransactions';
 import { formatAmount, parseAmount } from '../utils/helpers';
+import { loadDepositTokens, getPermitDomain, signPermit } from '../utils/contracts';
+import { getTransactionErrorMessage } from '../utils/transactions';
 
 const CreateRental = () => {
   const navigate = useNavigate();
-  const { isConnected, address, contracts, provider } = useWeb3();
+  const { isConnected, address, contracts, provider, chain } = useWeb3();
+  const { sendTransaction } = useTransactions();
   
   const [formValues, setFormValues] = useState({
     landlordAddress: '',
+    tokenAddress: '',
     depositAmount: '',
     leaseDuration: 365 // 默認365天
   });
@@ -16,8 +21,8 @@ const CreateRental = () => {
   const [formErrors, setFormErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [approvalStatus, setApprovalStatus] = useState('notApproved');
-  const [usdcBalance, setUsdcBalance] = useState(0);
-  const [usdcAllowance, setUsdcAllowance] = useState(0);
+  const [depositTokens, setDepositTokens] = useState([]);
+  const [permitDomain, setPermitDomain] = useState(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   
@@ -28,23 +33,22 @@ const CreateRental = () => {
     }
   }, [isConnected, navigate]);
   
-  // 獲取USDC餘額和授權額度
+  // 獲取各押金代幣的餘額和授權額度
   useEffect(() => {
-    const getBalanceAndAllowance = async () => {
+    const getBalancesAndAllowances = async () => {
       try {
-        if (contracts.usdc && address && contracts.rentalDeposit) {
-          const balance = await contracts.usdc.balanceOf(address);
-          setUsdcBalance(balance);
+        if (address && contracts.rentalDeposit && provider) {
+          const signer = await provider.getSigner();
+          const tokens = await loadDepositTokens(contracts.rentalDeposit, provider, signer, address);
+          const enabledTokens = tokens.filter((token) => token.enabled);
+          setDepositTokens(enabledTokens);
           
-          const allowance = await contracts.usdc.allowance(
-            address,
-            await contracts.rentalDeposit.getAddress()
-          );
-          setUsdcAllowance(allowance);
-          
-          // 檢查授權狀態
-          if (allowance > 0) {
-            setApprovalStatus('approved');
+          // 預設選擇第一個可用的押金代幣
+          if (enabledTokens.length > 0) {
+            setFormValues((prev) => ({
+              ...prev,
+              tokenAddress: prev.tokenAddress || enabledTokens[0].address
+            }));
           }
         }
       } catch (err) {
@@ -52,10 +56,44 @@ const CreateRental = () => {
       }
     };
     
-    if (isConnected && contracts.usdc) {
-      getBalanceAndAllowance();
+    if (isConnected && contracts.rentalDeposit) {
+      getBalancesAndAllowances();
     }
-  }, [isConnected, address, contracts.usdc, contracts.rentalDeposit]);
+  }, [isConnected, address, contracts.rentalDeposit, provider]);
+  
+  // 當前選擇的押金代幣
+  const selectedToken = depositTokens.find((token) => token.address === formValues.tokenAddress);
+  
+  // 偵測所選代幣是否支援許可簽名，支援時可省略單獨的授權交易
+  useEffect(() => {
+    setPermitDomain(null);
+    if (!selectedToken || !chain) return;
+    
+    let cancelled = false;
+    getPermitDomain(selectedToken.contract, chain.id).then((domain) => {
+      if (!cancelled) {
+        setPermitDomain(domain);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedToken?.address, chain?.id]);
+  
+  // 根據所選代幣的授權額度更新授權狀態
+  useEffect(() => {
+    if (!selectedToken) return;
+    
+    const depositAmountInWei = formValues.depositAmount
+      ? parseAmount(formValues.depositAmount, selectedToken.decimals)
+      : 0n;
+    setApprovalStatus(
+      selectedToken.allowance > 0n && BigInt(depositAmountInWei) <= selectedToken.allowance
+        ? 'approved'
+        : 'notApproved'
+    );
+  }, [selectedToken, formValues.depositAmount]);
   
   // 表單輸入變化處理
   const handleInputChange = (e) => {
@@ -79,14 +117,19 @@ const CreateRental = () => {
       errors.landlordAddress = '不能使用自己的地址作為房東地址';
     }
     
+    // 驗證押金代幣
+    if (!selectedToken) {
+      errors.tokenAddress = '請選擇押金代幣';
+    }
+    
     // 驗證押金金額
     if (!formValues.depositAmount) {
       errors.depositAmount = '押金金額不能為空';
     } else if (isNaN(formValues.depositAmount) || parseFloat(formValues.depositAmount) <= 0) {
       errors.depositAmount = '押金必須大於0';
-    } else {
-      const depositAmountInWei = parseAmount(formValues.depositAmount);
-      if (depositAmountInWei.gt(usdcBalance)) {
+    } else if (selectedToken) {
+      const depositAmountInWei = parseAmount(formValues.depositAmount, selectedToken.decimals);
+      if (BigInt(depositAmountInWei) > selectedToken.balance) {
         errors.depositAmount = '餘額不足';
       }
     }
@@ -109,18 +152,22 @@ const CreateRental = () => {
       setIsSubmitting(true);
       setApprovalStatus('approving');
       
-      const depositAmountInWei = parseAmount(formValues.depositAmount);
+      const depositAmountInWei = parseAmount(formValues.depositAmount, selectedToken.decimals);
       const rentalDepositAddress = await contracts.rentalDeposit.getAddress();
       
-      const tx = await contracts.usdc.approve(rentalDepositAddress, depositAmountInWei);
-      await tx.wait();
+      await sendTransaction('代幣授權', () => selectedToken.contract.approve(rentalDepositAddress, depositAmountInWei));
       
-      setUsdcAllowance(depositAmountInWei);
+      // 更新所選代幣的授權額度
+      setDepositTokens((prev) => prev.map((token) => (
+        token.address === selectedToken.address
+          ? { ...token, allowance: BigInt(depositAmountInWei) }
+          : token
+      )));
       setApprovalStatus('approved');
-      setSuccess('USDC授權成功！');
+      setSuccess(`${selectedToken.symbol}授權成功！`);
     } catch (err) {
       console.error('代幣授權錯誤:', err);
-      setError('代幣授權失敗，請重試。');
+      setError(getTransactionErrorMessage(err, '代幣授權失敗，請重試。'));
       setApprovalStatus('notApproved');
     } finally {
       setIsSubmitting(false);
@@ -141,24 +188,57 @@ const CreateRental = () => {
       setSuccess(null);
       setIsSubmitting(true);
       
-      const depositAmountInWei = parseAmount(formValues.depositAmount);
+      const depositAmountInWei = parseAmount(formValues.depositAmount, selectedToken.decimals);
       const leaseDurationInSeconds = parseInt(formValues.leaseDuration) * 24 * 60 * 60; // 轉換為秒
       
-      // 檢查授權
-      if (depositAmountInWei.gt(usdcAllowance)) {
+      const needsAllowance = BigInt(depositAmountInWei) > selectedToken.allowance;
+      
+      // 代幣不支援許可簽名或未部署創建入口合約時須先完成授權
+      if (needsAllowance && (!permitDomain || !contracts.rentalGateway)) {
         setApprovalStatus('needApproval');
         setIsSubmitting(false);
         return;
       }
       
-      // 創建租賃合約
-      const tx = await contracts.rentalDeposit.createRental(
-        formValues.landlordAddress,
-        depositAmountInWei,
-        leaseDurationInSeconds
-      );
+      let send;
+      if (needsAllowance) {
+        // 以許可簽名授權押金，在同一筆交易內創建租賃
+        const signer = await provider.getSigner();
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + 30 * 60); // 30分鐘內有效
+        const permit = await signPermit(
+          selectedToken.contract,
+          permitDomain,
+          signer,
+          await contracts.rentalDeposit.getAddress(),
+          depositAmountInWei,
+          deadline
+        );
+        
+        send = () => contracts.rentalGateway.createRentalWithPermit(
+          formValues.landlordAddress,
+          selectedToken.address,
+          depositAmountInWei,
+          leaseDurationInSeconds,
+          '',
+          0,
+          permit.deadline,
+          permit.v,
+          permit.r,
+          permit.s
+        );
+      } else {
+        // 創建租賃合約
+        send = () => contracts.rentalDeposit.createRental(
+          formValues.landlordAddress,
+          selectedToken.address,
+          depositAmountInWei,
+          leaseDurationInSeconds,
+          '',
+          0
+        );
+      }
       
-      await tx.wait();
+      await sendTransaction('創建租賃合約', send);
       
       setSuccess('租賃合約創建成功！');
       
@@ -168,7 +248,7 @@ const CreateRental = () => {
       }, 2000);
     } catch (err) {
       console.error('創建租賃錯誤:', err);
-      setError('創建租賃合約失敗，請重試。');
+      setError(getTransactionErrorMessage(err, '創建租賃合約失敗，請重試。'));
     } finally {
       setIsSubmitting(false);
     }
@@ -221,10 +301,46 @@ const CreateRental = () => {
             </p>
           </div>
           
+          {/* 押金代幣 */}
+          <div className="mb-6">
+            <label className="block text-gray-700 text-sm font-bold mb-2">
+              押金代幣
+            </label>
+            {depositTokens.length === 0 ? (
+              <p className="text-gray-500 text-sm">目前沒有可用的押金代幣</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {depositTokens.map((token) => (
+                  <button
+                    key={token.address}
+                    type="button"
+                    onClick={() => setFormValues({ ...formValues, tokenAddress: token.address })}
+                    className={`border rounded-lg p-3 text-left ${
+                      token.address === formValues.tokenAddress
+                        ? 'border-blue-600 bg-blue-50'
+                        : 'border-gray-300 hover:border-blue-400'
+                    }`}
+                  >
+                    <p className="font-semibold">{token.symbol}</p>
+                    <p className="text-xs text-gray-500">
+                      餘額: {formatAmount(token.balance, token.decimals)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      已授權: {formatAmount(token.allowance, token.decimals)}
+                    </p>
+                  </button>
+                ))}
+              </div>
+            )}
+            {formErrors.tokenAddress && (
+              <p className="text-red-500 text-xs italic mt-1">{formErrors.tokenAddress}</p>
+            )}
+          </div>
+          
           {/* 押金金額 */}
           <div className="mb-6">
             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="depositAmount">
-              押金金額 (USDC)
+              押金金額 ({selectedToken?.symbol || 'USDC'})
             </label>
             <div className="relative">
               <input
@@ -239,15 +355,22 @@ const CreateRental = () => {
                 }`}
               />
               <div className="absolute inset-y-0 right-0 flex items-center px-3 pointer-events-none">
-                <span className="text-gray-500">USDC</span>
+                <span className="text-gray-500">{selectedToken?.symbol || 'USDC'}</span>
               </div>
             </div>
             {formErrors.depositAmount && (
               <p className="text-red-500 text-xs italic mt-1">{formErrors.depositAmount}</p>
             )}
-            <p className="text-gray-500 text-xs mt-1">
-              您的USDC餘額: {formatAmount(usdcBalance)} USDC
-            </p>
+            {selectedToken && (
+              <p className="text-gray-500 text-xs mt-1">
+                您的{selectedToken.symbol}餘額: {formatAmount(selectedToken.balance, selectedToken.decimals)} {selectedToken.symbol}
+              </p>
+            )}
+            {permitDomain && (
+              <p className="text-green-600 text-xs mt-1">
+                {selectedToken.symbol}支援許可簽名，創建時只需簽名即可授權押金，無需額外的授權交易
+              </p>
+            )}
           </div>
           
           {/* 租期 */}
@@ -282,7 +405,7 @@ const CreateRental = () => {
               取消
             </button>
             
-            {approvalStatus === 'needApproval' || (approvalStatus === 'notApproved' && formValues.depositAmount) ? (
+            {!permitDomain && (approvalStatus === 'needApproval' || (approvalStatus === 'notApproved' && formValues.depositAmount)) ? (
               <button
                 type="button"
                 onClick={handleApproveToken}
@@ -298,7 +421,7 @@ const CreateRental = () => {
                     授權中...
                   </>
                 ) : (
-                  '授權USDC'
+                  `授權${selectedToken?.symbol || 'USDC'}`
                 )}
               </button>
             ) : (
@@ -1,7 +1,48 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import useWeb3 from '../hooks/useWeb3';
-import { formatAddress, formatAmount, formatAPY, formatDate, getRentalStatusText } from '../utils/helpers';
+import useToasts from '../hooks/useToasts';
+import useTransactions from '../hooks/useTransactions';
+import Toasts from '../components/Toasts';
+import SettlementPreviewModal, { SETTLEMENT_ACTIONS } from '../components/SettlementPreviewModal';
+import {
+  formatAddress,
+  formatAmount,
+  formatAPY,
+  formatDate,
+  parseAmount,
+  getRentalStatusText,
+  getRentalActions,
+  getDeductionReasonText,
+  getClaimStatusText,
+  getIpfsGatewayUrl
+} from '../utils/helpers';
+import { loadDepositTokens } from '../utils/contracts';
+import { fetchIndexedRentals, fromIndexedRental } from '../utils/indexer';
+import { getTransactionErrorMessage } from '../utils/transactions';
+
+// 需要通知用戶並更新租賃的事件，其餘事件（如扣款明細）會伴隨其中之一發出
+const EVENT_MESSAGES = {
+  RentalCreated: '新的租賃已建立',
+  DepositReleased: '押金已釋放',
+  DepositRefunded: '押金已退還租客',
+  DisputeRaised: '已提出爭議',
+  DisputeResolved: '爭議已裁決',
+  DisputeResolvedWithSplit: '爭議已裁決並分配押金',
+  InterestWithdrawn: '累積利息已提取',
+  LeaseRenewed: '租約已續約',
+  DepositToppedUp: '押金已補足',
+  EmergencyWithdrawal: '押金已緊急提取',
+  DeductionClaimFiled: '房東提出扣款申請',
+  DeductionClaimAccepted: '扣款申請已接受',
+  DeductionClaimDisputed: '租客對扣款申請提出異議',
+  RenewalProposed: '房東提出續約',
+  RenewalCancelled: '續約提議已撤回',
+  RentScheduleProposed: '房東提出租金排程',
+  RentScheduleAccepted: '租金排程已確認',
+  RentPaid: '租金已繳納',
+  EvidenceSubmitted: '有新的爭議證據'
+};
 
 const Dashboard = () => {
   const navigate = useNavigate();
@@ -9,16 +50,28 @@ const Dashboard = () => {
     isConnected, 
     address, 
     contracts, 
+    sdk,
     provider,
     chain,
-    initializeContracts
+    initializeContracts,
+    subscribeToRentalEvents
   } = useWeb3();
+  const { toasts, showToast, dismissToast } = useToasts();
+  const { sendTransaction } = useTransactions();
   
   const [loading, setLoading] = useState(true);
   const [rentals, setRentals] = useState([]);
   const [currentAPY, setCurrentAPY] = useState(0);
   const [usdcBalance, setUsdcBalance] = useState(0);
+  const [depositTokens, setDepositTokens] = useState({});
   const [error, setError] = useState(null);
+  const [rentForms, setRentForms] = useState({});
+  const [renewalForms, setRenewalForms] = useState({});
+  const [settlementPreview, setSettlementPreview] = useState(null);
+  const [settling, setSettling] = useState(false);
+  
+  // 目前列出的租賃，供事件訂閱判斷事件是否與用戶相關
+  const rentalIdsRef = useRef(new Set());
   
   // 如果未連接錢包，跳轉到連接頁面
   useEffect(() => {
@@ -27,6 +80,102 @@ const Dashboard = () => {
     }
   }, [isConnected, navigate]);
   
+  // 讀取單筆租賃及其扣款申請、租金排程與續約提議
+  const loadRental = async (id) => {
+    const rental = await contracts.rentalDeposit.rentals(id);
+    
+    // 確定用戶在租賃中的角色
+    const isLandlord = rental.landlord.toLowerCase() === address.toLowerCase();
+    const isTenant = rental.tenant.toLowerCase() === address.toLowerCase();
+    
+    // 獲取房東的扣款申請
+    const claim = contracts.deductionClaims
+      ? await contracts.deductionClaims.deductionClaims(id)
+      : { status: 0 };
+    const claimItems = Number(claim.status) > 0
+      ? await contracts.deductionClaims.getDeductionItems(id)
+      : [];
+    
+    // 獲取租金排程與繳租狀態
+    const rentSchedule = contracts.rentManager
+      ? await contracts.rentManager.rentSchedules(id)
+      : null;
+    const rentStatus = rentSchedule?.active
+      ? await contracts.rentManager.getRentStatus(id)
+      : null;
+    
+    // 獲取房東的續約提議
+    const renewal = contracts.leaseRenewals
+      ? await contracts.leaseRenewals.renewalProposals(id)
+      : null;
+    
+    return {
+      id: Number(id),
+      depositAmount: rental.depositAmount,
+      token: rental.token,
+      startTime: Number(rental.startTime),
+      endTime: Number(rental.endTime),
+      releaseTime: Number(rental.releaseTime),
+      isActive: rental.isActive,
+      inDispute: rental.inDispute,
+      tenant: rental.tenant,
+      landlord: rental.landlord,
+      role: isLandlord ? 'landlord' : (isTenant ? 'tenant' : 'unknown'),
+      claim: Number(claim.status) > 0 ? {
+        totalAmount: claim.totalAmount,
+        filedAt: Number(claim.filedAt),
+        status: Number(claim.status),
+        items: claimItems.map((item) => ({
+          amount: item.amount,
+          reason: Number(item.reason),
+          evidenceURI: item.evidenceURI
+        }))
+      } : null,
+      rent: rentSchedule?.amount > 0 ? {
+        amount: rentSchedule.amount,
+        period: Number(rentSchedule.period),
+        dueDay: Number(rentSchedule.dueDay),
+        paidPeriods: Number(rentSchedule.paidPeriods),
+        active: rentSchedule.active,
+        nextDueTime: rentStatus ? Number(rentStatus.nextDueTime) : 0,
+        amountDue: rentStatus ? rentStatus.amountDue : 0n,
+        overduePeriods: rentStatus ? Number(rentStatus.overduePeriods) : 0
+      } : null,
+      renewal: renewal?.extension > 0 ? {
+        extension: Number(renewal.extension),
+        newDepositAmount: renewal.newDepositAmount,
+        proposedAt: Number(renewal.proposedAt)
+      } : null
+    };
+  };
+  
+  // 載入USDC餘額與押金代幣資訊，押金代幣用於顯示各租賃的代幣符號和精度
+  const loadBalances = async () => {
+    if (contracts.usdc && address) {
+      const balance = await contracts.usdc.balanceOf(address);
+      setUsdcBalance(balance);
+    }
+    
+    if (contracts.rentalDeposit && provider && address) {
+      const signer = await provider.getSigner();
+      const tokens = await loadDepositTokens(contracts.rentalDeposit, provider, signer, address);
+      setDepositTokens(Object.fromEntries(tokens.map((token) => [token.address, token])));
+    }
+  };
+  
+  // 交易完成或收到事件後只重新載入該筆租賃與餘額，保留錢包連線與頁面狀態
+  const refreshRental = async (rentalId) => {
+    try {
+      const [updated] = await Promise.all([loadRental(rentalId), loadBalances()]);
+      setRentals((prev) => (prev.some((rental) => rental.id === updated.id)
+        ? prev.map((rental) => (rental.id === updated.id ? updated : rental))
+        : [...prev, updated]));
+    } catch (err) {
+      console.error('更新租賃錯誤:', err);
+      setError('更新租賃資料失敗，請刷新頁面。');
+    }
+  };
+  
   // 初始化合約並載入數據
   useEffect(() => {
     const loadData = async () => {
@@ -48,38 +197,27 @@ const Dashboard = () => {
           setCurrentAPY(apy);
         }
         
-        // 載入USDC餘額
-        if (contracts.usdc && address) {
-          const balance = await contracts.usdc.balanceOf(address);
-          setUsdcBalance(balance);
-        }
+        // 載入USDC餘額與押金代幣資訊
+        await loadBalances();
         
         // 載入用戶的租賃
         if (contracts.rentalDeposit && address) {
-          const userRentalIds = await contracts.rentalDeposit.getUserRentals(address);
+          // 優先使用索引服務的租賃列表，已結束的租賃直接採用索引記錄；無法使用時回退至RPC
+          const indexedRentals = await fetchIndexedRentals(address);
+          const closedRentals = Object.fromEntries(
+            (indexedRentals || [])
+              .filter((rental) => rental.status === 'closed')
+              .map((rental) => [rental.id, rental])
+          );
+          const userRentalIds = indexedRentals
+            ? indexedRentals.map((rental) => rental.id)
+            : await contracts.rentalDeposit.getUserRentals(address);
           
           // 獲取每個租賃的詳細信息
           const rentalData = await Promise.all(
-            userRentalIds.map(async (id) => {
-              const rental = await contracts.rentalDeposit.rentals(id);
-              
-              // 確定用戶在租賃中的角色
-              const isLandlord = rental.landlord.toLowerCase() === address.toLowerCase();
-              const isTenant = rental.tenant.toLowerCase() === address.toLowerCase();
-              
-              return {
-                id: Number(id),
-                depositAmount: rental.depositAmount,
-                startTime: Number(rental.startTime),
-                endTime: Number(rental.endTime),
-                releaseTime: Number(rental.releaseTime),
-                isActive: rental.isActive,
-                inDispute: rental.inDispute,
-                tenant: rental.tenant,
-                landlord: rental.landlord,
-                role: isLandlord ? 'landlord' : (isTenant ? 'tenant' : 'unknown')
-              };
-            })
+            userRentalIds.map((id) => (closedRentals[id]
+              ? fromIndexedRental(closedRentals[id], address)
+              : loadRental(id)))
           );
           
           setRentals(rentalData);
@@ -96,37 +234,112 @@ const Dashboard = () => {
     if (isConnected && contracts.rentalDeposit) {
       loadData();
     }
-  }, [isConnected, address, contracts, chain, initializeContracts]);
+  }, [isConnected, address, contracts, provider, chain, initializeContracts]);
+  
+  useEffect(() => {
+    rentalIdsRef.current = new Set(rentals.map((rental) => rental.id));
+  }, [rentals]);
+  
+  // 訂閱租賃事件並在原處更新受影響的租賃，包含對方或自動執行服務發出的交易
+  useEffect(() => {
+    if (!contracts.rentalDeposit || !address) return undefined;
+    
+    // 同一交易可能對同一租賃發出多個事件（如結算時分別支付雙方），只處理第一個
+    const handled = new Set();
+    
+    return subscribeToRentalEvents(({ name, rentalId, args, log }) => {
+      const key = `${log.transactionHash}:${rentalId}`;
+      if (!EVENT_MESSAGES[name] || handled.has(key)) return;
+      
+      const isNewRental = name === 'RentalCreated'
+        && [args.tenant, args.landlord].some((party) => party.toLowerCase() === address.toLowerCase());
+      if (!isNewRental && !rentalIdsRef.current.has(rentalId)) return;
+      
+      handled.add(key);
+      showToast(`租賃 #${rentalId}：${EVENT_MESSAGES[name]}`);
+      refreshRental(rentalId);
+    });
+  }, [contracts, address]);
+  
+  // 依租賃狀態與用戶角色判斷是否可執行操作
+  const canPerform = (rental, action) => getRentalActions(rental, rental.role).includes(action);
+  
+  // 以租賃的押金代幣格式化金額
+  const formatTokenAmount = (amount, tokenAddress) => {
+    const token = depositTokens[tokenAddress];
+    return `${formatAmount(amount, token?.decimals ?? 6)} ${token?.symbol || 'USDC'}`;
+  };
+  
+  // 授權合約使用租賃的押金代幣，預設為租賃押金合約
+  const ensureTokenAllowance = async (tokenAddress, amount, spenderContract = contracts.rentalDeposit) => {
+    const token = depositTokens[tokenAddress];
+    const spender = await spenderContract.getAddress();
+    const allowance = await token.contract.allowance(address, spender);
+    if (allowance < amount) {
+      await sendTransaction(`授權${token.symbol}`, () => token.contract.approve(spender, amount));
+    }
+  };
   
   // 結束租賃
   const handleEndRental = async (rentalId) => {
     try {
       setError(null);
       
-      const tx = await contracts.rentalDeposit.endRental(rentalId);
-      await tx.wait();
+      await sendTransaction('結束租賃', () => contracts.rentalDeposit.endRental(rentalId));
       
-      // 重新載入數據
-      window.location.reload();
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
     } catch (err) {
       console.error('結束租賃錯誤:', err);
-      setError('結束租賃失敗，請重試。');
+      setError(getTransactionErrorMessage(err, '結束租賃失敗，請重試。'));
     }
   };
   
-  // 提出爭議
-  const handleRaiseDispute = async (rentalId) => {
+  // 送出結算交易前預覽各方分得的金額，未部署預覽合約時由SDK依相同規則估算
+  const openSettlementPreview = async (rental, action) => {
+    setSettlementPreview({ action, rentalId: rental.id, token: rental.token, loading: true });
+    
+    try {
+      const settlement = contracts.settlementPreview
+        ? await contracts.settlementPreview[SETTLEMENT_ACTIONS[action].preview](rental.id)
+        : await sdk.quoteSettlement(rental.id, { landlordPrincipal: action === 'terminate' ? 0n : undefined });
+      
+      setSettlementPreview((prev) => prev?.rentalId === rental.id ? { ...prev, settlement, loading: false } : prev);
+    } catch (err) {
+      console.error('預覽結算錯誤:', err);
+      setSettlementPreview((prev) => prev?.rentalId === rental.id
+        ? { ...prev, loading: false, error: '無法計算結算金額，請稍後再試。' }
+        : prev);
+    }
+  };
+  
+  // 確認預覽後送出結算交易
+  const handleConfirmSettlement = async () => {
+    const { action, rentalId } = settlementPreview;
+    setSettling(true);
+    
+    if (action === 'terminate') {
+      await handleTerminateEarly(rentalId);
+    } else {
+      await handleEndRental(rentalId);
+    }
+    
+    setSettling(false);
+    setSettlementPreview(null);
+  };
+  
+  // 提取租期中累積的利息，本金繼續留在收益協議
+  const handleClaimInterest = async (rentalId) => {
     try {
       setError(null);
       
-      const tx = await contracts.rentalDeposit.raiseDispute(rentalId);
-      await tx.wait();
+      await sendTransaction('提取利息', () => contracts.rentalDeposit.claimInterest(rentalId));
       
-      // 重新載入數據
-      window.location.reload();
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
     } catch (err) {
-      console.error('提出爭議錯誤:', err);
-      setError('提出爭議失敗，請重試。');
+      console.error('提取利息錯誤:', err);
+      setError(getTransactionErrorMessage(err, '提取利息失敗，可能尚無累積利息，請稍後再試。'));
     }
   };
   
@@ -135,17 +348,196 @@ const Dashboard = () => {
     try {
       setError(null);
       
-      const tx = await contracts.rentalDeposit.terminateEarly(rentalId);
-      await tx.wait();
+      await sendTransaction('提前終止租賃', () => contracts.rentalDeposit.terminateEarly(rentalId));
       
-      // 重新載入數據
-      window.location.reload();
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
     } catch (err) {
       console.error('提前終止錯誤:', err);
-      setError('提前終止租賃失敗，請重試。');
+      setError(getTransactionErrorMessage(err, '提前終止租賃失敗，請重試。'));
     }
   };
-
+  
+  // 接受扣款申請
+  const handleAcceptClaim = async (rentalId) => {
+    try {
+      setError(null);
+      
+      await sendTransaction('接受扣款申請', () => contracts.deductionClaims.acceptDeductionClaim(rentalId));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
+    } catch (err) {
+      console.error('接受扣款錯誤:', err);
+      setError(getTransactionErrorMessage(err, '接受扣款申請失敗，請重試。'));
+    }
+  };
+  
+  // 對扣款申請提出異議
+  const handleDisputeClaim = async (rentalId) => {
+    try {
+      setError(null);
+      
+      await sendTransaction('對扣款申請提出異議', () => contracts.deductionClaims.disputeDeductionClaim(rentalId));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
+    } catch (err) {
+      console.error('提出異議錯誤:', err);
+      setError(getTransactionErrorMessage(err, '對扣款申請提出異議失敗，請重試。'));
+    }
+  };
+  
+  // 房東提出每月租金排程
+  const handleProposeRent = async (rental) => {
+    try {
+      setError(null);
+      
+      const form = rentForms[rental.id] || {};
+      if (!form.amount || Number(form.amount) <= 0) {
+        setError('請輸入有效的每月租金');
+        return;
+      }
+      
+      const dueDay = Number(form.dueDay || 0);
+      await sendTransaction('提出租金排程', () => contracts.rentManager.proposeRentSchedule(
+        rental.id,
+        parseAmount(form.amount, depositTokens[rental.token]?.decimals ?? 6),
+        30 * 24 * 60 * 60,
+        dueDay
+      ));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rental.id);
+    } catch (err) {
+      console.error('提出租金排程錯誤:', err);
+      setError(getTransactionErrorMessage(err, '提出租金排程失敗，請重試。'));
+    }
+  };
+  
+  // 租客確認租金排程
+  const handleAcceptRent = async (rental) => {
+    try {
+      setError(null);
+      
+      await sendTransaction('確認租金排程', () => contracts.rentManager.acceptRentSchedule(
+        rental.id,
+        rental.rent.amount,
+        rental.rent.period,
+        rental.rent.dueDay
+      ));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rental.id);
+    } catch (err) {
+      console.error('確認租金排程錯誤:', err);
+      setError(getTransactionErrorMessage(err, '確認租金排程失敗，請重試。'));
+    }
+  };
+  
+  // 繳納下一期租金
+  const handlePayRent = async (rental) => {
+    try {
+      setError(null);
+      
+      // 授權額度不足時先授權本期應付金額
+      await ensureTokenAllowance(rental.token, rental.rent.amountDue, contracts.rentManager);
+      
+      await sendTransaction('繳納租金', () => contracts.rentManager.payRent(rental.id));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rental.id);
+    } catch (err) {
+      console.error('繳納租金錯誤:', err);
+      setError(getTransactionErrorMessage(err, '繳納租金失敗，請重試。'));
+    }
+  };
+  
+  // 房東提出續約
+  const handleProposeRenewal = async (rental) => {
+    try {
+      setError(null);
+      
+      const form = renewalForms[rental.id] || {};
+      const months = Number(form.months || 0);
+      if (months <= 0) {
+        setError('請輸入有效的續約月數');
+        return;
+      }
+      
+      // 未填寫新押金時沿用原押金
+      const newDepositAmount = form.deposit
+        ? parseAmount(form.deposit, depositTokens[rental.token]?.decimals ?? 6)
+        : rental.depositAmount;
+      await sendTransaction('提出續約', () => contracts.leaseRenewals.proposeRenewal(
+        rental.id,
+        months * 30 * 24 * 60 * 60,
+        newDepositAmount
+      ));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rental.id);
+    } catch (err) {
+      console.error('提出續約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '提出續約失敗，請重試。'));
+    }
+  };
+  
+  // 租客接受續約
+  const handleAcceptRenewal = async (rental) => {
+    try {
+      setError(null);
+      
+      // 需要補繳押金時先授權差額
+      if (rental.renewal.newDepositAmount > rental.depositAmount) {
+        await ensureTokenAllowance(rental.token, rental.renewal.newDepositAmount - rental.depositAmount);
+      }
+      
+      await sendTransaction('接受續約', () => contracts.leaseRenewals.acceptRenewal(
+        rental.id,
+        rental.renewal.extension,
+        rental.renewal.newDepositAmount
+      ));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rental.id);
+    } catch (err) {
+      console.error('接受續約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '接受續約失敗，請重試。'));
+    }
+  };
+  
+  // 撤回或拒絕續約
+  const handleCancelRenewal = async (rentalId) => {
+    try {
+      setError(null);
+      
+      await sendTransaction('撤回續約', () => contracts.leaseRenewals.cancelRenewal(rentalId));
+      
+      // 更新該筆租賃與餘額
+      await refreshRental(rentalId);
+    } catch (err) {
+      console.error('撤回續約錯誤:', err);
+      setError(getTransactionErrorMessage(err, '撤回續約失敗，請重試。'));
+    }
+  };
+  
+  // 更新續約表單欄位
+  const updateRenewalForm = (rentalId, field, value) => {
+    setRenewalForms((prev) => ({
+      ...prev,
+      [rentalId]: { ...prev[rentalId], [field]: value }
+    }));
+  };
+  
+  // 更新租金表單欄位
+  const updateRentForm = (rentalId, field, value) => {
+    setRentForms((prev) => ({
+      ...prev,
+      [rentalId]: { ...prev[rentalId], [field]: value }
+    }));
+  };
+  
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="mb-8">
@@ -161,6 +553,17 @@ const Dashboard = () => {
         </div>
       )}
       
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
+      
+      <SettlementPreviewModal
+        title={settlementPreview && SETTLEMENT_ACTIONS[settlementPreview.action].title}
+        preview={settlementPreview}
+        formatTokenAmount={formatTokenAmount}
+        onConfirm={handleConfirmSettlement}
+        onCancel={() => setSettlementPreview(null)}
+        submitting={settling}
+      />
+      
       {/* 用戶信息卡片 */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
         <div className="bg-white rounded-xl shadow-md p-6">
@@ -241,7 +644,9 @@ const Dashboard = () => {
                 {rentals.map((rental) => (
                   <tr key={rental.id} className={rental.isActive ? '' : 'bg-gray-50'}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {rental.id}
+                      <Link to={`/rentals/${rental.id}`} className="text-blue-600 hover:text-blue-800">
+                        {rental.id}
+                      </Link>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -251,7 +656,7 @@ const Dashboard = () => {
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {formatAmount(rental.depositAmount)} USDC
+                      {formatTokenAmount(rental.depositAmount, rental.token)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {formatDate(rental.startTime)}
@@ -274,17 +679,25 @@ const Dashboard = () => {
                           {/* 根據角色和狀態顯示不同的操作按鈕 */}
                           {rental.role === 'landlord' && (
                             <>
-                              {!rental.inDispute && Date.now() / 1000 >= rental.endTime && (
+                              {canPerform(rental, 'end') && (
                                 <button
-                                  onClick={() => handleEndRental(rental.id)}
+                                  onClick={() => openSettlementPreview(rental, 'end')}
                                   className="text-indigo-600 hover:text-indigo-900"
                                 >
                                   結束租賃
                                 </button>
                               )}
-                              {!rental.inDispute && (
+                              {canPerform(rental, 'settleClaim') && (
+                                <button
+                                  onClick={() => handleAcceptClaim(rental.id)}
+                                  className="text-indigo-600 hover:text-indigo-900"
+                                >
+                                  執行扣款結算
+                                </button>
+                              )}
+                              {canPerform(rental, 'terminate') && (
                                 <button
-                                  onClick={() => handleTerminateEarly(rental.id)}
+                                  onClick={() => openSettlementPreview(rental, 'terminate')}
                                   className="text-red-600 hover:text-red-900"
                                 >
                                   提前終止
@@ -295,24 +708,52 @@ const Dashboard = () => {
                           
                           {rental.role === 'tenant' && (
                             <>
-                              {!rental.inDispute && Date.now() / 1000 >= rental.releaseTime && (
+                              {canPerform(rental, 'acceptClaim') && (
+                                <>
+                                  <button
+                                    onClick={() => handleAcceptClaim(rental.id)}
+                                    className="text-green-600 hover:text-green-900"
+                                  >
+                                    接受扣款
+                                  </button>
+                                  <button
+                                    onClick={() => handleDisputeClaim(rental.id)}
+                                    className="text-yellow-600 hover:text-yellow-900"
+                                  >
+                                    異議扣款
+                                  </button>
+                                </>
+                              )}
+                              {canPerform(rental, 'end') && (
                                 <button
-                                  onClick={() => handleEndRental(rental.id)}
+                                  onClick={() => openSettlementPreview(rental, 'end')}
                                   className="text-indigo-600 hover:text-indigo-900"
                                 >
                                   結束租賃
                                 </button>
                               )}
-                              {!rental.inDispute && Date.now() / 1000 < rental.releaseTime && (
-                                <button
-                                  onClick={() => handleRaiseDispute(rental.id)}
-                                  className="text-yellow-600 hover:text-yellow-900"
-                                >
-                                  提出爭議
-                                </button>
-                              )}
                             </>
                           )}
+                          
+                          {/* 雙方皆可在租期中提取已累積的利息 */}
+                          {canPerform(rental, 'claimInterest') && (
+                            <button
+                              onClick={() => handleClaimInterest(rental.id)}
+                              className="text-green-600 hover:text-green-900"
+                            >
+                              提取利息
+                            </button>
+                          )}
+                          
+                          {/* 雙方皆可提出爭議，爭議中則查看證據時間線 */}
+                          {(canPerform(rental, 'disputeTimeline') || canPerform(rental, 'raiseDispute')) && (
+                            <button
+                              onClick={() => navigate(`/rentals/${rental.id}/dispute`)}
+                              className="text-yellow-600 hover:text-yellow-900"
+                            >
+                              {rental.inDispute ? '爭議時間線' : '提出爭議'}
+                            </button>
+                          )}
                         </div>
                       )}
                       
@@ -328,6 +769,287 @@ const Dashboard = () => {
         )}
       </div>
       
+      {/* 租金繳納 */}
+      {rentals.some((rental) => rental.isActive && (rental.rent || rental.role === 'landlord')) && (
+        <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+          <h2 className="text-xl font-bold mb-4">每月租金</h2>
+          
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    租賃
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    每期租金
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    下次到期
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    應付金額
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    已繳 / 逾期
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    操作
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rentals.filter((rental) => rental.isActive && (rental.rent || rental.role === 'landlord')).map((rental) => (
+                  <tr key={rental.id} className={rental.rent?.overduePeriods > 0 ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      #{rental.id}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {rental.rent ? formatTokenAmount(rental.rent.amount, rental.token) : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500">
+                      {!rental.rent ? '-' :
+                        !rental.rent.active ? '等待租客確認' :
+                        rental.rent.nextDueTime === 0 ? '已全部繳清' :
+                        formatDate(rental.rent.nextDueTime)}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {rental.rent?.active && rental.rent.nextDueTime > 0
+                        ? formatTokenAmount(rental.rent.amountDue, rental.token)
+                        : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      {rental.rent?.active ? (
+                        <>
+                          <span className="text-gray-900">{rental.rent.paidPeriods} 期</span>
+                          {rental.rent.overduePeriods > 0 && (
+                            <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
+                              逾期 {rental.rent.overduePeriods} 期
+                            </span>
+                          )}
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td className="px-4 py-2 text-sm font-medium">
+                      {rental.role === 'tenant' && rental.rent && !rental.rent.active && (
+                        <button
+                          onClick={() => handleAcceptRent(rental)}
+                          className="text-green-600 hover:text-green-900"
+                        >
+                          確認租金
+                        </button>
+                      )}
+                      {rental.role === 'tenant' && rental.rent?.active && rental.rent.nextDueTime > 0 && (
+                        <button
+                          onClick={() => handlePayRent(rental)}
+                          className="text-indigo-600 hover:text-indigo-900"
+                        >
+                          繳納租金
+                        </button>
+                      )}
+                      {rental.role === 'landlord' && !rental.rent?.active && (
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            min="0"
+                            placeholder="每月租金"
+                            value={rentForms[rental.id]?.amount || ''}
+                            onChange={(e) => updateRentForm(rental.id, 'amount', e.target.value)}
+                            className="w-28 px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            max="29"
+                            placeholder="到期日"
+                            value={rentForms[rental.id]?.dueDay || ''}
+                            onChange={(e) => updateRentForm(rental.id, 'dueDay', e.target.value)}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <button
+                            onClick={() => handleProposeRent(rental)}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            {rental.rent ? '修改租金' : '設定租金'}
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
+      {/* 續約 */}
+      {rentals.some((rental) => rental.isActive && !rental.inDispute && (rental.renewal || rental.role === 'landlord')) && (
+        <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+          <h2 className="text-xl font-bold mb-4">續約</h2>
+          
+          <div className="space-y-4">
+            {rentals.filter((rental) => rental.isActive && !rental.inDispute && (rental.renewal || rental.role === 'landlord')).map((rental) => (
+              <div key={rental.id} className="border border-gray-200 rounded-lg p-4 flex justify-between items-center">
+                <div>
+                  <p className="font-semibold">租賃 #{rental.id}</p>
+                  <p className="text-sm text-gray-500">
+                    目前結束日期: {formatDate(rental.endTime)}
+                  </p>
+                  {rental.renewal && (
+                    <p className="text-sm text-gray-700">
+                      續約提議: 延長至 {formatDate(rental.endTime + rental.renewal.extension)}，
+                      押金 {formatTokenAmount(rental.renewal.newDepositAmount, rental.token)}
+                      {rental.renewal.newDepositAmount > rental.depositAmount && (
+                        <span className="text-yellow-700">（需補繳 {formatTokenAmount(rental.renewal.newDepositAmount - rental.depositAmount, rental.token)}）</span>
+                      )}
+                      {rental.renewal.newDepositAmount < rental.depositAmount && (
+                        <span className="text-green-700">（退還 {formatTokenAmount(rental.depositAmount - rental.renewal.newDepositAmount, rental.token)}）</span>
+                      )}
+                    </p>
+                  )}
+                </div>
+                
+                <div className="flex items-center space-x-2 text-sm font-medium">
+                  {rental.role === 'tenant' && rental.renewal && (
+                    <>
+                      <button
+                        onClick={() => handleAcceptRenewal(rental)}
+                        className="text-green-600 hover:text-green-900"
+                      >
+                        接受續約
+                      </button>
+                      <button
+                        onClick={() => handleCancelRenewal(rental.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        拒絕
+                      </button>
+                    </>
+                  )}
+                  {rental.role === 'landlord' && (
+                    <>
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder="延長月數"
+                        value={renewalForms[rental.id]?.months || ''}
+                        onChange={(e) => updateRenewalForm(rental.id, 'months', e.target.value)}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="新押金"
+                        value={renewalForms[rental.id]?.deposit || ''}
+                        onChange={(e) => updateRenewalForm(rental.id, 'deposit', e.target.value)}
+                        className="w-28 px-2 py-1 border border-gray-300 rounded"
+                      />
+                      <button
+                        onClick={() => handleProposeRenewal(rental)}
+                        className="text-indigo-600 hover:text-indigo-900"
+                      >
+                        {rental.renewal ? '更新提議' : '提出續約'}
+                      </button>
+                      {rental.renewal && (
+                        <button
+                          onClick={() => handleCancelRenewal(rental.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          撤回
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
+      {/* 扣款申請 */}
+      {rentals.some((rental) => rental.claim) && (
+        <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+          <h2 className="text-xl font-bold mb-4">扣款申請</h2>
+          
+          <div className="space-y-6">
+            {rentals.filter((rental) => rental.claim).map((rental) => (
+              <div key={rental.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-3">
+                  <div>
+                    <p className="font-semibold">租賃 #{rental.id}</p>
+                    <p className="text-sm text-gray-500">
+                      提出日期: {formatDate(rental.claim.filedAt)}
+                    </p>
+                  </div>
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                    rental.claim.status === 1 ? 'bg-yellow-100 text-yellow-800' :
+                    rental.claim.status === 3 ? 'bg-red-100 text-red-800' :
+                    'bg-gray-100 text-gray-800'
+                  }`}>
+                    {getClaimStatusText(rental.claim.status)}
+                  </span>
+                </div>
+                
+                <table className="min-w-full divide-y divide-gray-200 mb-3">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        理由
+                      </th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        金額
+                      </th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        證據
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {rental.claim.items.map((item, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-2 text-sm text-gray-900">
+                          {getDeductionReasonText(item.reason)}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-900">
+                          {formatTokenAmount(item.amount, rental.token)}
+                        </td>
+                        <td className="px-4 py-2 text-sm">
+                          {item.evidenceURI ? (
+                            <a
+                              href={getIpfsGatewayUrl(item.evidenceURI)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              查看證據
+                            </a>
+                          ) : (
+                            <span className="text-gray-400">-</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-700">
+                    扣款總額: <span className="font-semibold">{formatTokenAmount(rental.claim.totalAmount, rental.token)}</span>
+                  </span>
+                  <span className="text-gray-700">
+                    退還租客本金: <span className="font-semibold">
+                      {formatTokenAmount(rental.depositAmount - rental.claim.totalAmount, rental.token)}
+                    </span>
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* 統計信息 */}
       {rentals.length > 0 && (
         <div className="bg-white rounded-xl shadow-md p-6">
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import useWeb3 from '../hooks/useWeb3';
+import useTransactions from '../hooks/useTransactions';
+import {
+  formatAddress,
+  formatDate,
+  formatTimeRemaining,
+  getIpfsGatewayUrl
+} from '../utils/helpers';
+import { getTransactionErrorMessage } from '../utils/transactions';
+
+const DisputeTimeline = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const {
+    isConnected,
+    address,
+    contracts,
+    provider,
+    chain,
+    initializeContracts
+  } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [rental, setRental] = useState(null);
+  const [dispute, setDispute] = useState(null);
+  const [evidence, setEvidence] = useState([]);
+  const [evidenceURI, setEvidenceURI] = useState('');
+  const [error, setError] = useState(null);
+  
+  // 如果未連接錢包，跳轉到連接頁面
+  useEffect(() => {
+    if (!isConnected) {
+      navigate('/connect');
+    }
+  }, [isConnected, navigate]);
+  
+  // 載入租賃、爭議紀錄與證據時間線
+  const loadDispute = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      if (!contracts.rentalDeposit) {
+        const initialized = await initializeContracts(chain?.id);
+        if (!initialized) {
+          throw new Error('合約初始化失敗');
+        }
+        return;
+      }
+      
+      const [rentalInfo, record, entries] = await Promise.all([
+        contracts.rentalDeposit.rentals(id),
+        contracts.rentalDeposit.disputes(id),
+        contracts.disputeEvidence ? contracts.disputeEvidence.getDisputeEvidence(id) : []
+      ]);
+      
+      setRental({
+        tenant: rentalInfo.tenant,
+        landlord: rentalInfo.landlord,
+        isActive: rentalInfo.isActive,
+        inDispute: rentalInfo.inDispute,
+        releaseTime: Number(rentalInfo.releaseTime)
+      });
+      setDispute(Number(record.openedAt) > 0 ? {
+        initiator: record.initiator,
+        openedAt: Number(record.openedAt),
+        responseDeadline: Number(record.responseDeadline)
+      } : null);
+      setEvidence(entries.map((entry) => ({
+        submitter: entry.submitter,
+        evidenceURI: entry.evidenceURI,
+        timestamp: Number(entry.timestamp)
+      })));
+    } catch (err) {
+      console.error('載入爭議錯誤:', err);
+      setError('載入爭議資料失敗，請刷新頁面重試。');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // 合約初始化後會更新contracts並重新載入
+  useEffect(() => {
+    if (isConnected && provider) {
+      loadDispute();
+    }
+  }, [isConnected, provider, contracts, id]);
+  
+  // 判斷地址在租賃中的角色
+  const getPartyLabel = (party) => {
+    if (!rental) return formatAddress(party);
+    if (party.toLowerCase() === rental.tenant.toLowerCase()) return '租客';
+    if (party.toLowerCase() === rental.landlord.toLowerCase()) return '房東';
+    return formatAddress(party);
+  };
+  
+  const isParty = rental && address && (
+    address.toLowerCase() === rental.tenant.toLowerCase() ||
+    address.toLowerCase() === rental.landlord.toLowerCase()
+  );
+  const now = Date.now() / 1000;
+  const canRaise = isParty && rental.isActive && !rental.inDispute && now < rental.releaseTime;
+  const canSubmit = isParty && rental.inDispute && dispute && now <= dispute.responseDeadline;
+  
+  // 提出爭議（可附上第一份證據）或於回應期限內追加證據
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setSubmitting(true);
+      setError(null);
+      
+      const uri = evidenceURI.trim();
+      if (canRaise) {
+        await sendTransaction('提出爭議', () => contracts.rentalDeposit.raiseDispute(id, uri));
+      } else {
+        await sendTransaction('提交證據', () => contracts.disputeEvidence.submitEvidence(id, uri));
+      }
+      
+      setEvidenceURI('');
+      await loadDispute();
+    } catch (err) {
+      console.error('提交爭議錯誤:', err);
+      setError(getTransactionErrorMessage(err, canRaise ? '提出爭議失敗，請重試。' : '提交證據失敗，請重試。'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  // 時間線依時間排序：爭議提出後接續各方證據
+  const timeline = [
+    ...(dispute ? [{
+      type: 'opened',
+      party: dispute.initiator,
+      timestamp: dispute.openedAt
+    }] : []),
+    ...evidence.map((entry) => ({
+      type: 'evidence',
+      party: entry.submitter,
+      timestamp: entry.timestamp,
+      evidenceURI: entry.evidenceURI
+    }))
+  ].sort((a, b) => a.timestamp - b.timestamp);
+  
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <Link to="/dashboard" className="text-blue-600 hover:text-blue-800 text-sm">
+          ← 返回儀表板
+        </Link>
+        <h1 className="text-3xl font-bold mt-2 mb-2">租賃 #{id} 爭議時間線</h1>
+        <p className="text-gray-600">
+          租客與房東皆可提出爭議，並於回應期限內提交證據
+        </p>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      
+      {loading ? (
+        <div className="flex justify-center items-center p-8">
+          <span className="ml-2">載入中...</span>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white rounded-xl shadow-md p-6">
+            <h2 className="text-xl font-bold mb-6">時間線</h2>
+            
+            {timeline.length === 0 ? (
+              <p className="text-gray-500">此租賃尚未提出爭議</p>
+            ) : (
+              <ol className="relative border-l border-gray-200 ml-2">
+                {timeline.map((event, index) => (
+                  <li key={index} className="mb-8 ml-6">
+                    <span className={`absolute -left-2 flex items-center justify-center w-4 h-4 rounded-full ${
+                      event.type === 'opened' ? 'bg-red-500' : 'bg-blue-500'
+                    }`} />
+                    <time className="block mb-1 text-sm text-gray-500">{formatDate(event.timestamp)}</time>
+                    {event.type === 'opened' ? (
+                      <p className="text-gray-900 font-medium">{getPartyLabel(event.party)}提出爭議</p>
+                    ) : (
+                      <>
+                        <p className="text-gray-900 font-medium">{getPartyLabel(event.party)}提交證據</p>
+                        <a
+                          href={getIpfsGatewayUrl(event.evidenceURI)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:text-blue-800 text-sm break-all"
+                        >
+                          {event.evidenceURI}
+                        </a>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+          
+          <div className="bg-white rounded-xl shadow-md p-6">
+            <h2 className="text-xl font-bold mb-4">爭議狀態</h2>
+            
+            {dispute ? (
+              <dl className="space-y-2 text-sm mb-6">
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">提出方</dt>
+                  <dd className="text-gray-900">{getPartyLabel(dispute.initiator)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">回應期限</dt>
+                  <dd className="text-gray-900">{formatDate(dispute.responseDeadline)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">剩餘時間</dt>
+                  <dd className="text-gray-900">{formatTimeRemaining(dispute.responseDeadline)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">狀態</dt>
+                  <dd className="text-gray-900">{rental?.inDispute ? '爭議中' : '已裁決'}</dd>
+                </div>
+              </dl>
+            ) : (
+              <p className="text-gray-500 text-sm mb-6">目前沒有進行中的爭議</p>
+            )}
+            
+            {(canRaise || canSubmit) && (
+              <form onSubmit={handleSubmit} className="space-y-3">
+                <label className="block text-sm font-medium text-gray-700">
+                  證據的IPFS URI{canRaise ? '（可留空）' : ''}
+                </label>
+                <input
+                  type="text"
+                  value={evidenceURI}
+                  onChange={(e) => setEvidenceURI(e.target.value)}
+                  placeholder="ipfs://..."
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                  required={!canRaise}
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg disabled:opacity-50"
+                >
+                  {submitting ? '處理中...' : (canRaise ? '提出爭議' : '提交證據')}
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisputeTimeline;
@@ -0,0 +1,678 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { calculateSettlement } from '@dework/sdk';
+import useWeb3 from '../hooks/useWeb3';
+import useTransactions from '../hooks/useTransactions';
+import SettlementPreviewModal, { SETTLEMENT_ACTIONS } from '../components/SettlementPreviewModal';
+import {
+  formatAddress,
+  formatAmount,
+  formatAPY,
+  formatDate,
+  formatDateTime,
+  formatTimeRemaining,
+  getRentalStatusText,
+  getRentalActions,
+  getClaimStatusText,
+  getIpfsGatewayUrl,
+  getExplorerUrl,
+  lookupEnsName
+} from '../utils/helpers';
+import { getTokenContract } from '../utils/contracts';
+import { fetchRentalEvents } from '../utils/indexer';
+import { getTransactionErrorMessage } from '../utils/transactions';
+
+// 每隔一段時間重新讀取鏈上的押金價值，期間依年化收益率逐秒推算
+const VALUE_REFRESH_INTERVAL = 15000;
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+// 事件名稱，包含事件索引服務收錄的Nodit任務與協議NFT事件
+const EVENT_LABELS = {
+  RentalCreated: '創建租賃',
+  DepositPaid: '支付押金',
+  DisputeRaised: '提出爭議',
+  DisputeResolved: '爭議裁決',
+  DisputeResolvedWithSplit: '爭議分配裁決',
+  DepositReleased: '押金釋放',
+  DepositRefunded: '押金退還',
+  InterestWithdrawn: '提取利息',
+  MetadataUpdated: '更新元數據',
+  InterestSharingUpdated: '更新利息分享比例',
+  LeaseRenewed: '續約',
+  DepositToppedUp: '補足押金',
+  EmergencyWithdrawal: '緊急提款',
+  RentalNFTMinted: '鑄造協議NFT',
+  RentalNFTBurned: '銷毀協議NFT',
+  ENSNameSet: '設定ENS名稱',
+  TaskScheduled: '排程自動任務',
+  TaskExecuted: '自動任務執行成功',
+  TaskFailed: '自動任務執行失敗',
+  TaskCancelled: '取消自動任務'
+};
+
+// 事件參數中以押金代幣計價的金額
+const AMOUNT_ARGS = ['amount', 'landlordPrincipal', 'tenantPrincipal', 'newDepositAmount'];
+
+// 對應NoditManager的TaskType與TaskStatus
+const TASK_TYPES = ['租賃到期檢查', '自動釋放押金', '利息提取'];
+const TASK_STATUSES = ['等待執行', '執行成功', '執行失敗', '已取消'];
+
+// 操作按鈕的文字與樣式
+const ACTION_BUTTONS = {
+  end: { label: '結束租賃', className: 'bg-blue-600 hover:bg-blue-700' },
+  settleClaim: { label: '執行扣款結算', className: 'bg-blue-600 hover:bg-blue-700' },
+  acceptClaim: { label: '接受扣款', className: 'bg-green-600 hover:bg-green-700' },
+  disputeClaim: { label: '異議扣款', className: 'bg-yellow-500 hover:bg-yellow-600' },
+  terminate: { label: '提前終止', className: 'bg-red-600 hover:bg-red-700' },
+  claimInterest: { label: '提取利息', className: 'bg-green-600 hover:bg-green-700' },
+  raiseDispute: { label: '提出爭議', className: 'bg-yellow-500 hover:bg-yellow-600' },
+  disputeTimeline: { label: '爭議時間線', className: 'bg-yellow-500 hover:bg-yellow-600' }
+};
+
+const RentalDetail = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const {
+    isConnected,
+    address,
+    contracts,
+    sdk,
+    provider,
+    chain,
+    initializeContracts,
+    subscribeToRentalEvents
+  } = useWeb3();
+  const { sendTransaction } = useTransactions();
+  
+  const [loading, setLoading] = useState(true);
+  const [rental, setRental] = useState(null);
+  const [token, setToken] = useState(null);
+  const [ensNames, setEnsNames] = useState({});
+  const [agreement, setAgreement] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [depositValue, setDepositValue] = useState(null);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+  const [settlementPreview, setSettlementPreview] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  
+  // 如果未連接錢包，跳轉到連接頁面
+  useEffect(() => {
+    if (!isConnected) {
+      navigate('/connect');
+    }
+  }, [isConnected, navigate]);
+  
+  // 讀取租賃排程的Nodit任務，事件索引服務無法使用時直接查詢任務排程事件
+  const loadTasks = async (indexedEvents) => {
+    if (!contracts.noditManager) return [];
+    
+    const taskIds = indexedEvents
+      ? indexedEvents.filter((event) => event.name === 'TaskScheduled').map((event) => event.args.taskId)
+      : (await contracts.noditManager.queryFilter(contracts.noditManager.filters.TaskScheduled(null, id)))
+        .map((event) => event.args.taskId);
+    
+    return Promise.all(
+      taskIds.map(async (taskId) => {
+        const task = await contracts.noditManager.getTaskInfo(taskId);
+        return {
+          id: Number(taskId),
+          taskType: Number(task.taskType),
+          status: Number(task.status),
+          executeAt: Number(task.executeAt),
+          attempts: Number(task.attempts),
+          lastError: task.lastError
+        };
+      })
+    );
+  };
+  
+  // 讀取協議NFT及其URI指向的元數據，租賃結算後NFT已銷毀
+  const loadAgreement = async () => {
+    const nft = await sdk.getAgreement(id);
+    if (!nft?.tokenURI) return nft;
+    
+    try {
+      const response = await fetch(getIpfsGatewayUrl(nft.tokenURI));
+      return { ...nft, metadata: response.ok ? await response.json() : null };
+    } catch (err) {
+      console.warn('讀取協議元數據失敗:', err.message);
+      return { ...nft, metadata: null };
+    }
+  };
+  
+  // 載入租賃條款、扣款申請、協議NFT、Nodit任務與事件歷史
+  const loadRental = async () => {
+    try {
+      setError(null);
+      
+      if (!sdk) {
+        const initialized = await initializeContracts(chain?.id);
+        if (!initialized) {
+          throw new Error('合約初始化失敗');
+        }
+        return;
+      }
+      
+      const details = await sdk.getRental(id);
+      if (details.tenant === ethers.ZeroAddress) {
+        setRental(null);
+        setLoading(false);
+        return;
+      }
+      
+      const tokenContract = getTokenContract(details.token, provider);
+      const [symbol, decimals, claim] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals(),
+        contracts.deductionClaims ? contracts.deductionClaims.deductionClaims(id) : { status: 0 }
+      ]);
+      
+      setToken({ symbol, decimals: Number(decimals) });
+      setRental({
+        ...details,
+        claim: Number(claim.status) > 0 ? {
+          status: Number(claim.status),
+          totalAmount: claim.totalAmount
+        } : null
+      });
+      
+      // 事件索引服務收錄所有合約的事件，未設定時只能從RPC讀取RentalDeposit的事件
+      const indexedEvents = await fetchRentalEvents(id);
+      const [history, rentalTasks, nft] = await Promise.all([
+        indexedEvents || sdk.getRentalEvents(id),
+        loadTasks(indexedEvents),
+        loadAgreement()
+      ]);
+      
+      setEvents(history);
+      setTasks(rentalTasks);
+      setAgreement(nft);
+      setLoading(false);
+    } catch (err) {
+      console.error('載入租賃錯誤:', err);
+      setError('載入租賃資料失敗，請刷新頁面重試。');
+      setLoading(false);
+    }
+  };
+  
+  // 合約初始化後會更新sdk並重新載入
+  useEffect(() => {
+    if (isConnected && provider) {
+      loadRental();
+    }
+  }, [isConnected, provider, sdk, contracts, id]);
+  
+  // 對方或自動執行服務變更此租賃時重新載入，同一交易的多個事件只重新載入一次
+  useEffect(() => {
+    if (!contracts.rentalDeposit) return undefined;
+    
+    const handled = new Set();
+    return subscribeToRentalEvents(({ rentalId, log }) => {
+      if (rentalId !== Number(id) || handled.has(log.transactionHash)) return;
+      handled.add(log.transactionHash);
+      loadRental();
+    });
+  }, [contracts, id]);
+  
+  // 雙方地址的ENS名稱
+  useEffect(() => {
+    if (!rental) return;
+    
+    Promise.all([lookupEnsName(rental.tenant), lookupEnsName(rental.landlord)])
+      .then(([tenant, landlord]) => setEnsNames({ tenant, landlord }));
+  }, [rental?.tenant, rental?.landlord]);
+  
+  // 租賃進行中定期讀取押金現值與年化收益率
+  useEffect(() => {
+    if (!sdk || !rental?.isActive) return undefined;
+    
+    const refresh = async () => {
+      try {
+        const [value, apy] = await Promise.all([
+          sdk.rentalDeposit.getCurrentDepositValue(id),
+          sdk.getCurrentAPY()
+        ]);
+        setDepositValue({ value, apy, fetchedAt: Math.floor(Date.now() / 1000) });
+      } catch (err) {
+        console.error('讀取押金價值錯誤:', err);
+      }
+    };
+    
+    refresh();
+    const timer = setInterval(refresh, VALUE_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [sdk, rental?.isActive, id]);
+  
+  // 每秒更新畫面上的押金價值與倒數
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  
+  const role = rental && address
+    ? (address.toLowerCase() === rental.landlord.toLowerCase() ? 'landlord'
+      : address.toLowerCase() === rental.tenant.toLowerCase() ? 'tenant' : 'viewer')
+    : 'viewer';
+  const actions = getRentalActions(rental, role);
+  
+  const formatTokenAmount = (amount) => `${formatAmount(amount, token?.decimals ?? 6)} ${token?.symbol || ''}`;
+  
+  // 以上次讀取的鏈上價值加上依年化收益率推算的利息
+  const liveValue = depositValue
+    ? depositValue.value + (rental.depositAmount * depositValue.apy * BigInt(Math.max(0, now - depositValue.fetchedAt)))
+      / (10000n * SECONDS_PER_YEAR)
+    : null;
+  
+  // 正常結束時累積利息的分配
+  const accrued = liveValue !== null
+    ? calculateSettlement({
+      depositWithInterest: liveValue,
+      depositAmount: rental.depositAmount,
+      tenantInterestPercentage: rental.interestSharingPercentage,
+      platformFeeBps: rental.platformFeeBps
+    })
+    : null;
+  
+  // 判斷地址在租賃中的角色
+  const getPartyLabel = (party) => {
+    if (!party || !rental) return formatAddress(party);
+    if (party.toLowerCase() === rental.tenant.toLowerCase()) return '租客';
+    if (party.toLowerCase() === rental.landlord.toLowerCase()) return '房東';
+    return formatAddress(party);
+  };
+  
+  // 事件參數摘要：金額依押金代幣格式化，地址顯示為當事人角色
+  const describeEvent = (event) => {
+    const { args } = event;
+    const parts = AMOUNT_ARGS
+      .filter((key) => args[key] !== undefined)
+      .map((key) => formatTokenAmount(BigInt(args[key])));
+    
+    const party = args.recipient || args.initiator || args.executor;
+    if (party) parts.unshift(getPartyLabel(party));
+    if (event.name === 'DisputeResolved') parts.push(args.favorTenant ? '租客勝訴' : '房東勝訴');
+    if (event.name === 'TaskFailed') parts.push(args.reason);
+    if (args.metadataURI) parts.push(args.metadataURI);
+    
+    return parts.join(' · ');
+  };
+  
+  // 送出交易並重新載入租賃資料
+  const runTransaction = async (label, send, failureMessage) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      
+      await sendTransaction(label, send);
+      
+      await loadRental();
+    } catch (err) {
+      console.error('租賃操作錯誤:', err);
+      setError(getTransactionErrorMessage(err, failureMessage));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  // 送出結算交易前預覽各方分得的金額，未部署預覽合約時由SDK依相同規則估算
+  const openSettlementPreview = async (action) => {
+    setSettlementPreview({ action, rentalId: rental.id, token: rental.token, loading: true });
+    
+    try {
+      const settlement = contracts.settlementPreview
+        ? await contracts.settlementPreview[SETTLEMENT_ACTIONS[action].preview](rental.id)
+        : await sdk.quoteSettlement(rental.id, { landlordPrincipal: action === 'terminate' ? 0n : undefined });
+      
+      setSettlementPreview((prev) => prev ? { ...prev, settlement, loading: false } : prev);
+    } catch (err) {
+      console.error('預覽結算錯誤:', err);
+      setSettlementPreview((prev) => prev
+        ? { ...prev, loading: false, error: '無法計算結算金額，請稍後再試。' }
+        : prev);
+    }
+  };
+  
+  // 確認預覽後送出結算交易
+  const handleConfirmSettlement = async () => {
+    const { action } = settlementPreview;
+    
+    if (action === 'terminate') {
+      await runTransaction('提前終止租賃', () => contracts.rentalDeposit.terminateEarly(id), '提前終止租賃失敗，請重試。');
+    } else {
+      await runTransaction('結束租賃', () => contracts.rentalDeposit.endRental(id), '結束租賃失敗，請重試。');
+    }
+    
+    setSettlementPreview(null);
+  };
+  
+  const handleAction = (action) => {
+    switch (action) {
+      case 'end':
+      case 'terminate':
+        return openSettlementPreview(action);
+      case 'settleClaim':
+      case 'acceptClaim':
+        return runTransaction('接受扣款申請', () => contracts.deductionClaims.acceptDeductionClaim(id), '接受扣款申請失敗，請重試。');
+      case 'disputeClaim':
+        return runTransaction('對扣款申請提出異議', () => contracts.deductionClaims.disputeDeductionClaim(id), '對扣款申請提出異議失敗，請重試。');
+      case 'claimInterest':
+        return runTransaction('提取利息', () => contracts.rentalDeposit.claimInterest(id), '提取利息失敗，可能尚無累積利息，請稍後再試。');
+      default:
+        return navigate(`/rentals/${id}/dispute`);
+    }
+  };
+  
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <p className="text-gray-600">載入中...</p>
+      </div>
+    );
+  }
+  
+  if (!rental) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+        <p className="text-gray-600 mb-4">找不到租賃 #{id}。</p>
+        <Link to="/dashboard" className="text-blue-600 hover:text-blue-800">
+          返回儀表板
+        </Link>
+      </div>
+    );
+  }
+  
+  const parties = [
+    { key: 'tenant', label: '租客', address: rental.tenant },
+    { key: 'landlord', label: '房東', address: rental.landlord }
+  ];
+  const metadata = agreement?.metadata;
+  
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <div className="mb-6">
+        <Link to="/dashboard" className="text-blue-600 hover:text-blue-800 text-sm">
+          ← 返回儀表板
+        </Link>
+        <div className="flex items-center mt-2">
+          <h1 className="text-3xl font-bold mr-4">租賃 #{rental.id}</h1>
+          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+            !rental.isActive ? 'bg-gray-100 text-gray-800' :
+            rental.inDispute ? 'bg-red-100 text-red-800' :
+            'bg-yellow-100 text-yellow-800'
+          }`}>
+            {getRentalStatusText(rental)}
+          </span>
+        </div>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      
+      <SettlementPreviewModal
+        title={settlementPreview && SETTLEMENT_ACTIONS[settlementPreview.action].title}
+        preview={settlementPreview}
+        formatTokenAmount={formatTokenAmount}
+        onConfirm={handleConfirmSettlement}
+        onCancel={() => setSettlementPreview(null)}
+        submitting={submitting}
+      />
+      
+      {/* 租賃雙方 */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        {parties.map((party) => (
+          <div key={party.key} className="bg-white rounded-xl shadow-md p-6">
+            <h2 className="text-lg font-semibold mb-2">
+              {party.label}
+              {role === party.key && <span className="ml-2 text-sm text-blue-600">（您）</span>}
+            </h2>
+            {ensNames[party.key] && <p className="font-medium">{ensNames[party.key]}</p>}
+            <p className="text-gray-600 text-sm break-all">{party.address}</p>
+          </div>
+        ))}
+      </div>
+      
+      {/* 鏈上條款 */}
+      <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">租賃條款</h2>
+        <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">押金金額</dt>
+            <dd className="font-medium">{formatTokenAmount(rental.depositAmount)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">押金代幣</dt>
+            <dd className="font-medium break-all">{token?.symbol} ({formatAddress(rental.token)})</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">開始日期</dt>
+            <dd className="font-medium">{formatDate(rental.startTime)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">結束日期</dt>
+            <dd className="font-medium">{formatDate(rental.endTime)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">押金釋放時間</dt>
+            <dd className="font-medium">
+              {formatDate(rental.releaseTime)}
+              {rental.isActive && <span className="ml-2 text-gray-500">（{formatTimeRemaining(rental.releaseTime)}）</span>}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">租客利息分享比例</dt>
+            <dd className="font-medium">{rental.interestSharingPercentage}%</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">平台費用</dt>
+            <dd className="font-medium">利息的 {formatAPY(rental.platformFeeBps)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">身份驗證</dt>
+            <dd className="font-medium">{rental.isVerified ? '已驗證' : '未驗證'}</dd>
+          </div>
+          {rental.claim && (
+            <div>
+              <dt className="text-gray-500">扣款申請</dt>
+              <dd className="font-medium">
+                {formatTokenAmount(rental.claim.totalAmount)}（{getClaimStatusText(rental.claim.status)}）
+              </dd>
+            </div>
+          )}
+        </dl>
+      </div>
+      
+      {/* 押金現值與利息分配 */}
+      {rental.isActive && (
+        <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+          <div className="flex justify-between items-baseline mb-4">
+            <h2 className="text-xl font-bold">押金現值</h2>
+            {depositValue && <span className="text-green-600 text-sm">年化收益率 {formatAPY(depositValue.apy)}</span>}
+          </div>
+          {accrued ? (
+            <>
+              <p className="text-3xl font-mono font-semibold mb-4">
+                {formatAmount(liveValue, token?.decimals ?? 6, 6)} {token?.symbol}
+              </p>
+              <table className="min-w-full text-sm">
+                <tbody className="divide-y divide-gray-200">
+                  <tr>
+                    <td className="py-2 text-gray-500">累積利息</td>
+                    <td className="py-2 font-mono">
+                      {formatAmount(accrued.platformFee + accrued.tenantInterest + accrued.landlordInterest, token?.decimals ?? 6, 6)}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td className="py-2 text-gray-500">租客分得（{rental.interestSharingPercentage}%）</td>
+                    <td className="py-2 font-mono">{formatAmount(accrued.tenantInterest, token?.decimals ?? 6, 6)}</td>
+                  </tr>
+                  <tr>
+                    <td className="py-2 text-gray-500">房東分得</td>
+                    <td className="py-2 font-mono">{formatAmount(accrued.landlordInterest, token?.decimals ?? 6, 6)}</td>
+                  </tr>
+                  <tr>
+                    <td className="py-2 text-gray-500">平台費用</td>
+                    <td className="py-2 font-mono">{formatAmount(accrued.platformFee, token?.decimals ?? 6, 6)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">
+                每 {VALUE_REFRESH_INTERVAL / 1000} 秒同步鏈上數值，期間依年化收益率推算；已提取的利息不計入。
+              </p>
+            </>
+          ) : (
+            <p className="text-gray-600">正在讀取押金價值...</p>
+          )}
+        </div>
+      )}
+      
+      {/* 可執行的操作 */}
+      {rental.isActive && (
+        <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold mb-4">操作</h2>
+          {actions.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {actions.map((action) => (
+                <button
+                  key={action}
+                  onClick={() => handleAction(action)}
+                  disabled={submitting}
+                  className={`${ACTION_BUTTONS[action].className} disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg`}
+                >
+                  {ACTION_BUTTONS[action].label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-600">
+              {role === 'viewer' ? '您不是此租賃的當事人，只能查看租賃資料。' : '目前沒有可執行的操作。'}
+            </p>
+          )}
+        </div>
+      )}
+      
+      {/* 租賃協議NFT */}
+      <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">租賃協議NFT</h2>
+        {agreement ? (
+          <div className="flex flex-col md:flex-row gap-4">
+            {metadata?.image && (
+              <img
+                src={getIpfsGatewayUrl(metadata.image)}
+                alt={metadata.name || `租賃 #${rental.id}`}
+                className="w-40 h-40 object-cover rounded-lg"
+              />
+            )}
+            <div className="text-sm space-y-1">
+              {metadata?.name && <p className="font-semibold">{metadata.name}</p>}
+              {metadata?.description && <p className="text-gray-600">{metadata.description}</p>}
+              <p>
+                <span className="text-gray-500">Token URI: </span>
+                <a
+                  href={getIpfsGatewayUrl(agreement.tokenURI)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:text-blue-800 break-all"
+                >
+                  {agreement.tokenURI}
+                </a>
+              </p>
+              {agreement.ensName && (
+                <p><span className="text-gray-500">ENS名稱: </span>{agreement.ensName}</p>
+              )}
+              <p><span className="text-gray-500">鑄造日期: </span>{formatDate(agreement.mintedAt)}</p>
+              {metadata?.attributes?.map((attribute) => (
+                <p key={attribute.trait_type}>
+                  <span className="text-gray-500">{attribute.trait_type}: </span>{String(attribute.value)}
+                </p>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-600">
+            {rental.isActive ? '無法讀取協議NFT。' : '租賃結算後協議NFT已銷毀。'}
+          </p>
+        )}
+      </div>
+      
+      {/* Nodit自動任務 */}
+      <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold mb-4">自動任務</h2>
+        {tasks.length > 0 ? (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-2">任務</th>
+                <th className="py-2">執行時間</th>
+                <th className="py-2">狀態</th>
+                <th className="py-2">執行次數</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {tasks.map((task) => (
+                <tr key={task.id}>
+                  <td className="py-2">#{task.id} {TASK_TYPES[task.taskType]}</td>
+                  <td className="py-2">{formatDateTime(task.executeAt)}</td>
+                  <td className="py-2">
+                    {TASK_STATUSES[task.status]}
+                    {task.lastError && <span className="block text-xs text-red-600">{task.lastError}</span>}
+                  </td>
+                  <td className="py-2">{task.attempts}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-gray-600">此租賃沒有排程的自動任務。</p>
+        )}
+      </div>
+      
+      {/* 事件歷史 */}
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">事件歷史</h2>
+        {events.length > 0 ? (
+          <ol className="relative border-l border-gray-200 ml-2">
+            {events.map((event, index) => {
+              const explorerUrl = getExplorerUrl(event.txHash, chain?.id);
+              
+              return (
+                <li key={`${event.txHash}-${index}`} className="mb-4 ml-4">
+                  <div className="absolute w-3 h-3 bg-blue-600 rounded-full -left-1.5 mt-1.5"></div>
+                  <time className="text-xs text-gray-500">{formatDateTime(event.timestamp)}</time>
+                  <p className="font-medium">{EVENT_LABELS[event.name] || event.name}</p>
+                  {describeEvent(event) && <p className="text-sm text-gray-600">{describeEvent(event)}</p>}
+                  {explorerUrl ? (
+                    <a
+                      href={explorerUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      {formatAddress(event.txHash, 10, 8)}
+                    </a>
+                  ) : (
+                    <span className="text-xs text-gray-500">{formatAddress(event.txHash, 10, 8)}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        ) : (
+          <p className="text-gray-600">尚無事件紀錄。</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RentalDetail;
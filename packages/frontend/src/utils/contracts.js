@@ -1,7 +1,13 @@
 import { ethers } from 'ethers';
-import RentalDepositABI from '../abi/RentalDeposit.json';
-import InterestManagerABI from '../abi/InterestManager.json';
-import RentalNFTABI from '../abi/RentalNFT.json';
+import { RentalDepositABI, InterestManagerABI, RentalNFTABI, resolveAddresses } from '@dework/sdk';
+import RentManagerABI from '../abi/RentManager.json';
+import RentalOffersABI from '../abi/RentalOffers.json';
+import RentalGatewayABI from '../abi/RentalGateway.json';
+import LeaseRenewalsABI from '../abi/LeaseRenewals.json';
+import DeductionClaimsABI from '../abi/DeductionClaims.json';
+import DisputeEvidenceABI from '../abi/DisputeEvidence.json';
+import SettlementPreviewABI from '../abi/SettlementPreview.json';
+import NoditManagerABI from '../abi/NoditManager.json';
 import USDCABI from '../abi/USDC.json';
 
 // 合約地址（按網絡ID）
@@ -11,6 +17,14 @@ const CONTRACT_ADDRESSES = {
     RentalDeposit: '',  // 部署後填寫
     InterestManager: '',
     RentalNFT: '',
+    RentManager: '',
+    RentalOffers: '',
+    RentalGateway: '',
+    LeaseRenewals: '',
+    DeductionClaims: '',
+    DisputeEvidence: '',
+    SettlementPreview: '',
+    NoditManager: '',
     USDC: ''
   },
   // Arbitrum Sepolia 測試網
@@ -18,6 +32,14 @@ const CONTRACT_ADDRESSES = {
     RentalDeposit: '',  // 部署後填寫
     InterestManager: '',
     RentalNFT: '',
+    RentManager: '',
+    RentalOffers: '',
+    RentalGateway: '',
+    LeaseRenewals: '',
+    DeductionClaims: '',
+    DisputeEvidence: '',
+    SettlementPreview: '',
+    NoditManager: '',
     USDC: '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d'  // Arbitrum Sepolia上的USDC
   },
   // Arbitrum
@@ -25,6 +47,14 @@ const CONTRACT_ADDRESSES = {
     RentalDeposit: '',  // 部署後填寫
     InterestManager: '',
     RentalNFT: '',
+    RentManager: '',
+    RentalOffers: '',
+    RentalGateway: '',
+    LeaseRenewals: '',
+    DeductionClaims: '',
+    DisputeEvidence: '',
+    SettlementPreview: '',
+    NoditManager: '',
     USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'  // Arbitrum上的USDC
   },
   // HashKey Chain
@@ -32,6 +62,14 @@ const CONTRACT_ADDRESSES = {
     RentalDeposit: '',  // 部署後填寫
     InterestManager: '',
     RentalNFT: '',
+    RentManager: '',
+    RentalOffers: '',
+    RentalGateway: '',
+    LeaseRenewals: '',
+    DeductionClaims: '',
+    DisputeEvidence: '',
+    SettlementPreview: '',
+    NoditManager: '',
     USDC: '0x4C84560A1081774103edBffc2DeA1B643839eA66'  // HashKey上的USDT（作為示例）
   }
 };
@@ -41,9 +79,24 @@ const CONTRACT_ABIS = {
   RentalDeposit: RentalDepositABI,
   InterestManager: InterestManagerABI,
   RentalNFT: RentalNFTABI,
+  RentManager: RentManagerABI,
+  RentalOffers: RentalOffersABI,
+  RentalGateway: RentalGatewayABI,
+  LeaseRenewals: LeaseRenewalsABI,
+  DeductionClaims: DeductionClaimsABI,
+  DisputeEvidence: DisputeEvidenceABI,
+  SettlementPreview: SettlementPreviewABI,
+  NoditManager: NoditManagerABI,
   USDC: USDCABI
 };
 
+// 獲取網絡上已設定的合約地址
+export const getContractAddresses = (networkId) => {
+  return Object.fromEntries(
+    Object.entries(CONTRACT_ADDRESSES[networkId] || {}).filter(([, address]) => address)
+  );
+};
+
 // 獲取合約實例
 export const getContract = async (contractName, provider, signer, networkId = 31337) => {
   try {
@@ -75,6 +128,110 @@ export const getContract = async (contractName, provider, signer, networkId = 31
   }
 };
 
+// 獲取ERC20代幣合約實例，所有押金代幣共用同一份ERC20 ABI
+export const getTokenContract = (tokenAddress, provider, signer) => {
+  return new ethers.Contract(tokenAddress, USDCABI, signer || provider);
+};
+
+// 載入租賃押金合約登記的押金代幣，包含用戶的餘額與授權額度
+export const loadDepositTokens = async (rentalDeposit, provider, signer, account) => {
+  try {
+    const tokenAddresses = await rentalDeposit.getDepositTokens();
+    const spender = await rentalDeposit.getAddress();
+    
+    const tokens = await Promise.all(
+      tokenAddresses.map(async (tokenAddress) => {
+        const contract = getTokenContract(tokenAddress, provider, signer);
+        const [symbol, decimals, enabled] = await Promise.all([
+          contract.symbol(),
+          contract.decimals(),
+          rentalDeposit.isDepositTokenEnabled(tokenAddress)
+        ]);
+        
+        const [balance, allowance] = account
+          ? await Promise.all([
+            contract.balanceOf(account),
+            contract.allowance(account, spender)
+          ])
+          : [0n, 0n];
+        
+        return {
+          address: tokenAddress,
+          symbol,
+          decimals: Number(decimals),
+          enabled,
+          balance,
+          allowance,
+          contract
+        };
+      })
+    );
+    
+    return tokens;
+  } catch (error) {
+    console.error('載入押金代幣失敗:', error);
+    return [];
+  }
+};
+
+// EIP-2612 許可類型定義
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// 偵測代幣是否支援EIP-2612許可簽名，支援時回傳其簽名網域，否則回傳null
+export const getPermitDomain = async (tokenContract, chainId) => {
+  try {
+    const [name, domainSeparator, verifyingContract] = await Promise.all([
+      tokenContract.name(),
+      tokenContract.DOMAIN_SEPARATOR(),
+      tokenContract.getAddress()
+    ]);
+    
+    // USDC等代幣提供version()，OpenZeppelin的ERC20Permit預設為"1"
+    let version = '1';
+    try {
+      version = await tokenContract.version();
+    } catch (error) {
+      // 代幣未提供version()時使用預設值
+    }
+    
+    // 以計算出的網域比對鏈上的DOMAIN_SEPARATOR，確認簽名能被代幣接受
+    const domain = { name, version, chainId, verifyingContract };
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      return null;
+    }
+    
+    return domain;
+  } catch (error) {
+    // 缺少DOMAIN_SEPARATOR等函數的代幣不支援許可簽名
+    return null;
+  }
+};
+
+// 簽署EIP-2612許可，回傳可直接傳入合約的deadline與v、r、s
+export const signPermit = async (tokenContract, domain, signer, spender, value, deadline) => {
+  const owner = await signer.getAddress();
+  const nonce = await tokenContract.nonces(owner);
+  
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline
+  });
+  const { v, r, s } = ethers.Signature.from(signature);
+  
+  return { deadline, v, r, s };
+};
+
 // 更新合約地址
 export const updateContractAddress = (networkId, contractName, address) => {
   if (!CONTRACT_ADDRESSES[networkId]) {
@@ -106,14 +263,10 @@ export const loadContractAddresses = async (networkId) => {
       throw new Error(`無法載入網絡 ${networkId} 的部署信息`);
     }
     
-    const deploymentInfo = await response.json();
-    
-    updateContractAddress(networkId, 'RentalDeposit', deploymentInfo.rentalDeposit);
-    updateContractAddress(networkId, 'InterestManager', deploymentInfo.interestManager);
-    updateContractAddress(networkId, 'RentalNFT', deploymentInfo.rentalNFT);
-    
-    if (deploymentInfo.stablecoin) {
-      updateContractAddress(networkId, 'USDC', deploymentInfo.stablecoin);
+    // 部署文件可為部署腳本輸出的格式或舊版前端格式
+    const addresses = resolveAddresses(await response.json());
+    for (const [contractName, address] of Object.entries(addresses)) {
+      updateContractAddress(networkId, contractName, address);
     }
     
     return true;
@@ -49,6 +49,20 @@ export const formatDate = (timestamp) => {
   });
 };
 
+// 格式化日期與時間
+export const formatDateTime = (timestamp) => {
+  if (!timestamp) return '';
+  
+  const date = new Date(Number(timestamp) * 1000);
+  return date.toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
 // 計算剩餘時間（天/小時/分鐘）
 export const calculateTimeRemaining = (targetTimestamp) => {
   if (!targetTimestamp) return { days: 0, hours: 0, minutes: 0 };
@@ -103,7 +117,82 @@ export const getRentalStatusText = (rental) => {
   return '可以結束';
 };
 
-// 獲取交易查看鏈接
+// 依租賃狀態與用戶角色列出可執行的操作，條件與合約的檢查一致
+export const getRentalActions = (rental, role) => {
+  if (!rental?.isActive || (role !== 'landlord' && role !== 'tenant')) return [];
+  
+  const now = Math.floor(Date.now() / 1000);
+  const claimPending = rental.claim?.status === 1;
+  const actions = [];
+  
+  // 房東在租期結束後、租客在押金釋放時間後可結束租賃；待回應的扣款申請須另行結算
+  if (!rental.inDispute && !claimPending && now >= (role === 'landlord' ? rental.endTime : rental.releaseTime)) {
+    actions.push('end');
+  }
+  if (role === 'landlord' && claimPending && now >= rental.releaseTime) {
+    actions.push('settleClaim');
+  }
+  if (role === 'tenant' && claimPending && now < rental.releaseTime) {
+    actions.push('acceptClaim', 'disputeClaim');
+  }
+  if (role === 'landlord' && !rental.inDispute) {
+    actions.push('terminate');
+  }
+  if (!rental.inDispute) {
+    actions.push('claimInterest');
+  }
+  if (rental.inDispute) {
+    actions.push('disputeTimeline');
+  } else if (!rental.claim && now < rental.releaseTime) {
+    actions.push('raiseDispute');
+  }
+  
+  return actions;
+};
+
+// 扣款理由描述（對應合約 DeductionReason）
+export const getDeductionReasonText = (reason) => {
+  const reasons = ['清潔費用', '損壞修繕', '未付租金', '未結水電費', '其他'];
+  return reasons[Number(reason)] || '未知理由';
+};
+
+// 扣款申請狀態描述（對應合約 ClaimStatus）
+export const getClaimStatusText = (status) => {
+  const statuses = ['未提出', '等待租客回應', '已接受', '爭議中', '已裁決'];
+  return statuses[Number(status)] || '未知狀態';
+};
+
+// 將IPFS URI轉換為可在瀏覽器開啟的閘道網址
+export const getIpfsGatewayUrl = (uri) => {
+  if (!uri) return '';
+  return uri.startsWith('ipfs://') ? uri.replace('ipfs://', 'https://ipfs.io/ipfs/') : uri;
+};
+
+// ENS反向解析固定查詢以太坊主網，結果（含查無名稱）會被快取
+const ensNames = new Map();
+let mainnetProvider = null;
+
+// 查詢地址的主要ENS名稱，未設定或查詢失敗時回傳null
+export const lookupEnsName = async (address) => {
+  if (!address) return null;
+  
+  const key = address.toLowerCase();
+  if (!ensNames.has(key)) {
+    try {
+      mainnetProvider = mainnetProvider || (import.meta.env.VITE_MAINNET_RPC_URL
+        ? new ethers.JsonRpcProvider(import.meta.env.VITE_MAINNET_RPC_URL)
+        : ethers.getDefaultProvider('mainnet'));
+      ensNames.set(key, await mainnetProvider.lookupAddress(address));
+    } catch (error) {
+      console.warn('ENS查詢失敗:', error.message);
+      return null;
+    }
+  }
+  
+  return ensNames.get(key);
+};
+
+// 獲取交易查看鏈接，本地鏈等沒有區塊瀏覽器的網絡回傳null
 export const getExplorerUrl = (txHash, networkId) => {
   const explorers = {
     1: 'https://etherscan.io',
@@ -113,8 +202,8 @@ export const getExplorerUrl = (txHash, networkId) => {
     1506: 'https://explorer.hashkey.com'
   };
   
-  const baseUrl = explorers[networkId] || 'https://etherscan.io';
-  return `${baseUrl}/tx/${txHash}`;
+  const baseUrl = explorers[networkId];
+  return baseUrl ? `${baseUrl}/tx/${txHash}` : null;
 };
 
 // 睡眠函數
@@ -0,0 +1,61 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+// 本地事件索引服務地址（scripts/indexer.js），未設定時一律直接讀取鏈上數據
+const INDEXER_URL = import.meta.env.VITE_INDEXER_URL;
+
+// 索引服務無回應時盡快改用RPC
+const REQUEST_TIMEOUT = 3000;
+
+const client = INDEXER_URL
+  ? axios.create({ baseURL: INDEXER_URL, timeout: REQUEST_TIMEOUT })
+  : null;
+
+// 向索引服務查詢，未設定或無法連線時回傳null，由調用方回退至RPC
+const request = async (path, params) => {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const { data } = await client.get(path, { params });
+    return data;
+  } catch (err) {
+    console.warn('索引服務無法使用，改為讀取鏈上數據:', err.message);
+    return null;
+  }
+};
+
+// 查詢用戶參與的租賃（含已結束的歷史），可依狀態（active/disputed/closed）與開始時間範圍篩選
+export const fetchIndexedRentals = (user, { status, from, to, limit = 500 } = {}) =>
+  request('/rentals', { user, status, from, to, limit });
+
+// 查詢租賃的各次支付（押金釋放、退還與利息）
+export const fetchRentalPayouts = (rentalId) => request(`/rentals/${rentalId}/payouts`);
+
+// 查詢租賃相關的所有合約事件，包含Nodit任務與協議NFT的事件
+export const fetchRentalEvents = (rentalId) => request(`/rentals/${rentalId}/events`);
+
+// 將索引服務的租賃記錄轉為與鏈上讀取相同的格式
+export const fromIndexedRental = (rental, user) => {
+  const tenant = ethers.getAddress(rental.tenant);
+  const landlord = ethers.getAddress(rental.landlord);
+
+  return {
+    id: rental.id,
+    depositAmount: BigInt(rental.depositAmount),
+    token: ethers.getAddress(rental.token),
+    startTime: rental.startTime,
+    endTime: rental.endTime,
+    releaseTime: rental.releaseTime,
+    isActive: rental.status !== 'closed',
+    inDispute: rental.status === 'disputed',
+    tenant,
+    landlord,
+    role: landlord.toLowerCase() === user.toLowerCase() ? 'landlord' : 'tenant',
+    closedAt: rental.closedAt,
+    claim: null,
+    rent: null,
+    renewal: null
+  };
+};
@@ -0,0 +1,74 @@
+// EIP-712 租賃要約類型定義，須與RentalOffers合約的RENTAL_OFFER_TYPEHASH一致
+export const RENTAL_OFFER_TYPES = {
+  RentalOffer: [
+    { name: 'landlord', type: 'address' },
+    { name: 'tenant', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'depositAmount', type: 'uint256' },
+    { name: 'leaseDuration', type: 'uint256' },
+    { name: 'interestSharingPercentage', type: 'uint256' },
+    { name: 'metadataURI', type: 'string' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// 要約簽名網域，verifyingContract為RentalOffers合約地址
+export const getRentalOfferDomain = (chainId, verifyingContract) => ({
+  name: 'DeWork Rental Offers',
+  version: '1',
+  chainId,
+  verifyingContract
+});
+
+// 以目前時間（毫秒）作為要約序號，確保同一房東的新要約序號遞增
+export const generateOfferNonce = () => BigInt(Date.now());
+
+// 將要約與簽名編碼為可放入網址的字串（base64url）
+export const encodeOffer = (offer, signature, chainId) => {
+  const payload = JSON.stringify({
+    chainId,
+    signature,
+    offer: Object.fromEntries(
+      Object.entries(offer).map(([key, value]) => [key, value.toString()])
+    )
+  });
+  
+  const bytes = new TextEncoder().encode(payload);
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// 解碼分享連結中的要約，金額與時間欄位還原為BigInt
+export const decodeOffer = (encoded) => {
+  try {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    const { chainId, signature, offer } = JSON.parse(new TextDecoder().decode(bytes));
+    
+    return {
+      chainId: Number(chainId),
+      signature,
+      offer: {
+        landlord: offer.landlord,
+        tenant: offer.tenant,
+        token: offer.token,
+        depositAmount: BigInt(offer.depositAmount),
+        leaseDuration: BigInt(offer.leaseDuration),
+        interestSharingPercentage: BigInt(offer.interestSharingPercentage),
+        metadataURI: offer.metadataURI,
+        expiry: BigInt(offer.expiry),
+        nonce: BigInt(offer.nonce)
+      }
+    };
+  } catch (error) {
+    console.error('解析要約連結錯誤:', error);
+    return null;
+  }
+};
+
+// 產生租客接受要約的分享連結
+export const getOfferLink = (offer, signature, chainId) => {
+  return `${window.location.origin}/offers/accept?offer=${encodeOffer(offer, signature, chainId)}`;
+};
@@ -0,0 +1,65 @@
+import { decodeError } from '@dework/sdk';
+
+// 待確認交易保存在localStorage的鍵名
+const PENDING_TRANSACTIONS_KEY = 'dework.pendingTransactions';
+
+// 合約回滾原因對應的提示，未列出的原因附在預設訊息後顯示
+const REVERT_MESSAGES = {
+  'Rental is not active': '此租賃已結束。',
+  'Rental is in dispute': '租賃爭議處理中，請等待裁決。',
+  'Lease period not ended': '租期尚未結束，目前無法結束租賃。',
+  'Cannot end before release time': '尚未到押金釋放時間，請等待房東結束租賃。',
+  'Deduction claim pending': '有待處理的扣款申請，請先處理扣款。',
+  'Too late to raise dispute': '已超過可提出爭議的期限。',
+  'Dispute already raised': '此租賃已有進行中的爭議。',
+  'Deposit release period passed': '已超過押金釋放時間。',
+  'No interest accrued': '目前尚無累積利息可提取。',
+  'Only landlord can terminate early': '只有房東可以提前終止租賃。',
+  'Only parties can raise dispute': '只有租賃雙方可以提出爭議。',
+  'Only parties can submit evidence': '只有租賃雙方可以提交證據。',
+  'Evidence period ended': '證據提交期限已過。',
+  'No pending claim': '沒有待回應的扣款申請。',
+  'Tenant can still respond': '租客仍可回應扣款申請，請在押金釋放時間後再結算。',
+  'Only tenant can dispute claim': '只有租客可以對扣款申請提出異議。',
+  'Deposit token not supported': '不支援此押金代幣。',
+  'Tenant must be verified with WorldID': '租客須先完成World ID驗證。',
+  'Offer expired': '此要約已過期。',
+  'Offer nonce used or invalidated': '此要約已被接受或由房東取消。',
+  'Offer not for caller': '此要約指定給其他租客。',
+  'Landlord cannot accept own offer': '房東不能接受自己的要約。',
+  'No renewal proposed': '沒有待處理的續約提議。',
+  'Renewal terms changed': '房東已變更續約條件，請重新確認後再接受。',
+  'Rent schedule changed': '房東已變更租金排程，請重新確認後再接受。',
+  'Rent schedule not active': '租金排程尚未生效。',
+  'All rent paid': '所有租金皆已繳清。',
+  'ERC20: insufficient allowance': '代幣授權額度不足，請先授權。',
+  'ERC20: transfer amount exceeds balance': '代幣餘額不足。'
+};
+
+// 將交易錯誤轉為提示訊息，無法判斷原因時使用fallback
+export const getTransactionErrorMessage = (error, fallback = '交易失敗，請重試。') => {
+  const decoded = decodeError(error);
+  
+  if (decoded.code === 'ACTION_REJECTED') {
+    return '您已在錢包中取消交易。';
+  }
+  if (decoded.code === 'REVERTED' && decoded.reason) {
+    return REVERT_MESSAGES[decoded.reason] || `${fallback}（${decoded.reason}）`;
+  }
+  return fallback;
+};
+
+// 讀取上次尚未確認的交易，重新整理頁面後繼續等待
+export const loadPendingTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_TRANSACTIONS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// 只保存尚未確認的交易
+export const savePendingTransactions = (transactions) => {
+  const pending = transactions.filter((transaction) => transaction.status === 'submitted');
+  localStorage.setItem(PENDING_TRANSACTIONS_KEY, JSON.stringify(pending));
+};
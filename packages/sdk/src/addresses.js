@@ -0,0 +1,42 @@
+import { ethers } from 'ethers';
+
+// SDK封裝的核心合約
+export const CORE_CONTRACTS = ['RentalDeposit', 'InterestManager', 'RentalNFT'];
+
+// 舊版前端部署文件使用小寫開頭的欄位名稱
+const LEGACY_KEYS = {
+  rentalDeposit: 'RentalDeposit',
+  interestManager: 'InterestManager',
+  rentalNFT: 'RentalNFT',
+  rentManager: 'RentManager',
+  rentalOffers: 'RentalOffers',
+  leaseRenewals: 'LeaseRenewals',
+  deductionClaims: 'DeductionClaims',
+  disputeEvidence: 'DisputeEvidence',
+  stablecoin: 'USDC'
+};
+
+// 從部署文件（scripts/deploy.js寫入的deployment-<network>.json）解析合約地址，
+// 同時接受舊版前端部署文件的格式，忽略空白與無效的地址
+export const resolveAddresses = (deployment) => {
+  const source = deployment?.contracts || deployment || {};
+  const addresses = {};
+  
+  for (const [key, value] of Object.entries(source)) {
+    const name = LEGACY_KEYS[key] || key;
+    if (typeof value === 'string' && ethers.isAddress(value)) {
+      addresses[name] = ethers.getAddress(value);
+    }
+  }
+  
+  return addresses;
+};
+
+// 確認核心合約地址齊全，缺少時拋出錯誤
+export const requireAddresses = (addresses, names = CORE_CONTRACTS) => {
+  const missing = names.filter((name) => !addresses?.[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing contract addresses: ${missing.join(', ')}`);
+  }
+  return addresses;
+};
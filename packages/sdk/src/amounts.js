@@ -0,0 +1,19 @@
+import { ethers } from 'ethers';
+
+// 押金代幣預設精度（USDC）
+export const DEFAULT_DECIMALS = 6;
+
+// 將金額轉為代幣最小單位，bigint原樣回傳，字串與數字依精度解析
+export const parseAmount = (amount, decimals = DEFAULT_DECIMALS) => {
+  if (typeof amount === 'bigint') {
+    return amount;
+  }
+  if (amount === undefined || amount === null || amount === '') {
+    throw new Error('Amount is required');
+  }
+  
+  return ethers.parseUnits(amount.toString().replace(/[,\s]/g, ''), decimals);
+};
+
+// 將代幣最小單位轉為十進位字串
+export const formatAmount = (amount, decimals = DEFAULT_DECIMALS) => ethers.formatUnits(amount, decimals);
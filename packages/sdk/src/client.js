@@ -0,0 +1,245 @@
+import { ethers } from 'ethers';
+import RentalDepositABI from './abi/RentalDeposit.js';
+import InterestManagerABI from './abi/InterestManager.js';
+import RentalNFTABI from './abi/RentalNFT.js';
+import { requireAddresses } from './addresses.js';
+import { parseAmount } from './amounts.js';
+import { decodeError } from './errors.js';
+import { calculateSettlement } from './settlement.js';
+
+// 押金代幣只需要的ERC20函數
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// 與單筆租賃相關、第一個參數為 indexed rentalId 的事件
+export const RENTAL_EVENTS = [
+  'DepositPaid',
+  'DisputeRaised',
+  'DisputeResolved',
+  'DisputeResolvedWithSplit',
+  'DepositReleased',
+  'DepositRefunded',
+  'InterestWithdrawn',
+  'MetadataUpdated',
+  'InterestSharingUpdated',
+  'LeaseRenewed',
+  'DepositToppedUp',
+  'EmergencyWithdrawal'
+];
+
+// 將合約回傳的租賃結構轉為一般物件，時間與百分比轉為數字
+export const normalizeRental = (rentalId, rental) => ({
+  id: Number(rentalId),
+  tenant: rental.tenant,
+  landlord: rental.landlord,
+  depositAmount: rental.depositAmount,
+  token: rental.token,
+  startTime: Number(rental.startTime),
+  endTime: Number(rental.endTime),
+  releaseTime: Number(rental.releaseTime),
+  isActive: rental.isActive,
+  inDispute: rental.inDispute,
+  interestSharingPercentage: Number(rental.interestSharingPercentage),
+  isVerified: rental.isVerified,
+  metadataURI: rental.metadataURI,
+  platformFeeBps: Number(rental.platformFeeBps)
+});
+
+/**
+ * 建立DeWork合約客戶端
+ * @param runner ethers的Signer或Provider，只有Signer可以發送交易
+ * @param addresses 合約地址，至少包含RentalDeposit、InterestManager與RentalNFT（見resolveAddresses）
+ */
+export const createDeworkSDK = ({ runner, addresses }) => {
+  requireAddresses(addresses);
+  
+  const rentalDeposit = new ethers.Contract(addresses.RentalDeposit, RentalDepositABI, runner);
+  const interestManager = new ethers.Contract(addresses.InterestManager, InterestManagerABI, runner);
+  const rentalNFT = new ethers.Contract(addresses.RentalNFT, RentalNFTABI, runner);
+  
+  // 發送交易並等待確認，失敗時拋出DeworkError
+  const send = async (contract, method, args) => {
+    try {
+      const tx = await contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  };
+  
+  // 唯讀調用，失敗時拋出DeworkError
+  const call = async (contract, method, args = []) => {
+    try {
+      return await contract[method](...args);
+    } catch (error) {
+      throw decodeError(error);
+    }
+  };
+  
+  const getToken = (tokenAddress) => new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+  
+  // 以代幣精度解析金額
+  const toTokenAmount = async (tokenAddress, amount) => {
+    if (typeof amount === 'bigint') {
+      return amount;
+    }
+    return parseAmount(amount, Number(await call(getToken(tokenAddress), 'decimals')));
+  };
+  
+  const getRental = async (rentalId) => normalizeRental(rentalId, await call(rentalDeposit, 'getRentalDetails', [rentalId]));
+  
+  // 查詢用戶參與的所有租賃，並標示用戶在各租賃中的角色
+  const getRentalsFor = async (user) => {
+    const rentalIds = await call(rentalDeposit, 'getUserRentals', [user]);
+    const rentals = await Promise.all(rentalIds.map(getRental));
+    
+    return rentals.map((rental) => ({
+      ...rental,
+      role: rental.landlord.toLowerCase() === user.toLowerCase() ? 'landlord' : 'tenant'
+    }));
+  };
+  
+  /**
+   * 創建租賃，授權額度不足時先授權押金代幣
+   * @param depositAmount 押金金額，字串或數字依代幣精度解析，bigint視為最小單位
+   * @return 新租賃ID與交易收據
+   */
+  const createRental = async ({
+    landlord,
+    token,
+    depositAmount,
+    leaseDuration,
+    metadataURI = '',
+    interestSharingPercentage = 0
+  }) => {
+    const amount = await toTokenAmount(token, depositAmount);
+    const owner = await runner.getAddress();
+    const spender = await rentalDeposit.getAddress();
+    
+    const tokenContract = getToken(token);
+    if ((await call(tokenContract, 'allowance', [owner, spender])) < amount) {
+      await send(tokenContract, 'approve', [spender, amount]);
+    }
+    
+    const receipt = await send(rentalDeposit, 'createRental', [
+      landlord,
+      token,
+      amount,
+      leaseDuration,
+      metadataURI,
+      interestSharingPercentage
+    ]);
+    const event = receipt.logs
+      .map((log) => rentalDeposit.interface.parseLog(log))
+      .find((parsed) => parsed?.name === 'RentalCreated');
+    
+    return { rentalId: Number(event.args.rentalId), receipt };
+  };
+  
+  /**
+   * 預估現在結算時各方分得的金額
+   * @param landlordPrincipal 分給房東的本金，預設為全數（正常結束），提前終止為0
+   */
+  const quoteSettlement = async (rentalId, { landlordPrincipal } = {}) => {
+    const rental = await getRental(rentalId);
+    const depositWithInterest = await call(rentalDeposit, 'getCurrentDepositValue', [rentalId]);
+    
+    return calculateSettlement({
+      depositWithInterest,
+      depositAmount: rental.depositAmount,
+      landlordPrincipal: landlordPrincipal ?? rental.depositAmount,
+      tenantInterestPercentage: rental.interestSharingPercentage,
+      platformFeeBps: rental.platformFeeBps
+    });
+  };
+  
+  // 租賃協議NFT的URI與元數據，結算後NFT已燒毀則回傳null
+  const getAgreement = async (rentalId) => {
+    try {
+      const [tokenURI, metadata] = await Promise.all([
+        rentalNFT.tokenURI(rentalId),
+        rentalNFT.getRentalMetadata(rentalId)
+      ]);
+      return { tokenURI, ensName: metadata.ensName, mintedAt: Number(metadata.timestamp) };
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  /**
+   * 查詢單筆租賃在RentalDeposit的歷史事件，格式與事件索引服務的 /rentals/:id/events 相同
+   * @param fromBlock 開始查詢的區塊，公共RPC通常限制查詢範圍，建議傳入合約部署區塊
+   */
+  const getRentalEvents = async (rentalId, { fromBlock = 0, toBlock = 'latest' } = {}) => {
+    const batches = await Promise.all(
+      ['RentalCreated', ...RENTAL_EVENTS].map((name) =>
+        rentalDeposit.queryFilter(rentalDeposit.filters[name](rentalId), fromBlock, toBlock))
+    );
+    const events = batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    
+    // 同一區塊的事件共用時間戳
+    const timestamps = new Map();
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        timestamps.set(event.blockNumber, (await event.getBlock()).timestamp);
+      }
+    }
+    
+    return events.map((event) => ({
+      contract: 'RentalDeposit',
+      name: event.eventName,
+      args: Object.fromEntries(event.fragment.inputs.map((input, i) => {
+        const value = event.args[i];
+        return [input.name, typeof value === 'bigint' ? value.toString() : value];
+      })),
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+      timestamp: timestamps.get(event.blockNumber)
+    }));
+  };
+  
+  /**
+   * 訂閱單筆租賃的合約事件，每次事件後重新讀取租賃狀態
+   * @param onEvent 回調參數為 { name, args, log, rental }
+   * @return 取消訂閱的函數
+   */
+  const watchRental = (rentalId, onEvent) => {
+    const subscriptions = RENTAL_EVENTS.map((name) => {
+      const filter = rentalDeposit.filters[name](rentalId);
+      const listener = async (...params) => {
+        const payload = params[params.length - 1];
+        const rental = await getRental(rentalId);
+        onEvent({ name, args: payload.args, log: payload.log, rental });
+      };
+      rentalDeposit.on(filter, listener);
+      return [filter, listener];
+    });
+    
+    return () => {
+      for (const [filter, listener] of subscriptions) {
+        rentalDeposit.off(filter, listener);
+      }
+    };
+  };
+  
+  return {
+    rentalDeposit,
+    interestManager,
+    rentalNFT,
+    getRental,
+    getRentalsFor,
+    getAgreement,
+    getCurrentAPY: () => call(interestManager, 'getCurrentAPY'),
+    createRental,
+    endRental: (rentalId) => send(rentalDeposit, 'endRental', [rentalId]),
+    terminateEarly: (rentalId) => send(rentalDeposit, 'terminateEarly', [rentalId]),
+    claimInterest: (rentalId) => send(rentalDeposit, 'claimInterest', [rentalId]),
+    raiseDispute: (rentalId, evidenceURI = '') => send(rentalDeposit, 'raiseDispute', [rentalId, evidenceURI]),
+    quoteSettlement,
+    getRentalEvents,
+    watchRental
+  };
+};
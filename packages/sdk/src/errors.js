@@ -0,0 +1,109 @@
+import { ethers } from 'ethers';
+import RentalDepositABI from './abi/RentalDeposit.js';
+import InterestManagerABI from './abi/InterestManager.js';
+import RentalNFTABI from './abi/RentalNFT.js';
+
+// 合併各核心合約的錯誤定義，用於解析回滾資料
+const ERROR_INTERFACE = new ethers.Interface([
+  ...RentalDepositABI,
+  ...InterestManagerABI,
+  ...RentalNFTABI
+].filter((fragment) => fragment.type === 'error'));
+
+// 未經ethers解析時，從節點的錯誤訊息中擷取回滾原因
+const REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /reverted with custom error '([^']*)'/,
+  /execution reverted: (.+)$/m
+];
+
+/**
+ * 合約調用失敗的錯誤
+ * code 為 REVERTED（合約回滾）、ACTION_REJECTED（用戶在錢包中拒絕）或 UNKNOWN
+ * reason 為合約的 require 訊息或自定義錯誤名稱，errorName 與 args 為解析出的錯誤定義
+ */
+export class DeworkError extends Error {
+  constructor(message, { code = 'UNKNOWN', reason = null, errorName = null, args = [], cause } = {}) {
+    super(message);
+    this.name = 'DeworkError';
+    this.code = code;
+    this.reason = reason;
+    this.errorName = errorName;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+// 在巢狀的錯誤物件中尋找回滾資料
+const findRevertData = (error) => {
+  for (let current = error; current; current = current.error || current.info?.error || current.cause) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x') && current.data.length >= 10) {
+      return current.data;
+    }
+    if (typeof current.data?.data === 'string') {
+      return current.data.data;
+    }
+  }
+  return null;
+};
+
+// Error(string) 的函數選擇器
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+// 解析回滾資料：先處理 require 訊息，再以核心合約的錯誤定義解析自定義錯誤
+const parseRevertData = (data) => {
+  try {
+    if (ethers.dataSlice(data, 0, 4) === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+      return { errorName: 'Error', args: [reason], reason };
+    }
+    
+    const parsed = ERROR_INTERFACE.parseError(data);
+    if (parsed) {
+      return { errorName: parsed.name, args: [...parsed.args], reason: parsed.name };
+    }
+  } catch (parseError) {
+    // 無法解析的回滾資料
+  }
+  return null;
+};
+
+/**
+ * 將ethers或節點拋出的錯誤轉為DeworkError，已是DeworkError時原樣回傳
+ */
+export const decodeError = (error) => {
+  if (error instanceof DeworkError) {
+    return error;
+  }
+  
+  if (error?.code === 'ACTION_REJECTED' || error?.info?.error?.code === 4001) {
+    return new DeworkError('Transaction rejected by user', { code: 'ACTION_REJECTED', cause: error });
+  }
+  
+  // ethers已依合約ABI解析出回滾原因
+  if (error?.revert) {
+    const reason = error.revert.name === 'Error' ? error.revert.args[0] : error.revert.name;
+    return new DeworkError(reason, {
+      code: 'REVERTED',
+      reason,
+      errorName: error.revert.name,
+      args: [...error.revert.args],
+      cause: error
+    });
+  }
+  
+  const data = findRevertData(error);
+  const parsed = data ? parseRevertData(data) : null;
+  if (parsed) {
+    return new DeworkError(parsed.reason, { code: 'REVERTED', ...parsed, cause: error });
+  }
+  
+  const message = error?.shortMessage || error?.message || String(error);
+  const match = REASON_PATTERNS.map((pattern) => message.match(pattern) || error?.message?.match(pattern)).find(Boolean);
+  if (match || error?.reason) {
+    const reason = match ? match[1] : error.reason;
+    return new DeworkError(reason, { code: 'REVERTED', reason, cause: error });
+  }
+  
+  return new DeworkError(message, { cause: error });
+};
@@ -0,0 +1,9 @@
+// DeWork合約SDK：封裝RentalDeposit、InterestManager與RentalNFT，供前端與部署腳本共用
+export { default as RentalDepositABI } from './abi/RentalDeposit.js';
+export { default as InterestManagerABI } from './abi/InterestManager.js';
+export { default as RentalNFTABI } from './abi/RentalNFT.js';
+export { CORE_CONTRACTS, resolveAddresses, requireAddresses } from './addresses.js';
+export { DEFAULT_DECIMALS, parseAmount, formatAmount } from './amounts.js';
+export { DeworkError, decodeError } from './errors.js';
+export { BPS_DENOMINATOR, PERCENTAGE_DENOMINATOR, calculateSettlement } from './settlement.js';
+export { RENTAL_EVENTS, normalizeRental, createDeworkSDK } from './client.js';
@@ -0,0 +1,22 @@
+// 僅供Node.js使用：讀取部署腳本寫入的部署文件
+import fs from 'fs';
+import path from 'path';
+import { resolveAddresses } from './addresses.js';
+
+/**
+ * 讀取 deploy/deployment-<network>.json
+ * @param networkName Hardhat網絡名稱
+ * @param deployDir 部署文件所在目錄
+ * @return 部署文件內容 deployment、解析後的合約地址 addresses 與文件路徑 path
+ */
+export const loadDeployment = (networkName, deployDir) => {
+  const deploymentPath = path.join(deployDir, `deployment-${networkName}.json`);
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`Deployment file not found: ${deploymentPath}`);
+  }
+  
+  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+  return { deployment, addresses: resolveAddresses(deployment), path: deploymentPath };
+};
+
+export * from './index.js';
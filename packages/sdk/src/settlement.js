@@ -0,0 +1,35 @@
+// 與RentalDeposit合約相同的分母
+export const BPS_DENOMINATOR = 10000n;
+export const PERCENTAGE_DENOMINATOR = 100n;
+
+// 依RentalDeposit._calculateSettlement計算各方分得的金額：
+// 提取金額低於本金時本金按比例縮減，利息先扣平台費用再按分享比例分配
+export const calculateSettlement = ({
+  depositWithInterest,
+  depositAmount,
+  landlordPrincipal = depositAmount,
+  tenantInterestPercentage,
+  platformFeeBps
+}) => {
+  const value = BigInt(depositWithInterest);
+  const deposit = BigInt(depositAmount);
+  const principal = value < deposit ? value : deposit;
+  const interest = value - principal;
+  
+  const settlement = {};
+  settlement.landlordPrincipal = deposit > 0n ? (principal * BigInt(landlordPrincipal)) / deposit : 0n;
+  settlement.tenantPrincipal = principal - settlement.landlordPrincipal;
+  
+  settlement.platformFee = (interest * BigInt(platformFeeBps)) / BPS_DENOMINATOR;
+  settlement.tenantInterest = (interest * BigInt(tenantInterestPercentage)) / PERCENTAGE_DENOMINATOR;
+  if (settlement.tenantInterest > interest - settlement.platformFee) {
+    settlement.tenantInterest = interest - settlement.platformFee;
+  }
+  settlement.landlordInterest = interest - settlement.platformFee - settlement.tenantInterest;
+  
+  settlement.landlordTotal = settlement.landlordPrincipal + settlement.landlordInterest;
+  settlement.tenantTotal = settlement.tenantPrincipal + settlement.tenantInterest;
+  settlement.depositWithInterest = value;
+  
+  return settlement;
+};
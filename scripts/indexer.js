@@ -0,0 +1,518 @@
+// 事件索引服務：將 RentalDeposit、InterestManager、RentalNFT 與 NoditManager 的事件寫入 SQLite，
+// 並提供本地 HTTP/JSON 查詢介面，讓前端不必逐筆讀取鏈上租賃，也能查詢已結束租賃的歷史
+//
+// 使用方式：
+//   INDEXER_PORT=8788 npx hardhat run scripts/indexer.js --network localhost
+//
+// INDEXER_DB（選填）為資料庫路徑，預設為 deploy/indexer-<network>.sqlite
+// INDEXER_START_BLOCK（選填）為首次啟動時開始掃描事件的區塊
+// INDEXER_POLL_INTERVAL（選填）為輪詢新區塊的秒數，預設為15
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers, network } = require("hardhat");
+
+// 單次查詢事件的最大區塊範圍，避免超出RPC限制
+const DEFAULT_BLOCK_RANGE = 5000;
+
+// 查詢結果的預設與最大筆數
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// 支付給租賃雙方的事件，依事件名稱分類
+const PAYOUT_EVENTS = {
+  DepositReleased: "deposit_release",
+  DepositRefunded: "deposit_refund",
+  InterestWithdrawn: "interest"
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    rental_id INTEGER,
+    args TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    UNIQUE (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_rental ON events (rental_id);
+  CREATE TABLE IF NOT EXISTS rentals (
+    id INTEGER PRIMARY KEY,
+    tenant TEXT NOT NULL,
+    landlord TEXT NOT NULL,
+    token TEXT NOT NULL,
+    deposit_amount TEXT NOT NULL,
+    interest_sharing_percentage INTEGER NOT NULL,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER NOT NULL,
+    release_time INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    metadata_uri TEXT,
+    created_at INTEGER NOT NULL,
+    closed_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS rentals_tenant ON rentals (tenant);
+  CREATE INDEX IF NOT EXISTS rentals_landlord ON rentals (landlord);
+  CREATE TABLE IF NOT EXISTS payouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rental_id INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    UNIQUE (tx_hash, log_index, recipient)
+  );
+  CREATE INDEX IF NOT EXISTS payouts_rental ON payouts (rental_id);
+`;
+
+class QueryError extends Error {}
+
+/**
+ * 開啟資料庫並建立資料表
+ */
+function openDatabase(dbPath) {
+  if (dbPath !== ":memory:") {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * 將事件參數轉為可存成JSON的物件，金額等大數以字串保存
+ */
+function serializeArgs(event) {
+  return Object.fromEntries(
+    event.fragment.inputs.map((input, i) => {
+      const value = event.args[i];
+      return [input.name, typeof value === "bigint" ? value.toString() : value];
+    })
+  );
+}
+
+/**
+ * 從租賃押金合約的事件取出支付給租賃雙方的金額；分割裁決事件只記錄本金，收款人取自租賃資料
+ */
+function getPayouts(row, rental) {
+  const { name, args } = row;
+  if (PAYOUT_EVENTS[name]) {
+    return [{ recipient: args.recipient ?? args.tenant, amount: args.amount, kind: PAYOUT_EVENTS[name] }];
+  }
+  if (name === "DisputeResolvedWithSplit") {
+    return [
+      { recipient: rental.landlord, amount: args.landlordPrincipal, kind: "dispute_split" },
+      { recipient: rental.tenant, amount: args.tenantPrincipal, kind: "dispute_split" }
+    ];
+  }
+  return [];
+}
+
+/**
+ * 依鏈上狀態判斷租賃狀態
+ */
+function rentalStatus(rental) {
+  if (!rental.isActive) {
+    return "closed";
+  }
+  return rental.inDispute ? "disputed" : "active";
+}
+
+/**
+ * 建立事件索引器
+ * @param db openDatabase 回傳的資料庫
+ * @param contracts 要索引的合約實例 { RentalDeposit, InterestManager, RentalNFT, NoditManager }，缺少的合約略過
+ * @param startBlock 首次啟動時開始掃描事件的區塊
+ * @param blockRange 單次查詢事件的最大區塊範圍
+ * @param logger 日誌輸出
+ */
+function createIndexer({ db, contracts, startBlock = 0, blockRange = DEFAULT_BLOCK_RANGE, logger = console }) {
+  const rentalDeposit = contracts.RentalDeposit;
+  const sources = Object.entries(contracts).filter(([, contract]) => contract);
+  const provider = rentalDeposit.runner.provider;
+
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const setMeta = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value");
+  const insertEvent = db.prepare(`
+    INSERT OR IGNORE INTO events (contract, name, rental_id, args, block_number, log_index, tx_hash, timestamp)
+    VALUES (@contract, @name, @rentalId, @args, @blockNumber, @logIndex, @txHash, @timestamp)
+  `);
+  const insertPayout = db.prepare(`
+    INSERT OR IGNORE INTO payouts (rental_id, recipient, amount, kind, tx_hash, log_index, timestamp)
+    VALUES (@rentalId, @recipient, @amount, @kind, @txHash, @logIndex, @timestamp)
+  `);
+  const upsertRental = db.prepare(`
+    INSERT INTO rentals (
+      id, tenant, landlord, token, deposit_amount, interest_sharing_percentage,
+      start_time, end_time, release_time, status, metadata_uri, created_at, closed_at
+    ) VALUES (
+      @id, @tenant, @landlord, @token, @depositAmount, @interestSharingPercentage,
+      @startTime, @endTime, @releaseTime, @status, @metadataURI, @createdAt, @closedAt
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      deposit_amount = excluded.deposit_amount,
+      end_time = excluded.end_time,
+      release_time = excluded.release_time,
+      status = excluded.status,
+      metadata_uri = excluded.metadata_uri,
+      closed_at = excluded.closed_at
+  `);
+  const getCreatedAt = db.prepare("SELECT created_at FROM rentals WHERE id = ?");
+
+  const lastBlock = () => {
+    const row = getMeta.get("lastBlock");
+    return row ? Number(row.value) : startBlock - 1;
+  };
+
+  // 同一區塊的事件共用時間戳，避免重複查詢
+  const blockTimestamps = new Map();
+  const getTimestamp = async (blockNumber) => {
+    if (!blockTimestamps.has(blockNumber)) {
+      blockTimestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    }
+    return blockTimestamps.get(blockNumber);
+  };
+
+  // 讀取租賃在該段區塊結束時的鏈上狀態，續約、爭議與結算都會反映在狀態中
+  const loadRental = async (rentalId, { firstSeen, lastSeen }, blockTag) => {
+    const rental = await rentalDeposit.getRentalDetails(rentalId, { blockTag });
+    const status = rentalStatus(rental);
+    return {
+      id: rentalId,
+      tenant: rental.tenant.toLowerCase(),
+      landlord: rental.landlord.toLowerCase(),
+      token: rental.token.toLowerCase(),
+      depositAmount: rental.depositAmount.toString(),
+      interestSharingPercentage: Number(rental.interestSharingPercentage),
+      startTime: Number(rental.startTime),
+      endTime: Number(rental.endTime),
+      releaseTime: Number(rental.releaseTime),
+      status,
+      metadataURI: rental.metadataURI,
+      createdAt: getCreatedAt.get(rentalId)?.created_at ?? firstSeen,
+      closedAt: status === "closed" ? lastSeen : null
+    };
+  };
+
+  // 讀取一段區塊內所有合約的事件，依區塊與日誌順序排列
+  const fetchEvents = async (fromBlock, toBlock) => {
+    const batches = await Promise.all(
+      sources.map(async ([name, contract]) => {
+        const events = await contract.queryFilter("*", fromBlock, toBlock);
+        return events.filter((event) => event.fragment).map((event) => ({ contract: name, event }));
+      })
+    );
+    return batches
+      .flat()
+      .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+  };
+
+  // 掃描到最新區塊，每段區塊在同一個交易中寫入
+  const sync = async () => {
+    const latestBlock = await provider.getBlockNumber();
+    let indexed = 0;
+
+    while (lastBlock() < latestBlock) {
+      const fromBlock = lastBlock() + 1;
+      const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+      const entries = await fetchEvents(fromBlock, toBlock);
+
+      // 先完成所有RPC查詢，再同步寫入資料庫
+      const rows = [];
+      const touched = new Map();
+      for (const { contract, event } of entries) {
+        const args = serializeArgs(event);
+        const rentalId = args.rentalId ?? args.tokenId;
+        const timestamp = await getTimestamp(event.blockNumber);
+        rows.push({
+          contract,
+          name: event.eventName,
+          rentalId: rentalId === undefined ? null : Number(rentalId),
+          args,
+          blockNumber: event.blockNumber,
+          logIndex: event.index,
+          txHash: event.transactionHash,
+          timestamp
+        });
+        if (contract === "RentalDeposit" && rentalId !== undefined) {
+          const seen = touched.get(Number(rentalId));
+          touched.set(Number(rentalId), { firstSeen: seen?.firstSeen ?? timestamp, lastSeen: timestamp });
+        }
+      }
+
+      const rentals = new Map();
+      for (const [rentalId, seen] of touched) {
+        rentals.set(rentalId, await loadRental(rentalId, seen, toBlock));
+      }
+
+      db.transaction(() => {
+        for (const row of rows) {
+          insertEvent.run({ ...row, args: JSON.stringify(row.args) });
+          if (row.contract === "RentalDeposit") {
+            getPayouts(row, rentals.get(row.rentalId)).forEach((payout) => insertPayout.run({
+              ...payout,
+              recipient: payout.recipient.toLowerCase(),
+              rentalId: row.rentalId,
+              txHash: row.txHash,
+              logIndex: row.logIndex,
+              timestamp: row.timestamp
+            }));
+          }
+        }
+        rentals.forEach((rental) => upsertRental.run(rental));
+        setMeta.run("lastBlock", String(toBlock));
+      })();
+
+      indexed += rows.length;
+    }
+
+    if (indexed > 0) {
+      logger.log(`Indexed ${indexed} events up to block ${lastBlock()}`);
+    }
+    return indexed;
+  };
+
+  // 定期輪詢，回傳停止函數
+  const start = (interval) => {
+    let timer = null;
+    let stopped = false;
+
+    const loop = async () => {
+      try {
+        await sync();
+      } catch (error) {
+        logger.error("Indexer sync failed:", error);
+      }
+      if (!stopped) {
+        timer = setTimeout(loop, interval);
+      }
+    };
+    loop();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { sync, start, lastBlock };
+}
+
+/**
+ * 將資料列轉為API回傳格式
+ */
+function formatRental(row) {
+  return {
+    id: row.id,
+    tenant: row.tenant,
+    landlord: row.landlord,
+    token: row.token,
+    depositAmount: row.deposit_amount,
+    interestSharingPercentage: row.interest_sharing_percentage,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    releaseTime: row.release_time,
+    status: row.status,
+    metadataURI: row.metadata_uri,
+    createdAt: row.created_at,
+    closedAt: row.closed_at
+  };
+}
+
+/**
+ * 建立查詢函數
+ */
+function createQueries(db) {
+  const parseInteger = (value, name) => {
+    if (value === undefined || value === null || value === "") {
+      return undefined;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new QueryError(`Invalid ${name}`);
+    }
+    return parsed;
+  };
+
+  // 依參與者、狀態與開始時間範圍查詢租賃
+  const getRentals = ({ user, status, from, to, limit, offset } = {}) => {
+    const conditions = [];
+    const params = {};
+
+    if (user) {
+      if (!ethers.isAddress(user)) {
+        throw new QueryError("Invalid user address");
+      }
+      conditions.push("(tenant = @user OR landlord = @user)");
+      params.user = user.toLowerCase();
+    }
+    if (status) {
+      conditions.push("status = @status");
+      params.status = status;
+    }
+    if (parseInteger(from, "from") !== undefined) {
+      conditions.push("start_time >= @from");
+      params.from = parseInteger(from, "from");
+    }
+    if (parseInteger(to, "to") !== undefined) {
+      conditions.push("start_time <= @to");
+      params.to = parseInteger(to, "to");
+    }
+
+    params.limit = Math.min(parseInteger(limit, "limit") ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    params.offset = parseInteger(offset, "offset") ?? 0;
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return db
+      .prepare(`SELECT * FROM rentals ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+      .all(params)
+      .map(formatRental);
+  };
+
+  const getRental = (rentalId) => {
+    const row = db.prepare("SELECT * FROM rentals WHERE id = ?").get(rentalId);
+    return row ? formatRental(row) : null;
+  };
+
+  // 租賃各次支付，金額以代幣最小單位的字串表示
+  const getPayouts = (rentalId) => db
+    .prepare("SELECT recipient, amount, kind, tx_hash, timestamp FROM payouts WHERE rental_id = ? ORDER BY id")
+    .all(rentalId)
+    .map((row) => ({
+      recipient: row.recipient,
+      amount: row.amount,
+      kind: row.kind,
+      txHash: row.tx_hash,
+      timestamp: row.timestamp
+    }));
+
+  // 與租賃相關的所有合約事件，依發生順序排列
+  const getEvents = (rentalId) => db
+    .prepare("SELECT contract, name, args, block_number, tx_hash, timestamp FROM events WHERE rental_id = ? ORDER BY id")
+    .all(rentalId)
+    .map((row) => ({
+      contract: row.contract,
+      name: row.name,
+      args: JSON.parse(row.args),
+      blockNumber: row.block_number,
+      txHash: row.tx_hash,
+      timestamp: row.timestamp
+    }));
+
+  return { getRentals, getRental, getPayouts, getEvents };
+}
+
+/**
+ * 建立查詢HTTP服務
+ *   GET /status                索引進度
+ *   GET /rentals               ?user=&status=&from=&to=&limit=&offset=
+ *   GET /rentals/:id           租賃資訊
+ *   GET /rentals/:id/payouts   租賃各次支付
+ *   GET /rentals/:id/events    租賃相關事件
+ */
+function createServer(queries, indexer) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === "OPTIONS") {
+        return send(204, {});
+      }
+      if (req.method !== "GET") {
+        return send(404, { error: "Not found" });
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/status") {
+        return send(200, { lastBlock: indexer.lastBlock() });
+      }
+      if (url.pathname === "/rentals") {
+        return send(200, queries.getRentals(Object.fromEntries(url.searchParams)));
+      }
+
+      const match = url.pathname.match(/^\/rentals\/(\d+)(\/payouts|\/events)?$/);
+      if (match) {
+        const rentalId = Number(match[1]);
+        const rental = queries.getRental(rentalId);
+        if (!rental) {
+          return send(404, { error: "Rental not found" });
+        }
+        if (match[2] === "/payouts") {
+          return send(200, queries.getPayouts(rentalId));
+        }
+        if (match[2] === "/events") {
+          return send(200, queries.getEvents(rentalId));
+        }
+        return send(200, { ...rental, payouts: queries.getPayouts(rentalId) });
+      }
+
+      send(404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return send(400, { error: error.message });
+      }
+      console.error("Query failed:", error);
+      send(500, { error: "Query failed" });
+    }
+  });
+}
+
+async function main() {
+  const { loadDeployment, createDeworkSDK } = await import("@dework/sdk/node");
+  const { addresses: contracts } = loadDeployment(network.name, path.join(__dirname, "../deploy"));
+  const sdk = createDeworkSDK({ runner: ethers.provider, addresses: contracts });
+
+  const db = openDatabase(process.env.INDEXER_DB || path.join(__dirname, `../deploy/indexer-${network.name}.sqlite`));
+  const indexer = createIndexer({
+    db,
+    contracts: {
+      RentalDeposit: sdk.rentalDeposit,
+      InterestManager: sdk.interestManager,
+      RentalNFT: sdk.rentalNFT,
+      NoditManager: await ethers.getContractAt("NoditManager", contracts.NoditManager)
+    },
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0)
+  });
+
+  indexer.start(Number(process.env.INDEXER_POLL_INTERVAL || 15) * 1000);
+
+  const port = Number(process.env.INDEXER_PORT || 8788);
+  createServer(createQueries(db), indexer).listen(port, () => {
+    console.log(`Indexer API listening on port ${port}`);
+    console.log("RentalDeposit:", contracts.RentalDeposit);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  QueryError,
+  openDatabase,
+  createIndexer,
+  createQueries,
+  createServer
+};
@@ -0,0 +1,319 @@
+// ERC-2771中繼服務：接收用戶簽署的轉發請求，由中繼者代付Gas提交到DeWorkForwarder
+//
+// 使用方式：
+//   RELAY_FEE=1.5 RELAYER_PORT=8787 npx hardhat run scripts/relayer.js --network localhost
+//
+// RELAY_FEE（選填）為以押金穩定幣計價的中繼手續費，設置後創建租賃的請求
+// 必須調用 RentalGateway 的 createRentalWithRelayFee 並將手續費支付給本中繼者
+const http = require("http");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+
+// DeWorkForwarder的EIP-712類型定義
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+// 預設的轉發調用Gas上限，足以涵蓋創建租賃（含NFT鑄造與存入收益協議）
+const DEFAULT_REQUEST_GAS = 1500000n;
+
+// 預設的請求有效時間（秒）
+const DEFAULT_REQUEST_TTL = 60 * 60;
+
+// 中繼者代為提交押金許可所需的ABI
+const PERMIT_ABI = [
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function allowance(address owner, address spender) view returns (uint256)"
+];
+
+// 需要中繼手續費時不接受的免手續費創建租賃調用
+const UNPAID_RENTAL_FUNCTIONS = ["createRental", "createRentalWithPermit"];
+
+class RelayError extends Error {}
+
+/**
+ * 獲取轉發者的EIP-712簽名網域
+ */
+async function getForwarderDomain(forwarder) {
+  const { name, version, chainId, verifyingContract } = await forwarder.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * 用戶簽署轉發請求，供前端與測試組裝中繼請求
+ */
+async function signForwardRequest(forwarder, signer, { to, data, gas = DEFAULT_REQUEST_GAS, deadline }) {
+  const from = await signer.getAddress();
+  if (deadline === undefined) {
+    const { timestamp } = await forwarder.runner.provider.getBlock("latest");
+    deadline = timestamp + DEFAULT_REQUEST_TTL;
+  }
+
+  const request = {
+    from,
+    to,
+    value: 0n,
+    gas,
+    nonce: await forwarder.nonces(from),
+    deadline,
+    data
+  };
+
+  const signature = await signer.signTypedData(
+    await getForwarderDomain(forwarder),
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  return { request, signature };
+}
+
+/**
+ * 將JSON中的請求欄位與簽名還原為合約調用格式，nonce由轉發者合約記錄不需傳入
+ */
+function normalizeRequest(request, signature) {
+  return {
+    from: ethers.getAddress(request.from),
+    to: ethers.getAddress(request.to),
+    value: BigInt(request.value),
+    gas: BigInt(request.gas),
+    deadline: Number(request.deadline),
+    data: request.data,
+    signature
+  };
+}
+
+/**
+ * 建立中繼者
+ * @param forwarder DeWorkForwarder合約實例
+ * @param signer 代付Gas的中繼者賬戶
+ * @param targets 允許轉發的目標合約地址
+ * @param rentalDeposit 租賃押金合約實例，用於檢查手續費與押金許可
+ * @param rentalGateway 創建入口合約實例，付費中繼的創建租賃請求以其為目標
+ * @param feeToken 收取手續費的代幣地址（選填）
+ * @param minFee 創建租賃的最低中繼手續費，0表示不收費
+ */
+function createRelayer({ forwarder, signer, targets, rentalDeposit, rentalGateway, feeToken = null, minFee = 0n }) {
+  const allowedTargets = new Set(targets.map((target) => target.toLowerCase()));
+  const relayingForwarder = forwarder.connect(signer);
+
+  // 檢查創建租賃的請求是否支付足夠的手續費給本中繼者
+  const checkRelayFee = async (request) => {
+    if (minFee === 0n) {
+      return;
+    }
+
+    const target = [rentalDeposit, rentalGateway].find(
+      (contract) => contract && request.to === ethers.getAddress(contract.target)
+    );
+    if (!target) {
+      return;
+    }
+
+    const call = target.interface.parseTransaction({ data: request.data });
+    if (!call) {
+      throw new RelayError("Unknown rental creation call");
+    }
+
+    if (UNPAID_RENTAL_FUNCTIONS.includes(call.name)) {
+      throw new RelayError("Relay fee required, use createRentalWithRelayFee");
+    }
+
+    if (call.name === "createRentalWithRelayFee") {
+      if (call.args._relayer.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+        throw new RelayError("Relay fee must be paid to this relayer");
+      }
+      if (call.args._token.toLowerCase() !== feeToken.toLowerCase()) {
+        throw new RelayError("Relay fee must be paid in the fee token");
+      }
+      if (call.args._relayFee < minFee) {
+        throw new RelayError(`Relay fee below minimum of ${minFee}`);
+      }
+    }
+  };
+
+  // 代用戶提交押金代幣的EIP-2612許可，讓沒有Gas代幣的租客也能授權押金
+  const submitPermit = async (request, permit) => {
+    if (ethers.getAddress(permit.owner) !== request.from) {
+      throw new RelayError("Permit owner must be the request signer");
+    }
+    if (ethers.getAddress(permit.spender) !== (await rentalDeposit.getAddress())) {
+      throw new RelayError("Permit spender must be RentalDeposit");
+    }
+
+    const token = new ethers.Contract(permit.token, PERMIT_ABI, signer);
+    if ((await token.allowance(permit.owner, permit.spender)) >= BigInt(permit.value)) {
+      return;
+    }
+
+    const tx = await token.permit(
+      permit.owner,
+      permit.spender,
+      permit.value,
+      permit.deadline,
+      permit.v,
+      permit.r,
+      permit.s
+    );
+    await tx.wait();
+  };
+
+  // 驗證並提交轉發請求
+  const relay = async ({ request, signature, permit }) => {
+    const forwardRequest = normalizeRequest(request, signature);
+
+    if (!allowedTargets.has(forwardRequest.to.toLowerCase())) {
+      throw new RelayError("Target contract not allowed");
+    }
+    if (forwardRequest.value !== 0n) {
+      throw new RelayError("Value transfers are not relayed");
+    }
+    const { timestamp } = await forwarder.runner.provider.getBlock("latest");
+    if (forwardRequest.deadline < timestamp) {
+      throw new RelayError("Request expired");
+    }
+    if (!(await forwarder.verify(forwardRequest))) {
+      throw new RelayError("Invalid signature or nonce");
+    }
+
+    await checkRelayFee(forwardRequest);
+
+    if (permit) {
+      await submitPermit(forwardRequest, permit);
+    }
+
+    // 目標調用失敗時整筆交易回滾，先模擬執行避免中繼者白付Gas
+    try {
+      await relayingForwarder.execute.staticCall(forwardRequest);
+    } catch (error) {
+      throw new RelayError("Forwarded call would revert");
+    }
+
+    const tx = await relayingForwarder.execute(forwardRequest);
+    const receipt = await tx.wait();
+
+    return { txHash: receipt.hash };
+  };
+
+  // 提供前端組裝請求所需的資訊
+  const getInfo = async () => ({
+    forwarder: await forwarder.getAddress(),
+    relayer: await signer.getAddress(),
+    chainId: (await forwarder.runner.provider.getNetwork()).chainId.toString(),
+    targets: [...allowedTargets],
+    feeToken,
+    minFee: minFee.toString()
+  });
+
+  return { relay, getInfo };
+}
+
+/**
+ * 建立中繼HTTP服務
+ *   GET  /info   中繼者資訊
+ *   POST /relay  { request, signature, permit? }
+ */
+function createServer(relayer) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === "OPTIONS") {
+        return send(204, {});
+      }
+
+      if (req.method === "GET" && req.url === "/info") {
+        return send(200, await relayer.getInfo());
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        const body = JSON.parse(Buffer.concat(chunks).toString() || "{}");
+        if (!body.request || !body.signature) {
+          return send(400, { error: "Missing request or signature" });
+        }
+
+        return send(200, await relayer.relay(body));
+      }
+
+      send(404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof RelayError || error instanceof SyntaxError) {
+        return send(400, { error: error.message });
+      }
+      console.error("Relay failed:", error);
+      send(500, { error: "Relay failed" });
+    }
+  });
+}
+
+async function main() {
+  const { loadDeployment } = await import("@dework/sdk/node");
+  const { addresses: contracts } = loadDeployment(network.name, path.join(__dirname, "../deploy"));
+
+  const [signer] = await ethers.getSigners();
+  const forwarder = await ethers.getContractAt("DeWorkForwarder", contracts.Forwarder);
+  const rentalDeposit = await ethers.getContractAt("RentalDeposit", contracts.RentalDeposit);
+  const rentalGateway = await ethers.getContractAt("RentalGateway", contracts.RentalGateway);
+
+  // 以押金穩定幣計價的中繼手續費
+  let minFee = 0n;
+  if (process.env.RELAY_FEE) {
+    const usdc = await ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      contracts.USDC
+    );
+    minFee = ethers.parseUnits(process.env.RELAY_FEE, await usdc.decimals());
+  }
+
+  const relayer = createRelayer({
+    forwarder,
+    signer,
+    targets: [contracts.RentalDeposit, contracts.RentalGateway, contracts.RentalNFT, contracts.WorldIDVerifier],
+    rentalDeposit,
+    rentalGateway,
+    feeToken: contracts.USDC,
+    minFee
+  });
+
+  const port = Number(process.env.RELAYER_PORT || 8787);
+  createServer(relayer).listen(port, () => {
+    console.log(`Relayer ${signer.address} listening on port ${port}`);
+    console.log("Forwarder:", contracts.Forwarder);
+    console.log("Relay fee:", minFee.toString());
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  RelayError,
+  createRelayer,
+  createServer,
+  getForwarderDomain,
+  signForwardRequest
+};
@@ -0,0 +1,223 @@
+// 代理升級腳本：部署新的實作合約、檢查儲存佈局相容性，並經由時間鎖升級代理
+//
+// 使用方式：
+//   UPGRADE_ACTION=prepare UPGRADE_TARGET=RentalDeposit \
+//   npx hardhat run scripts/upgrades.js --network arbitrumSepolia
+//
+// UPGRADE_ACTION 依序為 prepare、schedule、execute，亦可用 status 查詢排程狀態
+// UPGRADE_TARGET 為部署文件中的代理合約名稱（RentalDeposit、InterestManager、DAIInterestManager）
+// UPGRADE_CONTRACT（選填）為新實作的合約名稱，預設與目前實作相同
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const {
+  buildOperation,
+  scheduleOperation,
+  executeOperation,
+  getOperationStatus
+} = require("./timelock");
+
+// ERC-1967 實作地址的儲存槽
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * 從編譯輸出讀取合約的儲存佈局，需在 hardhat 設定的 outputSelection 中啟用 storageLayout
+ */
+async function getStorageLayout(contractName) {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const layout = buildInfo?.output.contracts[sourceName][contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`Storage layout not found for ${contractName}, enable storageLayout in outputSelection`);
+  }
+  return layout;
+}
+
+/**
+ * 去除型別標識中隨編譯變動的AST編號，例如 t_struct(RentalInfo)1234_storage
+ */
+function normalizeType(typeId) {
+  return typeId.replace(/\)\d+/g, ")");
+}
+
+/**
+ * 比較單一型別，映射與陣列遞迴比較其元素型別；型別大小必須一致，
+ * 只有直接宣告的結構可在末端新增成員，作為陣列元素或映射值的結構擴充後會覆蓋相鄰元素
+ */
+function compareTypes(previous, next, oldType, newType, label, errors, isElement = false) {
+  if (normalizeType(oldType) !== normalizeType(newType)) {
+    errors.push(`${label}: type changed from ${oldType} to ${newType}`);
+    return;
+  }
+
+  const oldInfo = previous.types[oldType];
+  const newInfo = next.types[newType];
+  if (oldInfo.members) {
+    oldInfo.members.forEach((member, i) => {
+      compareSlot(previous, next, member, newInfo.members[i], `${label}.${member.label}`, errors);
+    });
+    if (isElement && newInfo.members.length !== oldInfo.members.length) {
+      errors.push(`${label}: struct members added to a mapping value or array element`);
+      return;
+    }
+  }
+  if (oldInfo.numberOfBytes !== newInfo.numberOfBytes && (isElement || !oldInfo.members)) {
+    errors.push(`${label}: size changed from ${oldInfo.numberOfBytes} to ${newInfo.numberOfBytes} bytes`);
+  }
+  if (oldInfo.value) {
+    compareTypes(previous, next, oldInfo.value, newInfo.value, `${label}[value]`, errors, true);
+  }
+  if (oldInfo.base) {
+    compareTypes(previous, next, oldInfo.base, newInfo.base, `${label}[]`, errors, true);
+  }
+}
+
+/**
+ * 比較同一位置的儲存變數，名稱、槽位、偏移與型別都必須一致；
+ * 停用的變數可改名為 __deprecated 開頭以保留其儲存槽
+ */
+function compareSlot(previous, next, oldVar, newVar, label, errors) {
+  if (!newVar) {
+    errors.push(`${label}: removed`);
+    return;
+  }
+  if (oldVar.label !== newVar.label && !newVar.label.startsWith("__deprecated")) {
+    errors.push(`${label}: renamed or reordered to ${newVar.label}`);
+    return;
+  }
+  if (oldVar.slot !== newVar.slot || oldVar.offset !== newVar.offset) {
+    errors.push(`${label}: moved from slot ${oldVar.slot}+${oldVar.offset} to ${newVar.slot}+${newVar.offset}`);
+    return;
+  }
+  compareTypes(previous, next, oldVar.type, newVar.type, label, errors);
+}
+
+/**
+ * 檢查新佈局是否只在既有變數之後新增，回傳不相容項目的說明
+ */
+function validateStorageLayout(previous, next) {
+  const errors = [];
+  previous.storage.forEach((variable, i) => {
+    compareSlot(previous, next, variable, next.storage[i], variable.label, errors);
+  });
+  return errors;
+}
+
+/**
+ * 讀取代理目前指向的實作合約地址
+ */
+async function getImplementationAddress(proxyAddress) {
+  const value = await ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return ethers.getAddress(ethers.dataSlice(value, 12));
+}
+
+/**
+ * 部署實作合約與 ERC-1967 代理，並以代理身份調用 initialize
+ */
+async function deployProxy(contractName, initArgs) {
+  const Implementation = await ethers.getContractFactory(contractName);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+
+  const DeWorkProxy = await ethers.getContractFactory("DeWorkProxy");
+  const proxy = await DeWorkProxy.deploy(
+    await implementation.getAddress(),
+    Implementation.interface.encodeFunctionData("initialize", initArgs)
+  );
+  await proxy.waitForDeployment();
+
+  return ethers.getContractAt(contractName, await proxy.getAddress());
+}
+
+/**
+ * 檢查儲存佈局後部署新的實作合約，尚未切換代理
+ */
+async function prepareUpgrade(previousLayout, contractName) {
+  const layout = await getStorageLayout(contractName);
+  const errors = validateStorageLayout(previousLayout, layout);
+  if (errors.length > 0) {
+    throw new Error(`Incompatible storage layout for ${contractName}:\n  ${errors.join("\n  ")}`);
+  }
+
+  const Implementation = await ethers.getContractFactory(contractName);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+
+  return { address: await implementation.getAddress(), contractName, storageLayout: layout };
+}
+
+/**
+ * 組裝部署文件中記錄的實作資訊
+ */
+async function describeImplementation(proxy, contractName) {
+  return {
+    address: await getImplementationAddress(await proxy.getAddress()),
+    contractName,
+    storageLayout: await getStorageLayout(contractName)
+  };
+}
+
+async function main() {
+  const { loadDeployment } = await import("@dework/sdk/node");
+  const { deployment, path: deploymentPath } = loadDeployment(network.name, path.join(__dirname, "../deploy"));
+  deployment.pendingUpgrades = deployment.pendingUpgrades || {};
+
+  const action = process.env.UPGRADE_ACTION;
+  const targetName = process.env.UPGRADE_TARGET;
+  const current = deployment.implementations?.[targetName];
+  if (!current) {
+    throw new Error(`No implementation recorded for ${targetName}`);
+  }
+
+  const timelock = await ethers.getContractAt("DeWorkTimelock", deployment.contracts.Timelock);
+  const proxy = await ethers.getContractAt(current.contractName, deployment.contracts[targetName]);
+
+  if (action === "prepare") {
+    const contractName = process.env.UPGRADE_CONTRACT || current.contractName;
+    const prepared = await prepareUpgrade(current.storageLayout, contractName);
+    deployment.pendingUpgrades[targetName] = prepared;
+    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+    console.log(`${contractName} implementation deployed to:`, prepared.address);
+    return;
+  }
+
+  const pending = deployment.pendingUpgrades[targetName];
+  if (!pending) {
+    throw new Error(`No prepared upgrade for ${targetName}, run UPGRADE_ACTION=prepare first`);
+  }
+  const operation = await buildOperation(timelock, proxy, "upgradeTo", [pending.address]);
+  console.log(`Operation ${operation.id}: ${targetName}.upgradeTo(${pending.address})`);
+
+  if (action === "schedule") {
+    await (await scheduleOperation(timelock, operation)).wait();
+    const status = await getOperationStatus(timelock, operation);
+    console.log("Scheduled, executable after:", status.readyAt);
+  } else if (action === "execute") {
+    await (await executeOperation(timelock, operation)).wait();
+    deployment.implementations[targetName] = pending;
+    delete deployment.pendingUpgrades[targetName];
+    fs.writeFileSync(deploymentPath, JSON.stringify(deployment, null, 2));
+    console.log("Upgraded, implementation:", await getImplementationAddress(await proxy.getAddress()));
+  } else if (action === "status") {
+    console.log("Status:", await getOperationStatus(timelock, operation));
+  } else {
+    throw new Error(`Unknown UPGRADE_ACTION: ${action}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getStorageLayout,
+  validateStorageLayout,
+  getImplementationAddress,
+  deployProxy,
+  prepareUpgrade,
+  describeImplementation
+};
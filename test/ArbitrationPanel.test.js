@@ -0,0 +1,313 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("ArbitrationPanel", function () {
+  let mockUSDC;
+  let mockYieldProvider;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let arbitrationPanel;
+  let disputeEvidence;
+  let owner;
+  let tenant;
+  let landlord;
+  let arbitrators;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const MIN_STAKE = ethers.parseUnits("100", 6); // 100 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  const SALT = ethers.id("dework-salt");
+  
+  // 根據地址找出對應的簽名者
+  const signerOf = (address) => arbitrators.find((a) => a.address === address);
+  
+  // 等待抽選區塊產生後抽選仲裁員
+  const drawJurors = async (rentalId) => {
+    await mine(await arbitrationPanel.DRAW_BLOCK_DELAY());
+    await arbitrationPanel.drawJurors(rentalId);
+    return arbitrationPanel.getJurors(rentalId);
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    const signers = await ethers.getSigners();
+    [owner, tenant, landlord] = signers;
+    arbitrators = signers.slice(3, 7);
+    
+    // 部署測試穩定幣
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    // 部署模擬收益提供者與利息管理器
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署租賃NFT與租賃押金合約
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署仲裁模組並接上租賃押金合約
+    const ArbitrationPanel = await ethers.getContractFactory("ArbitrationPanel");
+    arbitrationPanel = await ArbitrationPanel.deploy(
+      await rentalDeposit.getAddress(),
+      await mockUSDC.getAddress(),
+      MIN_STAKE
+    );
+    await rentalDeposit.setArbitrationPanel(await arbitrationPanel.getAddress());
+    
+    // 部署爭議證據合約記錄雙方提交的證據
+    const DisputeEvidence = await ethers.getContractFactory("DisputeEvidence");
+    disputeEvidence = await DisputeEvidence.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setDisputeEvidence(await disputeEvidence.getAddress());
+    
+    // 一位白名單仲裁員，其餘以質押加入
+    await arbitrationPanel.setWhitelisted(arbitrators[0].address, true);
+    for (const arbitrator of arbitrators.slice(1)) {
+      await mockUSDC.mint(arbitrator.address, MIN_STAKE);
+      await mockUSDC.connect(arbitrator).approve(await arbitrationPanel.getAddress(), MIN_STAKE);
+      await arbitrationPanel.connect(arbitrator).stake(MIN_STAKE);
+    }
+    
+    // 為租客鑄造代幣並創建租賃，收益提供者預留模擬利息
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+  });
+  
+  describe("仲裁流程", function () {
+    it("應該在提出爭議時排定抽選並記錄證據，抽選區塊產生後才抽選仲裁員", async function () {
+      await expect(
+        rentalDeposit.connect(tenant).raiseDispute(0, "ipfs://tenant-evidence")
+      ).to.emit(disputeEvidence, "EvidenceSubmitted")
+        .withArgs(0, tenant.address, "ipfs://tenant-evidence")
+        .and.to.emit(arbitrationPanel, "DrawScheduled");
+      
+      // 房東亦可補充證據
+      await expect(
+        disputeEvidence.connect(landlord).submitEvidence(0, "ipfs://landlord-evidence")
+      ).to.emit(disputeEvidence, "EvidenceSubmitted")
+        .withArgs(0, landlord.address, "ipfs://landlord-evidence");
+      
+      // 開案時尚無仲裁員，抽選區塊產生前不得抽選
+      expect(await arbitrationPanel.getJurors(0)).to.have.length(0);
+      await expect(arbitrationPanel.drawJurors(0)).to.be.revertedWith("Draw block not reached");
+      
+      await mine(await arbitrationPanel.DRAW_BLOCK_DELAY());
+      await expect(arbitrationPanel.drawJurors(0)).to.emit(arbitrationPanel, "CaseOpened");
+      await expect(arbitrationPanel.drawJurors(0)).to.be.revertedWith("Case not awaiting draw");
+      
+      const jurors = await arbitrationPanel.getJurors(0);
+      expect(jurors.length).to.equal(3);
+      expect(jurors).to.not.include(tenant.address);
+      expect(jurors).to.not.include(landlord.address);
+      
+      // 審理中的仲裁員不得取回質押
+      const stakedJuror = jurors.find((j) => j !== arbitrators[0].address);
+      await expect(
+        arbitrationPanel.connect(signerOf(stakedJuror)).unstake(MIN_STAKE)
+      ).to.be.revertedWith("Arbitrator has active cases");
+    });
+    
+    it("開案時應記錄並鎖定候選仲裁員，之後加入名冊者不會被抽中", async function () {
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
+      
+      const candidates = [...(await arbitrationPanel.getCandidates(0))];
+      expect(candidates).to.have.members(arbitrators.map((a) => a.address));
+      
+      // 得知抽選區塊雜湊前後，候選人皆不得取回質押以改變名單
+      await expect(
+        arbitrationPanel.connect(arbitrators[1]).unstake(MIN_STAKE)
+      ).to.be.revertedWith("Arbitrator has active cases");
+      
+      // 開案後才質押的仲裁員不在候選名單中
+      const latecomer = (await ethers.getSigners())[7];
+      await mockUSDC.mint(latecomer.address, MIN_STAKE);
+      await mockUSDC.connect(latecomer).approve(await arbitrationPanel.getAddress(), MIN_STAKE);
+      await arbitrationPanel.connect(latecomer).stake(MIN_STAKE);
+      
+      const jurors = await drawJurors(0);
+      expect(jurors).to.not.include(latecomer.address);
+      for (const juror of jurors) {
+        expect(candidates).to.include(juror);
+        expect(await arbitrationPanel.activeCases(juror)).to.equal(1);
+      }
+      
+      // 抽選後清除候選名單，未抽中的候選人解除鎖定
+      expect(await arbitrationPanel.getCandidates(0)).to.have.length(0);
+      const notDrawn = candidates.find((candidate) => !jurors.includes(candidate));
+      expect(await arbitrationPanel.activeCases(notDrawn)).to.equal(0);
+    });
+    
+    it("名冊達上限後應拒絕新的仲裁員，提出爭議的成本因而有上限", async function () {
+      const maxPoolSize = await arbitrationPanel.MAX_POOL_SIZE();
+      for (let i = arbitrators.length; i < maxPoolSize; i++) {
+        await arbitrationPanel.setWhitelisted(ethers.Wallet.createRandom().address, true);
+      }
+      
+      await expect(
+        arbitrationPanel.setWhitelisted(ethers.Wallet.createRandom().address, true)
+      ).to.be.revertedWith("Arbitrator pool full");
+      
+      const latecomer = (await ethers.getSigners())[7];
+      await mockUSDC.mint(latecomer.address, MIN_STAKE);
+      await mockUSDC.connect(latecomer).approve(await arbitrationPanel.getAddress(), MIN_STAKE);
+      await expect(
+        arbitrationPanel.connect(latecomer).stake(MIN_STAKE)
+      ).to.be.revertedWith("Arbitrator pool full");
+      
+      // 名冊已滿時仍能提出爭議
+      await expect(rentalDeposit.connect(tenant).raiseDispute(0, ""))
+        .to.emit(arbitrationPanel, "DrawScheduled");
+      expect(await arbitrationPanel.getCandidates(0)).to.have.length(maxPoolSize);
+    });
+    
+    it("應該以揭示投票的中位數分割押金並分配仲裁費用", async function () {
+      await time.increase(LEASE_DURATION + 1);
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
+      
+      const jurors = await drawJurors(0);
+      const shares = [2000n, 5000n, 9000n];
+      
+      // 承諾階段
+      for (let i = 0; i < jurors.length; i++) {
+        const commitment = await arbitrationPanel.hashVote(0, jurors[i], shares[i], SALT);
+        await arbitrationPanel.connect(signerOf(jurors[i])).commitVote(0, commitment);
+      }
+      
+      // 揭示內容與承諾不符時應拒絕
+      await expect(
+        arbitrationPanel.connect(signerOf(jurors[0])).revealVote(0, 10000, SALT)
+      ).to.be.revertedWith("Commitment mismatch");
+      
+      // 全員承諾後可提前揭示
+      for (let i = 0; i < jurors.length; i++) {
+        await arbitrationPanel.connect(signerOf(jurors[i])).revealVote(0, shares[i], SALT);
+      }
+      
+      await expect(arbitrationPanel.finalize(0))
+        .to.emit(arbitrationPanel, "CaseResolved")
+        .withArgs(0, 5000, DEPOSIT_AMOUNT / 2n)
+        .and.to.emit(rentalDeposit, "DisputeResolvedWithSplit");
+      
+      const rental = await rentalDeposit.rentals(0);
+      expect(rental.isActive).to.be.false;
+      expect(await mockUSDC.balanceOf(landlord.address)).to.be.gte(DEPOSIT_AMOUNT / 2n);
+      
+      // 仲裁員從平台費用中分得報酬
+      const fee = await arbitrationPanel.claimableFees(jurors[0], await mockUSDC.getAddress());
+      expect(fee).to.be.gt(0);
+      
+      const balanceBefore = await mockUSDC.balanceOf(jurors[0]);
+      await arbitrationPanel.connect(signerOf(jurors[0])).claimFees(await mockUSDC.getAddress());
+      expect(await mockUSDC.balanceOf(jurors[0])).to.equal(balanceBefore + fee);
+    });
+    
+    it("仲裁員不足時應交由平台裁決", async function () {
+      await arbitrationPanel.setParameters(5, 3600, 3600, MIN_STAKE);
+      
+      await expect(
+        rentalDeposit.connect(tenant).raiseDispute(0, "")
+      ).to.emit(arbitrationPanel, "CaseFailed");
+      
+      // 非平台或仲裁模組不得直接分割押金
+      await expect(
+        rentalDeposit.connect(tenant).resolveDisputeWithSplit(0, 0)
+      ).to.be.revertedWith("Not authorized to resolve");
+      
+      await rentalDeposit.connect(owner).resolveDispute(0, true);
+      expect((await rentalDeposit.rentals(0)).isActive).to.be.false;
+    });
+    
+    it("抽選區塊雜湊逾期時應重新排定抽選區塊", async function () {
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
+      await mine(300);
+      
+      await expect(arbitrationPanel.drawJurors(0)).to.emit(arbitrationPanel, "DrawScheduled");
+      expect(await arbitrationPanel.getJurors(0)).to.have.length(0);
+      
+      const jurors = await drawJurors(0);
+      expect(jurors.length).to.equal(3);
+    });
+    
+    it("無人揭示投票時案件應失敗並解除仲裁員鎖定", async function () {
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
+      const jurors = await drawJurors(0);
+      
+      await expect(arbitrationPanel.finalize(0)).to.be.revertedWith("Reveal period not ended");
+      
+      await time.increase(5 * 24 * 60 * 60 + 1);
+      await expect(arbitrationPanel.finalize(0)).to.emit(arbitrationPanel, "CaseFailed");
+      
+      for (const juror of jurors) {
+        expect(await arbitrationPanel.activeCases(juror)).to.equal(0);
+      }
+      expect((await rentalDeposit.rentals(0)).inDispute).to.be.true;
+      
+      // 無人揭示時罰沒的質押歸平台所有者
+      const slashed = BigInt(jurors.filter((j) => j !== arbitrators[0].address).length) * (MIN_STAKE / 10n);
+      expect(await arbitrationPanel.claimableFees(owner.address, await mockUSDC.getAddress())).to.equal(slashed);
+    });
+    
+    it("未揭示投票的仲裁員應被罰沒質押並移出名冊，罰沒金額由揭示者平分", async function () {
+      await time.increase(LEASE_DURATION + 1);
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
+      const jurors = await drawJurors(0);
+      
+      // 一位質押仲裁員承諾後未揭示
+      const absent = jurors.find((j) => j !== arbitrators[0].address);
+      const present = jurors.filter((j) => j !== absent);
+      for (const juror of jurors) {
+        const commitment = await arbitrationPanel.hashVote(0, juror, 5000, SALT);
+        await arbitrationPanel.connect(signerOf(juror)).commitVote(0, commitment);
+      }
+      for (const juror of present) {
+        await arbitrationPanel.connect(signerOf(juror)).revealVote(0, 5000, SALT);
+      }
+      
+      await time.increase(5 * 24 * 60 * 60 + 1);
+      const slashed = MIN_STAKE / 10n;
+      await expect(arbitrationPanel.finalize(0))
+        .to.emit(arbitrationPanel, "ArbitratorSlashed")
+        .withArgs(0, absent, slashed)
+        .and.to.emit(arbitrationPanel, "CaseResolved");
+      
+      expect(await arbitrationPanel.stakes(absent)).to.equal(MIN_STAKE - slashed);
+      expect(await arbitrationPanel.getArbitratorPool()).to.not.include(absent);
+      
+      // 揭示者除仲裁費外另分得罰沒的質押
+      for (const juror of present) {
+        expect(await arbitrationPanel.claimableFees(juror, await mockUSDC.getAddress())).to.be.gte(slashed / 2n);
+      }
+      expect(await arbitrationPanel.claimableFees(absent, await mockUSDC.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("緊急暫停與守護者", function () {
+  let mockUSDC;
+  let mockYieldProvider;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let leaseRenewals;
+  let owner;
+  let guardian;
+  let tenant;
+  let landlord;
+  let addr4;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  const RENTAL_CREATION = ethers.id("RENTAL_CREATION");
+  const LEASE_RENEWAL = ethers.id("LEASE_RENEWAL");
+  const DEPOSITS = ethers.id("DEPOSITS");
+  const PROVIDER_CHANGES = ethers.id("PROVIDER_CHANGES");
+  
+  // 租客創建押金為1000 USDC、租客分得50%利息的租賃
+  const createRental = () => rentalDeposit.connect(tenant).createRental(
+    landlord.address,
+    mockUSDC.getAddress(),
+    DEPOSIT_AMOUNT,
+    LEASE_DURATION,
+    "",
+    50
+  );
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, guardian, tenant, landlord, addr4] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 10n);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署租賃NFT、租賃押金與續約合約
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    const LeaseRenewals = await ethers.getContractFactory("LeaseRenewals");
+    leaseRenewals = await LeaseRenewals.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setLeaseRenewals(await leaseRenewals.getAddress());
+    
+    // 設置守護者
+    await rentalDeposit.setGuardian(guardian.address);
+    await interestManager.setGuardian(guardian.address);
+    
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 10n);
+  });
+  
+  it("守護者應該能暫停創建租賃，但不影響結束租賃", async function () {
+    await createRental();
+    
+    await expect(rentalDeposit.connect(guardian).pause(RENTAL_CREATION))
+      .to.emit(rentalDeposit, "ScopePaused")
+      .withArgs(RENTAL_CREATION, guardian.address);
+    
+    await expect(createRental()).to.be.revertedWith("Function is paused");
+    
+    // 退出功能不受暫停影響
+    await time.increase(LEASE_DURATION);
+    await expect(rentalDeposit.connect(landlord).endRental(0))
+      .to.emit(rentalDeposit, "DepositReleased");
+    
+    // 只有所有者可以恢復
+    await expect(rentalDeposit.connect(guardian).unpause(RENTAL_CREATION))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await rentalDeposit.unpause(RENTAL_CREATION);
+    await expect(createRental()).to.emit(rentalDeposit, "RentalCreated");
+  });
+  
+  it("非守護者不能暫停，也不能設置守護者", async function () {
+    await expect(rentalDeposit.connect(addr4).pause(RENTAL_CREATION))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(interestManager.connect(addr4).pause(DEPOSITS))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(rentalDeposit.connect(guardian).setGuardian(addr4.address))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+  });
+  
+  it("暫停續約範圍時應該不能接受續約", async function () {
+    await createRental();
+    await leaseRenewals.connect(landlord).proposeRenewal(0, LEASE_DURATION, DEPOSIT_AMOUNT * 2n);
+    
+    await rentalDeposit.connect(guardian).pause(LEASE_RENEWAL);
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, LEASE_DURATION, DEPOSIT_AMOUNT * 2n))
+      .to.be.revertedWith("Function is paused");
+    
+    // 恢復後續約並補繳押金差額
+    await rentalDeposit.unpause(LEASE_RENEWAL);
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, LEASE_DURATION, DEPOSIT_AMOUNT * 2n))
+      .to.emit(rentalDeposit, "DepositToppedUp")
+      .withArgs(0, DEPOSIT_AMOUNT);
+    
+    const rental = await rentalDeposit.rentals(0);
+    expect(rental.depositAmount).to.equal(DEPOSIT_AMOUNT * 2n);
+    expect((await leaseRenewals.renewalProposals(0)).extension).to.equal(0);
+  });
+  
+  it("租賃押金的緊急提款應該只退還給租約當事人", async function () {
+    await createRental();
+    
+    // 未暫停創建租賃時不能緊急提款
+    await expect(rentalDeposit.connect(guardian).emergencyWithdraw(0))
+      .to.be.revertedWith("Rental creation not paused");
+    
+    await rentalDeposit.connect(guardian).pause(RENTAL_CREATION);
+    await expect(rentalDeposit.connect(addr4).emergencyWithdraw(0))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    
+    const ownerBalance = await mockUSDC.balanceOf(owner.address);
+    await expect(rentalDeposit.connect(guardian).emergencyWithdraw(0))
+      .to.emit(rentalDeposit, "EmergencyWithdrawal")
+      .withArgs(0, guardian.address);
+    
+    // 本金全數退還租客，守護者與所有者不會收到押金
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 10n);
+    expect(await mockUSDC.balanceOf(guardian.address)).to.equal(0);
+    expect(await mockUSDC.balanceOf(owner.address)).to.equal(ownerBalance);
+    expect((await rentalDeposit.rentals(0)).isActive).to.equal(false);
+  });
+  
+  it("爭議中的租賃不能緊急提款", async function () {
+    await createRental();
+    await rentalDeposit.connect(tenant).raiseDispute(0, "");
+    await rentalDeposit.connect(guardian).pause(RENTAL_CREATION);
+    
+    await expect(rentalDeposit.connect(guardian).emergencyWithdraw(0))
+      .to.be.revertedWith("Rental is in dispute");
+  });
+  
+  it("利息管理器的緊急提款應該撤回資金並保留租賃的份額", async function () {
+    await createRental();
+    const rentalValue = await interestManager.getRentalValue(0);
+    
+    await expect(interestManager.connect(guardian).emergencyWithdraw())
+      .to.emit(interestManager, "EmergencyWithdrawal")
+      .withArgs(DEPOSIT_AMOUNT);
+    
+    // 資金留在利息管理器內，份額價值不變
+    expect(await mockYieldProvider.getTotalValue()).to.equal(0);
+    expect(await mockUSDC.balanceOf(await interestManager.getAddress())).to.equal(DEPOSIT_AMOUNT);
+    expect(await interestManager.getRentalValue(0)).to.equal(rentalValue);
+    
+    // 新存款與提供者變更被暫停
+    expect(await interestManager.pausedScopes(DEPOSITS)).to.equal(true);
+    expect(await interestManager.pausedScopes(PROVIDER_CHANGES)).to.equal(true);
+    await expect(createRental()).to.be.revertedWith("Function is paused");
+    await expect(interestManager.rebalance()).to.be.revertedWith("Function is paused");
+    
+    // 房東提前終止時押金仍可退還租客
+    await rentalDeposit.connect(landlord).terminateEarly(0);
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 10n);
+    expect(await mockUSDC.balanceOf(owner.address)).to.equal(0);
+  });
+});
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("扣款申請", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let deductionClaims;
+  let owner;
+  let treasury;
+  let tenant;
+  let landlord;
+  let addr3;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const CLEANING_FEE = ethers.parseUnits("100", 6);
+  const DAMAGE_FEE = ethers.parseUnits("300", 6);
+  const CLAIM_TOTAL = CLEANING_FEE + DAMAGE_FEE;
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // 扣款理由代碼，與合約的DeductionReason一致
+  const CLEANING = 0;
+  const DAMAGE = 1;
+  
+  // 扣款申請狀態，與合約的ClaimStatus一致
+  const PENDING = 1;
+  const DISPUTED = 3;
+  const RESOLVED = 4;
+  
+  // 房東提出清潔與損壞兩項扣款
+  const fileClaim = () =>
+    deductionClaims.connect(landlord).fileDeductionClaim(
+      0,
+      [CLEANING_FEE, DAMAGE_FEE],
+      [CLEANING, DAMAGE],
+      ["ipfs://cleaning-receipt", "ipfs://damage-photos"]
+    );
+  
+  // 記錄交易前後房東與租客的餘額變化
+  const balanceChanges = async (settle) => {
+    const accounts = [landlord.address, tenant.address];
+    const before = await Promise.all(accounts.map((account) => mockUSDC.balanceOf(account)));
+    await settle();
+    const after = await Promise.all(accounts.map((account) => mockUSDC.balanceOf(account)));
+    const [landlordChange, tenantChange] = after.map((balance, i) => balance - before[i]);
+    return { landlordChange, tenantChange };
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, treasury, tenant, landlord, addr3] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    await rentalDeposit.setTreasury(treasury.address);
+    
+    // 部署扣款申請合約並接上租賃押金合約
+    const DeductionClaims = await ethers.getContractFactory("DeductionClaims");
+    deductionClaims = await DeductionClaims.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setDeductionClaims(await deductionClaims.getAddress());
+    
+    // 租客創建租賃，利息全歸房東
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+  });
+  
+  describe("提出申請", function () {
+    it("房東應該能在租期結束後提出逐項扣款申請", async function () {
+      // 租期結束前不得提出
+      await expect(fileClaim()).to.be.revertedWith("Lease period not ended");
+      
+      await time.increase(LEASE_DURATION);
+      await expect(fileClaim())
+        .to.emit(deductionClaims, "DeductionItemAdded")
+        .withArgs(0, 1, DAMAGE_FEE, DAMAGE, "ipfs://damage-photos")
+        .and.to.emit(deductionClaims, "DeductionClaimFiled")
+        .withArgs(0, CLAIM_TOTAL, 2);
+      
+      const items = await deductionClaims.getDeductionItems(0);
+      expect(items.length).to.equal(2);
+      expect(items[0].amount).to.equal(CLEANING_FEE);
+      expect(items[0].reason).to.equal(CLEANING);
+      expect(items[0].evidenceURI).to.equal("ipfs://cleaning-receipt");
+      expect((await deductionClaims.deductionClaims(0)).totalAmount).to.equal(CLAIM_TOTAL);
+      
+      // 申請等待租客回應期間不得直接結束租賃，也不得重複申請
+      expect(await deductionClaims.hasPendingClaim(0)).to.be.true;
+      await expect(rentalDeposit.connect(landlord).endRental(0))
+        .to.be.revertedWith("Deduction claim pending");
+      await expect(fileClaim()).to.be.revertedWith("Claim already filed");
+    });
+    
+    it("應該拒絕無效的扣款申請", async function () {
+      await time.increase(LEASE_DURATION);
+      
+      await expect(
+        deductionClaims.connect(addr3).fileDeductionClaim(0, [CLEANING_FEE], [CLEANING], [""])
+      ).to.be.revertedWith("Only landlord can file claim");
+      await expect(
+        deductionClaims.connect(landlord).fileDeductionClaim(0, [], [], [])
+      ).to.be.revertedWith("No deduction items");
+      await expect(
+        deductionClaims.connect(landlord).fileDeductionClaim(0, [CLEANING_FEE], [CLEANING, DAMAGE], [""])
+      ).to.be.revertedWith("Array lengths mismatch");
+      await expect(
+        deductionClaims.connect(landlord).fileDeductionClaim(0, [0], [CLEANING], [""])
+      ).to.be.revertedWith("Deduction must be greater than 0");
+      await expect(
+        deductionClaims.connect(landlord).fileDeductionClaim(0, [DEPOSIT_AMOUNT, 1], [DAMAGE, CLEANING], ["", ""])
+      ).to.be.revertedWith("Deductions exceed deposit");
+    });
+  });
+  
+  describe("接受與異議時機", function () {
+    beforeEach(async function () {
+      await time.increase(LEASE_DURATION);
+      await fileClaim();
+    });
+    
+    it("租客接受後應該按扣款總額分割結算押金", async function () {
+      const changes = await balanceChanges(async () => {
+        await expect(deductionClaims.connect(tenant).acceptDeductionClaim(0))
+          .to.emit(deductionClaims, "DeductionClaimAccepted")
+          .withArgs(0, tenant.address)
+          .and.to.emit(deductionClaims, "DeductionApplied")
+          .withArgs(0, 1, DAMAGE_FEE, DAMAGE);
+      });
+      
+      // 租客取回扣款後的本金，房東取得扣款及利息
+      expect(changes.tenantChange).to.equal(DEPOSIT_AMOUNT - CLAIM_TOTAL);
+      expect(changes.landlordChange).to.be.gte(CLAIM_TOTAL);
+      expect((await rentalDeposit.rentals(0)).isActive).to.be.false;
+    });
+    
+    it("釋放時間前只有租客能接受，過後房東可視為默認接受", async function () {
+      await expect(deductionClaims.connect(landlord).acceptDeductionClaim(0))
+        .to.be.revertedWith("Tenant can still respond");
+      await expect(deductionClaims.connect(addr3).acceptDeductionClaim(0))
+        .to.be.revertedWith("Not authorized");
+      
+      await time.increaseTo((await rentalDeposit.rentals(0)).releaseTime);
+      
+      // 釋放時間過後租客不得再提出異議
+      await expect(deductionClaims.connect(tenant).disputeDeductionClaim(0))
+        .to.be.revertedWith("Too late to raise dispute");
+      
+      const changes = await balanceChanges(() => deductionClaims.connect(landlord).acceptDeductionClaim(0));
+      expect(changes.tenantChange).to.equal(DEPOSIT_AMOUNT - CLAIM_TOTAL);
+    });
+    
+    it("只有租客能提出異議，異議後租賃進入爭議並以扣款總額為裁決上限", async function () {
+      await expect(deductionClaims.connect(landlord).disputeDeductionClaim(0))
+        .to.be.revertedWith("Only tenant can dispute claim");
+      
+      await expect(deductionClaims.connect(tenant).disputeDeductionClaim(0))
+        .to.emit(deductionClaims, "DeductionClaimDisputed")
+        .withArgs(0)
+        .and.to.emit(rentalDeposit, "DisputeRaised")
+        .withArgs(0, tenant.address);
+      
+      expect((await rentalDeposit.rentals(0)).inDispute).to.be.true;
+      expect((await deductionClaims.deductionClaims(0)).status).to.equal(DISPUTED);
+      expect(await rentalDeposit.disputeMaxAwards(0)).to.equal(CLAIM_TOTAL);
+      expect(await deductionClaims.hasPendingClaim(0)).to.be.false;
+    });
+    
+    it("租賃已在爭議中時不得再對扣款申請提出異議，原爭議維持不變", async function () {
+      await rentalDeposit.connect(landlord).raiseDispute(0, "");
+      
+      await expect(deductionClaims.connect(tenant).disputeDeductionClaim(0))
+        .to.be.revertedWith("Dispute already raised");
+      
+      expect((await rentalDeposit.disputes(0)).initiator).to.equal(landlord.address);
+      expect(await rentalDeposit.disputeMaxAwards(0)).to.equal(DEPOSIT_AMOUNT);
+      expect((await deductionClaims.deductionClaims(0)).status).to.equal(PENDING);
+    });
+  });
+  
+  describe("爭議裁決", function () {
+    beforeEach(async function () {
+      await time.increase(LEASE_DURATION);
+      await fileClaim();
+      await deductionClaims.connect(tenant).disputeDeductionClaim(0);
+    });
+    
+    it("分割裁決不得超過扣款總額，裁決後申請標記為已裁決", async function () {
+      await expect(rentalDeposit.resolveDisputeWithSplit(0, CLAIM_TOTAL + 1n))
+        .to.be.revertedWith("Amount exceeds max award");
+      
+      const award = CLAIM_TOTAL / 2n;
+      const changes = await balanceChanges(async () => {
+        await expect(rentalDeposit.resolveDisputeWithSplit(0, award))
+          .to.emit(rentalDeposit, "DisputeResolvedWithSplit")
+          .withArgs(0, award, DEPOSIT_AMOUNT - award);
+      });
+      
+      expect(changes.tenantChange).to.equal(DEPOSIT_AMOUNT - award);
+      expect(changes.landlordChange).to.be.gte(award);
+      expect((await deductionClaims.deductionClaims(0)).status).to.equal(RESOLVED);
+    });
+    
+    it("平台裁決房東勝訴時房東只取得扣款總額", async function () {
+      const changes = await balanceChanges(() => rentalDeposit.resolveDispute(0, false));
+      
+      expect(changes.tenantChange).to.equal(DEPOSIT_AMOUNT - CLAIM_TOTAL);
+      expect(changes.landlordChange).to.be.gte(CLAIM_TOTAL);
+      expect((await deductionClaims.deductionClaims(0)).status).to.equal(RESOLVED);
+    });
+  });
+});
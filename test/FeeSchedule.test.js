@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("平台費率表", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let feeSchedule;
+  let worldIDVerifier;
+  let selfProtocol;
+  let hashKeyVerifier;
+  let owner;
+  let treasury;
+  let tenant;
+  let landlord;
+  
+  const ONE_USDC = ethers.parseUnits("1", 6);
+  const DEPOSIT_AMOUNT = ONE_USDC * 1000n; // 1000 USDC
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  
+  // 依押金規模分級：未滿5000 USDC為10%，5000以上8%，20000以上5%
+  const setTiers = () => feeSchedule.setDepositTiers(
+    mockUSDC.getAddress(),
+    [ONE_USDC * 5000n, ONE_USDC * 20000n],
+    [800, 500]
+  );
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, treasury, tenant, landlord] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署驗證合約，供費率表判斷租客的驗證等級
+    const WorldIDVerifier = await ethers.getContractFactory("WorldIDVerifier");
+    worldIDVerifier = await WorldIDVerifier.deploy(ethers.ZeroAddress, 1, 1);
+    
+    const SelfProtocolMock = await ethers.getContractFactory("SelfProtocolMock");
+    selfProtocol = await SelfProtocolMock.deploy();
+    
+    const HashKeyIdentityVerifier = await ethers.getContractFactory("HashKeyIdentityVerifier");
+    hashKeyVerifier = await HashKeyIdentityVerifier.deploy();
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      await worldIDVerifier.getAddress(),
+      await selfProtocol.getAddress()
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署費率表並設置金庫
+    const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+    feeSchedule = await FeeSchedule.deploy(await rentalDeposit.getAddress());
+    await feeSchedule.setHashKeyVerifier(await hashKeyVerifier.getAddress());
+    await rentalDeposit.setFeeSchedule(await feeSchedule.getAddress());
+    await rentalDeposit.setTreasury(treasury.address);
+    
+    // 收益提供者預留模擬利息
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 2n);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 2n);
+  });
+  
+  it("應該依押金規模套用費率級距", async function () {
+    const usdc = await mockUSDC.getAddress();
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(1000);
+    
+    await expect(setTiers())
+      .to.emit(feeSchedule, "DepositTiersUpdated")
+      .withArgs(usdc, 2);
+    
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(1000);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, ONE_USDC * 5000n)).to.equal(800);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, ONE_USDC * 50000n)).to.equal(500);
+    
+    // 級距按代幣分開設定
+    expect(await feeSchedule.getFeeBps(tenant.address, ethers.ZeroAddress, ONE_USDC * 50000n)).to.equal(1000);
+  });
+  
+  it("驗證等級越高的租客應該享有越低的費率", async function () {
+    const usdc = await mockUSDC.getAddress();
+    await feeSchedule.setVerificationDiscounts(200, 100, 300, 750);
+    
+    await worldIDVerifier.setVerificationStatus(tenant.address, true);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(800);
+    
+    await hashKeyVerifier.verifyIdentity(tenant.address, 0, 80);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(700);
+    
+    // Self信用分數未達門檻不給予折扣
+    await selfProtocol.verifyTenant(tenant.address);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(700);
+    await selfProtocol.updateTenantCreditScore(tenant.address, 800, 2);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(400);
+    
+    // 折扣不會使費率低於零
+    await feeSchedule.setBaseFee(300);
+    expect(await feeSchedule.getFeeBps(tenant.address, usdc, DEPOSIT_AMOUNT)).to.equal(0);
+  });
+  
+  it("租賃應該鎖定創建時的費率，並將平台費用轉入金庫", async function () {
+    const usdc = await mockUSDC.getAddress();
+    await rentalDeposit.connect(tenant).createRental(landlord.address, usdc, DEPOSIT_AMOUNT, ONE_YEAR, "", 0);
+    
+    // 之後的費率調整不溯及既往
+    await feeSchedule.setBaseFee(2000);
+    await rentalDeposit.connect(tenant).createRental(landlord.address, usdc, DEPOSIT_AMOUNT, ONE_YEAR, "", 0);
+    expect((await rentalDeposit.rentals(0)).platformFeeBps).to.equal(1000);
+    expect((await rentalDeposit.rentals(1)).platformFeeBps).to.equal(2000);
+    
+    await time.increase(ONE_YEAR);
+    const ownerBalance = await mockUSDC.balanceOf(owner.address);
+    await rentalDeposit.connect(landlord).endRental(0);
+    
+    // 平台取得利息的10%，其餘歸房東
+    const fee = await mockUSDC.balanceOf(treasury.address);
+    const interest = (await mockUSDC.balanceOf(landlord.address)) - DEPOSIT_AMOUNT + fee;
+    expect(interest).to.be.gt(0);
+    expect(fee).to.equal((interest * 1000n) / 10000n);
+    expect(await mockUSDC.balanceOf(owner.address)).to.equal(ownerBalance);
+  });
+  
+  it("應該拒絕無效的費率設定", async function () {
+    const usdc = await mockUSDC.getAddress();
+    
+    await expect(feeSchedule.setBaseFee(3001)).to.be.revertedWith("Fee too high");
+    await expect(feeSchedule.setDepositTiers(usdc, [ONE_USDC * 5000n, ONE_USDC * 5000n], [800, 500]))
+      .to.be.revertedWith("Tiers must be ascending");
+    await expect(feeSchedule.setDepositTiers(usdc, [ONE_USDC], [800, 500]))
+      .to.be.revertedWith("Array lengths mismatch");
+    await expect(feeSchedule.setVerificationDiscounts(2000, 1000, 1000, 0))
+      .to.be.revertedWith("Discount too high");
+    await expect(feeSchedule.connect(tenant).setBaseFee(500))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(rentalDeposit.setTreasury(ethers.ZeroAddress))
+      .to.be.revertedWith("Invalid treasury address");
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { openDatabase, createIndexer, createQueries, createServer } = require("../scripts/indexer");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("事件索引服務", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let noditManager;
+  let db;
+  let indexer;
+  let queries;
+  let owner;
+  let tenant;
+  let landlord;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // 測試中不輸出日誌
+  const silentLogger = { log() {}, warn() {}, error() {} };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord] = await ethers.getSigners();
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), owner.address);
+    
+    // 租客創建兩筆租賃：第一筆租期中提取利息後正常結束，第二筆進入爭議
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 2n);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 2n);
+    for (let i = 0; i < 2; i++) {
+      await rentalDeposit.connect(tenant).createRental(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        `ipfs://QmLease${i}`,
+        50
+      );
+    }
+    await noditManager.scheduleTask(0, (await rentalDeposit.getRentalDetails(0)).releaseTime, 1);
+    
+    await time.increase(LEASE_DURATION / 2);
+    await rentalDeposit.connect(tenant).claimInterest(0);
+    await rentalDeposit.connect(tenant).raiseDispute(1, "ipfs://QmEvidence");
+    await time.increase(LEASE_DURATION / 2);
+    await rentalDeposit.connect(landlord).endRental(0);
+    
+    db = openDatabase(":memory:");
+    indexer = createIndexer({
+      db,
+      contracts: {
+        RentalDeposit: rentalDeposit,
+        InterestManager: interestManager,
+        RentalNFT: rentalNFT,
+        NoditManager: noditManager
+      },
+      startBlock,
+      blockRange: 10,
+      logger: silentLogger
+    });
+    queries = createQueries(db);
+  });
+  
+  afterEach(function () {
+    db.close();
+  });
+  
+  it("應該索引各合約的事件並保留已結束租賃的歷史", async function () {
+    expect(await indexer.sync()).to.be.gt(0);
+    expect(indexer.lastBlock()).to.equal(await ethers.provider.getBlockNumber());
+    
+    const rentals = queries.getRentals({ user: tenant.address });
+    expect(rentals.map((rental) => rental.id)).to.deep.equal([1, 0]);
+    expect(queries.getRentals({ user: landlord.address, status: "closed" }).map((rental) => rental.id)).to.deep.equal([0]);
+    expect(queries.getRentals({ status: "disputed" }).map((rental) => rental.id)).to.deep.equal([1]);
+    
+    const closed = queries.getRental(0);
+    expect(closed).to.include({
+      tenant: tenant.address.toLowerCase(),
+      landlord: landlord.address.toLowerCase(),
+      depositAmount: DEPOSIT_AMOUNT.toString(),
+      metadataURI: "ipfs://QmLease0",
+      status: "closed"
+    });
+    expect(closed.closedAt).to.equal(await time.latest());
+    
+    // 租期中的利息與結算時的押金都記錄為支付
+    const payouts = queries.getPayouts(0);
+    expect(payouts.map((payout) => payout.kind)).to.deep.equal(["interest", "interest", "interest", "deposit_release"]);
+    const released = payouts[payouts.length - 1];
+    expect(released.recipient).to.equal(landlord.address.toLowerCase());
+    expect(BigInt(released.amount)).to.be.gte(DEPOSIT_AMOUNT);
+    
+    // 四個合約的事件都歸入租賃
+    const contracts = new Set(queries.getEvents(0).map((event) => event.contract));
+    expect([...contracts].sort()).to.deep.equal(["InterestManager", "NoditManager", "RentalDeposit", "RentalNFT"]);
+    
+    // 重複同步不會產生重複資料
+    await indexer.sync();
+    expect(queries.getPayouts(0)).to.have.length(4);
+  });
+  
+  it("應該依開始時間範圍分頁查詢，並拒絕無效參數", async function () {
+    await indexer.sync();
+    const { startTime } = queries.getRental(1);
+    
+    expect(queries.getRentals({ from: startTime })).to.have.length(1);
+    expect(queries.getRentals({ to: startTime - 1 })).to.have.length(1);
+    expect(queries.getRentals({ limit: 1, offset: 1 }).map((rental) => rental.id)).to.deep.equal([0]);
+    expect(() => queries.getRentals({ user: "0x1234" })).to.throw("Invalid user address");
+    expect(() => queries.getRentals({ limit: -1 })).to.throw("Invalid limit");
+  });
+  
+  it("HTTP介面應該回傳租賃、支付與錯誤", async function () {
+    await indexer.sync();
+    const server = createServer(queries, indexer).listen(0);
+    const baseURL = `http://127.0.0.1:${server.address().port}`;
+    
+    try {
+      const list = await fetch(`${baseURL}/rentals?user=${tenant.address}&status=closed`);
+      expect(list.status).to.equal(200);
+      expect((await list.json()).map((rental) => rental.id)).to.deep.equal([0]);
+      
+      const detail = await (await fetch(`${baseURL}/rentals/0`)).json();
+      expect(detail.payouts).to.have.length(4);
+      
+      const payouts = await (await fetch(`${baseURL}/rentals/0/payouts`)).json();
+      expect(payouts[3].kind).to.equal("deposit_release");
+      
+      expect((await fetch(`${baseURL}/rentals/99`)).status).to.equal(404);
+      expect((await fetch(`${baseURL}/rentals?user=0x1234`)).status).to.equal(400);
+      
+      const status = await (await fetch(`${baseURL}/status`)).json();
+      expect(status.lastBlock).to.equal(indexer.lastBlock());
+    } finally {
+      server.close();
+    }
+  });
+});
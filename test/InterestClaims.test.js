@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("租期中提取利息", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalDeposit;
+  let noditManager;
+  let owner;
+  let treasury;
+  let tenant;
+  let landlord;
+  let trigger;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const ONE_MONTH = 30 * 24 * 60 * 60;
+  const INTEREST_WITHDRAWAL = 2;
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, treasury, tenant, landlord, trigger] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    await rentalDeposit.setTreasury(treasury.address);
+    
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), trigger.address);
+    
+    // 收益提供者預留模擬利息，租客創建一年期、雙方平分利息的租賃
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      ONE_YEAR,
+      "",
+      50
+    );
+  });
+  
+  it("租期中應該按分享比例分配利息並扣除平台費用，本金留在收益協議", async function () {
+    await time.increase(ONE_YEAR / 2);
+    
+    await expect(rentalDeposit.connect(tenant).claimInterest(0))
+      .to.emit(rentalDeposit, "InterestWithdrawn");
+    
+    const fee = await mockUSDC.balanceOf(treasury.address);
+    const tenantInterest = await mockUSDC.balanceOf(tenant.address);
+    const landlordInterest = await mockUSDC.balanceOf(landlord.address);
+    const interest = fee + tenantInterest + landlordInterest;
+    expect(interest).to.be.gt(0);
+    expect(fee).to.equal((interest * 1000n) / 10000n);
+    expect(tenantInterest).to.equal(interest / 2n);
+    
+    // 本金記錄不變，持倉價值回到押金附近
+    const rental = await rentalDeposit.getRentalDetails(0);
+    expect(rental.isActive).to.equal(true);
+    expect(await interestManager.rentalPrincipal(0)).to.equal(DEPOSIT_AMOUNT);
+    expect(await interestManager.getRentalValue(0)).to.be.closeTo(DEPOSIT_AMOUNT, 1n);
+    
+    // 租期結束後照常結算，本金歸房東，其後累積的利息繼續分配
+    await time.increase(ONE_YEAR / 2);
+    await rentalDeposit.connect(landlord).endRental(0);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.be.gt(landlordInterest + DEPOSIT_AMOUNT - 1n);
+    expect(await mockUSDC.balanceOf(tenant.address)).to.be.gt(tenantInterest);
+    expect(await interestManager.rentalShares(0)).to.equal(0);
+  });
+  
+  it("只有租客、房東或NoditManager能提取利息", async function () {
+    await time.increase(ONE_MONTH);
+    
+    await expect(rentalDeposit.connect(treasury).claimInterest(0))
+      .to.be.revertedWith("Not authorized to claim");
+    
+    // 未設為租賃押金合約的NoditManager同樣不得提取
+    const executeAt = (await time.latest()) + ONE_MONTH;
+    await noditManager.scheduleTask(0, executeAt, INTEREST_WITHDRAWAL);
+    await time.increaseTo(executeAt);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskFailed")
+      .and.not.to.emit(rentalDeposit, "InterestWithdrawn");
+    
+    await expect(rentalDeposit.connect(landlord).claimInterest(0))
+      .to.emit(rentalDeposit, "InterestWithdrawn");
+  });
+  
+  it("爭議中或已結束的租賃應該拒絕提取", async function () {
+    await time.increase(ONE_MONTH);
+    await rentalDeposit.connect(tenant).raiseDispute(0, "");
+    await expect(rentalDeposit.claimInterest(0))
+      .to.be.revertedWith("Rental is in dispute");
+    
+    await expect(rentalDeposit.claimInterest(1))
+      .to.be.revertedWith("Rental is not active");
+  });
+  
+  it("Nodit利息提取任務應該分配利息並排入下一次提取", async function () {
+    await rentalDeposit.setNoditManager(await noditManager.getAddress());
+    await expect(noditManager.setInterestClaimInterval(ONE_MONTH))
+      .to.emit(noditManager, "InterestClaimIntervalUpdated")
+      .withArgs(ONE_MONTH);
+    
+    const executeAt = (await time.latest()) + ONE_MONTH;
+    await noditManager.scheduleTask(0, executeAt, INTEREST_WITHDRAWAL);
+    await time.increaseTo(executeAt);
+    
+    const tx = noditManager.connect(trigger).executeTask(0);
+    await expect(tx).to.emit(rentalDeposit, "InterestWithdrawn");
+    await expect(tx).to.emit(noditManager, "TaskScheduled");
+    expect(await mockUSDC.balanceOf(treasury.address)).to.be.gt(0);
+    
+    // 下一次提取安排在一個週期之後
+    const next = await noditManager.getTaskInfo(1);
+    expect(next.rentalId).to.equal(0);
+    expect(next.taskType).to.equal(INTEREST_WITHDRAWAL);
+    expect(next.executeAt).to.equal((await time.latest()) + ONE_MONTH);
+    
+    await expect(noditManager.connect(trigger).executeTask(1))
+      .to.be.revertedWith("NoditManager: too early to execute");
+    await expect(noditManager.connect(tenant).setInterestClaimInterval(0))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+  });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("InterestManager", function () {
+  let mockUSDC;
+  let mockYieldProvider;
+  let interestManager;
+  let owner;
+  let depositor;
+  let addr3;
+
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const TOLERANCE = ethers.parseUnits("0.01", 6);
+
+  beforeEach(async function () {
+    // 獲取測試賬戶，depositor 扮演租賃押金合約
+    [owner, depositor, addr3] = await ethers.getSigners();
+
+    // 部署測試穩定幣
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+
+    // 部署模擬收益提供者
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+
+    // 部署利息管理器並接管收益提供者
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    await interestManager.setRentalDeposit(depositor.address);
+
+    // 模擬收益提供者只記帳不持有利息，預先注入資金以支付模擬收益
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT * 10n);
+
+    await mockUSDC.mint(depositor.address, DEPOSIT_AMOUNT * 10n);
+    await mockUSDC.connect(depositor).approve(await interestManager.getAddress(), DEPOSIT_AMOUNT * 10n);
+  });
+
+  describe("份額帳本", function () {
+    it("首筆存款應按份額小數偏移鑄造份額", async function () {
+      const offset = await interestManager.SHARE_DECIMALS_OFFSET();
+      const expectedShares = DEPOSIT_AMOUNT * 10n ** offset;
+
+      await expect(
+        interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT)
+      ).to.emit(interestManager, "DepositMade")
+        .withArgs(depositor.address, 1, DEPOSIT_AMOUNT, expectedShares);
+
+      expect(await interestManager.rentalShares(1)).to.equal(expectedShares);
+      expect(await interestManager.getRentalValue(1)).to.equal(DEPOSIT_AMOUNT);
+    });
+
+    it("直接轉入代幣抬高份額價值不應讓之後的存款歸零或被瓜分", async function () {
+      // 首筆存款僅1單位，攻擊者隨即直接轉入大量代幣試圖抬高每份額價值
+      await interestManager.connect(depositor).deposit(1, 1);
+      await mockUSDC.mint(addr3.address, DEPOSIT_AMOUNT);
+      await mockUSDC.connect(addr3).transfer(await interestManager.getAddress(), DEPOSIT_AMOUNT);
+
+      // 之後的存款仍取得份額，且價值幾乎等於存入金額
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+      expect(await interestManager.rentalShares(2)).to.be.greaterThan(0);
+      expect(await interestManager.getRentalValue(2)).to.be.closeTo(DEPOSIT_AMOUNT, DEPOSIT_AMOUNT / 1000n);
+
+      // 首筆存款能取回的金額遠少於攻擊者轉入的代幣，攻擊無利可圖
+      expect(await interestManager.getRentalValue(1)).to.be.lessThan(DEPOSIT_AMOUNT);
+    });
+
+    it("較晚的存款不應分走先前存款已累積的收益", async function () {
+      // 租賃1先存入，一年後租賃2才存入
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+
+      // 租賃1應取得約5%的年化收益，租賃2剛存入不應有收益
+      const expectedFirst = DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n) / 100n;
+      expect(await interestManager.getRentalValue(1)).to.be.closeTo(expectedFirst, TOLERANCE);
+      expect(await interestManager.getRentalValue(2)).to.be.closeTo(DEPOSIT_AMOUNT, TOLERANCE);
+
+      // 贖回後實際到帳金額同樣反映各自在池中的時間
+      const firstWithdrawn = await interestManager.connect(depositor).withdrawAll.staticCall(1);
+      await interestManager.connect(depositor).withdrawAll(1);
+      const secondWithdrawn = await interestManager.connect(depositor).withdrawAll.staticCall(2);
+
+      expect(firstWithdrawn).to.be.closeTo(expectedFirst, TOLERANCE);
+      expect(secondWithdrawn).to.be.closeTo(DEPOSIT_AMOUNT, TOLERANCE);
+    });
+
+    it("之後累積的收益應按份額分配給同時在池中的租賃", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+
+      // 第二年兩筆存款同時在池中，各自取得約5%的收益
+      const firstValue = await interestManager.getRentalValue(1);
+      const secondValue = await interestManager.getRentalValue(2);
+
+      const firstYearValue = DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n) / 100n;
+      expect(firstValue).to.be.closeTo(firstYearValue + (firstYearValue * 5n) / 100n, TOLERANCE * 10n);
+      expect(secondValue).to.be.closeTo(DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n) / 100n, TOLERANCE * 10n);
+    });
+
+    it("部分提取應只銷毀對應份額", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+
+      const valueBefore = await interestManager.getRentalValue(1);
+      const withdrawAmount = ethers.parseUnits("50", 6);
+      await interestManager.connect(depositor).withdraw(1, withdrawAmount);
+
+      expect(await interestManager.getRentalValue(1)).to.be.closeTo(valueBefore - withdrawAmount, TOLERANCE);
+      expect(await interestManager.rentalPrincipal(1)).to.equal(DEPOSIT_AMOUNT);
+      expect(await interestManager.getRentalValue(2)).to.be.closeTo(valueBefore, TOLERANCE);
+    });
+
+    it("提取超過累積利息時應減少本金，之後結算不應留下本金記錄", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+
+      // 提取一半押金，先扣除利息，其餘從本金扣除
+      const withdrawAmount = DEPOSIT_AMOUNT / 2n;
+      await interestManager.connect(depositor).withdraw(1, withdrawAmount);
+
+      const principal = await interestManager.rentalPrincipal(1);
+      expect(principal).to.equal(await interestManager.getRentalValue(1));
+      expect(principal).to.be.closeTo(DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n) / 100n - withdrawAmount, TOLERANCE);
+      expect(await interestManager.totalDeposits()).to.equal(DEPOSIT_AMOUNT + principal);
+
+      // 全額結算後只剩另一筆租賃的本金
+      await interestManager.connect(depositor).withdrawAll(1);
+      expect(await interestManager.rentalPrincipal(1)).to.equal(0);
+      expect(await interestManager.totalDeposits()).to.equal(DEPOSIT_AMOUNT);
+      expect(await interestManager.rentalPrincipal(2)).to.equal(DEPOSIT_AMOUNT);
+    });
+  });
+
+  describe("多收益提供者路由", function () {
+    let secondProvider;
+
+    beforeEach(async function () {
+      // 部署年化10%的第二個收益提供者並登記為各半權重
+      const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+      secondProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+      await secondProvider.setInterestRate(1000);
+      await secondProvider.transferOwnership(await interestManager.getAddress());
+      await mockUSDC.mint(await secondProvider.getAddress(), DEPOSIT_AMOUNT * 10n);
+
+      await interestManager.addYieldProvider(await secondProvider.getAddress());
+      await interestManager.setProviderWeights([5000, 5000]);
+    });
+
+    it("存款應按目標權重分配到各提供者", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+
+      const [, weights, values] = await interestManager.getProviderAllocations();
+      expect(weights).to.deep.equal([5000n, 5000n]);
+      expect(values[0]).to.equal(DEPOSIT_AMOUNT / 2n);
+      expect(values[1]).to.equal(DEPOSIT_AMOUNT / 2n);
+
+      // 綜合APY為5%與10%按價值加權
+      expect(await interestManager.getCurrentAPY()).to.equal(750);
+    });
+
+    it("總價值應加總各提供者，提取應從各提供者按比例取出", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await time.increase(ONE_YEAR);
+
+      const expected = DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 75n) / 1000n;
+      expect(await interestManager.getTotalValue()).to.be.closeTo(expected, TOLERANCE);
+      expect(await interestManager.getRentalValue(1)).to.be.closeTo(expected, TOLERANCE);
+
+      const withdrawn = await interestManager.connect(depositor).withdrawAll.staticCall(1);
+      await interestManager.connect(depositor).withdrawAll(1);
+
+      expect(withdrawn).to.be.closeTo(expected, TOLERANCE);
+      expect(await mockYieldProvider.getTotalValue()).to.be.lessThanOrEqual(1n);
+      expect(await secondProvider.getTotalValue()).to.be.lessThanOrEqual(1n);
+    });
+
+    it("rebalance應將資金移向新的目標權重", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await interestManager.setProviderWeights([2000, 8000]);
+
+      await expect(interestManager.rebalance()).to.emit(interestManager, "Rebalanced");
+
+      const [, , values] = await interestManager.getProviderAllocations();
+      const total = await interestManager.getTotalValue();
+      expect(values[0]).to.be.closeTo((total * 2n) / 10n, TOLERANCE);
+      expect(values[1]).to.be.closeTo((total * 8n) / 10n, TOLERANCE);
+    });
+
+    it("移除提供者應將其資金轉移給其餘提供者", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+
+      await expect(
+        interestManager.removeYieldProvider(await mockYieldProvider.getAddress())
+      ).to.be.revertedWith("Provider still has target weight");
+
+      await interestManager.setProviderWeights([0, 10000]);
+      await interestManager.removeYieldProvider(await mockYieldProvider.getAddress());
+
+      // 模擬提供者的withdrawAll會連同預先注入的資金一併轉出，因此只檢查資金不少於存款
+      expect(await interestManager.getProviderCount()).to.equal(1);
+      expect(await interestManager.isYieldProvider(await mockYieldProvider.getAddress())).to.equal(false);
+      expect(await mockYieldProvider.getTotalValue()).to.equal(0);
+      expect(await secondProvider.getTotalValue()).to.be.greaterThanOrEqual(DEPOSIT_AMOUNT);
+      expect(await interestManager.getRentalValue(1)).to.be.greaterThanOrEqual(DEPOSIT_AMOUNT);
+    });
+
+    it("應該拒絕總和不為10000的權重", async function () {
+      await expect(
+        interestManager.setProviderWeights([5000, 4000])
+      ).to.be.revertedWith("Weights must sum to 10000");
+    });
+  });
+
+  describe("權限檢查", function () {
+    it("應該阻止非租賃押金合約存取資金", async function () {
+      await expect(
+        interestManager.connect(addr3).deposit(1, DEPOSIT_AMOUNT)
+      ).to.be.revertedWith("Caller is not the rental deposit contract");
+
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+
+      await expect(
+        interestManager.connect(addr3).withdrawAll(1)
+      ).to.be.revertedWith("Caller is not the rental deposit contract");
+    });
+
+    it("應該阻止提取超過租賃持倉的金額", async function () {
+      await interestManager.connect(depositor).deposit(1, DEPOSIT_AMOUNT);
+      await interestManager.connect(depositor).deposit(2, DEPOSIT_AMOUNT);
+
+      await expect(
+        interestManager.connect(depositor).withdraw(1, DEPOSIT_AMOUNT * 2n)
+      ).to.be.revertedWith("Insufficient funds");
+    });
+  });
+
+  describe("租賃押金整合", function () {
+    it("先後建立的租賃應只累積各自在池中期間的收益", async function () {
+      const [, tenant, landlord] = await ethers.getSigners();
+
+      // 改由真正的租賃押金合約存取資金
+      const RentalNFT = await ethers.getContractFactory("RentalNFT");
+      const rentalNFT = await RentalNFT.deploy("DeWork Rental NFT", "RENT", "https://dework.io/metadata/");
+
+      const rentalDeposit = await deployProxy("RentalDeposit", [
+        await mockUSDC.getAddress(),
+        await interestManager.getAddress(),
+        await rentalNFT.getAddress(),
+        ethers.ZeroAddress,
+        ethers.ZeroAddress
+      ]);
+      await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+      await rentalNFT.addMinter(await rentalDeposit.getAddress());
+      await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+      await rentalDeposit.setWorldIDRequired(false);
+
+      await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 2n);
+      await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 2n);
+
+      await rentalDeposit.connect(tenant).createRental(landlord.address, await mockUSDC.getAddress(), DEPOSIT_AMOUNT, ONE_YEAR * 2, "ipfs://QmFirst", 0);
+      await time.increase(ONE_YEAR);
+      await rentalDeposit.connect(tenant).createRental(landlord.address, await mockUSDC.getAddress(), DEPOSIT_AMOUNT, ONE_YEAR * 2, "ipfs://QmSecond", 0);
+
+      expect(await rentalDeposit.getCurrentDepositValue(0)).to.be.closeTo(
+        DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n) / 100n,
+        TOLERANCE
+      );
+      expect(await rentalDeposit.getCurrentDepositValue(1)).to.be.closeTo(DEPOSIT_AMOUNT, TOLERANCE);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { AUTO_RELEASE_DEPOSIT, createKeeper } = require("../scripts/keeper");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("自動結算服務", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let noditManager;
+  let statePath;
+  let owner;
+  let tenant;
+  let landlord;
+  let other;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // 測試中不輸出日誌
+  const silentLogger = { log() {}, warn() {}, error() {} };
+  
+  const newKeeper = (options = {}) => createKeeper({
+    noditManager,
+    rentalDeposit,
+    statePath,
+    retryDelay: 0,
+    logger: silentLogger,
+    ...options
+  });
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, other] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 服務賬戶同時是Nodit管理器的所有者與觸發者
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), owner.address);
+    
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+    
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "dework-keeper-")), "state.json");
+  });
+  
+  it("應該在押金釋放時間排程任務，到期後自動結算租賃", async function () {
+    const keeper = newKeeper();
+    await keeper.tick();
+    
+    const { releaseTime } = await rentalDeposit.getRentalDetails(0);
+    const task = await noditManager.getTaskInfo(0);
+    expect(task.rentalId).to.equal(0);
+    expect(task.taskType).to.equal(AUTO_RELEASE_DEPOSIT);
+    expect(task.executeAt).to.equal(releaseTime);
+    
+    // 未到釋放時間不執行
+    await keeper.tick();
+    expect(keeper.state.tasks["0"].status).to.equal("pending");
+    
+    await time.increaseTo(releaseTime);
+    await keeper.tick();
+    
+    expect(keeper.state.tasks["0"]).to.include({ status: "executed", settled: true });
+    expect((await rentalDeposit.getRentalDetails(0)).isActive).to.equal(false);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.be.gte(DEPOSIT_AMOUNT);
+  });
+  
+  it("重新啟動後應該從狀態文件恢復，不重複排程", async function () {
+    await newKeeper().tick();
+    expect(JSON.parse(fs.readFileSync(statePath, "utf8")).rentals).to.deep.equal({ "0": "0" });
+    
+    const restarted = newKeeper();
+    await restarted.tick();
+    expect(await noditManager.taskCount()).to.equal(1);
+    
+    await time.increaseTo((await rentalDeposit.getRentalDetails(0)).releaseTime);
+    await restarted.tick();
+    expect(restarted.state.tasks["0"].status).to.equal("executed");
+    expect((await rentalDeposit.getRentalDetails(0)).isActive).to.equal(false);
+  });
+  
+  it("執行失敗時應該重試，用盡次數後標記為失敗", async function () {
+    const keeper = newKeeper({ maxAttempts: 3 });
+    await keeper.tick();
+    await time.increaseTo((await rentalDeposit.getRentalDetails(0)).releaseTime);
+    
+    // 觸發者被更換時執行交易會失敗
+    await noditManager.updateNoditTrigger(other.address);
+    await keeper.tick();
+    await keeper.tick();
+    expect(keeper.state.tasks["0"]).to.include({ status: "pending", attempts: 2 });
+    expect(keeper.state.tasks["0"].error).to.contain("not the nodit trigger");
+    
+    // 恢復後第三次嘗試成功
+    await noditManager.updateNoditTrigger(owner.address);
+    await keeper.tick();
+    expect(keeper.state.tasks["0"].status).to.equal("executed");
+    
+    // 第二筆租賃三次都失敗則不再重試
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(landlord.address, await mockUSDC.getAddress(), DEPOSIT_AMOUNT, LEASE_DURATION, "", 0);
+    await keeper.tick();
+    await time.increaseTo((await rentalDeposit.getRentalDetails(1)).releaseTime);
+    await noditManager.updateNoditTrigger(other.address);
+    for (let i = 0; i < 4; i++) {
+      await keeper.tick();
+    }
+    expect(keeper.state.tasks["1"]).to.include({ status: "failed", attempts: 3 });
+    expect((await rentalDeposit.getRentalDetails(1)).isActive).to.equal(true);
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("續約", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let leaseRenewals;
+  let owner;
+  let tenant;
+  let landlord;
+  let addr3;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  const EXTENSION = 90 * 24 * 60 * 60; // 90 days in seconds
+  
+  // 記錄交易前後租客的餘額變化
+  const tenantChange = async (send) => {
+    const before = await mockUSDC.balanceOf(tenant.address);
+    await send();
+    return (await mockUSDC.balanceOf(tenant.address)) - before;
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, addr3] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線，收益提供者預留模擬利息
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署續約合約並接上租賃押金合約
+    const LeaseRenewals = await ethers.getContractFactory("LeaseRenewals");
+    leaseRenewals = await LeaseRenewals.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setLeaseRenewals(await leaseRenewals.getAddress());
+    
+    // 租客創建租賃，並預先授權補繳押金的額度
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 3n);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 3n);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+  });
+  
+  it("續約應沿用同一個NFT並保留累積利息，延長租客的使用權限", async function () {
+    await time.increase(LEASE_DURATION / 2);
+    const valueBefore = await interestManager.getRentalValue(0);
+    expect(valueBefore).to.be.gt(DEPOSIT_AMOUNT);
+    
+    await leaseRenewals.connect(landlord).proposeRenewal(0, EXTENSION, DEPOSIT_AMOUNT);
+    const newEndTime = (await rentalDeposit.rentals(0)).endTime + BigInt(EXTENSION);
+    
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, DEPOSIT_AMOUNT))
+      .to.emit(rentalDeposit, "LeaseRenewed")
+      .withArgs(0, newEndTime, newEndTime + (await rentalDeposit.disputePeriod()), DEPOSIT_AMOUNT);
+    
+    // 不鑄造新的NFT，租客仍持有原本的租賃NFT且使用權限延長至新的租期結束
+    expect(await rentalNFT.totalSupply()).to.equal(1);
+    expect(await rentalNFT.ownerOf(0)).to.equal(tenant.address);
+    expect(await rentalNFT.userExpires(0)).to.equal(newEndTime);
+    
+    // 押金與已累積的利息留在原本的份額帳戶中
+    expect((await rentalDeposit.rentals(0)).endTime).to.equal(newEndTime);
+    expect(await interestManager.rentalPrincipal(0)).to.equal(DEPOSIT_AMOUNT);
+    expect(await interestManager.getRentalValue(0)).to.be.gte(valueBefore);
+    expect((await leaseRenewals.renewalProposals(0)).extension).to.equal(0);
+  });
+  
+  it("續約押金提高時應由租客補繳差額並存入同一份額帳戶", async function () {
+    const newDeposit = DEPOSIT_AMOUNT * 2n;
+    await leaseRenewals.connect(landlord).proposeRenewal(0, EXTENSION, newDeposit);
+    
+    const change = await tenantChange(async () => {
+      await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, newDeposit))
+        .to.emit(rentalDeposit, "DepositToppedUp")
+        .withArgs(0, newDeposit - DEPOSIT_AMOUNT);
+    });
+    
+    expect(change).to.equal(-(newDeposit - DEPOSIT_AMOUNT));
+    expect((await rentalDeposit.rentals(0)).depositAmount).to.equal(newDeposit);
+    expect(await interestManager.rentalPrincipal(0)).to.equal(newDeposit);
+  });
+  
+  it("續約押金降低時應從持倉中退還差額給租客", async function () {
+    const newDeposit = DEPOSIT_AMOUNT / 4n;
+    const refund = DEPOSIT_AMOUNT - newDeposit;
+    await leaseRenewals.connect(landlord).proposeRenewal(0, EXTENSION, newDeposit);
+    
+    const change = await tenantChange(async () => {
+      await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, newDeposit))
+        .to.emit(rentalDeposit, "DepositRefunded")
+        .withArgs(0, tenant.address, refund);
+    });
+    
+    expect(change).to.equal(refund);
+    expect((await rentalDeposit.rentals(0)).depositAmount).to.equal(newDeposit);
+    
+    // 持倉只剩續約後的押金與接受後數個區塊的利息
+    expect(await interestManager.getRentalValue(0)).to.be.closeTo(newDeposit, 1000n);
+    expect(await interestManager.rentalPrincipal(0)).to.be.closeTo(newDeposit, 1000n);
+  });
+  
+  it("租客須以所見的條件接受，房東改提條件後舊條件應被拒絕", async function () {
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, DEPOSIT_AMOUNT))
+      .to.be.revertedWith("No renewal proposed");
+    await expect(leaseRenewals.connect(tenant).proposeRenewal(0, EXTENSION, DEPOSIT_AMOUNT))
+      .to.be.revertedWith("Only landlord can propose renewal");
+    
+    await leaseRenewals.connect(landlord).proposeRenewal(0, EXTENSION, DEPOSIT_AMOUNT);
+    await expect(leaseRenewals.connect(addr3).acceptRenewal(0, EXTENSION, DEPOSIT_AMOUNT))
+      .to.be.revertedWith("Only tenant can accept renewal");
+    
+    // 房東在租客接受前改提更高的押金，租客以原條件接受時應回滾而不扣款
+    await leaseRenewals.connect(landlord).proposeRenewal(0, EXTENSION, DEPOSIT_AMOUNT * 3n);
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, DEPOSIT_AMOUNT))
+      .to.be.revertedWith("Renewal terms changed");
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION * 2, DEPOSIT_AMOUNT * 3n))
+      .to.be.revertedWith("Renewal terms changed");
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 2n);
+    
+    // 租客拒絕後提議即刪除
+    await expect(leaseRenewals.connect(tenant).cancelRenewal(0))
+      .to.emit(leaseRenewals, "RenewalCancelled")
+      .withArgs(0);
+    await expect(leaseRenewals.connect(tenant).acceptRenewal(0, EXTENSION, DEPOSIT_AMOUNT * 3n))
+      .to.be.revertedWith("No renewal proposed");
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("開放執行Nodit任務", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let noditManager;
+  let owner;
+  let treasury;
+  let tenant;
+  let landlord;
+  let trigger;
+  let executor;
+  let releaseTime;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  const GRACE_PERIOD = 24 * 60 * 60; // 1 day in seconds
+  const AUTO_RELEASE_DEPOSIT = 1;
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, treasury, tenant, landlord, trigger, executor] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    await rentalDeposit.setTreasury(treasury.address);
+    
+    // 部署Nodit管理器，由其觸發的結算平台費用先轉給它
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), trigger.address);
+    await expect(rentalDeposit.setNoditManager(await noditManager.getAddress()))
+      .to.emit(rentalDeposit, "NoditManagerUpdated")
+      .withArgs(await noditManager.getAddress());
+    
+    // 收益提供者預留模擬利息，租客創建30天的租賃並在釋放時間排程自動結算
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+    releaseTime = (await rentalDeposit.getRentalDetails(0)).releaseTime;
+    await noditManager.scheduleTask(0, releaseTime, AUTO_RELEASE_DEPOSIT);
+  });
+  
+  it("寬限期過後任何人都可以執行到期任務並獲得執行獎勵", async function () {
+    await expect(noditManager.setPublicExecution(true, GRACE_PERIOD, 20))
+      .to.emit(noditManager, "PublicExecutionUpdated")
+      .withArgs(true, GRACE_PERIOD, 20);
+    
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([]);
+    await time.increaseTo(releaseTime);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([0n]);
+    
+    // 寬限期內保留給Nodit觸發者
+    await expect(noditManager.connect(executor).executeTask(0))
+      .to.be.revertedWith("NoditManager: trigger grace period");
+    
+    await time.increaseTo(releaseTime + BigInt(GRACE_PERIOD));
+    await expect(noditManager.connect(executor).executeTask(0))
+      .to.emit(noditManager, "BountyPaid");
+    
+    // 平台費用的20%歸執行者，其餘轉入金庫
+    const bounty = await mockUSDC.balanceOf(executor.address);
+    const treasuryFee = await mockUSDC.balanceOf(treasury.address);
+    expect(bounty).to.be.gt(0);
+    expect(bounty).to.equal(((bounty + treasuryFee) * 20n) / 100n);
+    expect(await mockUSDC.balanceOf(await noditManager.getAddress())).to.equal(0);
+    expect((await rentalDeposit.getRentalDetails(0)).isActive).to.equal(false);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([]);
+  });
+  
+  it("Nodit觸發者執行時不支付執行獎勵，未開放時其他人不能執行", async function () {
+    await time.increaseTo(releaseTime);
+    await expect(noditManager.connect(executor).executeTask(0))
+      .to.be.revertedWith("NoditManager: caller is not the nodit trigger");
+    
+    await noditManager.setPublicExecution(true, GRACE_PERIOD, 20);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.not.emit(noditManager, "BountyPaid");
+    
+    expect(await mockUSDC.balanceOf(treasury.address)).to.be.gt(0);
+    expect(await mockUSDC.balanceOf(await noditManager.getAddress())).to.equal(0);
+  });
+  
+  it("應該拒絕過高的獎勵比例與已取消的任務", async function () {
+    await expect(noditManager.setPublicExecution(true, 0, 51))
+      .to.be.revertedWith("NoditManager: bounty too high");
+    await expect(noditManager.connect(executor).setPublicExecution(true, 0, 10))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    
+    await noditManager.setPublicExecution(true, 0, 10);
+    await noditManager.cancelTask(0);
+    await time.increaseTo(releaseTime);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([]);
+    await expect(noditManager.connect(executor).executeTask(0))
+      .to.be.revertedWith("NoditManager: task cancelled");
+    await expect(noditManager.connect(executor).executeTask(1))
+      .to.be.revertedWith("NoditManager: task not found");
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("Nodit任務狀態與重試", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let noditManager;
+  let owner;
+  let tenant;
+  let landlord;
+  let trigger;
+  let rental;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  const DISPUTE_PERIOD = 7 * 24 * 60 * 60; // 7 days in seconds
+  const AUTO_RELEASE_DEPOSIT = 1;
+  const TaskStatus = { Pending: 0, Succeeded: 1, Failed: 2, Cancelled: 3 };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, trigger] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), trigger.address);
+    
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+    rental = await rentalDeposit.getRentalDetails(0);
+  });
+  
+  it("失敗的任務應該記錄回滾原因，並在重試間隔後再次執行", async function () {
+    await expect(noditManager.setRetryDelay(DISPUTE_PERIOD))
+      .to.emit(noditManager, "RetryDelayUpdated")
+      .withArgs(DISPUTE_PERIOD);
+    
+    // 排在租期結束時，尚未到押金釋放時間
+    await noditManager.scheduleTask(0, rental.endTime, AUTO_RELEASE_DEPOSIT);
+    await time.increaseTo(rental.endTime);
+    
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskFailed")
+      .and.not.to.emit(noditManager, "TaskExecuted");
+    
+    const failed = await noditManager.getTaskInfo(0);
+    expect(failed.status).to.equal(TaskStatus.Failed);
+    expect(failed.attempts).to.equal(1);
+    expect(failed.lastError).to.equal("Cannot end before release time");
+    expect(failed.executeAt).to.equal(BigInt(await time.latest()) + BigInt(DISPUTE_PERIOD));
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([]);
+    
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.be.revertedWith("NoditManager: too early to execute");
+    
+    await time.increaseTo(failed.executeAt);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([0n]);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskExecuted");
+    
+    const succeeded = await noditManager.getTaskInfo(0);
+    expect(succeeded.status).to.equal(TaskStatus.Succeeded);
+    expect(succeeded.attempts).to.equal(2);
+    expect((await rentalDeposit.getRentalDetails(0)).isActive).to.equal(false);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.be.revertedWith("NoditManager: task already executed");
+  });
+  
+  it("執行者提供的Gas不足時應整筆回滾，不記錄為失敗", async function () {
+    await noditManager.scheduleTask(0, rental.releaseTime, AUTO_RELEASE_DEPOSIT);
+    await time.increaseTo(rental.releaseTime);
+    
+    // 各種不足的Gas上限都不應讓任務進入失敗狀態而延後重試
+    const required = await noditManager.connect(trigger).executeTask.estimateGas(0);
+    for (let gasLimit = 100000n; gasLimit < required; gasLimit += 50000n) {
+      await expect(noditManager.connect(trigger).executeTask(0, { gasLimit })).to.be.reverted;
+    }
+    
+    const task = await noditManager.getTaskInfo(0);
+    expect(task.status).to.equal(TaskStatus.Pending);
+    expect(task.attempts).to.equal(0);
+    expect(task.lastError).to.equal("");
+    
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskExecuted");
+    expect((await noditManager.getTaskInfo(0)).status).to.equal(TaskStatus.Succeeded);
+  });
+  
+  it("爭議中的租賃應該等爭議解決後才重試，已結算則自動取消", async function () {
+    await noditManager.scheduleTask(0, rental.releaseTime, AUTO_RELEASE_DEPOSIT);
+    await rentalDeposit.connect(tenant).raiseDispute(0, "");
+    await time.increaseTo(rental.releaseTime);
+    
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskFailed");
+    expect((await noditManager.getTaskInfo(0)).lastError).to.equal("Rental is in dispute");
+    
+    // 爭議未解決前不列為到期任務，也不能重試
+    await time.increase(24 * 60 * 60);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([]);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.be.revertedWith("NoditManager: rental in dispute");
+    
+    // 平台裁決後押金已結算，重試時任務改為取消
+    await rentalDeposit.resolveDispute(0, true);
+    expect(await noditManager.getDueTasks(0, 10)).to.deep.equal([0n]);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.emit(noditManager, "TaskCancelled")
+      .withArgs(0, 0);
+    expect((await noditManager.getTaskInfo(0)).status).to.equal(TaskStatus.Cancelled);
+  });
+  
+  it("取消任務應該發出事件並保留任務紀錄", async function () {
+    await noditManager.scheduleTask(0, rental.releaseTime, AUTO_RELEASE_DEPOSIT);
+    
+    await expect(noditManager.cancelTask(0))
+      .to.emit(noditManager, "TaskCancelled")
+      .withArgs(0, 0);
+    
+    const task = await noditManager.getTaskInfo(0);
+    expect(task.status).to.equal(TaskStatus.Cancelled);
+    expect(task.executeAt).to.equal(rental.releaseTime);
+    
+    await time.increaseTo(rental.releaseTime);
+    await expect(noditManager.connect(trigger).executeTask(0))
+      .to.be.revertedWith("NoditManager: task cancelled");
+    await expect(noditManager.cancelTask(0))
+      .to.be.revertedWith("NoditManager: task cancelled");
+    await expect(noditManager.cancelTask(1))
+      .to.be.revertedWith("NoditManager: task not found");
+  });
+});
@@ -0,0 +1,312 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRelayer, createServer, signForwardRequest } = require("../scripts/relayer");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("ERC-2771 中繼", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let rentalGateway;
+  let forwarder;
+  let relayer;
+  let owner;
+  let relayerSigner;
+  let landlord;
+  let tenant;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const RELAY_FEE = ethers.parseUnits("2", 6); // 2 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // EIP-2612 許可類型定義
+  const PERMIT_TYPES = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  
+  // 租客簽署授權租賃押金合約收取押金的許可，交由中繼者提交
+  const signDepositPermit = async (value) => {
+    const deadline = (await time.latest()) + 3600;
+    const domain = {
+      name: await mockUSDC.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await mockUSDC.getAddress()
+    };
+    const message = {
+      owner: tenant.address,
+      spender: await rentalDeposit.getAddress(),
+      value,
+      nonce: await mockUSDC.nonces(tenant.address),
+      deadline
+    };
+    const { v, r, s } = ethers.Signature.from(await tenant.signTypedData(domain, PERMIT_TYPES, message));
+    return { token: await mockUSDC.getAddress(), ...message, v, r, s };
+  };
+  
+  // 租客簽署經由轉發者調用創建入口合約的請求
+  const signRentalRequest = async (functionName, args, target = rentalGateway) => signForwardRequest(forwarder, tenant, {
+    to: await target.getAddress(),
+    data: target.interface.encodeFunctionData(functionName, args)
+  });
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶，租客為沒有任何ETH的新錢包
+    [owner, relayerSigner, landlord] = await ethers.getSigners();
+    tenant = ethers.Wallet.createRandom().connect(ethers.provider);
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 10n);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署租賃NFT與租賃押金合約
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    const RentalGateway = await ethers.getContractFactory("RentalGateway");
+    rentalGateway = await RentalGateway.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setRentalGateway(await rentalGateway.getAddress());
+    
+    // 部署轉發者並設為可信轉發者
+    const DeWorkForwarder = await ethers.getContractFactory("DeWorkForwarder");
+    forwarder = await DeWorkForwarder.deploy();
+    await rentalDeposit.setTrustedForwarder(await forwarder.getAddress());
+    await rentalGateway.setTrustedForwarder(await forwarder.getAddress());
+    await rentalNFT.setTrustedForwarder(await forwarder.getAddress());
+    
+    relayer = createRelayer({
+      forwarder,
+      signer: relayerSigner,
+      targets: [await rentalDeposit.getAddress(), await rentalGateway.getAddress(), await rentalNFT.getAddress()],
+      rentalDeposit,
+      rentalGateway,
+      feeToken: await mockUSDC.getAddress(),
+      minFee: RELAY_FEE
+    });
+  });
+  
+  it("沒有ETH的租客應該能透過中繼創建租賃並以押金支付手續費", async function () {
+    const permit = await signDepositPermit(DEPOSIT_AMOUNT);
+    const { request, signature } = await signRentalRequest("createRentalWithRelayFee", [
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0,
+      relayerSigner.address,
+      RELAY_FEE
+    ]);
+    
+    await relayer.relay({ request, signature, permit });
+    
+    // 租賃以租客為發送者創建，託管押金已扣除中繼手續費
+    const rental = await rentalDeposit.rentals(0);
+    expect(rental.tenant).to.equal(tenant.address);
+    expect(rental.landlord).to.equal(landlord.address);
+    expect(rental.depositAmount).to.equal(DEPOSIT_AMOUNT - RELAY_FEE);
+    expect(await rentalNFT.ownerOf(0)).to.equal(tenant.address);
+    
+    expect(await mockUSDC.balanceOf(relayerSigner.address)).to.equal(RELAY_FEE);
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 9n);
+    expect(await ethers.provider.getBalance(tenant.address)).to.equal(0);
+  });
+  
+  it("應該能透過HTTP服務提交中繼請求", async function () {
+    const server = createServer(relayer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const baseURL = `http://127.0.0.1:${server.address().port}`;
+    
+    try {
+      const info = await (await fetch(`${baseURL}/info`)).json();
+      expect(info.forwarder).to.equal(await forwarder.getAddress());
+      expect(info.minFee).to.equal(RELAY_FEE.toString());
+      
+      const permit = await signDepositPermit(DEPOSIT_AMOUNT);
+      const { request, signature } = await signRentalRequest("createRentalWithRelayFee", [
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        relayerSigner.address,
+        RELAY_FEE
+      ]);
+      
+      // 請求中的BigInt以字串傳遞
+      const toJSON = (value) => JSON.stringify(value, (key, item) => (
+        typeof item === "bigint" ? item.toString() : item
+      ));
+      const response = await fetch(`${baseURL}/relay`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: toJSON({ request, signature, permit })
+      });
+      
+      expect(response.status).to.equal(200);
+      expect((await response.json()).txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await rentalDeposit.rentals(0)).tenant).to.equal(tenant.address);
+    } finally {
+      server.close();
+    }
+  });
+  
+  it("中繼者應該拒絕未支付足夠手續費或簽名無效的請求", async function () {
+    const unpaid = await signRentalRequest("createRental", [
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    ], rentalDeposit);
+    await expect(relayer.relay(unpaid)).to.be.rejectedWith("Relay fee required");
+    
+    const lowFee = await signRentalRequest("createRentalWithRelayFee", [
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0,
+      relayerSigner.address,
+      RELAY_FEE - 1n
+    ]);
+    await expect(relayer.relay(lowFee)).to.be.rejectedWith("Relay fee below minimum");
+    
+    // 竄改請求發送者使簽名失效
+    const forged = { ...lowFee.request, from: owner.address };
+    await expect(relayer.relay({ request: forged, signature: lowFee.signature }))
+      .to.be.rejectedWith("Invalid signature or nonce");
+  });
+  
+  it("轉發者應該拒絕過期、目標未信任或重放的請求", async function () {
+    const approve = (options = {}) => signForwardRequest(forwarder, tenant, {
+      to: options.to || rentalNFT.target,
+      data: rentalNFT.interface.encodeFunctionData("setApprovalForAll", [landlord.address, true]),
+      deadline: options.deadline
+    });
+    const withSignature = ({ request, signature }) => ({ ...request, signature });
+    
+    // 超過有效期限的請求
+    const expired = await approve({ deadline: (await time.latest()) - 1 });
+    await expect(relayer.relay(expired)).to.be.rejectedWith("Request expired");
+    await expect(forwarder.execute(withSignature(expired))).to.be.revertedWith("Request expired");
+    
+    // 目標合約未信任本轉發者時，簽署者地址不會被附加轉發
+    const untrusted = await approve({ to: interestManager.target });
+    expect(await forwarder.verify(withSignature(untrusted))).to.be.false;
+    await expect(forwarder.execute(withSignature(untrusted))).to.be.revertedWith("Untrusted target");
+    
+    // 執行後nonce遞增，同一請求不得重放
+    const valid = await approve();
+    await expect(forwarder.execute(withSignature(valid)))
+      .to.emit(forwarder, "ExecutedForwardRequest")
+      .withArgs(tenant.address, 0, true);
+    expect(await rentalNFT.isApprovedForAll(tenant.address, landlord.address)).to.be.true;
+    expect(await forwarder.nonces(tenant.address)).to.equal(1);
+    await expect(forwarder.execute(withSignature(valid))).to.be.revertedWith("Invalid signer");
+  });
+  
+  it("批次執行時應依退款地址決定略過或整批回滾無效請求", async function () {
+    const data = rentalNFT.interface.encodeFunctionData("setApprovalForAll", [landlord.address, true]);
+    const valid = await signForwardRequest(forwarder, tenant, { to: rentalNFT.target, data });
+    const expired = await signForwardRequest(forwarder, tenant, {
+      to: rentalNFT.target,
+      data,
+      deadline: (await time.latest()) - 1
+    });
+    const requests = [valid, expired].map(({ request, signature }) => ({ ...request, signature }));
+    
+    // 未指定退款地址時任一請求無效即整批回滾
+    await expect(forwarder.executeBatch(requests, ethers.ZeroAddress)).to.be.revertedWith("Request expired");
+    expect(await forwarder.nonces(tenant.address)).to.equal(0);
+    
+    // 指定退款地址時略過無效請求並執行其餘請求
+    await forwarder.connect(relayerSigner).executeBatch(requests, relayerSigner.address);
+    expect(await rentalNFT.isApprovedForAll(tenant.address, landlord.address)).to.be.true;
+    expect(await forwarder.nonces(tenant.address)).to.equal(1);
+  });
+  
+  it("用戶應該能透過中繼提交自己的WorldID證明，但不能替他人完成驗證", async function () {
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const worldID = await MockWorldID.deploy();
+    const WorldIDVerifier = await ethers.getContractFactory("WorldIDVerifier");
+    const worldIDVerifier = await WorldIDVerifier.deploy(await worldID.getAddress(), 1, 1);
+    await worldIDVerifier.setTrustedForwarder(await forwarder.getAddress());
+    
+    const proof = [1, 0, 0, 0, 0, 0, 0, 0];
+    const verify = (signer, nullifierHash) => worldIDVerifier.interface.encodeFunctionData(
+      "verifyIdentity",
+      [BigInt(signer.address), 0, nullifierHash, proof]
+    );
+    
+    // 以租客地址為信號的證明不能由他人直接提交
+    await expect(landlord.sendTransaction({ to: worldIDVerifier.target, data: verify(tenant, 1) }))
+      .to.be.revertedWith("WorldIDVerifier: signal does not match sender");
+    
+    // 租客簽署請求，由中繼者代付Gas提交
+    const { request, signature } = await signForwardRequest(forwarder, tenant, {
+      to: worldIDVerifier.target,
+      data: verify(tenant, 1)
+    });
+    await expect(forwarder.connect(relayerSigner).execute({ ...request, signature }))
+      .to.emit(worldIDVerifier, "IdentityVerified")
+      .withArgs(tenant.address, 1);
+    expect(await worldIDVerifier.isVerified(tenant.address)).to.be.true;
+    expect(await worldIDVerifier.isVerified(relayerSigner.address)).to.be.false;
+  });
+  
+  it("應該只允許可信轉發者調用中繼手續費創建租賃", async function () {
+    await mockUSDC.mint(owner.address, DEPOSIT_AMOUNT);
+    await mockUSDC.approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    
+    await expect(
+      rentalGateway.createRentalWithRelayFee(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        owner.address,
+        RELAY_FEE
+      )
+    ).to.be.revertedWith("Only trusted forwarder");
+    
+    await expect(
+      rentalGateway.connect(landlord).setTrustedForwarder(landlord.address)
+    ).to.be.revertedWith("Ownable: caller is not the owner");
+  });
+});
@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProxy } = require("../scripts/upgrades");
+const { main: deployLocalhost } = require("../scripts/deploy-localhost");
+const { buildOperation, scheduleOperation, executeOperation } = require("../scripts/timelock");
+
+describe("租金排程", function () {
+  let mockUSDC;
+  let selfProtocol;
+  let rentalDeposit;
+  let rentManager;
+  let owner;
+  let tenant;
+  let landlord;
+  let addr3;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const RENT_AMOUNT = ethers.parseUnits("500", 6); // 每期500 USDC
+  const ONE_DAY = 24 * 60 * 60;
+  const RENT_PERIOD = 30 * ONE_DAY;
+  const DUE_DAY = 5;
+  const LEASE_DURATION = 3 * RENT_PERIOD; // 三期租金
+  
+  // 房東提出排程並由租客確認，回傳排程起算時間
+  const activateSchedule = async () => {
+    await rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY);
+    await rentManager.connect(tenant).acceptRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY);
+    return (await rentManager.rentSchedules(0)).startTime;
+  };
+  
+  // 記錄交易前後房東的餘額變化
+  const landlordChange = async (pay) => {
+    const before = await mockUSDC.balanceOf(landlord.address);
+    await pay();
+    return (await mockUSDC.balanceOf(landlord.address)) - before;
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, addr3] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署Self信用合約，記錄租客的繳租歷史
+    const SelfProtocolMock = await ethers.getContractFactory("SelfProtocolMock");
+    selfProtocol = await SelfProtocolMock.deploy();
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      await selfProtocol.getAddress()
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署租金排程合約
+    const RentManager = await ethers.getContractFactory("RentManager");
+    rentManager = await RentManager.deploy(await rentalDeposit.getAddress());
+    
+    // 租客創建租賃並授權租金排程合約扣繳租金
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT + RENT_AMOUNT * 5n);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentManager.getAddress(), RENT_AMOUNT * 5n);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      0
+    );
+  });
+  
+  describe("排程確認", function () {
+    it("排程須由房東提出並經租客確認後才能繳租", async function () {
+      await expect(
+        rentManager.connect(tenant).proposeRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY)
+      ).to.be.revertedWith("Only landlord can propose rent");
+      await expect(
+        rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT, ONE_DAY - 1, 0)
+      ).to.be.revertedWith("Rent period too short");
+      await expect(
+        rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, 30)
+      ).to.be.revertedWith("Due day outside period");
+      
+      await expect(rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY))
+        .to.emit(rentManager, "RentScheduleProposed")
+        .withArgs(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY);
+      
+      // 租客確認前不得繳租，也沒有應繳狀態
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.be.revertedWith("Rent schedule not active");
+      expect(await rentManager.getRentStatus(0)).to.deep.equal([0n, 0n, 0n]);
+      
+      await expect(rentManager.connect(landlord).acceptRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY))
+        .to.be.revertedWith("Only tenant can accept rent");
+      
+      // 房東在租客確認前改提更高的租金，租客以原條件確認時應回滾
+      await rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT * 2n, RENT_PERIOD, DUE_DAY);
+      await expect(rentManager.connect(tenant).acceptRentSchedule(0, RENT_AMOUNT, RENT_PERIOD, DUE_DAY))
+        .to.be.revertedWith("Rent schedule changed");
+      await expect(rentManager.connect(tenant).acceptRentSchedule(0, RENT_AMOUNT * 2n, RENT_PERIOD, DUE_DAY - 1))
+        .to.be.revertedWith("Rent schedule changed");
+      await expect(rentManager.connect(tenant).acceptRentSchedule(0, RENT_AMOUNT * 2n, RENT_PERIOD, DUE_DAY))
+        .to.emit(rentManager, "RentScheduleAccepted");
+      
+      // 排程生效後房東不得再修改
+      await expect(
+        rentManager.connect(landlord).proposeRentSchedule(0, RENT_AMOUNT * 2n, RENT_PERIOD, DUE_DAY)
+      ).to.be.revertedWith("Rent schedule already active");
+      expect((await rentManager.rentSchedules(0)).amount).to.equal(RENT_AMOUNT * 2n);
+    });
+  });
+  
+  describe("繳納租金", function () {
+    it("按時繳租應直接轉給房東且不收滯納金", async function () {
+      const startTime = await activateSchedule();
+      
+      const [nextDueTime, amountDue, overduePeriods] = await rentManager.getRentStatus(0);
+      expect(nextDueTime).to.equal(startTime + BigInt(DUE_DAY * ONE_DAY));
+      expect(amountDue).to.equal(RENT_AMOUNT);
+      expect(overduePeriods).to.equal(0);
+      
+      const depositBalance = await mockUSDC.balanceOf(await rentalDeposit.getAddress());
+      const change = await landlordChange(async () => {
+        await expect(rentManager.connect(tenant).payRent(0))
+          .to.emit(rentManager, "RentPaid")
+          .withArgs(0, tenant.address, 0, RENT_AMOUNT, 0, true);
+      });
+      
+      // 租金不經過押金託管，也不留在排程合約
+      expect(change).to.equal(RENT_AMOUNT);
+      expect(await mockUSDC.balanceOf(await rentalDeposit.getAddress())).to.equal(depositBalance);
+      expect(await mockUSDC.balanceOf(await rentManager.getAddress())).to.equal(0);
+      expect((await rentManager.rentSchedules(0)).paidPeriods).to.equal(1);
+    });
+    
+    it("寬限期內繳租仍視為按時，超過寬限期應加收滯納金", async function () {
+      const startTime = await activateSchedule();
+      const gracePeriod = await rentManager.rentGracePeriod();
+      const firstDueTime = startTime + BigInt(DUE_DAY * ONE_DAY);
+      
+      // 到期後寬限期的最後一刻仍視為按時
+      await time.setNextBlockTimestamp(firstDueTime + gracePeriod);
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.emit(rentManager, "RentPaid")
+        .withArgs(0, tenant.address, 0, RENT_AMOUNT, 0, true);
+      
+      // 第二期超過寬限期後按滯納金百分比加收
+      const secondDueTime = firstDueTime + BigInt(RENT_PERIOD);
+      await time.increaseTo(secondDueTime + gracePeriod + 1n);
+      const lateFee = (RENT_AMOUNT * (await rentManager.lateFeePercentage())) / 100n;
+      
+      const [, amountDue, overduePeriods] = await rentManager.getRentStatus(0);
+      expect(amountDue).to.equal(RENT_AMOUNT + lateFee);
+      expect(overduePeriods).to.equal(1);
+      
+      const change = await landlordChange(async () => {
+        await expect(rentManager.connect(tenant).payRent(0))
+          .to.emit(rentManager, "RentPaid")
+          .withArgs(0, tenant.address, 1, RENT_AMOUNT, lateFee, false);
+      });
+      expect(change).to.equal(RENT_AMOUNT + lateFee);
+    });
+    
+    it("平台可調整滯納金規則，新規則適用於之後的逾期繳租", async function () {
+      await expect(rentManager.connect(addr3).updateLateFeePolicy(10, ONE_DAY))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(rentManager.updateLateFeePolicy(21, ONE_DAY))
+        .to.be.revertedWith("Late fee too high");
+      await expect(rentManager.updateLateFeePolicy(10, 16 * ONE_DAY))
+        .to.be.revertedWith("Grace period too long");
+      
+      await expect(rentManager.updateLateFeePolicy(10, ONE_DAY))
+        .to.emit(rentManager, "LateFeePolicyUpdated")
+        .withArgs(10, ONE_DAY);
+      
+      const startTime = await activateSchedule();
+      await time.increaseTo(startTime + BigInt((DUE_DAY + 1) * ONE_DAY + 1));
+      
+      const change = await landlordChange(() => rentManager.connect(tenant).payRent(0));
+      expect(change).to.equal(RENT_AMOUNT + RENT_AMOUNT / 10n);
+    });
+    
+    it("第三方可代租客繳租，租期內各期繳清後應拒絕再繳", async function () {
+      await activateSchedule();
+      await mockUSDC.mint(addr3.address, RENT_AMOUNT);
+      await mockUSDC.connect(addr3).approve(await rentManager.getAddress(), RENT_AMOUNT);
+      
+      // 代繳的租金同樣記在租客名下
+      await expect(rentManager.connect(addr3).payRent(0))
+        .to.emit(rentManager, "RentPaid")
+        .withArgs(0, tenant.address, 0, RENT_AMOUNT, 0, true);
+      
+      await rentManager.connect(tenant).payRent(0);
+      await rentManager.connect(tenant).payRent(0);
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.be.revertedWith("All rent paid");
+      expect(await rentManager.getRentStatus(0)).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+  
+  describe("信用紀錄", function () {
+    it("無權記錄繳租歷史時仍應完成繳租", async function () {
+      await activateSchedule();
+      
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.emit(rentManager, "RentPaid")
+        .and.not.to.emit(selfProtocol, "PaymentRecorded");
+      
+      const [totalPayments] = await selfProtocol.getPaymentHistory(tenant.address);
+      expect(totalPayments).to.equal(0);
+    });
+    
+    it("具記錄權限時應將繳租結果寫入租客的信用歷史", async function () {
+      await selfProtocol.transferOwnership(await rentManager.getAddress());
+      const startTime = await activateSchedule();
+      
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.emit(selfProtocol, "PaymentRecorded")
+        .withArgs(tenant.address, RENT_AMOUNT, true);
+      
+      // 逾期繳租記錄含滯納金的金額
+      const gracePeriod = await rentManager.rentGracePeriod();
+      await time.increaseTo(startTime + BigInt(RENT_PERIOD + DUE_DAY * ONE_DAY) + gracePeriod + 1n);
+      const lateFee = (RENT_AMOUNT * (await rentManager.lateFeePercentage())) / 100n;
+      await expect(rentManager.connect(tenant).payRent(0))
+        .to.emit(selfProtocol, "PaymentRecorded")
+        .withArgs(tenant.address, RENT_AMOUNT + lateFee, false);
+      
+      const [totalPayments, onTimePayments, latePayments] = await selfProtocol.getPaymentHistory(tenant.address);
+      expect(totalPayments).to.equal(2);
+      expect(onTimePayments).to.equal(1);
+      expect(latePayments).to.equal(1);
+    });
+  });
+});
+
+describe("部署後的租金排程", function () {
+  it("部署腳本應讓租金管理器可寫入租客的繳租歷史", async function () {
+    const [, tenant, landlord] = await ethers.getSigners();
+    const deployDir = fs.mkdtempSync(path.join(os.tmpdir(), "dework-deploy-"));
+    const { contracts } = await deployLocalhost(deployDir);
+    
+    const rentalDeposit = await ethers.getContractAt("RentalDeposit", contracts.RentalDeposit);
+    const rentManager = await ethers.getContractAt("RentManager", contracts.RentManager);
+    const selfProtocol = await ethers.getContractAt("SelfProtocolMock", contracts.SelfProtocol);
+    const timelock = await ethers.getContractAt("DeWorkTimelock", contracts.Timelock);
+    const dai = await ethers.getContractAt("MockERC20", contracts.DAI);
+    expect(await selfProtocol.owner()).to.equal(contracts.RentManager);
+    
+    // 本地網絡沒有WorldID合約，經時間鎖關閉驗證要求
+    const operation = await buildOperation(timelock, rentalDeposit, "setWorldIDRequired", [false]);
+    await scheduleOperation(timelock, operation);
+    await time.increase(await timelock.getMinDelay());
+    await executeOperation(timelock, operation);
+    
+    // 以模擬收益路線的DAI作為押金與租金代幣
+    const deposit = ethers.parseUnits("1000", 18);
+    const rent = ethers.parseUnits("500", 18);
+    await dai.mint(tenant.address, deposit + rent);
+    await dai.connect(tenant).approve(contracts.RentalDeposit, deposit);
+    await dai.connect(tenant).approve(contracts.RentManager, rent);
+    await rentalDeposit.connect(tenant).createRental(landlord.address, contracts.DAI, deposit, 90 * 24 * 60 * 60, "", 0);
+    const rentalId = (await rentalDeposit.getUserRentals(tenant.address))[0];
+    
+    await rentManager.connect(landlord).proposeRentSchedule(rentalId, rent, 30 * 24 * 60 * 60, 5);
+    await rentManager.connect(tenant).acceptRentSchedule(rentalId, rent, 30 * 24 * 60 * 60, 5);
+    await expect(rentManager.connect(tenant).payRent(rentalId))
+      .to.emit(selfProtocol, "PaymentRecorded")
+      .withArgs(tenant.address, rent, true);
+    
+    const [totalPayments, onTimePayments] = await selfProtocol.getPaymentHistory(tenant.address);
+    expect(totalPayments).to.equal(1);
+    expect(onTimePayments).to.equal(1);
+  });
+});
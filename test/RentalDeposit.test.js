@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
 
 describe("RentalDeposit", function () {
   let mockUSDC;
@@ -8,6 +9,7 @@ describe("RentalDeposit", function () {
   let interestManager;
   let rentalNFT;
   let rentalDeposit;
+  let disputeEvidence;
   let owner;
   let tenant;
   let landlord;
@@ -32,12 +34,13 @@ describe("RentalDeposit", function () {
     const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
     mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
     
-    // 部署利息管理器
-    const InterestManager = await ethers.getContractFactory("InterestManager");
-    interestManager = await InterestManager.deploy(
+    // 部署利息管理器並接管收益提供者，收益提供者預留模擬利息
+    interestManager = await deployProxy("InterestManager", [
       await mockUSDC.getAddress(),
       await mockYieldProvider.getAddress()
-    );
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
     
     // 部署租賃NFT
     const RentalNFT = await ethers.getContractFactory("RentalNFT");
@@ -48,22 +51,27 @@ describe("RentalDeposit", function () {
     );
     
     // 部署租賃押金合約
-    const RentalDeposit = await ethers.getContractFactory("RentalDeposit");
-    rentalDeposit = await RentalDeposit.deploy(
+    rentalDeposit = await deployProxy("RentalDeposit", [
       await mockUSDC.getAddress(),
       await interestManager.getAddress(),
-      await rentalNFT.getAddress()
-    );
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 授予RentalDeposit鑄造NFT及管理轉讓的權限
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
     
-    // 授予RentalDeposit鑄造NFT的權限
-    const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
-    await rentalNFT.grantRole(MINTER_ROLE, await rentalDeposit.getAddress());
+    // 部署爭議證據合約記錄雙方提交的證據
+    const DisputeEvidence = await ethers.getContractFactory("DisputeEvidence");
+    disputeEvidence = await DisputeEvidence.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setDisputeEvidence(await disputeEvidence.getAddress());
     
     // 租客批准RentalDeposit合約使用USDC
     await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 10n);
-    
-    // 平台批准InterestManager使用USDC
-    await mockUSDC.connect(owner).approve(await interestManager.getAddress(), DEPOSIT_AMOUNT * 10n);
   });
   
   describe("基本功能", function () {
@@ -72,8 +80,11 @@ describe("RentalDeposit", function () {
       await expect(
         rentalDeposit.connect(tenant).createRental(
           landlord.address,
+          await mockUSDC.getAddress(),
           DEPOSIT_AMOUNT,
-          LEASE_DURATION
+          LEASE_DURATION,
+          "",
+          0
         )
       ).to.emit(rentalDeposit, "RentalCreated")
         .withArgs(0, tenant.address, landlord.address, DEPOSIT_AMOUNT);
@@ -93,8 +104,11 @@ describe("RentalDeposit", function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 模擬時間流逝
@@ -118,13 +132,16 @@ describe("RentalDeposit", function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 提出爭議
       await expect(
-        rentalDeposit.connect(tenant).raiseDispute(0)
+        rentalDeposit.connect(tenant).raiseDispute(0, "ipfs://evidence")
       ).to.emit(rentalDeposit, "DisputeRaised")
         .withArgs(0, tenant.address);
       
@@ -133,16 +150,53 @@ describe("RentalDeposit", function () {
       expect(rental.inDispute).to.be.true;
     });
     
+    it("房東應該能在退租後提出爭議並建立證據時間線", async function () {
+      // 創建租賃並等待租期結束
+      await rentalDeposit.connect(tenant).createRental(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0
+      );
+      await time.increase(LEASE_DURATION + 1);
+      
+      // 房東發現損壞後提出爭議
+      await expect(
+        rentalDeposit.connect(landlord).raiseDispute(0, "ipfs://damage-photos")
+      ).to.emit(rentalDeposit, "DisputeRaised")
+        .withArgs(0, landlord.address);
+      
+      // 租客回應證據
+      await disputeEvidence.connect(tenant).submitEvidence(0, "ipfs://move-out-video");
+      
+      // 檢查爭議紀錄與證據時間線
+      const dispute = await rentalDeposit.disputes(0);
+      expect(dispute.initiator).to.equal(landlord.address);
+      expect(dispute.responseDeadline).to.equal(dispute.openedAt + await rentalDeposit.disputeResponsePeriod());
+      
+      const evidence = await disputeEvidence.getDisputeEvidence(0);
+      expect(evidence.length).to.equal(2);
+      expect(evidence[0].submitter).to.equal(landlord.address);
+      expect(evidence[0].evidenceURI).to.equal("ipfs://damage-photos");
+      expect(evidence[1].submitter).to.equal(tenant.address);
+      expect(evidence[1].timestamp).to.be.gte(evidence[0].timestamp);
+    });
+    
     it("應該能解決爭議", async function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 提出爭議
-      await rentalDeposit.connect(tenant).raiseDispute(0);
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
       
       // 解決爭議（支持租客）
       await expect(
@@ -164,8 +218,11 @@ describe("RentalDeposit", function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 提前終止租賃
@@ -188,53 +245,144 @@ describe("RentalDeposit", function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
-      // 設置較高的利率，便於測試
-      await mockYieldProvider.setInterestRate(1000); // 10%
-      
-      // 模擬時間流逝（半年）
+      // 模擬時間流逝（半年）後結束租賃
       await time.increase(180 * 24 * 60 * 60);
-      
-      // 手動觸發利息計算（僅測試用）
-      await mockYieldProvider.simulateInterestPayment();
-      
-      // 結束租賃
-      await time.increase(LEASE_DURATION + 1);
       await rentalDeposit.connect(landlord).endRental(0);
       
       // 檢查利息分配
-      // 預期利息約為5%（半年10%的年化利率）
+      // 預期利息至少為半年5%年化利率的收益
       // 平台收取10%的利息，房東獲得90%
       const landlordBalance = await mockUSDC.balanceOf(landlord.address);
-      const expectedMinimum = DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n * 90n) / (100n * 100n);
+      const expectedMinimum = DEPOSIT_AMOUNT + (DEPOSIT_AMOUNT * 5n * 180n * 90n) / (100n * 365n * 100n);
       expect(landlordBalance).to.be.gte(expectedMinimum);
     });
   });
   
+  describe("押金代幣", function () {
+    let mockUSDT;
+    let usdtInterestManager;
+    
+    beforeEach(async function () {
+      // 部署第二種穩定幣及其專屬的利息管理器
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      mockUSDT = await MockUSDC.deploy("Tether USD", "USDT", 6);
+      await mockUSDT.mint(tenant.address, DEPOSIT_AMOUNT);
+      await mockUSDT.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+      
+      const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+      const usdtYieldProvider = await MockYieldProvider.deploy(await mockUSDT.getAddress());
+      
+      usdtInterestManager = await deployProxy("InterestManager", [
+        await mockUSDT.getAddress(),
+        await usdtYieldProvider.getAddress()
+      ]);
+      await usdtYieldProvider.transferOwnership(await usdtInterestManager.getAddress());
+      await mockUSDT.mint(await usdtYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+      await usdtInterestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    });
+    
+    it("應該能登記新的押金代幣並將押金存入該代幣的利息管理器", async function () {
+      const usdt = await mockUSDT.getAddress();
+      
+      await expect(
+        rentalDeposit.connect(addr3).addDepositToken(usdt, await usdtInterestManager.getAddress())
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await expect(rentalDeposit.addDepositToken(usdt, await usdtInterestManager.getAddress()))
+        .to.emit(rentalDeposit, "DepositTokenAdded")
+        .withArgs(usdt, await usdtInterestManager.getAddress());
+      
+      expect(await rentalDeposit.getDepositTokens()).to.deep.equal([await mockUSDC.getAddress(), usdt]);
+      expect(await rentalDeposit.isDepositTokenEnabled(usdt)).to.be.true;
+      expect(await rentalDeposit.tokenInterestManagers(usdt)).to.equal(await usdtInterestManager.getAddress());
+      
+      // 每種代幣只能登記一次
+      await expect(rentalDeposit.addDepositToken(usdt, await interestManager.getAddress()))
+        .to.be.revertedWith("Token already registered");
+      await expect(rentalDeposit.addDepositToken(await mockUSDC.getAddress(), await usdtInterestManager.getAddress()))
+        .to.be.revertedWith("Token already registered");
+      
+      // 押金存入該代幣的利息管理器，不影響其他代幣的利息管理器
+      await rentalDeposit.connect(tenant).createRental(landlord.address, usdt, DEPOSIT_AMOUNT, LEASE_DURATION, "", 0);
+      expect((await rentalDeposit.rentals(0)).token).to.equal(usdt);
+      expect(await usdtInterestManager.rentalPrincipal(0)).to.equal(DEPOSIT_AMOUNT);
+      expect(await interestManager.rentalPrincipal(0)).to.equal(0);
+      expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 10n);
+      
+      // 結束租賃時從同一個利息管理器取回押金並以該代幣支付
+      await time.increase(LEASE_DURATION);
+      await rentalDeposit.connect(landlord).endRental(0);
+      expect(await mockUSDT.balanceOf(landlord.address)).to.be.gte(DEPOSIT_AMOUNT);
+      expect(await mockUSDC.balanceOf(landlord.address)).to.equal(0);
+      expect(await usdtInterestManager.rentalShares(0)).to.equal(0);
+    });
+    
+    it("應該拒絕以未登記或已停用的代幣創建租賃", async function () {
+      const usdc = await mockUSDC.getAddress();
+      const usdt = await mockUSDT.getAddress();
+      
+      await expect(
+        rentalDeposit.connect(tenant).createRental(landlord.address, usdt, DEPOSIT_AMOUNT, LEASE_DURATION, "", 0)
+      ).to.be.revertedWith("Deposit token not supported");
+      await expect(rentalDeposit.setDepositTokenEnabled(usdt, true))
+        .to.be.revertedWith("Token not registered");
+      
+      // 停用前創建的租賃不受影響
+      await rentalDeposit.connect(tenant).createRental(landlord.address, usdc, DEPOSIT_AMOUNT, LEASE_DURATION, "", 0);
+      
+      await expect(rentalDeposit.setDepositTokenEnabled(usdc, false))
+        .to.emit(rentalDeposit, "DepositTokenStatusUpdated")
+        .withArgs(usdc, false);
+      await expect(
+        rentalDeposit.connect(tenant).createRental(landlord.address, usdc, DEPOSIT_AMOUNT, LEASE_DURATION, "", 0)
+      ).to.be.revertedWith("Deposit token not supported");
+      
+      await time.increase(LEASE_DURATION);
+      await expect(rentalDeposit.connect(landlord).endRental(0))
+        .to.emit(rentalDeposit, "DepositReleased");
+      
+      // 重新開放後可再用於新租賃
+      await rentalDeposit.setDepositTokenEnabled(usdc, true);
+      await rentalDeposit.connect(tenant).createRental(landlord.address, usdc, DEPOSIT_AMOUNT, LEASE_DURATION, "", 0);
+      expect((await rentalDeposit.rentals(1)).token).to.equal(usdc);
+    });
+  });
+  
   describe("邊緣案例和安全檢查", function () {
     it("應該阻止非授權用戶結束租賃", async function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
-      // 嘗試使用未授權帳戶結束租賃
+      // 租期結束但未到押金釋放時間，未授權帳戶不得結束租賃
+      await time.increase(LEASE_DURATION + 1);
       await expect(
         rentalDeposit.connect(addr3).endRental(0)
-      ).to.be.revertedWith("Not authorized");
+      ).to.be.revertedWith("Cannot end before release time");
     });
     
     it("應該阻止在租期內結束租賃", async function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 嘗試在租期結束前結束租賃
@@ -243,35 +391,100 @@ describe("RentalDeposit", function () {
       ).to.be.revertedWith("Lease period not ended");
     });
     
-    it("應該阻止房東提出爭議", async function () {
+    it("應該阻止非租賃雙方提出爭議", async function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0
+      );
+      
+      // 嘗試由第三方提出爭議
+      await expect(
+        rentalDeposit.connect(addr3).raiseDispute(0, "ipfs://evidence")
+      ).to.be.revertedWith("Only parties can raise dispute");
+    });
+    
+    it("應該阻止回應期限後提交證據", async function () {
+      // 創建租賃並由租客提出爭議
+      await rentalDeposit.connect(tenant).createRental(
+        landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
       
-      // 嘗試由房東提出爭議
+      // 回應期限過後不得再提交證據
+      await time.increase(Number(await rentalDeposit.disputeResponsePeriod()) + 1);
       await expect(
-        rentalDeposit.connect(landlord).raiseDispute(0)
-      ).to.be.revertedWith("Only tenant can raise dispute");
+        disputeEvidence.connect(landlord).submitEvidence(0, "ipfs://late-evidence")
+      ).to.be.revertedWith("Evidence period ended");
     });
     
-    it("應該阻止非所有者解決爭議", async function () {
+    it("應該阻止非所有者或爭議裁決帳戶解決爭議", async function () {
       // 創建租賃
       await rentalDeposit.connect(tenant).createRental(
         landlord.address,
+        await mockUSDC.getAddress(),
         DEPOSIT_AMOUNT,
-        LEASE_DURATION
+        LEASE_DURATION,
+        "",
+        0
       );
       
       // 提出爭議
-      await rentalDeposit.connect(tenant).raiseDispute(0);
+      await rentalDeposit.connect(tenant).raiseDispute(0, "");
       
       // 嘗試由非所有者解決爭議
       await expect(
         rentalDeposit.connect(addr3).resolveDispute(0, true)
+      ).to.be.revertedWith("Not authorized to resolve");
+    });
+    
+    it("所有權移交時間鎖後爭議裁決帳戶仍應能即時裁決爭議", async function () {
+      // 只有所有者可以設置爭議裁決帳戶
+      await expect(
+        rentalDeposit.connect(addr3).setDisputeResolver(addr3.address)
       ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(rentalDeposit.setDisputeResolver(addr3.address))
+        .to.emit(rentalDeposit, "DisputeResolverUpdated")
+        .withArgs(addr3.address);
+      
+      const DeWorkTimelock = await ethers.getContractFactory("DeWorkTimelock");
+      const timelock = await DeWorkTimelock.deploy(2 * 24 * 60 * 60, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+      await rentalDeposit.transferOwnership(await timelock.getAddress());
+      
+      // 創建兩筆租賃並提出爭議
+      for (let i = 0; i < 2; i++) {
+        await rentalDeposit.connect(tenant).createRental(
+          landlord.address,
+          await mockUSDC.getAddress(),
+          DEPOSIT_AMOUNT,
+          LEASE_DURATION,
+          "",
+          0
+        );
+        await rentalDeposit.connect(tenant).raiseDispute(i, "");
+      }
+      
+      // 原所有者已無法直接裁決，裁決帳戶不受通知期延遲
+      await expect(
+        rentalDeposit.connect(owner).resolveDispute(0, true)
+      ).to.be.revertedWith("Not authorized to resolve");
+      await expect(
+        rentalDeposit.connect(addr3).resolveDispute(0, true)
+      ).to.emit(rentalDeposit, "DisputeResolved")
+        .withArgs(0, true);
+      await expect(
+        rentalDeposit.connect(addr3).resolveDisputeWithSplit(1, DEPOSIT_AMOUNT / 2n)
+      ).to.emit(rentalDeposit, "DisputeResolvedWithSplit")
+        .withArgs(1, DEPOSIT_AMOUNT / 2n, DEPOSIT_AMOUNT / 2n);
     });
   });
 });
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("RentalOffers", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let rentalOffers;
+  let owner;
+  let tenant;
+  let landlord;
+  let addr3;
+  let domain;
+  
+  const ONE_USDC = ethers.parseUnits("1", 6);
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // EIP-712 要約類型定義，須與合約的 RENTAL_OFFER_TYPEHASH 一致
+  const OFFER_TYPES = {
+    RentalOffer: [
+      { name: "landlord", type: "address" },
+      { name: "tenant", type: "address" },
+      { name: "token", type: "address" },
+      { name: "depositAmount", type: "uint256" },
+      { name: "leaseDuration", type: "uint256" },
+      { name: "interestSharingPercentage", type: "uint256" },
+      { name: "metadataURI", type: "string" },
+      { name: "expiry", type: "uint256" },
+      { name: "nonce", type: "uint256" }
+    ]
+  };
+  
+  // 建立預設要約，可覆寫部分欄位
+  const buildOffer = async (overrides = {}) => ({
+    landlord: landlord.address,
+    tenant: ethers.ZeroAddress,
+    token: await mockUSDC.getAddress(),
+    depositAmount: DEPOSIT_AMOUNT,
+    leaseDuration: LEASE_DURATION,
+    interestSharingPercentage: 40,
+    metadataURI: "ipfs://rental-metadata",
+    expiry: (await time.latest()) + 3600,
+    nonce: 1,
+    ...overrides
+  });
+  
+  const signOffer = (offer, signer = landlord) => signer.signTypedData(domain, OFFER_TYPES, offer);
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, addr3] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署租賃NFT與租賃押金合約
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署要約合約並授權其代租客創建租賃
+    const RentalOffers = await ethers.getContractFactory("RentalOffers");
+    rentalOffers = await RentalOffers.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setRentalOffers(await rentalOffers.getAddress());
+    
+    domain = {
+      name: "DeWork Rental Offers",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await rentalOffers.getAddress()
+    };
+    
+    // 租客取得代幣並授權租賃押金合約收取押金
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 10n);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT * 10n);
+  });
+  
+  describe("接受要約", function () {
+    it("應該依房東簽署的條件創建租賃", async function () {
+      const offer = await buildOffer();
+      const signature = await signOffer(offer);
+      
+      expect(await rentalOffers.hashOffer(offer)).to.equal(
+        ethers.TypedDataEncoder.hash(domain, OFFER_TYPES, offer)
+      );
+      
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, signature)
+      ).to.emit(rentalOffers, "OfferAccepted")
+        .withArgs(landlord.address, 1, 0, tenant.address)
+        .and.to.emit(rentalDeposit, "RentalCreated")
+        .withArgs(0, tenant.address, landlord.address, DEPOSIT_AMOUNT);
+      
+      // 檢查租賃條件與要約一致
+      const rental = await rentalDeposit.rentals(0);
+      expect(rental.tenant).to.equal(tenant.address);
+      expect(rental.landlord).to.equal(landlord.address);
+      expect(rental.depositAmount).to.equal(DEPOSIT_AMOUNT);
+      expect(rental.interestSharingPercentage).to.equal(40);
+      expect(rental.metadataURI).to.equal("ipfs://rental-metadata");
+      
+      // 同一要約不得重複使用
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, signature)
+      ).to.be.revertedWith("Offer nonce used or invalidated");
+    });
+    
+    it("應該拒絕被竄改或非房東簽署的要約", async function () {
+      const offer = await buildOffer();
+      const signature = await signOffer(offer);
+      
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer({ ...offer, depositAmount: ONE_USDC }, signature)
+      ).to.be.revertedWith("Invalid offer signature");
+      
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, await signOffer(offer, addr3))
+      ).to.be.revertedWith("Invalid offer signature");
+    });
+    
+    it("應該拒絕過期或指定給其他租客的要約", async function () {
+      const privateOffer = await buildOffer({ tenant: addr3.address });
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(privateOffer, await signOffer(privateOffer))
+      ).to.be.revertedWith("Offer not for caller");
+      
+      const offer = await buildOffer({ nonce: 2 });
+      const signature = await signOffer(offer);
+      await time.increase(3601);
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, signature)
+      ).to.be.revertedWith("Offer expired");
+    });
+    
+    it("應該阻止要約合約以外的地址代租客創建租賃", async function () {
+      await expect(
+        rentalDeposit.connect(addr3).createRentalFor(
+          tenant.address,
+          landlord.address,
+          await mockUSDC.getAddress(),
+          DEPOSIT_AMOUNT,
+          LEASE_DURATION,
+          "",
+          0,
+          ethers.ZeroAddress,
+          0
+        )
+      ).to.be.revertedWith("Only rental creation contracts");
+    });
+  });
+  
+  describe("取消要約", function () {
+    it("房東應該能取消單一要約", async function () {
+      const offer = await buildOffer({ nonce: 5 });
+      const signature = await signOffer(offer);
+      
+      await expect(rentalOffers.connect(landlord).cancelOffer(5))
+        .to.emit(rentalOffers, "OfferCancelled")
+        .withArgs(landlord.address, 5);
+      expect(await rentalOffers.isOfferValid(landlord.address, 5)).to.be.false;
+      
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, signature)
+      ).to.be.revertedWith("Offer nonce used or invalidated");
+    });
+    
+    it("房東應該能一次作廢較低序號的要約", async function () {
+      const offer = await buildOffer({ nonce: 9 });
+      const signature = await signOffer(offer);
+      
+      await expect(rentalOffers.connect(landlord).invalidateNonces(10))
+        .to.emit(rentalOffers, "NoncesInvalidated")
+        .withArgs(landlord.address, 10);
+      
+      await expect(
+        rentalOffers.connect(tenant).createRentalWithOffer(offer, signature)
+      ).to.be.revertedWith("Offer nonce used or invalidated");
+      await expect(
+        rentalOffers.connect(landlord).invalidateNonces(10)
+      ).to.be.revertedWith("Nonce must increase");
+      expect(await rentalOffers.isOfferValid(landlord.address, 10)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("RentalGateway 許可簽名押金", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalNFT;
+  let rentalDeposit;
+  let rentalGateway;
+  let owner;
+  let tenant;
+  let landlord;
+  let addr3;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // EIP-2612 許可類型定義
+  const PERMIT_TYPES = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  
+  // 租客簽署授權租賃押金合約收取押金的許可
+  const signPermit = async (signer, value, deadline) => {
+    const domain = {
+      name: await mockUSDC.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await mockUSDC.getAddress()
+    };
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+      owner: signer.address,
+      spender: await rentalDeposit.getAddress(),
+      value,
+      nonce: await mockUSDC.nonces(signer.address),
+      deadline
+    });
+    return ethers.Signature.from(signature);
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord, addr3] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT * 10n);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    // 部署租賃NFT與租賃押金合約
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 部署創建入口合約，許可的授權對象仍為租賃押金合約
+    const RentalGateway = await ethers.getContractFactory("RentalGateway");
+    rentalGateway = await RentalGateway.deploy(await rentalDeposit.getAddress());
+    await rentalDeposit.setRentalGateway(await rentalGateway.getAddress());
+  });
+  
+  it("應該能以許可簽名在單筆交易內創建租賃", async function () {
+    const deadline = (await time.latest()) + 3600;
+    const { v, r, s } = await signPermit(tenant, DEPOSIT_AMOUNT, deadline);
+    
+    // 租客未事先授權
+    expect(await mockUSDC.allowance(tenant.address, await rentalDeposit.getAddress())).to.equal(0);
+    
+    await expect(
+      rentalGateway.connect(tenant).createRentalWithPermit(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        deadline,
+        v,
+        r,
+        s
+      )
+    ).to.emit(rentalDeposit, "RentalCreated")
+      .withArgs(0, tenant.address, landlord.address, DEPOSIT_AMOUNT);
+    
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(DEPOSIT_AMOUNT * 9n);
+    expect(await mockUSDC.nonces(tenant.address)).to.equal(1);
+  });
+  
+  it("許可簽名被搶先提交時應該使用既有的授權額度", async function () {
+    const deadline = (await time.latest()) + 3600;
+    const { v, r, s } = await signPermit(tenant, DEPOSIT_AMOUNT, deadline);
+    
+    // 第三方搶先提交許可簽名，使租客交易中的permit失敗
+    await mockUSDC.connect(addr3).permit(
+      tenant.address,
+      await rentalDeposit.getAddress(),
+      DEPOSIT_AMOUNT,
+      deadline,
+      v,
+      r,
+      s
+    );
+    
+    await expect(
+      rentalGateway.connect(tenant).createRentalWithPermit(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        deadline,
+        v,
+        r,
+        s
+      )
+    ).to.emit(rentalDeposit, "RentalCreated");
+  });
+  
+  it("應該拒絕無效或過期的許可簽名", async function () {
+    const deadline = (await time.latest()) + 3600;
+    
+    // 由非租客簽署的許可
+    const forged = await signPermit(addr3, DEPOSIT_AMOUNT, deadline);
+    await expect(
+      rentalGateway.connect(tenant).createRentalWithPermit(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        deadline,
+        forged.v,
+        forged.r,
+        forged.s
+      )
+    ).to.be.revertedWith("Permit failed");
+    
+    // 過期的許可
+    const { v, r, s } = await signPermit(tenant, DEPOSIT_AMOUNT, deadline);
+    await time.increase(3601);
+    await expect(
+      rentalGateway.connect(tenant).createRentalWithPermit(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        deadline,
+        v,
+        r,
+        s
+      )
+    ).to.be.revertedWith("Permit failed");
+  });
+  
+  it("未授權的入口合約不能代租客創建租賃", async function () {
+    const deadline = (await time.latest()) + 3600;
+    const { v, r, s } = await signPermit(tenant, DEPOSIT_AMOUNT, deadline);
+    await rentalDeposit.setRentalGateway(ethers.ZeroAddress);
+    
+    await expect(
+      rentalGateway.connect(tenant).createRentalWithPermit(
+        landlord.address,
+        await mockUSDC.getAddress(),
+        DEPOSIT_AMOUNT,
+        LEASE_DURATION,
+        "",
+        0,
+        deadline,
+        v,
+        r,
+        s
+      )
+    ).to.be.revertedWith("Only rental creation contracts");
+  });
+});
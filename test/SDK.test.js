@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("合約SDK", function () {
+  let sdkModule;
+  let mockUSDC;
+  let rentalDeposit;
+  let deployment;
+  let tenantSDK;
+  let landlordSDK;
+  let tenant;
+  let landlord;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  before(async function () {
+    sdkModule = await import("@dework/sdk");
+  });
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [, tenant, landlord] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    
+    // 與部署腳本寫入的部署文件格式相同
+    deployment = {
+      network: "hardhat",
+      contracts: {
+        USDC: await mockUSDC.getAddress(),
+        InterestManager: await interestManager.getAddress(),
+        RentalNFT: await rentalNFT.getAddress(),
+        RentalDeposit: await rentalDeposit.getAddress(),
+        Timelock: ""
+      }
+    };
+    const addresses = sdkModule.resolveAddresses(deployment);
+    tenantSDK = sdkModule.createDeworkSDK({ runner: tenant, addresses });
+    landlordSDK = sdkModule.createDeworkSDK({ runner: landlord, addresses });
+  });
+  
+  it("應該解析部署文件的地址，授權後創建租賃並依角色列出", async function () {
+    expect(sdkModule.resolveAddresses(deployment)).to.not.have.property("Timelock");
+    expect(() => sdkModule.createDeworkSDK({ runner: tenant, addresses: { RentalDeposit: deployment.contracts.RentalDeposit } }))
+      .to.throw("Missing contract addresses: InterestManager, RentalNFT");
+    
+    // 字串金額依代幣精度解析，授權不足時自動授權
+    const { rentalId } = await tenantSDK.createRental({
+      landlord: landlord.address,
+      token: deployment.contracts.USDC,
+      depositAmount: "1,000",
+      leaseDuration: LEASE_DURATION,
+      metadataURI: "ipfs://QmLease",
+      interestSharingPercentage: 50
+    });
+    expect(rentalId).to.equal(0);
+    
+    const [asTenant] = await tenantSDK.getRentalsFor(tenant.address);
+    expect(asTenant).to.include({ id: 0, role: "tenant", depositAmount: DEPOSIT_AMOUNT, isActive: true, interestSharingPercentage: 50 });
+    expect((await landlordSDK.getRentalsFor(landlord.address))[0].role).to.equal("landlord");
+    
+    const agreement = await tenantSDK.getAgreement(0);
+    expect(agreement.tokenURI).to.equal("ipfs://QmLease");
+  });
+  
+  it("結算預估應該與實際支付一致", async function () {
+    await tenantSDK.createRental({
+      landlord: landlord.address,
+      token: deployment.contracts.USDC,
+      depositAmount: DEPOSIT_AMOUNT,
+      leaseDuration: LEASE_DURATION,
+      interestSharingPercentage: 50
+    });
+    await time.increase(LEASE_DURATION);
+    
+    const quote = await landlordSDK.quoteSettlement(0);
+    expect(quote.landlordPrincipal).to.equal(DEPOSIT_AMOUNT);
+    expect(quote.tenantPrincipal).to.equal(0);
+    expect(quote.tenantInterest).to.be.gt(0);
+    
+    const landlordBefore = await mockUSDC.balanceOf(landlord.address);
+    const tenantBefore = await mockUSDC.balanceOf(tenant.address);
+    await landlordSDK.endRental(0);
+    
+    // 結算交易比預估晚一個區塊，利息僅相差數秒
+    expect((await mockUSDC.balanceOf(landlord.address)) - landlordBefore).to.be.closeTo(quote.landlordTotal, 10n);
+    expect((await mockUSDC.balanceOf(tenant.address)) - tenantBefore).to.be.closeTo(quote.tenantTotal, 10n);
+    expect(await tenantSDK.getAgreement(0)).to.equal(null);
+  });
+  
+  it("應該將合約回滾解析為DeworkError並推送租賃事件", async function () {
+    await tenantSDK.createRental({
+      landlord: landlord.address,
+      token: deployment.contracts.USDC,
+      depositAmount: DEPOSIT_AMOUNT,
+      leaseDuration: LEASE_DURATION
+    });
+    
+    const error = await landlordSDK.endRental(0).catch((reason) => reason);
+    expect(error).to.be.instanceOf(sdkModule.DeworkError);
+    expect(error).to.include({ code: "REVERTED", reason: "Lease period not ended" });
+    
+    const revertData = rentalDeposit.interface.encodeErrorResult("Error(string)", ["Only landlord can terminate early"]);
+    expect(sdkModule.decodeError({ data: revertData }).reason).to.equal("Only landlord can terminate early");
+    
+    // 訂閱租賃事件，爭議提出後收到更新後的租賃狀態
+    const received = new Promise((resolve) => {
+      const unsubscribe = landlordSDK.watchRental(0, (update) => {
+        unsubscribe();
+        resolve(update);
+      });
+    });
+    await tenantSDK.raiseDispute(0, "ipfs://QmEvidence");
+    
+    const update = await received;
+    expect(update.name).to.equal("DisputeRaised");
+    expect(update.args.initiator).to.equal(tenant.address);
+    expect(update.rental.inDispute).to.equal(true);
+    
+    // 歷史事件依發生順序排列，金額以字串保存
+    const history = await landlordSDK.getRentalEvents(0);
+    expect(history.map((event) => event.name)).to.deep.equal(["RentalCreated", "DisputeRaised"]);
+    expect(history[0].args).to.include({ rentalId: "0", amount: DEPOSIT_AMOUNT.toString() });
+    expect(history[1].timestamp).to.be.gte(history[0].timestamp);
+  });
+});
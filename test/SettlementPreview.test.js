@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("結算預覽", function () {
+  let mockUSDC;
+  let rentalDeposit;
+  let settlementPreview;
+  let owner;
+  let treasury;
+  let tenant;
+  let landlord;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const LEASE_DURATION = 30 * 24 * 60 * 60; // 30 days in seconds
+  
+  // 預覽比實際結算早一個區塊，利息僅相差數秒
+  const TOLERANCE = 10n;
+  
+  // 記錄結算交易前後各方的餘額變化
+  const balanceChanges = async (settle) => {
+    const accounts = [landlord.address, tenant.address, treasury.address];
+    const before = await Promise.all(accounts.map((account) => mockUSDC.balanceOf(account)));
+    await settle();
+    const after = await Promise.all(accounts.map((account) => mockUSDC.balanceOf(account)));
+    const [landlordChange, tenantChange, treasuryChange] = after.map((balance, i) => balance - before[i]);
+    return { landlordChange, tenantChange, treasuryChange };
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, treasury, tenant, landlord] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    const interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    await rentalDeposit.setTreasury(treasury.address);
+    
+    const SettlementPreview = await ethers.getContractFactory("SettlementPreview");
+    settlementPreview = await SettlementPreview.deploy(await rentalDeposit.getAddress());
+    
+    // 租客創建租賃，租客分得30%利息
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      LEASE_DURATION,
+      "",
+      30
+    );
+    await time.increase(LEASE_DURATION);
+  });
+  
+  it("正常結束的預覽應該與實際支付一致", async function () {
+    const preview = await settlementPreview.previewEndRental(0);
+    expect(preview.landlordPrincipal).to.equal(DEPOSIT_AMOUNT);
+    expect(preview.tenantPrincipal).to.equal(0);
+    expect(preview.tenantInterest).to.be.gt(0);
+    expect(preview.platformFee).to.be.gt(0);
+    
+    const changes = await balanceChanges(() => rentalDeposit.connect(landlord).endRental(0));
+    expect(changes.landlordChange).to.be.closeTo(preview.landlordPrincipal + preview.landlordInterest, TOLERANCE);
+    expect(changes.tenantChange).to.be.closeTo(preview.tenantInterest, TOLERANCE);
+    expect(changes.treasuryChange).to.be.closeTo(preview.platformFee, TOLERANCE);
+    
+    // 租賃結算後無法再預覽
+    await expect(settlementPreview.previewEndRental(0))
+      .to.be.revertedWith("Rental is not active");
+  });
+  
+  it("提前終止的預覽應該將本金全數退還租客", async function () {
+    const preview = await settlementPreview.previewTerminateEarly(0);
+    expect(preview.landlordPrincipal).to.equal(0);
+    expect(preview.tenantPrincipal).to.equal(DEPOSIT_AMOUNT);
+    
+    const changes = await balanceChanges(() => rentalDeposit.connect(landlord).terminateEarly(0));
+    expect(changes.tenantChange).to.be.closeTo(preview.tenantPrincipal + preview.tenantInterest, TOLERANCE);
+    expect(changes.landlordChange).to.be.closeTo(preview.landlordInterest, TOLERANCE);
+  });
+  
+  it("應該預覽爭議裁決的各種結果", async function () {
+    await rentalDeposit.connect(tenant).raiseDispute(0, "");
+    
+    // 勝訴方取得全部本金及扣除平台費用後的利息
+    const favorTenant = await settlementPreview.previewResolve(0, true);
+    expect(favorTenant.tenantPrincipal).to.equal(DEPOSIT_AMOUNT);
+    expect(favorTenant.landlordInterest).to.equal(0);
+    const favorLandlord = await settlementPreview.previewResolve(0, false);
+    expect(favorLandlord.landlordPrincipal).to.equal(DEPOSIT_AMOUNT);
+    expect(favorLandlord.tenantInterest).to.equal(0);
+    expect(favorLandlord.landlordInterest).to.equal(favorTenant.tenantInterest);
+    
+    const split = await settlementPreview.previewResolveWithSplit(0, DEPOSIT_AMOUNT / 4n);
+    expect(split.landlordPrincipal).to.equal(DEPOSIT_AMOUNT / 4n);
+    expect(split.tenantPrincipal).to.equal(DEPOSIT_AMOUNT - DEPOSIT_AMOUNT / 4n);
+    await expect(settlementPreview.previewResolveWithSplit(0, DEPOSIT_AMOUNT + 1n))
+      .to.be.revertedWith("Amount exceeds max award");
+    
+    const changes = await balanceChanges(() => rentalDeposit.connect(owner).resolveDispute(0, true));
+    expect(changes.tenantChange).to.be.closeTo(favorTenant.tenantPrincipal + favorTenant.tenantInterest, TOLERANCE);
+    expect(changes.landlordChange).to.equal(0);
+  });
+});
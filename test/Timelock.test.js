@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  GOVERNED_FUNCTIONS,
+  assertGovernedFunction,
+  buildOperation,
+  scheduleOperation,
+  executeOperation,
+  cancelOperation,
+  getOperationStatus
+} = require("../scripts/timelock");
+const { deployProxy } = require("../scripts/upgrades");
+
+describe("治理時間鎖", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalDeposit;
+  let feeSchedule;
+  let timelock;
+  let owner;
+  let addr1;
+  
+  const DELAY = 2 * 24 * 60 * 60; // 2 days in seconds
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, addr1] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    
+    const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+    feeSchedule = await FeeSchedule.deploy(await rentalDeposit.getAddress());
+    
+    // 部署時間鎖並移交所有權，任何人皆可執行到期操作
+    const DeWorkTimelock = await ethers.getContractFactory("DeWorkTimelock");
+    timelock = await DeWorkTimelock.deploy(DELAY, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+    await rentalDeposit.transferOwnership(await timelock.getAddress());
+    await interestManager.transferOwnership(await timelock.getAddress());
+    await feeSchedule.transferOwnership(await timelock.getAddress());
+  });
+  
+  it("移交所有權後原所有者不能直接修改平台費用", async function () {
+    await expect(feeSchedule.setBaseFee(1500))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(rentalDeposit.setTreasury(addr1.address))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+  });
+  
+  it("周邊合約移交後可信轉發者須經時間鎖設置，Nodit觸發者仍可排程任務", async function () {
+    const RentalGateway = await ethers.getContractFactory("RentalGateway");
+    const rentalGateway = await RentalGateway.deploy(await rentalDeposit.getAddress());
+    const NoditManager = await ethers.getContractFactory("NoditManager");
+    const noditManager = await NoditManager.deploy(await rentalDeposit.getAddress(), addr1.address);
+    await rentalGateway.transferOwnership(await timelock.getAddress());
+    await noditManager.transferOwnership(await timelock.getAddress());
+    
+    // 原所有者不能即時換上可偽造發送者的轉發者
+    await expect(rentalGateway.setTrustedForwarder(addr1.address))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    
+    const operation = await buildOperation(timelock, rentalGateway, "setTrustedForwarder", [addr1.address]);
+    await scheduleOperation(timelock, operation);
+    await time.increase(DELAY);
+    await expect(executeOperation(timelock, operation))
+      .to.emit(rentalGateway, "TrustedForwarderUpdated")
+      .withArgs(addr1.address);
+    
+    // 任務參數須經時間鎖，排程仍由觸發者即時執行
+    await expect(noditManager.setRetryDelay(0))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(noditManager.scheduleTask(0, (await time.latest()) + DELAY, 0))
+      .to.be.revertedWith("NoditManager: caller is not owner or trigger");
+    await expect(noditManager.connect(addr1).scheduleTask(0, (await time.latest()) + DELAY, 0))
+      .to.emit(noditManager, "TaskScheduled");
+  });
+  
+  it("平台費用變更應該在通知期後才能執行", async function () {
+    const operation = await buildOperation(timelock, feeSchedule, "setBaseFee", [1500]);
+    
+    await expect(scheduleOperation(timelock, operation))
+      .to.emit(timelock, "CallScheduled");
+    expect((await getOperationStatus(timelock, operation)).state).to.equal("pending");
+    
+    // 通知期未滿不能執行
+    await expect(executeOperation(timelock, operation))
+      .to.be.revertedWith("TimelockController: operation is not ready");
+    
+    await time.increase(DELAY);
+    expect((await getOperationStatus(timelock, operation)).state).to.equal("ready");
+    
+    // 到期後任何人皆可執行
+    await expect(executeOperation(timelock.connect(addr1), operation))
+      .to.emit(feeSchedule, "BaseFeeUpdated")
+      .withArgs(1500);
+    expect(await feeSchedule.baseFeeBps()).to.equal(1500);
+    expect((await getOperationStatus(timelock, operation)).state).to.equal("done");
+  });
+  
+  it("提案者應該能取消已排程的收益提供者變更", async function () {
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const newProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    const operation = await buildOperation(
+      timelock,
+      interestManager,
+      "updateYieldProvider",
+      [await newProvider.getAddress()]
+    );
+    
+    await scheduleOperation(timelock, operation);
+    
+    // 非提案者不能取消
+    await expect(cancelOperation(timelock.connect(addr1), operation)).to.be.reverted;
+    
+    await expect(cancelOperation(timelock, operation))
+      .to.emit(timelock, "Cancelled")
+      .withArgs(operation.id);
+    expect((await getOperationStatus(timelock, operation)).state).to.equal("unset");
+    
+    await time.increase(DELAY);
+    await expect(executeOperation(timelock, operation))
+      .to.be.revertedWith("TimelockController: operation is not ready");
+  });
+  
+  it("治理清單應該只列出合約上存在的函數，未列出的函數須強制才能排程", async function () {
+    for (const [name, functions] of Object.entries(GOVERNED_FUNCTIONS)) {
+      const { interface: contractInterface } = await ethers.getContractFactory(name);
+      for (const functionName of functions) {
+        expect(contractInterface.getFunction(functionName), `${name}.${functionName}`).to.not.equal(null);
+      }
+    }
+    
+    expect(() => assertGovernedFunction("InterestManager", "rebalance")).to.not.throw();
+    expect(() => assertGovernedFunction("RentalDeposit", "setTresury"))
+      .to.throw("RentalDeposit.setTresury is not a governed function");
+    expect(() => assertGovernedFunction("RentalDeposit", "transferOwnership", true)).to.not.throw();
+  });
+  
+  it("排程的通知期不能短於最短延遲", async function () {
+    const operation = await buildOperation(timelock, rentalDeposit, "updateDisputePeriod", [3 * 24 * 60 * 60]);
+    
+    await expect(scheduleOperation(timelock, operation, DELAY - 1))
+      .to.be.revertedWith("TimelockController: insufficient delay");
+    await expect(scheduleOperation(timelock.connect(addr1), operation)).to.be.reverted;
+  });
+});
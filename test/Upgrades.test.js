@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  buildOperation,
+  scheduleOperation,
+  executeOperation
+} = require("../scripts/timelock");
+const {
+  getStorageLayout,
+  validateStorageLayout,
+  getImplementationAddress,
+  deployProxy,
+  prepareUpgrade
+} = require("../scripts/upgrades");
+
+describe("代理升級", function () {
+  let mockUSDC;
+  let interestManager;
+  let rentalDeposit;
+  let timelock;
+  let owner;
+  let tenant;
+  let landlord;
+  
+  const DEPOSIT_AMOUNT = ethers.parseUnits("1000", 6); // 1000 USDC
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const DELAY = 2 * 24 * 60 * 60; // 2 days in seconds
+  
+  // 檢查佈局後部署新實作，並經由時間鎖排程與執行升級
+  const upgradeThroughTimelock = async (proxy, previousName, contractName) => {
+    const prepared = await prepareUpgrade(await getStorageLayout(previousName), contractName);
+    const operation = await buildOperation(timelock, proxy, "upgradeTo", [prepared.address]);
+    await scheduleOperation(timelock, operation);
+    await time.increase(DELAY);
+    await expect(executeOperation(timelock, operation))
+      .to.emit(proxy, "Upgraded")
+      .withArgs(prepared.address);
+    return ethers.getContractAt(contractName, await proxy.getAddress());
+  };
+  
+  beforeEach(async function () {
+    // 獲取測試賬戶
+    [owner, tenant, landlord] = await ethers.getSigners();
+    
+    // 部署測試穩定幣與收益路線
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    mockUSDC = await MockUSDC.deploy("USD Coin", "USDC", 6);
+    
+    const MockYieldProvider = await ethers.getContractFactory("MockYieldProvider");
+    const mockYieldProvider = await MockYieldProvider.deploy(await mockUSDC.getAddress());
+    
+    interestManager = await deployProxy("InterestManager", [
+      await mockUSDC.getAddress(),
+      await mockYieldProvider.getAddress()
+    ]);
+    await mockYieldProvider.transferOwnership(await interestManager.getAddress());
+    
+    const RentalNFT = await ethers.getContractFactory("RentalNFT");
+    const rentalNFT = await RentalNFT.deploy("DeWork Rental Agreement", "DWORK", "https://api.dework.com/metadata/");
+    
+    rentalDeposit = await deployProxy("RentalDeposit", [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      await rentalNFT.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ]);
+    await rentalNFT.grantRole(await rentalNFT.MINTER_ROLE(), await rentalDeposit.getAddress());
+    await rentalNFT.grantRole(await rentalNFT.DEFAULT_ADMIN_ROLE(), await rentalDeposit.getAddress());
+    await interestManager.setRentalDeposit(await rentalDeposit.getAddress());
+    await rentalDeposit.setWorldIDRequired(false);
+    
+    // 收益提供者預留模擬利息，租客創建一年期、雙方平分利息的租賃
+    await mockUSDC.mint(await mockYieldProvider.getAddress(), DEPOSIT_AMOUNT);
+    await mockUSDC.mint(tenant.address, DEPOSIT_AMOUNT);
+    await mockUSDC.connect(tenant).approve(await rentalDeposit.getAddress(), DEPOSIT_AMOUNT);
+    await rentalDeposit.connect(tenant).createRental(
+      landlord.address,
+      await mockUSDC.getAddress(),
+      DEPOSIT_AMOUNT,
+      ONE_YEAR,
+      "ipfs://QmLease",
+      50
+    );
+    
+    // 部署時間鎖並移交所有權，升級同樣須經過通知期
+    const DeWorkTimelock = await ethers.getContractFactory("DeWorkTimelock");
+    timelock = await DeWorkTimelock.deploy(DELAY, [owner.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+    await rentalDeposit.transferOwnership(await timelock.getAddress());
+    await interestManager.transferOwnership(await timelock.getAddress());
+  });
+  
+  it("租期中升級租賃押金合約後租賃與累積利息應該保留", async function () {
+    await time.increase(ONE_YEAR / 2);
+    const rentalBefore = await rentalDeposit.getRentalDetails(0);
+    const valueBefore = await rentalDeposit.getCurrentDepositValue(0);
+    expect(valueBefore).to.be.gt(DEPOSIT_AMOUNT);
+    
+    const upgraded = await upgradeThroughTimelock(rentalDeposit, "RentalDeposit", "RentalDepositV2Mock");
+    expect(await upgraded.version()).to.equal("2");
+    expect(await upgraded.owner()).to.equal(await timelock.getAddress());
+    
+    // 租賃紀錄與押金價值不受升級影響
+    const rentalAfter = await upgraded.getRentalDetails(0);
+    expect(rentalAfter.tenant).to.equal(rentalBefore.tenant);
+    expect(rentalAfter.landlord).to.equal(rentalBefore.landlord);
+    expect(rentalAfter.depositAmount).to.equal(rentalBefore.depositAmount);
+    expect(rentalAfter.endTime).to.equal(rentalBefore.endTime);
+    expect(rentalAfter.metadataURI).to.equal("ipfs://QmLease");
+    expect(await upgraded.getCurrentDepositValue(0)).to.be.gte(valueBefore);
+    expect(rentalAfter.platformFeeBps).to.equal(rentalBefore.platformFeeBps);
+    
+    // 租期結束後照常結算，雙方分得整段租期的利息
+    await time.increase(ONE_YEAR / 2);
+    await expect(upgraded.connect(landlord).endRental(0))
+      .to.emit(upgraded, "DepositReleased");
+    expect(await mockUSDC.balanceOf(landlord.address)).to.be.gt(DEPOSIT_AMOUNT);
+    expect(await mockUSDC.balanceOf(tenant.address)).to.be.gt(0);
+  });
+  
+  it("租期中升級利息管理器後份額與利息應該保留", async function () {
+    await time.increase(ONE_YEAR / 2);
+    const shares = await interestManager.rentalShares(0);
+    const valueBefore = await interestManager.getRentalValue(0);
+    
+    const upgraded = await upgradeThroughTimelock(interestManager, "InterestManager", "InterestManagerV2Mock");
+    expect(await upgraded.version()).to.equal("2");
+    expect(await upgraded.rentalShares(0)).to.equal(shares);
+    expect(await upgraded.rentalPrincipal(0)).to.equal(DEPOSIT_AMOUNT);
+    expect(await upgraded.getRentalValue(0)).to.be.gte(valueBefore);
+    
+    // 升級後租賃押金合約仍可提取資金
+    await time.increase(ONE_YEAR / 2);
+    await rentalDeposit.connect(landlord).endRental(0);
+    expect(await upgraded.rentalShares(0)).to.equal(0);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.be.gt(DEPOSIT_AMOUNT);
+  });
+  
+  it("儲存佈局不相容的實作應該被拒絕", async function () {
+    const layout = await getStorageLayout("InterestManager");
+    
+    expect(validateStorageLayout(layout, await getStorageLayout("InterestManagerV2Mock"))).to.deep.equal([]);
+    expect(validateStorageLayout(layout, await getStorageLayout("InterestManagerBrokenLayoutMock"))).to.not.be.empty;
+    await expect(prepareUpgrade(layout, "InterestManagerBrokenLayoutMock"))
+      .to.be.rejectedWith("Incompatible storage layout");
+  });
+  
+  it("作為陣列元素或映射值的結構擴充成員或型別大小改變時應該被拒絕", async function () {
+    const layout = await getStorageLayout("InterestManager");
+    const cloneLayout = () => JSON.parse(JSON.stringify(layout));
+    const findType = (types, prefix) => Object.keys(types).find((type) => type.startsWith(prefix));
+    
+    // 在收益提供者陣列的元素結構末端新增成員，會覆蓋下一個元素
+    const grown = cloneLayout();
+    const allocation = grown.types[findType(grown.types, "t_struct(ProviderAllocation)")];
+    allocation.members.push({ ...allocation.members[1], label: "cap", slot: "2" });
+    allocation.numberOfBytes = "96";
+    
+    const errors = validateStorageLayout(layout, grown);
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0]).to.match(/^providers\[\]: struct members added/);
+    
+    // 型別標識相同但大小改變
+    const resized = cloneLayout();
+    resized.types[findType(resized.types, "t_struct(ProviderAllocation)")].numberOfBytes = "96";
+    expect(validateStorageLayout(layout, resized)).to.deep.equal([
+      "providers[]: size changed from 64 to 96 bytes"
+    ]);
+  });
+  
+  it("只有所有者可以升級，且代理與實作合約都不能重新初始化", async function () {
+    const implementation = await ethers.getContractAt(
+      "RentalDeposit",
+      await getImplementationAddress(await rentalDeposit.getAddress())
+    );
+    const initArgs = [
+      await mockUSDC.getAddress(),
+      await interestManager.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      ethers.ZeroAddress
+    ];
+    
+    await expect(rentalDeposit.upgradeTo(await implementation.getAddress()))
+      .to.be.revertedWith("Ownable: caller is not the owner");
+    await expect(rentalDeposit.initialize(...initArgs))
+      .to.be.revertedWith("Initializable: contract is already initialized");
+    await expect(implementation.initialize(...initArgs))
+      .to.be.revertedWith("Initializable: contract is already initialized");
+  });
+});